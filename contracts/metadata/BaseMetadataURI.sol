@@ -4,20 +4,44 @@ pragma solidity 0.6.8;
 
 import "@openzeppelin/contracts/access/Ownable.sol";
 import "@cryptogesic/ethereum-contracts-core_library/contracts/utils/types/UInt256ToDecimalString.sol";
+import "@cryptogesic/ethereum-contracts-core_library/contracts/utils/types/UInt256ToHexString.sol";
 
 contract BaseMetadataURI is Ownable {
     using UInt256ToDecimalString for uint256;
+    using UInt256ToHexString for uint256;
+
+    /**
+     * URI template modes:
+     * - DecimalSuffix: the decimal representation of the id is appended to the base metadata URI (default).
+     * - HexSuffix: the zero-padded 64 characters lowercase hexadecimal representation of the id is appended to the base metadata URI.
+     * - IdPlaceholder: the base metadata URI is returned as-is and is expected to contain the `{id}` placeholder,
+     *   substituted client-side by the hexadecimal representation of the id, as per the ERC1155 metadata specification.
+     */
+    enum URITemplateMode {DecimalSuffix, HexSuffix, IdPlaceholder}
 
     event BaseMetadataURISet(string baseMetadataURI);
 
+    event URITemplateModeSet(URITemplateMode uriTemplateMode);
+
     string public baseMetadataURI;
 
+    URITemplateMode public uriTemplateMode;
+
     function setBaseMetadataURI(string calldata baseMetadataURI_) external onlyOwner {
         baseMetadataURI = baseMetadataURI_;
         emit BaseMetadataURISet(baseMetadataURI_);
     }
 
+    function setURITemplateMode(URITemplateMode uriTemplateMode_) external onlyOwner {
+        uriTemplateMode = uriTemplateMode_;
+        emit URITemplateModeSet(uriTemplateMode_);
+    }
+
     function _uri(uint256 id) internal view virtual returns (string memory) {
-        return string(abi.encodePacked(baseMetadataURI, id.toDecimalString()));
+        URITemplateMode mode = uriTemplateMode;
+        if (mode == URITemplateMode.IdPlaceholder) {
+            return baseMetadataURI;
+        }
+        return string(abi.encodePacked(baseMetadataURI, mode == URITemplateMode.HexSuffix ? id.toHexString() : id.toDecimalString()));
     }
 }
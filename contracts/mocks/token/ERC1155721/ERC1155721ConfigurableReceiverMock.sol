@@ -0,0 +1,126 @@
+// SPDX-License-Identifier: MIT
+
+pragma solidity 0.6.8;
+
+import "../../../token/ERC721/ERC721Receiver.sol";
+import "../../../token/ERC1155/ERC1155TokenReceiver.sol";
+
+/**
+ * Receiver mock whose reaction to {IERC721Receiver-onERC721Received}, {IERC1155TokenReceiver-onERC1155Received} and
+ * {IERC1155TokenReceiver-onERC1155BatchReceived} is configurable, to test the edge cases of the safe transfers and mints.
+ * Every call is recorded with an event and counted by function selector, the counters being reverted with the call.
+ */
+contract ERC1155721ConfigurableReceiverMock is ERC721Receiver, ERC1155TokenReceiver {
+    event Received(address operator, address from, uint256 tokenId, bytes data, uint256 gas);
+
+    event ReceivedSingle(address operator, address from, uint256 id, uint256 value, bytes data, uint256 gas);
+
+    event ReceivedBatch(address operator, address from, uint256[] ids, uint256[] values, bytes data, uint256 gas);
+
+    enum Mode {
+        Accept, // returns the expected magic value
+        ReturnValue, // returns the configured value instead of the expected magic value
+        Revert, // reverts with the configured data as revert data
+        ConsumeGas, // consumes all the gas made available to the call
+        Reenter // calls back the sender with the configured data, bubbling up a failure, then accepts
+    }
+
+    bool internal _supports721;
+    bool internal _supports1155;
+
+    Mode public mode;
+    bytes4 public returnValue;
+    bytes public data;
+
+    // number of calls by function selector, the selectors being equal to the magic values
+    mapping(bytes4 => uint256) public receivedCalls;
+
+    constructor(bool supports721, bool supports1155) public ERC721Receiver() ERC1155TokenReceiver() {
+        _supports721 = supports721;
+        _supports1155 = supports1155;
+    }
+
+    /**
+     * Configures the reaction to the receiver calls.
+     * @param mode_ The reaction to the calls.
+     * @param returnValue_ The value returned in mode `ReturnValue`.
+     * @param data_ The revert data in mode `Revert`, the calldata of the call to the sender in mode `Reenter`.
+     */
+    function configure(
+        Mode mode_,
+        bytes4 returnValue_,
+        bytes calldata data_
+    ) external {
+        mode = mode_;
+        returnValue = returnValue_;
+        data = data_;
+    }
+
+    /// @dev See {IERC165-supportsInterface}.
+    function supportsInterface(bytes4 interfaceId) public view virtual override(ERC721Receiver, ERC1155TokenReceiver) returns (bool) {
+        return
+            (_supports721 && ERC721Receiver.supportsInterface(interfaceId)) || (_supports1155 && ERC1155TokenReceiver.supportsInterface(interfaceId));
+    }
+
+    function onERC721Received(
+        address operator,
+        address from,
+        uint256 tokenId,
+        bytes memory data_
+    ) public virtual override returns (bytes4) {
+        emit Received(operator, from, tokenId, data_, gasleft());
+        return _react(_ERC721_RECEIVED);
+    }
+
+    function onERC1155Received(
+        address operator,
+        address from,
+        uint256 id,
+        uint256 value,
+        bytes memory data_
+    ) public virtual override returns (bytes4) {
+        emit ReceivedSingle(operator, from, id, value, data_, gasleft());
+        return _react(_ERC1155_RECEIVED);
+    }
+
+    function onERC1155BatchReceived(
+        address operator,
+        address from,
+        uint256[] memory ids,
+        uint256[] memory values,
+        bytes memory data_
+    ) public virtual override returns (bytes4) {
+        emit ReceivedBatch(operator, from, ids, values, data_, gasleft());
+        return _react(_ERC1155_BATCH_RECEIVED);
+    }
+
+    /**
+     * Records the current call and reacts to it according to the configured mode.
+     * @param magicValue The value to return to accept the call.
+     * @return The value to return to the caller.
+     */
+    function _react(bytes4 magicValue) internal returns (bytes4) {
+        ++receivedCalls[msg.sig];
+        bytes memory data_ = data;
+        if (mode == Mode.ReturnValue) {
+            return returnValue;
+        } else if (mode == Mode.Revert) {
+            assembly {
+                revert(add(data_, 32), mload(data_))
+            }
+        } else if (mode == Mode.ConsumeGas) {
+            uint256 counter;
+            while (gasleft() != 0) {
+                ++counter;
+            }
+        } else if (mode == Mode.Reenter) {
+            (bool success, bytes memory returnData) = msg.sender.call(data_);
+            if (!success) {
+                assembly {
+                    revert(add(returnData, 32), mload(returnData))
+                }
+            }
+        }
+        return magicValue;
+    }
+}
@@ -0,0 +1,125 @@
+// SPDX-License-Identifier: MIT
+
+pragma solidity 0.6.8;
+
+import "../../metadata/ICoreMetadata.sol";
+import "../../metadata/ICoreMetadataDelegator.sol";
+import "../../metadata/IInventoryMetadata.sol";
+import "../../token/ERC721/IERC721.sol";
+import "../../token/ERC721/IERC721BatchTransfer.sol";
+import "../../token/ERC721/IERC721Burnable.sol";
+import "../../token/ERC721/IERC721Enumerable.sol";
+import "../../token/ERC721/IERC721Exists.sol";
+import "../../token/ERC721/IERC721Metadata.sol";
+import "../../token/ERC721/IERC721Mintable.sol";
+import "../../token/ERC721/IERC721Receiver.sol";
+import "../../token/ERC1155/IERC1155.sol";
+import "../../token/ERC1155/IERC1155Inventory.sol";
+import "../../token/ERC1155/IERC1155InventoryBurnable.sol";
+import "../../token/ERC1155/IERC1155InventoryCreator.sol";
+import "../../token/ERC1155/IERC1155InventoryEnumerableCollections.sol";
+import "../../token/ERC1155/IERC1155InventoryMintable.sol";
+import "../../token/ERC1155/IERC1155MetadataURI.sol";
+import "../../token/ERC1155/IERC1155TokenReceiver.sol";
+import "../../token/ERC1155721/IERC1155721BatchTransfer.sol";
+import "../../token/ERC1155721/IERC1155721InventoryBurnable.sol";
+import "../../token/ERC1155721/IERC1155721InventoryMintable.sol";
+import "../../token/IERC____NextTokenStandard.sol";
+
+/**
+ * @dev Exposes the ERC-165 identifiers of the interfaces, as computed by the compiler, to check them against `src/interfaces/ERC165`.
+ */
+contract InterfaceIdsMock {
+    function coreMetadata() external pure returns (bytes4) {
+        return type(ICoreMetadata).interfaceId;
+    }
+
+    function coreMetadataDelegator() external pure returns (bytes4) {
+        return type(ICoreMetadataDelegator).interfaceId;
+    }
+
+    function inventoryMetadata() external pure returns (bytes4) {
+        return type(IInventoryMetadata).interfaceId;
+    }
+
+    function erc721() external pure returns (bytes4) {
+        return type(IERC721).interfaceId;
+    }
+
+    function erc721BatchTransfer() external pure returns (bytes4) {
+        return type(IERC721BatchTransfer).interfaceId;
+    }
+
+    function erc721Burnable() external pure returns (bytes4) {
+        return type(IERC721Burnable).interfaceId;
+    }
+
+    function erc721Enumerable() external pure returns (bytes4) {
+        return type(IERC721Enumerable).interfaceId;
+    }
+
+    function erc721Exists() external pure returns (bytes4) {
+        return type(IERC721Exists).interfaceId;
+    }
+
+    function erc721Metadata() external pure returns (bytes4) {
+        return type(IERC721Metadata).interfaceId;
+    }
+
+    function erc721Mintable() external pure returns (bytes4) {
+        return type(IERC721Mintable).interfaceId;
+    }
+
+    function erc721Receiver() external pure returns (bytes4) {
+        return type(IERC721Receiver).interfaceId;
+    }
+
+    function erc1155() external pure returns (bytes4) {
+        return type(IERC1155).interfaceId;
+    }
+
+    function erc1155Inventory() external pure returns (bytes4) {
+        return type(IERC1155Inventory).interfaceId;
+    }
+
+    function erc1155InventoryBurnable() external pure returns (bytes4) {
+        return type(IERC1155InventoryBurnable).interfaceId;
+    }
+
+    function erc1155InventoryCreator() external pure returns (bytes4) {
+        return type(IERC1155InventoryCreator).interfaceId;
+    }
+
+    function erc1155InventoryEnumerableCollections() external pure returns (bytes4) {
+        return type(IERC1155InventoryEnumerableCollections).interfaceId;
+    }
+
+    function erc1155InventoryMintable() external pure returns (bytes4) {
+        return type(IERC1155InventoryMintable).interfaceId;
+    }
+
+    function erc1155MetadataURI() external pure returns (bytes4) {
+        return type(IERC1155MetadataURI).interfaceId;
+    }
+
+    function erc1155TokenReceiver() external pure returns (bytes4) {
+        return type(IERC1155TokenReceiver).interfaceId;
+    }
+
+    function erc1155721BatchTransfer() external pure returns (bytes4) {
+        // interfaceId does not include the inherited functions
+        return type(IERC1155721BatchTransfer).interfaceId ^ type(IERC721BatchTransfer).interfaceId;
+    }
+
+    function erc1155721InventoryBurnable() external pure returns (bytes4) {
+        return type(IERC1155721InventoryBurnable).interfaceId;
+    }
+
+    function erc1155721InventoryMintable() external pure returns (bytes4) {
+        return type(IERC1155721InventoryMintable).interfaceId;
+    }
+
+    function nextTokenStandard() external pure returns (bytes4) {
+        return type(IERC____NextTokenStandard).interfaceId;
+    }
+}
@@ -198,7 +198,7 @@ abstract contract ERC1155Inventory is ERC1155InventoryBase {
         uint256 id,
         uint256 value,
         bool isBatch
-    ) internal {
+    ) internal virtual {
         require(value == 1, "Inventory: wrong NFT value");
         require(_owners[id] == 0, "Inventory: existing/burnt NFT");
 
@@ -236,7 +236,7 @@ abstract contract ERC1155Inventory is ERC1155InventoryBase {
         uint256 id,
         uint256 value,
         bool isBatch
-    ) internal {
+    ) internal virtual {
         require(value == 1, "Inventory: wrong NFT value");
         require(from == address(_owners[id]), "Inventory: non-owned NFT");
         _owners[id] = uint256(to);
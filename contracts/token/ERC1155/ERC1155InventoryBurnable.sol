@@ -105,7 +105,7 @@ abstract contract ERC1155InventoryBurnable is IERC1155InventoryBurnable, ERC1155
         uint256 id,
         uint256 value,
         bool isBatch
-    ) internal {
+    ) internal virtual {
         require(value == 1, "Inventory: wrong NFT value");
         require(from == address(_owners[id]), "Inventory: non-owned NFT");
         _owners[id] = _BURNT_NFT_OWNER;
@@ -0,0 +1,53 @@
+// SPDX-License-Identifier: MIT
+
+pragma solidity 0.6.8;
+
+import "./ERC1155InventoryBurnable.sol";
+import "./ERC1155InventoryEnumerableCollections.sol";
+
+/**
+ * @title ERC1155InventoryBurnableEnumerableCollections, a burnable ERC1155InventoryEnumerableCollections.
+ */
+abstract contract ERC1155InventoryBurnableEnumerableCollections is ERC1155InventoryBurnable, ERC1155InventoryEnumerableCollections {
+    /// @dev See {IERC165-supportsInterface(bytes4)}.
+    function supportsInterface(bytes4 interfaceId)
+        public
+        view
+        virtual
+        override(ERC1155InventoryBase, ERC1155InventoryEnumerableCollections)
+        returns (bool)
+    {
+        return ERC1155InventoryEnumerableCollections.supportsInterface(interfaceId);
+    }
+
+    //============================== Internal Helper Functions =======================================/
+
+    function _burnNFT(
+        address from,
+        uint256 id,
+        uint256 value,
+        bool isBatch
+    ) internal virtual override {
+        super._burnNFT(from, id, value, isBatch);
+        _enumerateBurntNFT(from, id);
+    }
+
+    function _mintNFT(
+        address to,
+        uint256 id,
+        uint256 value,
+        bool isBatch
+    ) internal virtual override(ERC1155Inventory, ERC1155InventoryEnumerableCollections) {
+        ERC1155InventoryEnumerableCollections._mintNFT(to, id, value, isBatch);
+    }
+
+    function _transferNFT(
+        address from,
+        address to,
+        uint256 id,
+        uint256 value,
+        bool isBatch
+    ) internal virtual override(ERC1155Inventory, ERC1155InventoryEnumerableCollections) {
+        ERC1155InventoryEnumerableCollections._transferNFT(from, to, id, value, isBatch);
+    }
+}
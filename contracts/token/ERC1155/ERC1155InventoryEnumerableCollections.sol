@@ -0,0 +1,39 @@
+// SPDX-License-Identifier: MIT
+
+pragma solidity 0.6.8;
+
+import "./ERC1155Inventory.sol";
+import "./ERC1155InventoryEnumerableCollectionsBase.sol";
+
+/**
+ * @title ERC1155InventoryEnumerableCollections, an ERC1155Inventory with enumerable Non-Fungible Collections.
+ */
+abstract contract ERC1155InventoryEnumerableCollections is ERC1155Inventory, ERC1155InventoryEnumerableCollectionsBase {
+    /// @dev See {IERC165-supportsInterface(bytes4)}.
+    function supportsInterface(bytes4 interfaceId) public view virtual override returns (bool) {
+        return super.supportsInterface(interfaceId) || interfaceId == _ERC1155_INVENTORY_ENUMERABLE_COLLECTIONS_INTERFACE_ID;
+    }
+
+    //============================== Internal Helper Functions =======================================/
+
+    function _mintNFT(
+        address to,
+        uint256 id,
+        uint256 value,
+        bool isBatch
+    ) internal virtual override {
+        super._mintNFT(to, id, value, isBatch);
+        _enumerateMintedNFT(to, id);
+    }
+
+    function _transferNFT(
+        address from,
+        address to,
+        uint256 id,
+        uint256 value,
+        bool isBatch
+    ) internal virtual override {
+        super._transferNFT(from, to, id, value, isBatch);
+        _enumerateTransferredNFT(from, to, id);
+    }
+}
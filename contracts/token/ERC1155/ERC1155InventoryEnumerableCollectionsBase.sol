@@ -0,0 +1,129 @@
+// SPDX-License-Identifier: MIT
+
+pragma solidity 0.6.8;
+
+import "./ERC1155InventoryBase.sol";
+import "./IERC1155InventoryEnumerableCollections.sol";
+
+/**
+ * @title ERC1155InventoryEnumerableCollectionsBase, the enumeration of the Non-Fungible Collections.
+ * @dev Shared by the ERC1155Inventory and ERC1155721Inventory extensions, which update the enumeration for each
+ *  Non-Fungible Token minted, transferred or burnt, including within batches.
+ */
+abstract contract ERC1155InventoryEnumerableCollectionsBase is IERC1155InventoryEnumerableCollections {
+    using ERC1155InventoryIdentifiersLib for uint256;
+
+    bytes4 internal constant _ERC1155_INVENTORY_ENUMERABLE_COLLECTIONS_INTERFACE_ID = type(IERC1155InventoryEnumerableCollections).interfaceId;
+
+    /* NF collection ID => NFT IDs */
+    mapping(uint256 => uint256[]) internal _collectionNfts;
+
+    /* NFT ID => index in _collectionNfts of its collection */
+    mapping(uint256 => uint256) internal _collectionNftsIndex;
+
+    /* NF collection ID => owner => owned NFT IDs */
+    mapping(uint256 => mapping(address => uint256[])) internal _ownedCollectionNfts;
+
+    /* NFT ID => index in _ownedCollectionNfts of its collection and owner */
+    mapping(uint256 => uint256) internal _ownedCollectionNftsIndex;
+
+    //================================== ERC1155InventoryEnumerableCollections =======================================/
+
+    /// @dev See {IERC1155InventoryEnumerableCollections-tokensOfCollection(uint256,uint256,uint256)}.
+    function tokensOfCollection(
+        uint256 collectionId,
+        uint256 offset,
+        uint256 limit
+    ) external view virtual override returns (uint256[] memory) {
+        require(!collectionId.isFungibleToken() && !collectionId.isNonFungibleToken(), "Inventory: not an NF collection");
+        return _page(_collectionNfts[collectionId], offset, limit);
+    }
+
+    /// @dev See {IERC1155InventoryEnumerableCollections-tokensOfOwnerInCollection(address,uint256,uint256,uint256)}.
+    function tokensOfOwnerInCollection(
+        address owner,
+        uint256 collectionId,
+        uint256 offset,
+        uint256 limit
+    ) external view virtual override returns (uint256[] memory) {
+        require(owner != address(0), "Inventory: zero address");
+        require(!collectionId.isFungibleToken() && !collectionId.isNonFungibleToken(), "Inventory: not an NF collection");
+        return _page(_ownedCollectionNfts[collectionId][owner], offset, limit);
+    }
+
+    //============================== Internal Helper Functions =======================================/
+
+    function _enumerateMintedNFT(address to, uint256 id) internal {
+        uint256[] storage collectionNfts = _collectionNfts[id.getNonFungibleCollection()];
+        _collectionNftsIndex[id] = collectionNfts.length;
+        collectionNfts.push(id);
+        _addToOwnedCollectionNfts(to, id);
+    }
+
+    function _enumerateTransferredNFT(
+        address from,
+        address to,
+        uint256 id
+    ) internal {
+        if (from != to) {
+            _removeFromOwnedCollectionNfts(from, id);
+            _addToOwnedCollectionNfts(to, id);
+        }
+    }
+
+    function _enumerateBurntNFT(address from, uint256 id) internal {
+        _removeFromOwnedCollectionNfts(from, id);
+
+        // swap with the last NFT of the collection then pop, changing the order of the enumeration
+        uint256[] storage collectionNfts = _collectionNfts[id.getNonFungibleCollection()];
+        uint256 index = _collectionNftsIndex[id];
+        uint256 lastIndex = collectionNfts.length - 1;
+        if (index != lastIndex) {
+            uint256 lastId = collectionNfts[lastIndex];
+            collectionNfts[index] = lastId;
+            _collectionNftsIndex[lastId] = index;
+        }
+        collectionNfts.pop();
+        delete _collectionNftsIndex[id];
+    }
+
+    function _addToOwnedCollectionNfts(address to, uint256 id) private {
+        uint256[] storage ownedNfts = _ownedCollectionNfts[id.getNonFungibleCollection()][to];
+        _ownedCollectionNftsIndex[id] = ownedNfts.length;
+        ownedNfts.push(id);
+    }
+
+    function _removeFromOwnedCollectionNfts(address from, uint256 id) private {
+        uint256[] storage ownedNfts = _ownedCollectionNfts[id.getNonFungibleCollection()][from];
+
+        // swap with the last NFT of the owner then pop, changing the order of the enumeration
+        uint256 index = _ownedCollectionNftsIndex[id];
+        uint256 lastIndex = ownedNfts.length - 1;
+        if (index != lastIndex) {
+            uint256 lastId = ownedNfts[lastIndex];
+            ownedNfts[index] = lastId;
+            _ownedCollectionNftsIndex[lastId] = index;
+        }
+        ownedNfts.pop();
+        delete _ownedCollectionNftsIndex[id];
+    }
+
+    function _page(
+        uint256[] storage nftIds,
+        uint256 offset,
+        uint256 limit
+    ) private view returns (uint256[] memory page) {
+        uint256 length = nftIds.length;
+        if (offset >= length) {
+            return page;
+        }
+        uint256 size = length - offset;
+        if (limit < size) {
+            size = limit;
+        }
+        page = new uint256[](size);
+        for (uint256 i; i != size; ++i) {
+            page[i] = nftIds[offset + i];
+        }
+    }
+}
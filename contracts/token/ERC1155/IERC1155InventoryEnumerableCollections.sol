@@ -0,0 +1,44 @@
+// SPDX-License-Identifier: MIT
+
+pragma solidity 0.6.8;
+
+/**
+ * @title ERC-1155 Inventory, additional Non-Fungible Collections enumeration interface
+ * @dev See https://eips.ethereum.org/EIPS/eip-1155
+ * @dev The enumerations are paginated so that they remain callable for large collections. The order of the tokens is not
+ *  specified and MAY change when tokens are transferred or burnt, so pages read across such changes MAY be inconsistent.
+ */
+interface IERC1155InventoryEnumerableCollections {
+    /**
+     * Returns a page of the existing tokens of a Non-Fungible Collection.
+     * @dev Reverts if `collectionId` does not represent a Non-Fungible Collection.
+     * @param collectionId Identifier of the Non-Fungible Collection.
+     * @param offset Index of the first token of the page.
+     * @param limit Maximum number of tokens of the page.
+     * @return The identifiers of at most `limit` tokens of the collection starting at index `offset`, empty if `offset`
+     *  is not lower than the collection supply.
+     */
+    function tokensOfCollection(
+        uint256 collectionId,
+        uint256 offset,
+        uint256 limit
+    ) external view returns (uint256[] memory);
+
+    /**
+     * Returns a page of the tokens of a Non-Fungible Collection owned by an account.
+     * @dev Reverts if `owner` is the zero address.
+     * @dev Reverts if `collectionId` does not represent a Non-Fungible Collection.
+     * @param owner The account owning the tokens.
+     * @param collectionId Identifier of the Non-Fungible Collection.
+     * @param offset Index of the first token of the page.
+     * @param limit Maximum number of tokens of the page.
+     * @return The identifiers of at most `limit` tokens of the collection owned by `owner` starting at index `offset`,
+     *  empty if `offset` is not lower than the collection balance of `owner`.
+     */
+    function tokensOfOwnerInCollection(
+        address owner,
+        uint256 collectionId,
+        uint256 offset,
+        uint256 limit
+    ) external view returns (uint256[] memory);
+}
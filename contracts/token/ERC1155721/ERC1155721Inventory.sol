@@ -510,7 +510,7 @@ abstract contract ERC1155721Inventory is IERC721, IERC721Metadata, IERC721BatchT
         uint256 id,
         uint256 value,
         bool isBatch
-    ) internal {
+    ) internal virtual {
         require(value == 1, "Inventory: wrong NFT value");
         require(_owners[id] == 0, "Inventory: existing/burnt NFT");
 
@@ -0,0 +1,55 @@
+// SPDX-License-Identifier: MIT
+
+pragma solidity 0.6.8;
+
+import "./ERC1155721InventoryBurnable.sol";
+import "./ERC1155721InventoryEnumerableCollections.sol";
+
+/**
+ * @title ERC1155721InventoryBurnableEnumerableCollections, a burnable ERC1155721InventoryEnumerableCollections.
+ */
+abstract contract ERC1155721InventoryBurnableEnumerableCollections is ERC1155721InventoryBurnable, ERC1155721InventoryEnumerableCollections {
+    /// @dev See {IERC165-supportsInterface(bytes4)}.
+    function supportsInterface(bytes4 interfaceId)
+        public
+        view
+        virtual
+        override(ERC1155721Inventory, ERC1155721InventoryEnumerableCollections)
+        returns (bool)
+    {
+        return ERC1155721InventoryEnumerableCollections.supportsInterface(interfaceId);
+    }
+
+    //============================== Internal Helper Functions =======================================/
+
+    function _burnNFT(
+        address from,
+        uint256 id,
+        uint256 value,
+        bool operatable,
+        bool isBatch
+    ) internal virtual override {
+        super._burnNFT(from, id, value, operatable, isBatch);
+        _enumerateBurntNFT(from, id);
+    }
+
+    function _mintNFT(
+        address to,
+        uint256 id,
+        uint256 value,
+        bool isBatch
+    ) internal virtual override(ERC1155721Inventory, ERC1155721InventoryEnumerableCollections) {
+        ERC1155721InventoryEnumerableCollections._mintNFT(to, id, value, isBatch);
+    }
+
+    function _transferNFT(
+        address from,
+        address to,
+        uint256 id,
+        uint256 value,
+        bool operatable,
+        bool isBatch
+    ) internal virtual override(ERC1155721Inventory, ERC1155721InventoryEnumerableCollections) {
+        ERC1155721InventoryEnumerableCollections._transferNFT(from, to, id, value, operatable, isBatch);
+    }
+}
@@ -0,0 +1,122 @@
+// SPDX-License-Identifier: MIT
+
+pragma solidity 0.6.8;
+
+import "./../ERC721/IERC721Enumerable.sol";
+import "./ERC1155721Inventory.sol";
+
+/**
+ * @title ERC1155721InventoryEnumerable, an ERC1155721Inventory with additional support for ERC721Enumerable.
+ * @dev The Non-Fungible Tokens are indexed one by one as they are minted or transferred, including within batches.
+ * @dev The enumeration covers the Non-Fungible Tokens only, the fungible tokens are not enumerable.
+ */
+abstract contract ERC1155721InventoryEnumerable is IERC721Enumerable, ERC1155721Inventory {
+    bytes4 private constant _ERC721_ENUMERABLE_INTERFACE_ID = type(IERC721Enumerable).interfaceId;
+
+    /* index => NFT ID, for all the existing NFTs */
+    uint256[] internal _allNfts;
+
+    /* NFT ID => index in _allNfts */
+    mapping(uint256 => uint256) internal _allNftsIndex;
+
+    /* owner => owned NFT IDs */
+    mapping(address => uint256[]) internal _ownedNfts;
+
+    /* NFT ID => index in _ownedNfts of its owner */
+    mapping(uint256 => uint256) internal _ownedNftsIndex;
+
+    /// @dev See {IERC165-supportsInterface(bytes4)}.
+    function supportsInterface(bytes4 interfaceId) public view virtual override returns (bool) {
+        return super.supportsInterface(interfaceId) || interfaceId == _ERC721_ENUMERABLE_INTERFACE_ID;
+    }
+
+    //================================== ERC721Enumerable =======================================/
+
+    /// @dev See {IERC721Enumerable-totalSupply()}.
+    function totalSupply() external view virtual override returns (uint256) {
+        return _allNfts.length;
+    }
+
+    /// @dev See {IERC721Enumerable-tokenOfOwnerByIndex(address,uint256)}.
+    function tokenOfOwnerByIndex(address tokenOwner, uint256 index) external view virtual override returns (uint256) {
+        uint256[] storage ownedNfts = _ownedNfts[tokenOwner];
+        require(index < ownedNfts.length, "Inventory: index out of bounds");
+        return ownedNfts[index];
+    }
+
+    /// @dev See {IERC721Enumerable-tokenByIndex(uint256)}.
+    function tokenByIndex(uint256 index) external view virtual override returns (uint256) {
+        require(index < _allNfts.length, "Inventory: index out of bounds");
+        return _allNfts[index];
+    }
+
+    //============================== Internal Helper Functions =======================================/
+
+    function _mintNFT(
+        address to,
+        uint256 id,
+        uint256 value,
+        bool isBatch
+    ) internal virtual override {
+        super._mintNFT(to, id, value, isBatch);
+        _allNftsIndex[id] = _allNfts.length;
+        _allNfts.push(id);
+        _addNftToOwnerEnumeration(to, id);
+    }
+
+    function _transferNFT(
+        address from,
+        address to,
+        uint256 id,
+        uint256 value,
+        bool operatable,
+        bool isBatch
+    ) internal virtual override {
+        super._transferNFT(from, to, id, value, operatable, isBatch);
+        if (from != to) {
+            _removeNftFromOwnerEnumeration(from, id);
+            _addNftToOwnerEnumeration(to, id);
+        }
+    }
+
+    /**
+     * Removes a Non-Fungible Token from the enumeration, to be called when it is burnt.
+     * @param from The owner of the token.
+     * @param id Identifier of the token.
+     */
+    function _removeNftFromEnumeration(address from, uint256 id) internal {
+        _removeNftFromOwnerEnumeration(from, id);
+
+        // swap with the last NFT then pop, changing the order of the enumeration
+        uint256 index = _allNftsIndex[id];
+        uint256 lastIndex = _allNfts.length - 1;
+        if (index != lastIndex) {
+            uint256 lastId = _allNfts[lastIndex];
+            _allNfts[index] = lastId;
+            _allNftsIndex[lastId] = index;
+        }
+        _allNfts.pop();
+        delete _allNftsIndex[id];
+    }
+
+    function _addNftToOwnerEnumeration(address to, uint256 id) internal {
+        uint256[] storage ownedNfts = _ownedNfts[to];
+        _ownedNftsIndex[id] = ownedNfts.length;
+        ownedNfts.push(id);
+    }
+
+    function _removeNftFromOwnerEnumeration(address from, uint256 id) internal {
+        uint256[] storage ownedNfts = _ownedNfts[from];
+
+        // swap with the last NFT of the owner then pop, changing the order of the enumeration
+        uint256 index = _ownedNftsIndex[id];
+        uint256 lastIndex = ownedNfts.length - 1;
+        if (index != lastIndex) {
+            uint256 lastId = ownedNfts[lastIndex];
+            ownedNfts[index] = lastId;
+            _ownedNftsIndex[lastId] = index;
+        }
+        ownedNfts.pop();
+        delete _ownedNftsIndex[id];
+    }
+}
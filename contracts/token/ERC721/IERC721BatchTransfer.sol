@@ -5,7 +5,7 @@ pragma solidity 0.6.8;
 /**
  * @title ERC721 Non-Fungible Token Standard, optional unsafe batchTransfer interface
  * @dev See https://eips.ethereum.org/EIPS/eip-721
- * Note: The ERC-165 identifier for this interface is.
+ * Note: The ERC-165 identifier for this interface is 0xf3993d11.
  */
 interface IERC721BatchTransfer {
     /**
@@ -5,7 +5,7 @@ pragma solidity 0.6.8;
 /**
  * @title ERC721 Non-Fungible Token Standard, optional burning interface
  * @dev See https://eips.ethereum.org/EIPS/eip-721
- * Note: The ERC-165 identifier for this interface is.
+ * Note: The ERC-165 identifier for this interface is 0x8b8b4ef5.
  */
 interface IERC721Burnable {
     /**
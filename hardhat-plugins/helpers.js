@@ -0,0 +1,7 @@
+const parseList = function (list) {
+  return list === undefined ? undefined : list.split(',').filter((item) => item !== '');
+};
+
+module.exports = {
+  parseList,
+};
@@ -0,0 +1,3 @@
+require('./inventory-admin');
+require('./inventory-deploy');
+require('./inventory-snapshot');
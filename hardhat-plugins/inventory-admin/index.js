@@ -0,0 +1,179 @@
+const fs = require('fs');
+const {task, types} = require('hardhat/config');
+const {DefaultNFMaskLength} = require('../../src/constants');
+const {IdTypes, getIdType, parseId} = require('../../src/helpers/inventoryIds');
+const {toArrays} = require('../../src/helpers/bitsLayout');
+const {toBytes32Attribute} = require('../../src/helpers/bytes32Attributes');
+const {validateLayout} = require('../../src/helpers/layoutValidator');
+const {encodeFunctionCall} = require('../../src/helpers/abiCoder');
+const {InventoryClient} = require('../../src/client');
+const {indexInventory} = require('../../src/indexer');
+const {toProvider} = require('../../src/providers');
+const {parseList} = require('../helpers');
+
+/**
+ * Administration tasks of the ERC1155InventoryMock and ERC1155721InventoryMock compatible deployments.
+ * The identifiers, values and layouts are validated with the JS codec before sending the transactions.
+ */
+
+const getSender = async function (env, from) {
+  if (from !== undefined) {
+    return from;
+  }
+  const [sender] = await env.web3.eth.getAccounts();
+  return sender;
+};
+
+const getClient = async function (env, {address, from, nfMaskLength}) {
+  return new InventoryClient(env.web3, address, {nfMaskLength, from: await getSender(env, from)});
+};
+
+const assertMintable = function (ids, values, nfMaskLength) {
+  ids.forEach((id, i) => {
+    const type = getIdType(id, nfMaskLength);
+    if (type === IdTypes.NonFungibleCollection) {
+      throw new Error(`${id} is a Non-Fungible Collection, only tokens can be minted`);
+    }
+    if (type === IdTypes.NonFungibleToken && values !== undefined && values[i] !== '1') {
+      throw new Error(`${id} is a Non-Fungible Token, its value must be 1`);
+    }
+  });
+};
+
+const readLayout = function (layout) {
+  return JSON.parse(fs.existsSync(layout) ? fs.readFileSync(layout, 'utf8') : layout);
+};
+
+task('inventory:create-collection', 'Creates a fungible or non-fungible collection')
+  .addParam('address', 'The inventory contract address')
+  .addParam('id', 'The collection identifier')
+  .addOptionalParam('from', 'The sender, defaults to the first account')
+  .addOptionalParam('nfMaskLength', 'The Non-Fungible Collection mask length', DefaultNFMaskLength, types.int)
+  .setAction(async (taskArguments, env) => {
+    const {id, nfMaskLength} = taskArguments;
+    if (getIdType(id, nfMaskLength) === IdTypes.NonFungibleToken) {
+      throw new Error(`${id} is a Non-Fungible Token, not a collection`);
+    }
+    const receipt = await (await getClient(env, taskArguments)).createCollection(id);
+    console.log(`Created the collection ${id} in transaction ${receipt.transactionHash}`);
+    return receipt;
+  });
+
+task('inventory:mint', 'Mints a token')
+  .addParam('address', 'The inventory contract address')
+  .addParam('to', 'The recipient')
+  .addParam('id', 'The token identifier')
+  .addOptionalParam('value', 'The amount to mint, defaults to 1 for a non-fungible token')
+  .addOptionalParam('data', 'The data passed to the receiver of a safe mint', '0x')
+  .addOptionalParam('from', 'The sender, defaults to the first account')
+  .addOptionalParam('nfMaskLength', 'The Non-Fungible Collection mask length', DefaultNFMaskLength, types.int)
+  .addFlag('unsafe', 'Performs an ERC721 unsafe mint')
+  .setAction(async (taskArguments, env) => {
+    const {to, id, value, data, nfMaskLength, unsafe} = taskArguments;
+    assertMintable([id], value === undefined ? undefined : [value], nfMaskLength);
+    const receipt = await (await getClient(env, taskArguments)).mint(to, id, value, {safe: !unsafe, data});
+    console.log(`Minted ${value === undefined ? 1 : value} of ${id} to ${to} in transaction ${receipt.transactionHash}`);
+    return receipt;
+  });
+
+task('inventory:batch-mint', 'Mints a batch of tokens')
+  .addParam('address', 'The inventory contract address')
+  .addParam('to', 'The recipient')
+  .addParam('ids', 'The comma-separated token identifiers')
+  .addOptionalParam('values', 'The comma-separated amounts to mint, can be omitted if all the tokens are non-fungible')
+  .addOptionalParam('data', 'The data passed to the receiver of a safe mint', '0x')
+  .addOptionalParam('from', 'The sender, defaults to the first account')
+  .addOptionalParam('nfMaskLength', 'The Non-Fungible Collection mask length', DefaultNFMaskLength, types.int)
+  .addFlag('unsafe', 'Performs an ERC721 unsafe batch mint')
+  .setAction(async (taskArguments, env) => {
+    const {to, data, nfMaskLength, unsafe} = taskArguments;
+    const ids = parseList(taskArguments.ids);
+    const values = parseList(taskArguments.values);
+    if (values !== undefined && values.length !== ids.length) {
+      throw new Error('Inconsistent ids and values');
+    }
+    assertMintable(ids, values, nfMaskLength);
+    const receipt = await (await getClient(env, taskArguments)).batchMint(to, ids, values, {safe: !unsafe, data});
+    console.log(`Minted ${ids.length} tokens to ${to} in transaction ${receipt.transactionHash}`);
+    return receipt;
+  });
+
+task('inventory:set-base-uri', 'Sets the base metadata URI')
+  .addParam('address', 'The inventory contract address')
+  .addParam('uri', 'The base metadata URI')
+  .addOptionalParam('from', 'The sender, defaults to the first account')
+  .setAction(async ({address, uri, from}, env) => {
+    const receipt = await toProvider(env.web3).sendTransaction({
+      from: await getSender(env, from),
+      to: address,
+      data: encodeFunctionCall('setBaseMetadataURI(string)', [uri]),
+    });
+    console.log(`Set the base metadata URI to '${uri}' in transaction ${receipt.transactionHash}`);
+    return receipt;
+  });
+
+task('inventory:set-layout', 'Sets the layout of a collection on an InventoryMetadata contract')
+  .addParam('address', 'The InventoryMetadata contract address')
+  .addParam('collection', 'The collection identifier')
+  .addParam('layout', 'The layout as JSON, in any of the forms supported by bitsLayout, or the path of a JSON file')
+  .addOptionalParam('from', 'The sender, defaults to the first account')
+  .addOptionalParam('nfMaskLength', 'The Non-Fungible Collection mask length', DefaultNFMaskLength, types.int)
+  .setAction(async ({address, collection, layout, from, nfMaskLength}, env) => {
+    layout = readLayout(layout);
+    const {valid, errors, warnings} = validateLayout(collection, layout, nfMaskLength);
+    warnings.forEach(({message, attributes}) => console.warn(`Warning: ${message} (${attributes.join(', ')})`));
+    if (!valid) {
+      const messages = errors.map(({message, attribute}) => (attribute === undefined ? message : `${message} (${attribute})`));
+      throw new Error(`Invalid layout: ${messages.join(', ')}`);
+    }
+    const {names, lengths, indices} = toArrays(layout);
+    const receipt = await toProvider(env.web3).sendTransaction({
+      from: await getSender(env, from),
+      to: address,
+      data: encodeFunctionCall('setLayout(uint256,bytes32[],uint256[],uint256[])', [
+        collection,
+        names.map((name) => toBytes32Attribute(name)),
+        lengths.map((length) => length.toString()),
+        indices.map((index) => index.toString()),
+      ]),
+    });
+    console.log(`Set the layout of the collection ${collection} in transaction ${receipt.transactionHash}`);
+    return receipt;
+  });
+
+task('inventory:balances', 'Prints the balances of an owner')
+  .addParam('address', 'The inventory contract address')
+  .addParam('owner', 'The owner')
+  .addOptionalParam('ids', 'The comma-separated token and collection identifiers, defaults to the identifiers found in the logs')
+  .addOptionalParam('nfMaskLength', 'The Non-Fungible Collection mask length', DefaultNFMaskLength, types.int)
+  .setAction(async ({address, owner, ids, nfMaskLength}, env) => {
+    const balances = {};
+    ids = parseList(ids);
+    if (ids === undefined) {
+      const indexed = (await indexInventory(env.web3, address, {nfMaskLength})).toJSON().balances;
+      for (const [id, owners] of Object.entries(indexed)) {
+        const key = Object.keys(owners).find((account) => account.toLowerCase() === owner.toLowerCase());
+        if (key !== undefined) {
+          balances[id] = owners[key];
+        }
+      }
+    } else {
+      const client = new InventoryClient(env.web3, address, {nfMaskLength});
+      const values = await client.balanceOfBatch(
+        ids.map(() => owner),
+        ids
+      );
+      ids.forEach((id, i) => (balances[id] = values[i]));
+    }
+    console.log(JSON.stringify(balances, null, 2));
+    return balances;
+  });
+
+task('inventory:decode-id', 'Decodes an inventory identifier')
+  .addParam('id', 'The identifier, as a decimal or 0x-prefixed hexadecimal number')
+  .addOptionalParam('nfMaskLength', 'The Non-Fungible Collection mask length', DefaultNFMaskLength, types.int)
+  .setAction(async ({id, nfMaskLength}) => {
+    const parsed = parseId(id, nfMaskLength);
+    console.log(JSON.stringify(parsed, null, 2));
+    return parsed;
+  });
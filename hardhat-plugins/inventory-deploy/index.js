@@ -0,0 +1,14 @@
+const {task} = require('hardhat/config');
+const {normalizePath} = require('@cryptogesic/ethereum-contracts-core_library/hardhat-plugins/helpers');
+const {loadConfig, writeManifest, deploy} = require('./pipeline');
+
+task('inventory:deploy', 'Deploys and configures an inventory and its metadata contract from a config file')
+  .addParam('deployConfig', 'The JSON or YAML deployment config file')
+  .addOptionalParam('manifests', 'The directory of the deployment manifests, defaults to deployments/')
+  .addOptionalParam('from', 'The deployer, defaults to the first account')
+  .setAction(async ({deployConfig, manifests, from}, env) => {
+    const manifest = await deploy(env, loadConfig(normalizePath(env.config, deployConfig)), {from});
+    const file = writeManifest(normalizePath(env.config, manifests, 'deployments'), manifest);
+    console.log(`Deployed ${manifest.contracts.inventory.contract} at ${manifest.contracts.inventory.address}, manifest written to ${file}`);
+    return manifest;
+  });
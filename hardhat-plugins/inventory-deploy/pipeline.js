@@ -0,0 +1,221 @@
+const fs = require('fs');
+const path = require('path');
+const assert = require('assert');
+const yaml = require('js-yaml');
+const {DefaultNFMaskLength} = require('../../src/constants');
+const {IdTypes, getIdType, makeFungibleCollectionId, makeNonFungibleCollectionId} = require('../../src/helpers/inventoryIds');
+const {toArrays} = require('../../src/helpers/bitsLayout');
+const {toBytes32Attribute} = require('../../src/helpers/bytes32Attributes');
+const {validateLayout} = require('../../src/helpers/layoutValidator');
+const {URITemplateModes} = require('../../src/metadata');
+
+/**
+ * Config-driven deployment of an inventory and of its metadata contract.
+ *
+ * The config, in JSON or YAML, has the fields:
+ *  - `type`: 'ERC1155Inventory' or 'ERC1155721Inventory',
+ *  - `contract`: the inventory artifact name, defaults to the mock of the type,
+ *  - `name` and `symbol`: for an 'ERC1155721Inventory', the expected name and symbol of the contract,
+ *  - `nfMaskLength`: the Non-Fungible Collection mask length, defaults to `DefaultNFMaskLength`,
+ *  - `baseMetadataURI` and `uriTemplateMode` (see `URITemplateModes`): the metadata URI settings,
+ *  - `minters`: the addresses to add as minters,
+ *  - `collections`: the collections to create, as `{id}` or `{baseCollectionId, fungible}`, with an optional `layout`,
+ *  - `metadata`: an object with the optional field `contract`, the InventoryMetadata artifact name, defaults to
+ *    'InventoryMetadataMock'. The metadata contract is deployed if this field is present or if a collection has a layout.
+ *
+ * The manifest records, per network, the addresses, the constructor arguments and the deployment transactions.
+ */
+
+const InventoryTypes = {
+  ERC1155Inventory: 'ERC1155Inventory',
+  ERC1155721Inventory: 'ERC1155721Inventory',
+};
+
+const DefaultMetadataContract = 'InventoryMetadataMock';
+
+//================================== Config =======================================/
+
+/**
+ * Reads a deployment config.
+ * @param file The path of the JSON or YAML config file.
+ * @return The config.
+ */
+const loadConfig = function (file) {
+  const content = fs.readFileSync(file, 'utf8');
+  return /\.ya?ml$/i.test(file) ? yaml.safeLoad(content) : JSON.parse(content);
+};
+
+const toCollectionId = function (collection, nfMaskLength) {
+  if (collection.id !== undefined) {
+    return collection.id.toString();
+  }
+  assert(collection.baseCollectionId !== undefined, 'collection: id or baseCollectionId is required');
+  return collection.fungible
+    ? makeFungibleCollectionId(collection.baseCollectionId)
+    : makeNonFungibleCollectionId(collection.baseCollectionId, nfMaskLength);
+};
+
+/**
+ * Validates a deployment config and resolves its default values.
+ * @dev The collections identifiers and layouts are validated with the JS codec, so that an invalid config fails before any deployment.
+ * @param config The deployment config.
+ * @return The resolved config.
+ */
+const resolveConfig = function (config) {
+  const {type, name, symbol, baseMetadataURI, uriTemplateMode, minters = [], collections = [], metadata} = config;
+  assert(InventoryTypes[type] !== undefined, `Invalid inventory type '${type}'`);
+  assert(type === InventoryTypes.ERC1155721Inventory || (name === undefined && symbol === undefined), `${type} has no name nor symbol`);
+  const nfMaskLength = config.nfMaskLength === undefined ? DefaultNFMaskLength : config.nfMaskLength;
+  assert(uriTemplateMode === undefined || URITemplateModes[uriTemplateMode] !== undefined, `Invalid URI template mode '${uriTemplateMode}'`);
+  assert(Array.isArray(minters), 'minters must be an array');
+
+  const resolvedCollections = collections.map((collection) => {
+    const id = toCollectionId(collection, nfMaskLength);
+    assert(getIdType(id, nfMaskLength) !== IdTypes.NonFungibleToken, `collection ${id}: not a collection`);
+    if (collection.layout !== undefined) {
+      const {valid, revertReason} = validateLayout(id, collection.layout, nfMaskLength);
+      assert(valid, `collection ${id}: invalid layout (${revertReason})`);
+    }
+    return {id, layout: collection.layout};
+  });
+  const withMetadata = metadata !== undefined || resolvedCollections.some((collection) => collection.layout !== undefined);
+
+  return {
+    type,
+    contract: config.contract || `${type}Mock`,
+    name,
+    symbol,
+    nfMaskLength,
+    baseMetadataURI,
+    uriTemplateMode,
+    minters,
+    collections: resolvedCollections,
+    metadata: withMetadata ? {contract: (metadata && metadata.contract) || DefaultMetadataContract} : undefined,
+  };
+};
+
+//================================== Manifest =======================================/
+
+/**
+ * Returns the path of the manifest of a network.
+ * @param directory The manifests directory.
+ * @param network The network name.
+ * @return The manifest path.
+ */
+const manifestPath = function (directory, network) {
+  return path.join(directory, `${network}.json`);
+};
+
+/**
+ * Writes the manifest of a network.
+ * @param directory The manifests directory, created if needed.
+ * @param manifest The manifest.
+ * @return The manifest path.
+ */
+const writeManifest = function (directory, manifest) {
+  fs.mkdirSync(directory, {recursive: true});
+  const file = manifestPath(directory, manifest.network);
+  fs.writeFileSync(file, `${JSON.stringify(manifest, null, 2)}\n`);
+  return file;
+};
+
+/**
+ * Reads the manifest of a network.
+ * @param directory The manifests directory.
+ * @param network The network name.
+ * @return The manifest.
+ */
+const readManifest = function (directory, network) {
+  const file = manifestPath(directory, network);
+  assert(fs.existsSync(file), `No deployment manifest for the network '${network}'`);
+  return JSON.parse(fs.readFileSync(file, 'utf8'));
+};
+
+//================================== Deployment =======================================/
+
+const deployContract = async function (env, contractName, args, from) {
+  const contract = await env.artifacts.require(contractName).new(...args, {from});
+  const receipt = await env.web3.eth.getTransactionReceipt(contract.transactionHash);
+  return {
+    contract,
+    entry: {
+      contract: contractName,
+      address: contract.address,
+      constructorArgs: args,
+      transactionHash: contract.transactionHash,
+      blockNumber: receipt.blockNumber,
+    },
+  };
+};
+
+/**
+ * Deploys and configures an inventory and its metadata contract.
+ * @param env The hardhat runtime environment.
+ * @param config The deployment config, validated with `resolveConfig()`.
+ * @param options An object with the optional field `from`, the deployer, defaults to the first account.
+ * @return The deployment manifest.
+ */
+const deploy = async function (env, config, {from} = {}) {
+  const resolved = resolveConfig(config);
+  const deployer = from || (await env.web3.eth.getAccounts())[0];
+  const txOptions = {from: deployer};
+
+  const {contract: inventory, entry: inventoryEntry} = await deployContract(env, resolved.contract, [], deployer);
+  if (resolved.type === InventoryTypes.ERC1155721Inventory) {
+    inventoryEntry.name = await inventory.name();
+    inventoryEntry.symbol = await inventory.symbol();
+    assert(resolved.name === undefined || resolved.name === inventoryEntry.name, `${resolved.contract} has the name '${inventoryEntry.name}'`);
+    assert(
+      resolved.symbol === undefined || resolved.symbol === inventoryEntry.symbol,
+      `${resolved.contract} has the symbol '${inventoryEntry.symbol}'`
+    );
+  }
+
+  if (resolved.baseMetadataURI !== undefined) {
+    await inventory.setBaseMetadataURI(resolved.baseMetadataURI, txOptions);
+  }
+  if (resolved.uriTemplateMode !== undefined) {
+    await inventory.setURITemplateMode(URITemplateModes[resolved.uriTemplateMode], txOptions);
+  }
+  for (const minter of resolved.minters) {
+    await inventory.addMinter(minter, txOptions);
+  }
+  for (const {id} of resolved.collections) {
+    await inventory.createCollection(id, txOptions);
+  }
+
+  const contracts = {inventory: inventoryEntry};
+  if (resolved.metadata !== undefined) {
+    const args = [resolved.nfMaskLength, inventory.address];
+    const {contract: metadata, entry} = await deployContract(env, resolved.metadata.contract, args, deployer);
+    for (const {id, layout} of resolved.collections.filter((collection) => collection.layout !== undefined)) {
+      const {names, lengths, indices} = toArrays(layout);
+      await metadata.setLayout(
+        id,
+        names.map((name) => toBytes32Attribute(name)),
+        lengths,
+        indices,
+        txOptions
+      );
+    }
+    contracts.metadata = entry;
+  }
+
+  return {
+    network: env.network.name,
+    chainId: await env.web3.eth.getChainId(),
+    deployer,
+    config: resolved,
+    contracts,
+  };
+};
+
+module.exports = {
+  InventoryTypes,
+  loadConfig,
+  resolveConfig,
+  manifestPath,
+  writeManifest,
+  readManifest,
+  deploy,
+};
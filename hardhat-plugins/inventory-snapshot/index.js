@@ -0,0 +1,34 @@
+const fs = require('fs');
+const {task, types} = require('hardhat/config');
+const {SnapshotModes, takeSnapshot, snapshotToJSON, snapshotToCSV} = require('../../src/snapshot');
+const {parseList} = require('../helpers');
+
+task('inventory:snapshot', 'Takes a balance snapshot of an inventory at a given block')
+  .addParam('address', 'The inventory contract address')
+  .addOptionalParam('block', 'The block of the snapshot', 'latest')
+  .addOptionalParam('mode', `'${SnapshotModes.Logs}' to index the logs, '${SnapshotModes.Reads}' to read the balances`, SnapshotModes.Logs)
+  .addOptionalParam('owners', "In 'reads' mode, the comma-separated owners")
+  .addOptionalParam('ids', "In 'reads' mode, the comma-separated token and collection identifiers")
+  .addOptionalParam('nfMaskLength', 'The Non-Fungible Collection mask length', undefined, types.int)
+  .addOptionalParam('format', "'json' or 'csv'", 'json')
+  .addOptionalParam('output', 'The output file, defaults to the standard output')
+  .setAction(async (taskArguments, env) => {
+    const {address, block, mode, owners, ids, nfMaskLength, format, output} = taskArguments;
+    if (format !== 'json' && format !== 'csv') {
+      throw new Error(`Invalid format '${format}'`);
+    }
+    const snapshot = await takeSnapshot(env.web3, address, {
+      blockNumber: block,
+      mode,
+      owners: parseList(owners),
+      ids: parseList(ids),
+      nfMaskLength,
+    });
+    const formatted = format === 'csv' ? snapshotToCSV(snapshot) : snapshotToJSON(snapshot);
+    if (output === undefined) {
+      process.stdout.write(formatted);
+    } else {
+      fs.writeFileSync(output, formatted);
+    }
+    return snapshot;
+  });
@@ -1,4 +1,5 @@
 require('@cryptogesic/ethereum-contracts-core_library/hardhat-plugins');
+require('./hardhat-plugins');
 
 module.exports = {
   paths: {
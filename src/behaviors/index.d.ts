@@ -0,0 +1,100 @@
+import { Address } from "../types";
+
+/** The feature flags of an implementation, enabling the associated suites and tests. */
+export interface ImplementationInterfaces {
+  ERC721?: boolean;
+  ERC721Metadata?: boolean;
+  ERC721Enumerable?: boolean;
+  ERC1155?: boolean;
+  ERC1155MetadataURI?: boolean;
+  ERC1155Inventory?: boolean;
+  ERC1155InventoryCreator?: boolean;
+  ERC1155InventoryEnumerableCollections?: boolean;
+  Pausable?: boolean;
+}
+
+/** The implementation object expected by the behaviors. */
+export interface Implementation {
+  /** The name of the contract, used in the messages of the skipped tests. */
+  contractName: string;
+  /** The Non-Fungible Collection mask length of the contract. */
+  nfMaskLength: number;
+  /** For the ERC721Metadata behavior, the expected name. */
+  name?: string;
+  /** For the ERC721Metadata behavior, the expected symbol. */
+  symbol?: string;
+  /** The revert messages of the contract, by error name. */
+  revertMessages: { [error: string]: string };
+  /** Converters of the expected event parameters, by event name. */
+  eventParamsOverrides?: {
+    [event: string]: (params: {
+      [param: string]: any;
+    }) => {
+      [param: string]: any;
+    };
+  };
+  interfaces: ImplementationInterfaces;
+  /** The non-standard methods of the contract, by signature, the tests of a missing method being skipped. */
+  methods: {
+    [signature: string]: (contract: any, ...args: any[]) => Promise<any>;
+  };
+  /** Deploys a new contract owned by `deployer`. */
+  deploy(deployer: Address): Promise<any>;
+  /** Mints any token, called by an account added with `addMinter()`. */
+  mint(
+    contract: any,
+    to: Address,
+    id: string,
+    value: number | string,
+    overrides?: { from?: Address }
+  ): Promise<any>;
+}
+
+export declare function shouldBehaveLikeERC1155(
+  implementation: Implementation
+): void;
+export declare function shouldBehaveLikeERC1155Standard(
+  implementation: Implementation
+): void;
+export declare function shouldBehaveLikeERC1155Mintable(
+  implementation: Implementation
+): void;
+export declare function shouldBehaveLikeERC1155Burnable(
+  implementation: Implementation
+): void;
+export declare function shouldBehaveLikeERC1155SafeTransfers(
+  implementation: Implementation
+): void;
+export declare function shouldBehaveLikeERC1155MetadataURI(
+  implementation: Implementation
+): void;
+export declare function shouldBehaveLikeERC1155Inventory(
+  implementation: Implementation
+): void;
+export declare function shouldBehaveLikeERC1155InventoryCreator(
+  implementation: Implementation
+): void;
+export declare function shouldBehaveLikeERC1155InventoryEnumerableCollections(
+  implementation: Implementation
+): void;
+export declare function shouldBehaveLikeERC721(
+  implementation: Implementation
+): void;
+export declare function shouldBehaveLikeERC721Standard(
+  implementation: Implementation
+): void;
+export declare function shouldBehaveLikeERC721Mintable(
+  implementation: Implementation
+): void;
+export declare function shouldBehaveLikeERC721Burnable(
+  implementation: Implementation
+): void;
+export declare function shouldBehaveLikeERC721SafeTransfers(
+  implementation: Implementation
+): void;
+export declare function shouldBehaveLikeERC721Metadata(
+  implementation: Implementation
+): void;
+export declare function shouldBehaveLikeERC721Enumerable(
+  implementation: Implementation
+): void;
@@ -0,0 +1,2 @@
+// The behaviors require the hardhat runtime environment, see test/behaviors for the implementation object they expect
+module.exports = require('../../test/behaviors');
@@ -0,0 +1,123 @@
+import {
+  AbiFragment,
+  Address,
+  BlockTag,
+  NumberLike,
+  ProviderLike,
+  TransactionReceipt,
+  TxOptions,
+} from "../types";
+import { ProviderAdapter } from "../providers/adapters";
+
+export declare const InventoryAbi: AbiFragment[];
+
+export interface InventoryClientOptions {
+  /** The Non-Fungible Collection mask length, defaults to `DefaultNFMaskLength`. */
+  nfMaskLength?: number;
+  /** Whether the contract is an `ERC1155721Inventory`, defaults to true. */
+  erc721?: boolean;
+  /** The default sender of the transactions. */
+  from?: Address;
+  /** The block to perform the reads at, defaults to 'latest'. */
+  defaultBlock?: BlockTag;
+}
+
+/** The transaction options of the safe transfers and mints. */
+export interface SafeTxOptions extends TxOptions {
+  /** Whether to perform a safe transfer or mint, defaults to true. */
+  safe?: boolean;
+  /** The data passed to the receiver, defaults to '0x'. */
+  data?: string;
+}
+
+export declare class InventoryClient {
+  constructor(
+    provider: ProviderLike,
+    address: Address,
+    options?: InventoryClientOptions
+  );
+
+  static at(
+    provider: ProviderLike,
+    address: Address,
+    options?: Omit<InventoryClientOptions, "erc721">
+  ): Promise<InventoryClient>;
+
+  provider: ProviderAdapter;
+  address: Address;
+  nfMaskLength: number;
+  erc721: boolean;
+  from: Address | undefined;
+  defaultBlock: BlockTag;
+
+  // Reads
+  balanceOf(owner: Address, id: NumberLike): Promise<string>;
+  balanceOfBatch(owners: Address[], ids: NumberLike[]): Promise<string[]>;
+  nftBalanceOf(owner: Address): Promise<string>;
+  ownerOf(nftId: NumberLike): Promise<Address>;
+  totalSupply(id: NumberLike): Promise<string>;
+  isFungible(id: NumberLike): boolean;
+  collectionOf(nftId: NumberLike): Promise<string>;
+  creator(collectionId: NumberLike): Promise<Address>;
+  uri(id: NumberLike): Promise<string>;
+  isApprovedForAll(owner: Address, operator: Address): Promise<boolean>;
+  getApproved(nftId: NumberLike): Promise<Address>;
+
+  // Transfers
+  transfer(
+    from: Address,
+    to: Address,
+    id: NumberLike,
+    value?: NumberLike,
+    options?: SafeTxOptions
+  ): Promise<TransactionReceipt>;
+  batchTransfer(
+    from: Address,
+    to: Address,
+    ids: NumberLike[],
+    values?: NumberLike[],
+    options?: SafeTxOptions
+  ): Promise<TransactionReceipt>;
+
+  // Approvals
+  setApprovalForAll(
+    operator: Address,
+    approved: boolean,
+    txOptions?: TxOptions
+  ): Promise<TransactionReceipt>;
+  approve(
+    to: Address,
+    nftId: NumberLike,
+    txOptions?: TxOptions
+  ): Promise<TransactionReceipt>;
+
+  // Creation, minting and burning
+  createCollection(
+    collectionId: NumberLike,
+    txOptions?: TxOptions
+  ): Promise<TransactionReceipt>;
+  mint(
+    to: Address,
+    id: NumberLike,
+    value?: NumberLike,
+    options?: SafeTxOptions
+  ): Promise<TransactionReceipt>;
+  batchMint(
+    to: Address,
+    ids: NumberLike[],
+    values?: NumberLike[],
+    options?: SafeTxOptions
+  ): Promise<TransactionReceipt>;
+  burn(
+    from: Address,
+    id: NumberLike,
+    value?: NumberLike,
+    txOptions?: TxOptions
+  ): Promise<TransactionReceipt>;
+  batchBurn(
+    from: Address,
+    ids: NumberLike[],
+    values?: NumberLike[],
+    txOptions?: TxOptions
+  ): Promise<TransactionReceipt>;
+}
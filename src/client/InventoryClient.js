@@ -0,0 +1,398 @@
+const assert = require('assert');
+const {DefaultNFMaskLength} = require('../constants');
+const interfaces = require('../interfaces/ERC165');
+const {functionSignature} = require('../helpers/interfaceIds');
+const {supportsInterface} = require('../helpers/interfaceDetection');
+const {toBN, isFungible, isNonFungibleToken} = require('../helpers/inventoryIds');
+const {encodeFunctionCall, decodeFunctionResult} = require('../helpers/abiCoder');
+const {toProvider} = require('../providers');
+const {toInventoryError} = require('./errors');
+
+/**
+ * High-level client of a deployed `ERC1155Inventory` or `ERC1155721Inventory`.
+ *
+ * Operations are routed to the relevant function overload depending on the type of the identifiers
+ * and on the ERC721 support of the contract. Numbers are returned as decimal strings and the revert
+ * reasons of the contracts are surfaced as `InventoryError`s.
+ */
+
+// createCollection(uint256) is not part of the interfaces but is implemented by the mocks
+const CreateCollectionFragment = {
+  type: 'function',
+  name: 'createCollection',
+  inputs: [{name: 'collectionId', type: 'uint256'}],
+  outputs: [],
+  stateMutability: 'nonpayable',
+};
+
+const makeAbi = function () {
+  const abi = [];
+  const known = {};
+  [
+    require('../../artifacts/contracts/token/ERC1155721/ERC1155721InventoryBurnable.sol/ERC1155721InventoryBurnable.json').abi,
+    require('../../artifacts/contracts/token/ERC1155721/IERC1155721InventoryMintable.sol/IERC1155721InventoryMintable.json').abi,
+    require('../../artifacts/contracts/token/ERC1155/IERC1155InventoryCreator.sol/IERC1155InventoryCreator.json').abi,
+    [CreateCollectionFragment],
+  ].forEach((fragments) => {
+    fragments.forEach((fragment) => {
+      const key = `${fragment.type}:${functionSignature({...fragment, type: undefined})}`;
+      if (!known[key]) {
+        known[key] = true;
+        abi.push(fragment);
+      }
+    });
+  });
+  return abi;
+};
+
+const InventoryAbi = makeAbi();
+
+// Function signature => ABI fragment
+const InventoryFunctions = {};
+InventoryAbi.filter((fragment) => fragment.type === 'function').forEach((fragment) => {
+  InventoryFunctions[functionSignature(fragment)] = fragment;
+});
+
+class InventoryClient {
+  /**
+   * @param provider The provider, any of the providers supported by `src/providers`.
+   * @param address The inventory contract address.
+   * @param options An object with the optional fields:
+   *  - `nfMaskLength`: the Non-Fungible Collection mask length, defaults to `DefaultNFMaskLength`,
+   *  - `erc721`: whether the contract is an `ERC1155721Inventory`, defaults to true,
+   *  - `from`: the default sender of the transactions,
+   *  - `defaultBlock`: the block to perform the reads at, defaults to 'latest'.
+   */
+  constructor(provider, address, {nfMaskLength = DefaultNFMaskLength, erc721 = true, from, defaultBlock = 'latest'} = {}) {
+    this.provider = toProvider(provider);
+    this.address = address;
+    this.nfMaskLength = nfMaskLength;
+    this.erc721 = erc721;
+    this.from = from;
+    this.defaultBlock = defaultBlock;
+  }
+
+  /**
+   * Creates a client, detecting the ERC721 support of the contract.
+   * @param provider The provider, any of the providers supported by `src/providers`.
+   * @param address The inventory contract address.
+   * @param options The constructor options, `erc721` excepted.
+   * @return The client.
+   */
+  static async at(provider, address, options = {}) {
+    const erc721 = await supportsInterface(address, interfaces.ERC721.id, provider);
+    return new InventoryClient(provider, address, {...options, erc721});
+  }
+
+  async _call(signature, ...args) {
+    const fragment = InventoryFunctions[signature];
+    let result;
+    try {
+      result = await this.provider.call({to: this.address, data: encodeFunctionCall(fragment, args)}, this.defaultBlock);
+    } catch (e) {
+      throw toInventoryError(e);
+    }
+    return decodeFunctionResult(fragment, result);
+  }
+
+  async _send(signature, args, txOptions) {
+    const data = encodeFunctionCall(InventoryFunctions[signature], args);
+    try {
+      return await this.provider.sendTransaction({from: this.from, ...txOptions, to: this.address, data});
+    } catch (e) {
+      throw toInventoryError(e);
+    }
+  }
+
+  _assertERC721(operation) {
+    assert(this.erc721, `${operation} requires an ERC1155721Inventory`);
+  }
+
+  _toIds(ids) {
+    return ids.map((id) => toBN(id).toString());
+  }
+
+  _toValues(ids, values) {
+    if (values === undefined) {
+      assert(
+        ids.every((id) => isNonFungibleToken(id, this.nfMaskLength)),
+        'values are required for fungible tokens'
+      );
+      return ids.map(() => '1');
+    }
+    assert(ids.length === values.length, 'inconsistent arrays');
+    return values.map((value) => toBN(value).toString());
+  }
+
+  _isNFT(id) {
+    return isNonFungibleToken(id, this.nfMaskLength);
+  }
+
+  //================================== Reads =======================================/
+
+  /**
+   * Returns the balance of an owner for a fungible token, a non-fungible collection or a non-fungible token.
+   * @param owner The owner address.
+   * @param id The token or collection identifier.
+   * @return The balance, as a decimal string.
+   */
+  async balanceOf(owner, id) {
+    return this._call('balanceOf(address,uint256)', owner, toBN(id).toString());
+  }
+
+  /**
+   * Returns the balances of a batch of owner/identifier pairs.
+   * @param owners The owner addresses.
+   * @param ids The token or collection identifiers.
+   * @return The balances, as decimal strings.
+   */
+  async balanceOfBatch(owners, ids) {
+    assert(owners.length === ids.length, 'inconsistent arrays');
+    return this._call('balanceOfBatch(address[],uint256[])', owners, this._toIds(ids));
+  }
+
+  /**
+   * Returns the number of non-fungible tokens owned by an owner (ERC721 `balanceOf(address)`).
+   * @param owner The owner address.
+   * @return The balance, as a decimal string.
+   */
+  async nftBalanceOf(owner) {
+    this._assertERC721('nftBalanceOf');
+    return this._call('balanceOf(address)', owner);
+  }
+
+  /**
+   * Returns the owner of a non-fungible token.
+   * @param nftId The non-fungible token identifier.
+   * @return The owner address.
+   */
+  async ownerOf(nftId) {
+    return this._call('ownerOf(uint256)', toBN(nftId).toString());
+  }
+
+  /**
+   * Returns the total supply of a fungible token, a non-fungible collection or a non-fungible token.
+   * @param id The token or collection identifier.
+   * @return The supply, as a decimal string.
+   */
+  async totalSupply(id) {
+    return this._call('totalSupply(uint256)', toBN(id).toString());
+  }
+
+  /**
+   * Returns whether an identifier represents a fungible token, computed locally.
+   * @param id The identifier.
+   * @return Whether the identifier represents a fungible token.
+   */
+  isFungible(id) {
+    return isFungible(id);
+  }
+
+  /**
+   * Returns the collection of a non-fungible token.
+   * @param nftId The non-fungible token identifier.
+   * @return The collection identifier, as a decimal string.
+   */
+  async collectionOf(nftId) {
+    return this._call('collectionOf(uint256)', toBN(nftId).toString());
+  }
+
+  /**
+   * Returns the creator of a collection.
+   * @param collectionId The collection identifier.
+   * @return The creator address.
+   */
+  async creator(collectionId) {
+    return this._call('creator(uint256)', toBN(collectionId).toString());
+  }
+
+  /**
+   * Returns the metadata URI of an identifier.
+   * @param id The identifier.
+   * @return The metadata URI.
+   */
+  async uri(id) {
+    return this._call('uri(uint256)', toBN(id).toString());
+  }
+
+  /**
+   * Returns whether an operator is approved for all the tokens of an owner.
+   * @param owner The owner address.
+   * @param operator The operator address.
+   * @return Whether the operator is approved.
+   */
+  async isApprovedForAll(owner, operator) {
+    return this._call('isApprovedForAll(address,address)', owner, operator);
+  }
+
+  /**
+   * Returns the approved address of a non-fungible token.
+   * @param nftId The non-fungible token identifier.
+   * @return The approved address.
+   */
+  async getApproved(nftId) {
+    this._assertERC721('getApproved');
+    return this._call('getApproved(uint256)', toBN(nftId).toString());
+  }
+
+  //================================== Transfers =======================================/
+
+  /**
+   * Transfers a token.
+   * @dev Safe transfers use the ERC1155 `safeTransferFrom` and are possible for any token.
+   * @dev Unsafe transfers use the ERC721 `transferFrom` and are only possible for non-fungible tokens.
+   * @param from The current owner address.
+   * @param to The recipient address.
+   * @param id The token identifier.
+   * @param value The amount to transfer, defaults to 1 for a non-fungible token.
+   * @param options An object with the optional fields `safe` (default true) and `data` (default '0x'),
+   *  the other fields are passed as transaction options.
+   * @return The transaction receipt.
+   */
+  async transfer(from, to, id, value, {safe = true, data = '0x', ...txOptions} = {}) {
+    const values = this._toValues([id], value === undefined ? undefined : [value]);
+    if (safe) {
+      return this._send('safeTransferFrom(address,address,uint256,uint256,bytes)', [from, to, toBN(id).toString(), values[0], data], txOptions);
+    }
+    this._assertERC721('unsafe transfer');
+    assert(this._isNFT(id), 'unsafe transfers are only possible for non-fungible tokens');
+    return this._send('transferFrom(address,address,uint256)', [from, to, toBN(id).toString()], txOptions);
+  }
+
+  /**
+   * Transfers a batch of tokens.
+   * @dev Safe transfers use the ERC1155 `safeBatchTransferFrom` and are possible for any tokens.
+   * @dev Unsafe transfers use `batchTransferFrom` and are only possible for non-fungible tokens.
+   * @param from The current owner address.
+   * @param to The recipient address.
+   * @param ids The token identifiers.
+   * @param values The amounts to transfer, can be omitted if all the tokens are non-fungible.
+   * @param options An object with the optional fields `safe` (default true) and `data` (default '0x'),
+   *  the other fields are passed as transaction options.
+   * @return The transaction receipt.
+   */
+  async batchTransfer(from, to, ids, values, {safe = true, data = '0x', ...txOptions} = {}) {
+    const amounts = this._toValues(ids, values);
+    if (safe) {
+      return this._send('safeBatchTransferFrom(address,address,uint256[],uint256[],bytes)', [from, to, this._toIds(ids), amounts, data], txOptions);
+    }
+    this._assertERC721('unsafe batch transfer');
+    assert(
+      ids.every((id) => this._isNFT(id)),
+      'unsafe transfers are only possible for non-fungible tokens'
+    );
+    return this._send('batchTransferFrom(address,address,uint256[])', [from, to, this._toIds(ids)], txOptions);
+  }
+
+  //================================== Approvals =======================================/
+
+  /**
+   * Sets or unsets the approval of an operator for all the tokens of the sender.
+   * @param operator The operator address.
+   * @param approved Whether to approve or to disapprove the operator.
+   * @param txOptions The transaction options.
+   * @return The transaction receipt.
+   */
+  async setApprovalForAll(operator, approved, txOptions = {}) {
+    return this._send('setApprovalForAll(address,bool)', [operator, approved], txOptions);
+  }
+
+  /**
+   * Approves an address for a non-fungible token (ERC721).
+   * @param to The address to approve.
+   * @param nftId The non-fungible token identifier.
+   * @param txOptions The transaction options.
+   * @return The transaction receipt.
+   */
+  async approve(to, nftId, txOptions = {}) {
+    this._assertERC721('approve');
+    return this._send('approve(address,uint256)', [to, toBN(nftId).toString()], txOptions);
+  }
+
+  //================================== Creation, Minting and Burning =======================================/
+
+  /**
+   * Creates a collection (as implemented by the mocks).
+   * @param collectionId The collection identifier.
+   * @param txOptions The transaction options.
+   * @return The transaction receipt.
+   */
+  async createCollection(collectionId, txOptions = {}) {
+    return this._send('createCollection(uint256)', [toBN(collectionId).toString()], txOptions);
+  }
+
+  /**
+   * Mints a token.
+   * @dev Safe mints use the ERC1155 `safeMint` and are possible for any token.
+   * @dev Unsafe mints use the ERC721 `mint` and are only possible for non-fungible tokens.
+   * @param to The recipient address.
+   * @param id The token identifier.
+   * @param value The amount to mint, defaults to 1 for a non-fungible token.
+   * @param options An object with the optional fields `safe` (default true) and `data` (default '0x'),
+   *  the other fields are passed as transaction options.
+   * @return The transaction receipt.
+   */
+  async mint(to, id, value, {safe = true, data = '0x', ...txOptions} = {}) {
+    const values = this._toValues([id], value === undefined ? undefined : [value]);
+    if (safe) {
+      return this._send('safeMint(address,uint256,uint256,bytes)', [to, toBN(id).toString(), values[0], data], txOptions);
+    }
+    this._assertERC721('unsafe mint');
+    assert(this._isNFT(id), 'unsafe mints are only possible for non-fungible tokens');
+    return this._send('mint(address,uint256)', [to, toBN(id).toString()], txOptions);
+  }
+
+  /**
+   * Mints a batch of tokens.
+   * @dev Safe mints use the ERC1155 `safeBatchMint` and are possible for any tokens.
+   * @dev Unsafe mints use the ERC721 `batchMint` and are only possible for non-fungible tokens.
+   * @param to The recipient address.
+   * @param ids The token identifiers.
+   * @param values The amounts to mint, can be omitted if all the tokens are non-fungible.
+   * @param options An object with the optional fields `safe` (default true) and `data` (default '0x'),
+   *  the other fields are passed as transaction options.
+   * @return The transaction receipt.
+   */
+  async batchMint(to, ids, values, {safe = true, data = '0x', ...txOptions} = {}) {
+    const amounts = this._toValues(ids, values);
+    if (safe) {
+      return this._send('safeBatchMint(address,uint256[],uint256[],bytes)', [to, this._toIds(ids), amounts, data], txOptions);
+    }
+    this._assertERC721('unsafe batch mint');
+    assert(
+      ids.every((id) => this._isNFT(id)),
+      'unsafe mints are only possible for non-fungible tokens'
+    );
+    return this._send('batchMint(address,uint256[])', [to, this._toIds(ids)], txOptions);
+  }
+
+  /**
+   * Burns a token.
+   * @param from The current owner address.
+   * @param id The token identifier.
+   * @param value The amount to burn, defaults to 1 for a non-fungible token.
+   * @param txOptions The transaction options.
+   * @return The transaction receipt.
+   */
+  async burn(from, id, value, txOptions = {}) {
+    const values = this._toValues([id], value === undefined ? undefined : [value]);
+    return this._send('burnFrom(address,uint256,uint256)', [from, toBN(id).toString(), values[0]], txOptions);
+  }
+
+  /**
+   * Burns a batch of tokens.
+   * @param from The current owner address.
+   * @param ids The token identifiers.
+   * @param values The amounts to burn, can be omitted if all the tokens are non-fungible.
+   * @param txOptions The transaction options.
+   * @return The transaction receipt.
+   */
+  async batchBurn(from, ids, values, txOptions = {}) {
+    return this._send('batchBurnFrom(address,uint256[],uint256[])', [from, this._toIds(ids), this._toValues(ids, values)], txOptions);
+  }
+}
+
+module.exports = {
+  InventoryAbi,
+  InventoryClient,
+};
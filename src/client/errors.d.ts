@@ -0,0 +1,23 @@
+import { RevertReasons } from "../errors";
+
+export type InventoryErrorCode = keyof typeof RevertReasons["Inventory"];
+
+export declare const InventoryRevertReasons: {
+  [Code in InventoryErrorCode]: typeof RevertReasons["Inventory"][Code]["reason"];
+};
+
+export declare class InventoryError extends Error {
+  constructor(
+    message: string,
+    options?: { code?: InventoryErrorCode; reason?: string; cause?: any }
+  );
+  name: "InventoryError";
+  /** The error code, or `undefined` for an unknown reason. */
+  code: InventoryErrorCode | undefined;
+  /** The revert reason, if it could be retrieved. */
+  reason: string | undefined;
+  /** The original error. */
+  cause: any;
+}
+
+export declare function toInventoryError(error: any): InventoryError;
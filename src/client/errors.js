@@ -0,0 +1,46 @@
+const {revertMessages, decodeRevertReason} = require('../errors');
+
+/**
+ * Typed errors for the revert reasons of the inventory contracts.
+ */
+
+// Error code => revert reason, the `Inventory` namespace of the revert reasons catalog
+const InventoryRevertReasons = revertMessages('Inventory');
+
+/**
+ * Error thrown when a call or a transaction to an inventory contract fails.
+ * @property code The error code, a key of `InventoryRevertReasons`, or `undefined` for an unknown reason.
+ * @property reason The revert reason, if it could be retrieved.
+ * @property cause The original error.
+ */
+class InventoryError extends Error {
+  constructor(message, {code, reason, cause} = {}) {
+    super(message);
+    this.name = 'InventoryError';
+    this.code = code;
+    this.reason = reason;
+    this.cause = cause;
+  }
+}
+
+/**
+ * Wraps an error thrown by a provider into an `InventoryError`.
+ * @param error The original error.
+ * @return The typed error.
+ */
+const toInventoryError = function (error) {
+  if (error instanceof InventoryError) {
+    return error;
+  }
+  const decoded = decodeRevertReason(error);
+  if (decoded !== undefined && decoded.code.startsWith('Inventory.')) {
+    return new InventoryError(decoded.reason, {code: decoded.code.slice('Inventory.'.length), reason: decoded.reason, cause: error});
+  }
+  return new InventoryError(error.message, {cause: error});
+};
+
+module.exports = {
+  InventoryRevertReasons,
+  InventoryError,
+  toInventoryError,
+};
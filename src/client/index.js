@@ -0,0 +1,8 @@
+const errors = require('./errors');
+const {InventoryAbi, InventoryClient} = require('./InventoryClient');
+
+module.exports = {
+  ...errors,
+  InventoryAbi,
+  InventoryClient,
+};
@@ -0,0 +1,48 @@
+import { ERC721Receiver as ERC721ReceiverInterface } from "./interfaces/ERC165/ERC721";
+import { ERC1155TokenReceiver as ERC1155TokenReceiverInterface } from "./interfaces/ERC165/ERC1155";
+
+// Number
+export declare const DefaultNFMaskLength: 32;
+export declare const Number: {
+  DefaultNFMaskLength: 32;
+};
+
+// Bytes4
+export declare const ERC721Received_MagicValue: "0x150b7a02";
+export declare const ERC1155Received_MagicValue: "0xf23a6e61";
+export declare const ERC1155BatchReceived_MagicValue: "0xbc197c81";
+export declare const ERC721_InterfaceId: "0x80ac58cd";
+export declare const ERC721Metadata_InterfaceId: "0x5b5e139f";
+export declare const ERC721Enumerable_InterfaceId: "0x780e9d63";
+export declare const ERC721Exists_InterfaceId_Experimental: "0x4f558e79";
+/** The `ERC721Receiver` interface itself, not its identifier. */
+export declare const ERC721Receiver_InterfaceId: typeof ERC721ReceiverInterface;
+export declare const ERC1155_InterfaceId: "0xd9b67a26";
+export declare const ERC1155MetadataURI_InterfaceId: "0x0e89341c";
+export declare const ERC1155AssetCollections_InterfaceId_Experimental: "0x469bd23f";
+/** The `ERC1155TokenReceiver` interface itself, not its identifier. */
+export declare const ERC1155TokenReceiver_InterfaceId: typeof ERC1155TokenReceiverInterface;
+export declare const Bytes4: {
+  ERC721Received_MagicValue: typeof ERC721Received_MagicValue;
+  ERC1155Received_MagicValue: typeof ERC1155Received_MagicValue;
+  ERC1155BatchReceived_MagicValue: typeof ERC1155BatchReceived_MagicValue;
+  ERC721_InterfaceId: typeof ERC721_InterfaceId;
+  ERC721Metadata_InterfaceId: typeof ERC721Metadata_InterfaceId;
+  ERC721Enumerable_InterfaceId: typeof ERC721Enumerable_InterfaceId;
+  ERC721Exists_InterfaceId_Experimental: typeof ERC721Exists_InterfaceId_Experimental;
+  ERC721Receiver_InterfaceId: typeof ERC721Receiver_InterfaceId;
+  ERC1155_InterfaceId: typeof ERC1155_InterfaceId;
+  ERC1155MetadataURI_InterfaceId: typeof ERC1155MetadataURI_InterfaceId;
+  ERC1155AssetCollections_InterfaceId_Experimental: typeof ERC1155AssetCollections_InterfaceId_Experimental;
+  ERC1155TokenReceiver_InterfaceId: typeof ERC1155TokenReceiver_InterfaceId;
+};
+
+// Bits Layouts
+export declare const DefaultFungibleLayout: [
+  { name: "baseCollectionId"; bits: 256 }
+];
+export declare const DefaultNonFungibleLayout: [
+  { name: "baseTokenId"; bits: 224 },
+  { name: "baseCollectionId"; bits: 31 },
+  { name: "nfFlag"; bits: 1 }
+];
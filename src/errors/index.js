@@ -0,0 +1,5 @@
+const revertReasons = require('./revertReasons');
+
+module.exports = {
+  ...revertReasons,
+};
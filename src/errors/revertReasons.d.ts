@@ -0,0 +1,215 @@
+/** An entry of the revert reasons catalog. */
+export interface RevertReason<
+  Code extends string = string,
+  Reason extends string = string
+> {
+  code: Code;
+  reason: Reason;
+  description: string;
+}
+
+export declare const RevertReasons: {
+  Inventory: {
+    SelfApproval: RevertReason<
+      "Inventory.SelfApproval",
+      "Inventory: self-approval"
+    >;
+    ZeroAddress: RevertReason<
+      "Inventory.ZeroAddress",
+      "Inventory: zero address"
+    >;
+    NonApproved: RevertReason<
+      "Inventory.NonApproved",
+      "Inventory: non-approved sender"
+    >;
+    TransferToZero: RevertReason<
+      "Inventory.TransferToZero",
+      "Inventory: transfer to zero"
+    >;
+    ZeroValue: RevertReason<"Inventory.ZeroValue", "Inventory: zero value">;
+    InconsistentArrays: RevertReason<
+      "Inventory.InconsistentArrays",
+      "Inventory: inconsistent arrays"
+    >;
+    InsufficientBalance: RevertReason<
+      "Inventory.InsufficientBalance",
+      "Inventory: not enough balance"
+    >;
+    TransferRejected: RevertReason<
+      "Inventory.TransferRejected",
+      "Inventory: transfer refused"
+    >;
+    SupplyOverflow: RevertReason<
+      "Inventory.SupplyOverflow",
+      "Inventory: supply overflow"
+    >;
+    NotMinter: RevertReason<"Inventory.NotMinter", "Inventory: not a minter">;
+    NotOwner: RevertReason<"Inventory.NotOwner", "Inventory: not the owner">;
+    Paused: RevertReason<"Inventory.Paused", "Inventory: paused">;
+    ExistingCollection: RevertReason<
+      "Inventory.ExistingCollection",
+      "Inventory: existing collection"
+    >;
+    ExistingOrBurntNFT: RevertReason<
+      "Inventory.ExistingOrBurntNFT",
+      "Inventory: existing/burnt NFT"
+    >;
+    NotCollection: RevertReason<
+      "Inventory.NotCollection",
+      "Inventory: not a collection"
+    >;
+    NotToken: RevertReason<"Inventory.NotToken", "Inventory: not a token id">;
+    NonExistingNFT: RevertReason<
+      "Inventory.NonExistingNFT",
+      "Inventory: non-existing NFT"
+    >;
+    NonOwnedNFT: RevertReason<
+      "Inventory.NonOwnedNFT",
+      "Inventory: non-owned NFT"
+    >;
+    WrongNFTValue: RevertReason<
+      "Inventory.WrongNFTValue",
+      "Inventory: wrong NFT value"
+    >;
+    NotNFT: RevertReason<"Inventory.NotNFT", "Inventory: not an NFT">;
+    NotNFCollection: RevertReason<
+      "Inventory.NotNFCollection",
+      "Inventory: not an NF collection"
+    >;
+    IndexOutOfBounds: RevertReason<
+      "Inventory.IndexOutOfBounds",
+      "Inventory: index out of bounds"
+    >;
+  };
+  InvMeta: {
+    InvalidDelegator: RevertReason<
+      "InvMeta.InvalidDelegator",
+      "InvMeta: invalid delegator"
+    >;
+    InconsistentArrays: RevertReason<
+      "InvMeta.InconsistentArrays",
+      "InvMeta: inconsistent arrays"
+    >;
+    OverrideDefaultAttribute: RevertReason<
+      "InvMeta.OverrideDefaultAttribute",
+      "InvMeta: override default attr"
+    >;
+    NonExistingLayout: RevertReason<
+      "InvMeta.NonExistingLayout",
+      "InvMeta: non-existing layout"
+    >;
+  };
+  CoreMeta: {
+    InconsistentArrays: RevertReason<
+      "CoreMeta.InconsistentArrays",
+      "CoreMeta: inconsistent arrays"
+    >;
+  };
+  MetaDeleg: {
+    InvalidImplementer: RevertReason<
+      "MetaDeleg.InvalidImplementer",
+      "MetaDeleg: invalid implementer"
+    >;
+  };
+  Collections: {
+    IdPaused: RevertReason<"Collections.IdPaused", "Collections: id is paused">;
+    IdNotPaused: RevertReason<
+      "Collections.IdNotPaused",
+      "Collections: id is not paused"
+    >;
+    AlreadyPaused: RevertReason<
+      "Collections.AlreadyPaused",
+      "Collections: already paused"
+    >;
+    NotPaused: RevertReason<"Collections.NotPaused", "Collections: not paused">;
+    NotCollection: RevertReason<
+      "Collections.NotCollection",
+      "Collections: not a collection"
+    >;
+  };
+  ERC721: {
+    SelfApproval: RevertReason<
+      "ERC721.SelfApproval",
+      "ERC721: approval to current owner"
+    >;
+    SelfApprovalForAll: RevertReason<
+      "ERC721.SelfApprovalForAll",
+      "ERC721: approve to caller"
+    >;
+    ZeroAddress: RevertReason<
+      "ERC721.ZeroAddress",
+      "ERC721: balance query for the zero address"
+    >;
+    TransferToZero: RevertReason<
+      "ERC721.TransferToZero",
+      "ERC721: transfer to the zero address"
+    >;
+    MintToZero: RevertReason<
+      "ERC721.MintToZero",
+      "ERC721: mint to the zero address"
+    >;
+    TransferRejected: RevertReason<
+      "ERC721.TransferRejected",
+      "ERC721: transfer to non ERC721Receiver implementer"
+    >;
+    ExistingNFT: RevertReason<
+      "ERC721.ExistingNFT",
+      "ERC721: token already minted"
+    >;
+    NotMinter: RevertReason<"ERC721.NotMinter", "ERC721: not a minter">;
+    NotOwner: RevertReason<"ERC721.NotOwner", "ERC721: not the owner">;
+    Paused: RevertReason<"ERC721.Paused", "ERC721: paused">;
+  };
+  Pausable: {
+    Paused: RevertReason<"Pausable.Paused", "Pausable: paused">;
+    NotPaused: RevertReason<"Pausable.NotPaused", "Pausable: not paused">;
+  };
+  MinterRole: {
+    NotMinter: RevertReason<"MinterRole.NotMinter", "MinterRole: not a Minter">;
+    AlreadyMinter: RevertReason<
+      "MinterRole.AlreadyMinter",
+      "MinterRole: already Minter"
+    >;
+  };
+  Ownable: {
+    NotOwner: RevertReason<
+      "Ownable.NotOwner",
+      "Ownable: caller is not the owner"
+    >;
+  };
+  UInt256Extract: {
+    ZeroLength: RevertReason<
+      "UInt256Extract.ZeroLength",
+      "UInt256Extract: length is zero"
+    >;
+    OutOfBounds: RevertReason<
+      "UInt256Extract.OutOfBounds",
+      "UInt256Extract: out of bond"
+    >;
+  };
+};
+
+export type RevertNamespace = keyof typeof RevertReasons;
+
+export type RevertCode = {
+  [N in RevertNamespace]: typeof RevertReasons[N][keyof typeof RevertReasons[N]];
+}[RevertNamespace]["code"];
+
+export declare function revertMessages<N extends RevertNamespace>(
+  namespace: N
+): {
+  [Name in keyof typeof RevertReasons[N]]: typeof RevertReasons[N][Name] extends RevertReason<
+    string,
+    infer Reason
+  >
+    ? Reason
+    : string;
+};
+export declare function extractRevertReason(error: any): string | undefined;
+export declare function decodeRevertReason(
+  error: any
+): RevertReason | undefined;
+export declare function getRevertReason<C extends RevertCode>(
+  code: C
+): RevertReason<C>;
+export declare function getRevertReason(code: string): RevertReason | undefined;
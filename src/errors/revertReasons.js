@@ -0,0 +1,203 @@
+/**
+ * Catalog of the revert reasons of the contracts of this repository and of the library contracts they rely on.
+ *
+ * The reasons are grouped by namespace, the prefix of the revert strings. Each reason has a stable code of the
+ * form `<Namespace>.<Name>` (eg. `Inventory.NotMinter`) which does not depend on the wording of the revert string.
+ */
+
+const RevertReasons = {
+  // ERC1155InventoryBase, ERC1155Inventory, ERC1155InventoryBurnable, ERC1155721Inventory, ERC1155721InventoryBurnable,
+  // ERC1155721InventoryEnumerable, the EnumerableCollections extensions and their mocks
+  Inventory: {
+    SelfApproval: {reason: 'Inventory: self-approval', description: 'An account cannot approve itself'},
+    ZeroAddress: {reason: 'Inventory: zero address', description: 'The balance of the zero address cannot be queried'},
+    NonApproved: {reason: 'Inventory: non-approved sender', description: 'The sender is neither the owner nor an approved operator'},
+    TransferToZero: {reason: 'Inventory: transfer to zero', description: 'Tokens cannot be transferred or minted to the zero address'},
+    ZeroValue: {reason: 'Inventory: zero value', description: 'Fungible tokens cannot be transferred, minted or burnt with a zero value'},
+    InconsistentArrays: {reason: 'Inventory: inconsistent arrays', description: 'The arrays parameters have different lengths'},
+    InsufficientBalance: {reason: 'Inventory: not enough balance', description: 'The owner balance is lower than the value'},
+    TransferRejected: {reason: 'Inventory: transfer refused', description: 'The receiver contract did not accept the tokens'},
+    SupplyOverflow: {reason: 'Inventory: supply overflow', description: 'The mint would overflow the supply of a fungible token'},
+    NotMinter: {reason: 'Inventory: not a minter', description: 'The sender is not a minter'},
+    NotOwner: {reason: 'Inventory: not the owner', description: 'The sender is not the contract owner'},
+    Paused: {reason: 'Inventory: paused', description: 'The contract or the collection is paused'},
+    ExistingCollection: {reason: 'Inventory: existing collection', description: 'The collection has already been created'},
+    ExistingOrBurntNFT: {reason: 'Inventory: existing/burnt NFT', description: 'The non-fungible token already exists or has been burnt'},
+    NotCollection: {reason: 'Inventory: not a collection', description: 'The identifier is not a collection identifier'},
+    NotToken: {reason: 'Inventory: not a token id', description: 'The identifier is neither a fungible token nor a non-fungible token'},
+    NonExistingNFT: {reason: 'Inventory: non-existing NFT', description: 'The non-fungible token does not exist'},
+    NonOwnedNFT: {reason: 'Inventory: non-owned NFT', description: 'The non-fungible token is not owned by the account'},
+    WrongNFTValue: {reason: 'Inventory: wrong NFT value', description: 'The value for a non-fungible token is not 1'},
+    NotNFT: {reason: 'Inventory: not an NFT', description: 'The identifier is not a non-fungible token'},
+    NotNFCollection: {reason: 'Inventory: not an NF collection', description: 'The identifier is not a non-fungible collection identifier'},
+    IndexOutOfBounds: {reason: 'Inventory: index out of bounds', description: 'The enumeration index is not lower than the number of tokens'},
+  },
+
+  // InventoryMetadata
+  InvMeta: {
+    InvalidDelegator: {reason: 'InvMeta: invalid delegator', description: 'The delegator does not implement ERC1155Inventory'},
+    InconsistentArrays: {reason: 'InvMeta: inconsistent arrays', description: 'The layout arrays have different lengths'},
+    OverrideDefaultAttribute: {reason: 'InvMeta: override default attr', description: 'The layout redefines an attribute of the default layout'},
+    NonExistingLayout: {reason: 'InvMeta: non-existing layout', description: 'The collection has no layout'},
+  },
+
+  // CoreMetadata
+  CoreMeta: {
+    InconsistentArrays: {reason: 'CoreMeta: inconsistent arrays', description: 'The layout arrays have different lengths'},
+  },
+
+  // CoreMetadataDelegator
+  MetaDeleg: {
+    InvalidImplementer: {reason: 'MetaDeleg: invalid implementer', description: 'The implementer does not implement CoreMetadata'},
+  },
+
+  // PausableCollections
+  Collections: {
+    IdPaused: {reason: 'Collections: id is paused', description: 'The collection of the identifier is paused'},
+    IdNotPaused: {reason: 'Collections: id is not paused', description: 'The collection of the identifier is not paused'},
+    AlreadyPaused: {reason: 'Collections: already paused', description: 'The collection is already paused'},
+    NotPaused: {reason: 'Collections: not paused', description: 'The collection is not paused'},
+    NotCollection: {reason: 'Collections: not a collection', description: 'The identifier is not a collection identifier'},
+  },
+
+  // @openzeppelin/contracts ERC721, ERC721Mock and ERC721PausableMock
+  ERC721: {
+    SelfApproval: {reason: 'ERC721: approval to current owner', description: 'The owner cannot be approved for its own token'},
+    SelfApprovalForAll: {reason: 'ERC721: approve to caller', description: 'An account cannot approve itself'},
+    ZeroAddress: {reason: 'ERC721: balance query for the zero address', description: 'The balance of the zero address cannot be queried'},
+    TransferToZero: {reason: 'ERC721: transfer to the zero address', description: 'Tokens cannot be transferred to the zero address'},
+    MintToZero: {reason: 'ERC721: mint to the zero address', description: 'Tokens cannot be minted to the zero address'},
+    TransferRejected: {reason: 'ERC721: transfer to non ERC721Receiver implementer', description: 'The receiver contract did not accept the token'},
+    ExistingNFT: {reason: 'ERC721: token already minted', description: 'The token already exists'},
+    NotMinter: {reason: 'ERC721: not a minter', description: 'The sender is not a minter'},
+    NotOwner: {reason: 'ERC721: not the owner', description: 'The sender is not the contract owner'},
+    Paused: {reason: 'ERC721: paused', description: 'The contract is paused'},
+  },
+
+  // @openzeppelin/contracts Pausable
+  Pausable: {
+    Paused: {reason: 'Pausable: paused', description: 'The contract is paused'},
+    NotPaused: {reason: 'Pausable: not paused', description: 'The contract is not paused'},
+  },
+
+  // @cryptogesic/ethereum-contracts-core_library MinterRole
+  MinterRole: {
+    NotMinter: {reason: 'MinterRole: not a Minter', description: 'The sender is not a minter'},
+    AlreadyMinter: {reason: 'MinterRole: already Minter', description: 'The account is already a minter'},
+  },
+
+  // @openzeppelin/contracts Ownable
+  Ownable: {
+    NotOwner: {reason: 'Ownable: caller is not the owner', description: 'The sender is not the contract owner'},
+  },
+
+  // @cryptogesic/ethereum-contracts-core_library UInt256Extract, used by the metadata layouts
+  UInt256Extract: {
+    ZeroLength: {reason: 'UInt256Extract: length is zero', description: 'An attribute of a layout has a zero length'},
+    OutOfBounds: {reason: 'UInt256Extract: out of bond', description: 'An attribute of a layout exceeds 256 bits'},
+  },
+};
+
+// Revert reason => entry
+const ByReason = {};
+
+Object.entries(RevertReasons).forEach(([namespace, entries]) => {
+  Object.entries(entries).forEach(([name, entry]) => {
+    entry.code = `${namespace}.${name}`;
+    ByReason[entry.reason] = entry;
+  });
+});
+
+/**
+ * Returns the revert strings of a namespace of the catalog.
+ * @param namespace The namespace, a key of `RevertReasons`.
+ * @return An object mapping the names of the reasons to their revert strings.
+ */
+const revertMessages = function (namespace) {
+  const messages = {};
+  Object.entries(RevertReasons[namespace]).forEach(([name, {reason}]) => {
+    messages[name] = reason;
+  });
+  return messages;
+};
+
+/**
+ * Extracts the revert reason of a failed call or transaction error, as thrown by web3, ethers,
+ * truffle or hardhat, or from the ABI-encoded `Error(string)` return data of a call.
+ * @param error The error, or the hexadecimal return data.
+ * @return The revert reason, or `undefined` if none could be found.
+ */
+const extractRevertReason = function (error) {
+  if (typeof error === 'string' && /^0x08c379a0/.test(error)) {
+    const data = error.slice(10);
+    const length = parseInt(data.slice(64, 128), 16);
+    return Buffer.from(data.slice(128, 128 + length * 2), 'hex').toString('utf8');
+  }
+  if (error === null || typeof error !== 'object') {
+    return undefined;
+  }
+  // ethers wraps the error of the provider, with a generic reason
+  if (error.error !== null && typeof error.error === 'object') {
+    const reason = extractRevertReason(error.error);
+    if (reason !== undefined) {
+      return reason;
+    }
+  }
+  if (typeof error.reason === 'string') {
+    return error.reason;
+  }
+  if (typeof error.data === 'string') {
+    return extractRevertReason(error.data);
+  }
+  // ganache reports the reasons by transaction hash: {data: {[txHash]: {error, reason}}}
+  if (error.data !== null && typeof error.data === 'object') {
+    for (const value of Object.values(error.data)) {
+      if (value !== null && typeof value === 'object' && typeof value.reason === 'string') {
+        return value.reason;
+      }
+    }
+  }
+  if (typeof error.message === 'string') {
+    const match = error.message.match(/revert(?:ed with reason string)? '?(.*?)'?$/m);
+    if (match !== null && match[1] !== '') {
+      return match[1];
+    }
+  }
+  return undefined;
+};
+
+/**
+ * Decodes a failed call or transaction error into an entry of the catalog.
+ * @dev Reasons not found verbatim are looked up inside the error message.
+ * @param error The error, or the hexadecimal return data.
+ * @return The catalog entry `{code, reason, description}`, or `undefined` if the reason is not in the catalog.
+ */
+const decodeRevertReason = function (error) {
+  const reason = extractRevertReason(error);
+  if (reason !== undefined && ByReason[reason] !== undefined) {
+    return ByReason[reason];
+  }
+  const text = [reason, error && error.message].filter((x) => typeof x === 'string').join('\n');
+  // longest reasons first, as some reasons are prefixes of others
+  const reasons = Object.keys(ByReason).sort((a, b) => b.length - a.length);
+  const found = reasons.find((candidate) => text.includes(candidate));
+  return found === undefined ? undefined : ByReason[found];
+};
+
+/**
+ * Returns the catalog entry of a code.
+ * @param code The code, such as `Inventory.NotMinter`.
+ * @return The catalog entry `{code, reason, description}`, or `undefined` if the code is not in the catalog.
+ */
+const getRevertReason = function (code) {
+  const [namespace, name] = code.split('.');
+  return RevertReasons[namespace] && RevertReasons[namespace][name];
+};
+
+module.exports = {
+  RevertReasons,
+  revertMessages,
+  extractRevertReason,
+  decodeRevertReason,
+  getRevertReason,
+};
@@ -0,0 +1,21 @@
+import { AbiFragment } from "../types";
+
+/** A decoded value: numbers as decimal strings, addresses as checksummed strings, bytes as hexadecimal strings. */
+export type DecodedValue = string | boolean | DecodedValue[];
+
+export declare function encodeParameters(
+  types: string[],
+  values: any[]
+): string;
+export declare function decodeParameters(
+  types: string[],
+  data: string
+): DecodedValue[];
+export declare function encodeFunctionCall(
+  fn: string | AbiFragment,
+  values?: any[]
+): string;
+export declare function decodeFunctionResult(
+  fn: AbiFragment,
+  data: string
+): DecodedValue | DecodedValue[];
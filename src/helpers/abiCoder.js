@@ -0,0 +1,234 @@
+const {BN, toChecksumAddress} = require('web3-utils');
+const assert = require('assert');
+const {toBN} = require('./inventoryIds');
+const {functionSignature, functionSelector} = require('./interfaceIds');
+
+/**
+ * Minimal encoder/decoder of function parameters and return values, following the Solidity contract ABI specification.
+ *
+ * The supported types are `uint<M>`, `int<M>`, `address`, `bool`, `bytes<M>`, `bytes`, `string`, and the fixed-size
+ * and dynamic arrays of these types. Tuples are not supported. Numbers are decoded as decimal strings, addresses as
+ * checksummed strings and bytes as 0x-prefixed hexadecimal strings.
+ */
+
+const TypeRegex = /^(uint|int|address|bool|bytes|string)(\d*)$/;
+const ArrayRegex = /^(.*)\[(\d*)\]$/;
+const HexRegex = /^0x([0-9a-fA-F]{2})*$/;
+
+const parseType = function (type) {
+  const array = type.match(ArrayRegex);
+  if (array !== null) {
+    return {type, element: parseType(array[1]), length: array[2] === '' ? undefined : Number(array[2])};
+  }
+  const match = type.match(TypeRegex);
+  assert(match !== null, `Unsupported type '${type}'`);
+  const [, base, size] = match;
+  if (base === 'uint' || base === 'int') {
+    const bits = size === '' ? 256 : Number(size);
+    assert(bits > 0 && bits <= 256 && bits % 8 === 0, `Invalid type '${type}'`);
+    return {type, base, bits};
+  }
+  if (base === 'bytes' && size !== '') {
+    assert(Number(size) > 0 && Number(size) <= 32, `Invalid type '${type}'`);
+    return {type, base, size: Number(size)};
+  }
+  assert(size === '', `Invalid type '${type}'`);
+  return {type, base};
+};
+
+const isDynamic = function (type) {
+  if (type.element !== undefined) {
+    return type.length === undefined || isDynamic(type.element);
+  }
+  return (type.base === 'bytes' && type.size === undefined) || type.base === 'string';
+};
+
+// Size of the head of a value, in bytes
+const headSize = function (type) {
+  if (!isDynamic(type) && type.element !== undefined) {
+    return type.length * headSize(type.element);
+  }
+  return 32;
+};
+
+//================================== Encoding =======================================/
+
+const encodeWord = function (value) {
+  return value.toString(16, 64);
+};
+
+const encodeBytes = function (bytes) {
+  const hex = bytes.toString('hex');
+  return `${encodeWord(new BN(bytes.length))}${hex.padEnd(Math.ceil(hex.length / 64) * 64, '0')}`;
+};
+
+const encodeTuple = function (types, values) {
+  const heads = [];
+  const tails = [];
+  let tailOffset = types.reduce((size, type) => size + headSize(type), 0);
+  types.forEach((type, i) => {
+    const encoded = encodeValue(type, values[i]);
+    if (isDynamic(type)) {
+      heads.push(encodeWord(new BN(tailOffset)));
+      tails.push(encoded);
+      tailOffset += encoded.length / 2;
+    } else {
+      heads.push(encoded);
+    }
+  });
+  return `${heads.join('')}${tails.join('')}`;
+};
+
+const encodeValue = function (type, value) {
+  if (type.element !== undefined) {
+    assert(Array.isArray(value), `${type.type}: not an array`);
+    assert(type.length === undefined || value.length === type.length, `${type.type}: invalid length ${value.length}`);
+    const encoded = encodeTuple(new Array(value.length).fill(type.element), value);
+    return type.length === undefined ? `${encodeWord(new BN(value.length))}${encoded}` : encoded;
+  }
+  switch (type.base) {
+    case 'uint': {
+      const number = toBN(value);
+      assert(!number.isNeg() && number.bitLength() <= type.bits, `${type.type}: out of range value ${value}`);
+      return encodeWord(number);
+    }
+    case 'int': {
+      const number = toBN(value);
+      const limit = new BN(1).shln(type.bits - 1);
+      assert(number.gte(limit.neg()) && number.lt(limit), `${type.type}: out of range value ${value}`);
+      return encodeWord(number.toTwos(256));
+    }
+    case 'address':
+      assert(/^0x[0-9a-fA-F]{40}$/.test(value), `address: invalid value ${value}`);
+      return value.slice(2).toLowerCase().padStart(64, '0');
+    case 'bool':
+      assert(typeof value === 'boolean', `bool: invalid value ${value}`);
+      return encodeWord(new BN(value ? 1 : 0));
+    case 'string':
+      assert(typeof value === 'string', `string: invalid value ${value}`);
+      return encodeBytes(Buffer.from(value, 'utf8'));
+    default:
+      assert(typeof value === 'string' && HexRegex.test(value), `${type.type}: invalid value ${value}`);
+      if (type.size === undefined) {
+        return encodeBytes(Buffer.from(value.slice(2), 'hex'));
+      }
+      assert(value.length === 2 + type.size * 2, `${type.type}: invalid length`);
+      return value.slice(2).toLowerCase().padEnd(64, '0');
+  }
+};
+
+//================================== Decoding =======================================/
+
+// Positions are in hexadecimal characters
+const readWord = function (hex, position) {
+  assert(position + 64 <= hex.length, 'data too short');
+  return toBN(`0x${hex.slice(position, position + 64)}`);
+};
+
+const readBytes = function (hex, position) {
+  const length = readWord(hex, position).toNumber();
+  assert(position + 64 + length * 2 <= hex.length, 'data too short');
+  return Buffer.from(hex.slice(position + 64, position + 64 + length * 2), 'hex');
+};
+
+const decodeTuple = function (types, hex, offset) {
+  let position = offset;
+  return types.map((type) => {
+    const value = isDynamic(type) ? decodeValue(type, hex, offset + readWord(hex, position).toNumber() * 2) : decodeValue(type, hex, position);
+    position += headSize(type) * 2;
+    return value;
+  });
+};
+
+const decodeValue = function (type, hex, position) {
+  if (type.element !== undefined) {
+    if (type.length !== undefined) {
+      return decodeTuple(new Array(type.length).fill(type.element), hex, position);
+    }
+    const length = readWord(hex, position).toNumber();
+    return decodeTuple(new Array(length).fill(type.element), hex, position + 64);
+  }
+  switch (type.base) {
+    case 'uint':
+      return readWord(hex, position).toString(10);
+    case 'int':
+      return readWord(hex, position).fromTwos(256).toString(10);
+    case 'address':
+      return toChecksumAddress(`0x${readWord(hex, position).toString(16, 64).slice(24)}`);
+    case 'bool':
+      return !readWord(hex, position).isZero();
+    case 'string':
+      return readBytes(hex, position).toString('utf8');
+    default:
+      if (type.size === undefined) {
+        return `0x${readBytes(hex, position).toString('hex')}`;
+      }
+      assert(position + 64 <= hex.length, 'data too short');
+      return `0x${hex.slice(position, position + type.size * 2).toLowerCase()}`;
+  }
+};
+
+//================================== API =======================================/
+
+/**
+ * Encodes a list of parameters.
+ * @param types The ABI types of the parameters.
+ * @param values The values of the parameters.
+ * @return The encoded parameters, as a 0x-prefixed hexadecimal string.
+ */
+const encodeParameters = function (types, values) {
+  assert(types.length === values.length, 'inconsistent arrays');
+  return `0x${encodeTuple(types.map(parseType), values)}`;
+};
+
+/**
+ * Decodes a list of parameters.
+ * @param types The ABI types of the parameters.
+ * @param data The encoded parameters, as a 0x-prefixed hexadecimal string.
+ * @return The decoded values.
+ */
+const decodeParameters = function (types, data) {
+  assert(typeof data === 'string' && HexRegex.test(data), 'Invalid data');
+  return decodeTuple(types.map(parseType), data.slice(2), 0);
+};
+
+const inputTypes = function (fn) {
+  if (typeof fn === 'string') {
+    const signature = functionSignature(fn);
+    const types = signature.slice(signature.indexOf('(') + 1, -1);
+    return types === '' ? [] : types.split(',');
+  }
+  return (fn.inputs || []).map((input) => input.type);
+};
+
+/**
+ * Encodes a function call.
+ * @param fn The function signature or ABI fragment.
+ * @param values The values of the parameters.
+ * @return The call data, the function selector followed by the encoded parameters.
+ */
+const encodeFunctionCall = function (fn, values = []) {
+  return `${functionSelector(fn)}${encodeParameters(inputTypes(fn), values).slice(2)}`;
+};
+
+/**
+ * Decodes the return data of a function call.
+ * @param fn The function ABI fragment.
+ * @param data The return data.
+ * @return The decoded value for a function with a single output, the list of decoded values otherwise.
+ */
+const decodeFunctionResult = function (fn, data) {
+  const outputs = fn.outputs || [];
+  const values = decodeParameters(
+    outputs.map((output) => output.type),
+    data
+  );
+  return outputs.length === 1 ? values[0] : values;
+};
+
+module.exports = {
+  encodeParameters,
+  decodeParameters,
+  encodeFunctionCall,
+  decodeFunctionResult,
+};
@@ -0,0 +1,43 @@
+import BN = require("bn.js");
+import { Layout, NumberLike } from "../types";
+
+/** A normalized position of a bits layout. */
+export interface Position {
+  name: string;
+  length: number;
+  index: number;
+}
+
+export declare function toPositions(layout: Layout): Position[];
+export declare function toArrays(
+  layout: Layout
+): { names: string[]; lengths: number[]; indices: number[] };
+export declare function extract(
+  id: NumberLike,
+  position: { length: number; index: number }
+): BN;
+export declare function encode(
+  layout: Layout,
+  values: { [name: string]: NumberLike },
+  outputBase?: number
+): string;
+export declare function decode(
+  layout: Layout,
+  id: NumberLike,
+  outputBase?: number
+): { [name: string]: string };
+export declare function makeDefaultFungibleLayout(): [
+  { name: "baseCollectionId"; length: 256; index: 0 }
+];
+export declare function makeDefaultNonFungibleLayout(
+  nfMaskLength: number
+): [
+  { name: "baseTokenId"; length: number; index: 0 },
+  { name: "baseCollectionId"; length: number; index: number }
+];
+export declare function getAllAttributes(
+  id: NumberLike,
+  nfMaskLength: number,
+  collectionLayout?: Layout,
+  outputBase?: number
+): { names: string[]; values: string[] };
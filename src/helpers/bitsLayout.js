@@ -0,0 +1,191 @@
+const {BN} = require('web3-utils');
+const assert = require('assert');
+const {toBN, isNonFungibleToken} = require('./inventoryIds');
+const {fromBytes32Attribute} = require('./bytes32Attributes');
+
+/**
+ * Bits layouts encoder/decoder, matching the `CoreMetadata` and `InventoryMetadata` semantics.
+ *
+ * A layout can be given in either of the following forms:
+ * - an array of `{name, bits}` fields, packed contiguously from the least significant bit
+ *   (as `DefaultFungibleLayout` and `DefaultNonFungibleLayout` in `src/constants.js`),
+ * - an array of `{name, length, index}` positions, possibly overlapping,
+ * - an object `{names, lengths, indices}` as returned by `getLayout()`, where names can be
+ *   either strings or bytes32 hexadecimal strings.
+ *
+ * Attribute values are extracted as `(id >> index) & ((1 << length) - 1)`, as done by `UInt256Extract`.
+ */
+
+const Bytes32Regex = /^0x[0-9a-fA-F]{64}$/;
+
+const makeMask = function (nbBits) {
+  return new BN(1).shln(nbBits).subn(1);
+};
+
+const toName = function (name) {
+  return Bytes32Regex.test(name) ? fromBytes32Attribute(name) : name;
+};
+
+const toNumber = function (value) {
+  return toBN(BN.isBN(value) ? value : value.toString()).toNumber();
+};
+
+/**
+ * Normalizes a layout to an array of `{name, length, index}` positions.
+ * @param layout The layout, in any of the supported forms.
+ * @return The array of positions, in the layout order.
+ */
+const toPositions = function (layout) {
+  if (!Array.isArray(layout)) {
+    const {names, lengths, indices} = layout;
+    assert(names.length === lengths.length && names.length === indices.length, 'inconsistent layout arrays');
+    return names.map((name, i) => ({name: toName(name), length: toNumber(lengths[i]), index: toNumber(indices[i])}));
+  }
+
+  let currentBit = 0;
+  return layout.map((field) => {
+    if (field.bits !== undefined) {
+      const position = {name: toName(field.name), length: toNumber(field.bits), index: currentBit};
+      currentBit += position.length;
+      return position;
+    }
+    return {name: toName(field.name), length: toNumber(field.length), index: toNumber(field.index)};
+  });
+};
+
+/**
+ * Converts a layout to the `{names, lengths, indices}` form expected by `setLayout()`.
+ * Names are kept as strings and need to be converted with `toBytes32Attribute()` before being sent.
+ * @param layout The layout, in any of the supported forms.
+ * @return The layout as parallel arrays.
+ */
+const toArrays = function (layout) {
+  const positions = toPositions(layout);
+  return {
+    names: positions.map((position) => position.name),
+    lengths: positions.map((position) => position.length),
+    indices: positions.map((position) => position.index),
+  };
+};
+
+const assertPosition = function ({name, length, index}) {
+  assert(length > 0, `attribute '${name}': length is zero`);
+  assert(index + length <= 256, `attribute '${name}': out of bond`);
+};
+
+/**
+ * Extracts a single attribute value from an integer.
+ * @param id The integer to extract the value from.
+ * @param position The `{length, index}` position of the attribute.
+ * @return The extracted value, as a BN.
+ */
+const extract = function (id, position) {
+  assertPosition(position);
+  return toBN(id).shrn(position.index).and(makeMask(position.length));
+};
+
+/**
+ * Encodes attribute values into an integer.
+ * @dev Throws if a value does not fit in its attribute bits.
+ * @dev Throws if overlapping attributes are given conflicting values.
+ * @param layout The layout, in any of the supported forms.
+ * @param values An object mapping attribute names to values. Missing attributes are encoded as 0.
+ * @param outputBase The base of the returned number value.
+ * @return The encoded integer, as a string.
+ */
+const encode = function (layout, values, outputBase = 10) {
+  const positions = toPositions(layout);
+  const byName = {};
+  positions.forEach((position) => {
+    byName[position.name] = position;
+  });
+
+  for (const name of Object.keys(values)) {
+    assert(byName[name] !== undefined, `unknown attribute '${name}'`);
+  }
+
+  let id = new BN(0);
+  for (const position of positions) {
+    assertPosition(position);
+    if (values[position.name] === undefined) {
+      continue;
+    }
+    const value = toBN(values[position.name]);
+    assert(!value.isNeg(), `attribute '${position.name}': negative value`);
+    assert(value.lte(makeMask(position.length)), `attribute '${position.name}': value does not fit in ${position.length} bits`);
+    id = id.or(value.shln(position.index));
+  }
+
+  for (const position of positions) {
+    if (values[position.name] !== undefined) {
+      assert(extract(id, position).eq(toBN(values[position.name])), `attribute '${position.name}': conflicting overlapping value`);
+    }
+  }
+
+  return id.toString(outputBase);
+};
+
+/**
+ * Decodes an integer into attribute values.
+ * @param layout The layout, in any of the supported forms.
+ * @param id The integer to decode.
+ * @param outputBase The base of the returned number values.
+ * @return An object mapping attribute names to values, as strings.
+ */
+const decode = function (layout, id, outputBase = 10) {
+  const values = {};
+  for (const position of toPositions(layout)) {
+    values[position.name] = extract(id, position).toString(outputBase);
+  }
+  return values;
+};
+
+/**
+ * Returns the default fungible layout registered by `InventoryMetadata`.
+ * @return The layout, as an array of positions.
+ */
+const makeDefaultFungibleLayout = function () {
+  return [{name: 'baseCollectionId', length: 256, index: 0}];
+};
+
+/**
+ * Returns the default non-fungible layout registered by `InventoryMetadata`.
+ * @dev The non-fungible flag is not part of the on-chain layout.
+ * @param nfMaskLength The Non-Fungible Collection mask length.
+ * @return The layout, as an array of positions.
+ */
+const makeDefaultNonFungibleLayout = function (nfMaskLength) {
+  return [
+    {name: 'baseTokenId', length: 256 - nfMaskLength, index: 0},
+    {name: 'baseCollectionId', length: nfMaskLength - 1, index: 256 - nfMaskLength},
+  ];
+};
+
+/**
+ * Computes the result of `InventoryMetadata.getAllAttributes(id)` off-chain.
+ * @dev Throws if `id` is not a non-fungible token, as the contract reverts on `collectionOf(id)`.
+ * @param id The non-fungible token identifier.
+ * @param nfMaskLength The Non-Fungible Collection mask length.
+ * @param collectionLayout The layout of the token collection, in any of the supported forms.
+ * @param outputBase The base of the returned number values.
+ * @return `{names, values}`, the default layout attributes followed by the collection layout attributes.
+ */
+const getAllAttributes = function (id, nfMaskLength, collectionLayout = [], outputBase = 10) {
+  assert(isNonFungibleToken(id, nfMaskLength), 'id must be a non-fungible token');
+  const positions = [...makeDefaultNonFungibleLayout(nfMaskLength), ...toPositions(collectionLayout)];
+  return {
+    names: positions.map((position) => position.name),
+    values: positions.map((position) => extract(id, position).toString(outputBase)),
+  };
+};
+
+module.exports = {
+  toPositions,
+  toArrays,
+  extract,
+  encode,
+  decode,
+  makeDefaultFungibleLayout,
+  makeDefaultNonFungibleLayout,
+  getAllAttributes,
+};
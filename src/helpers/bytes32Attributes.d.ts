@@ -0,0 +1,26 @@
+import { Bytes32 } from "../types";
+
+export declare const Padding: {
+  Right: "right";
+  Left: "left";
+};
+export type PaddingSide = typeof Padding[keyof typeof Padding];
+
+export interface Bytes32AttributeOptions {
+  /** The side on which the value is padded, defaults to 'right'. */
+  padding?: PaddingSide;
+  /** When decoding, throws on embedded NULs or invalid UTF-8 instead of decoding them loosely. */
+  strict?: boolean;
+  /** Lets any bytes32 value round-trip, as its hexadecimal representation. */
+  lossless?: boolean;
+}
+
+export declare function utf8ByteLength(name: string): number;
+export declare function toBytes32Attribute(
+  name: string,
+  options?: Pick<Bytes32AttributeOptions, "padding" | "lossless">
+): Bytes32;
+export declare function fromBytes32Attribute(
+  value: Bytes32,
+  options?: Bytes32AttributeOptions
+): string;
@@ -1,16 +1,83 @@
-const utils = require('web3-utils');
 const assert = require('assert');
+const {TextDecoder} = require('util');
 
-const toBytes32Attribute = function (name) {
-  assert(name.length <= 32, "Attribute's name is too long");
-  return utils.fromAscii(name);
+/**
+ * Attribute names are stored on-chain as bytes32 values containing UTF-8 encoded text padded with NUL bytes.
+ *
+ * Options:
+ * - `padding`: the side on which the value is padded, 'right' (default, as Solidity string literals) or 'left'.
+ * - `strict`: when decoding, throws on embedded NULs or invalid UTF-8 instead of decoding them loosely.
+ * - `lossless`: when decoding, returns the bytes32 hexadecimal value itself if it cannot be represented as a name,
+ *   and when encoding, accepts such a bytes32 hexadecimal value as-is, so that any value round-trips.
+ */
+
+const Bytes32Regex = /^0x[0-9a-fA-F]{64}$/;
+const HexRegex = /^0x[0-9a-fA-F]*$/;
+
+const Padding = {
+  Right: 'right',
+  Left: 'left',
+};
+
+const assertPadding = function (padding) {
+  assert(padding === Padding.Right || padding === Padding.Left, `Invalid padding: ${padding}`);
+};
+
+const utf8ByteLength = function (name) {
+  return Buffer.byteLength(name, 'utf8');
 };
 
-const fromBytes32Attribute = function (name) {
-  return utils.toAscii(name).replace(/\0/g, '');
+const isValidUtf8 = function (bytes) {
+  try {
+    new TextDecoder('utf-8', {fatal: true}).decode(bytes);
+    return true;
+  } catch (e) {
+    return false;
+  }
+};
+
+const toBytes32Attribute = function (name, {padding = Padding.Right, lossless = false} = {}) {
+  assertPadding(padding);
+  if (lossless && Bytes32Regex.test(name)) {
+    return name.toLowerCase();
+  }
+  assert(!name.includes('\0'), "Attribute's name contains a NUL character");
+  const bytes = Buffer.from(name, 'utf8');
+  assert(bytes.length <= 32, "Attribute's name is too long");
+  const hex = bytes.toString('hex');
+  return padding === Padding.Right ? `0x${hex.padEnd(64, '0')}` : `0x${hex.padStart(64, '0')}`;
+};
+
+const fromBytes32Attribute = function (value, {padding = Padding.Right, strict = false, lossless = false} = {}) {
+  assertPadding(padding);
+  assert(typeof value === 'string' && HexRegex.test(value) && value.length <= 66, 'Invalid bytes32 value');
+  const hex = value.slice(2);
+  let bytes = Buffer.from(hex.length % 2 ? `0${hex}` : hex, 'hex');
+
+  // only the padding bytes are removed
+  if (padding === Padding.Right) {
+    let end = bytes.length;
+    while (end !== 0 && bytes[end - 1] === 0) --end;
+    bytes = bytes.slice(0, end);
+  } else {
+    let start = 0;
+    while (start !== bytes.length && bytes[start] === 0) ++start;
+    bytes = bytes.slice(start);
+  }
+
+  const representable = !bytes.includes(0) && isValidUtf8(bytes);
+  if (!representable) {
+    if (lossless) {
+      return value.toLowerCase();
+    }
+    assert(!strict, 'Invalid attribute name: embedded NUL or invalid UTF-8');
+  }
+  return bytes.toString('utf8');
 };
 
 module.exports = {
+  Padding,
+  utf8ByteLength,
   toBytes32Attribute,
   fromBytes32Attribute,
 };
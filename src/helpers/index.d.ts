@@ -0,0 +1,17 @@
+import * as abiCoder from "./abiCoder";
+import * as bitsLayout from "./bitsLayout";
+import * as bytes32Attributes from "./bytes32Attributes";
+import * as interfaceDetection from "./interfaceDetection";
+import * as interfaceIds from "./interfaceIds";
+import * as inventoryIds from "./inventoryIds";
+import * as layoutValidator from "./layoutValidator";
+
+export {
+  abiCoder,
+  bitsLayout,
+  bytes32Attributes,
+  interfaceDetection,
+  interfaceIds,
+  inventoryIds,
+  layoutValidator,
+};
@@ -1,5 +1,17 @@
+const abiCoder = require('./abiCoder');
+const bitsLayout = require('./bitsLayout');
 const bytes32Attributes = require('./bytes32Attributes');
+const interfaceDetection = require('./interfaceDetection');
+const interfaceIds = require('./interfaceIds');
+const inventoryIds = require('./inventoryIds');
+const layoutValidator = require('./layoutValidator');
 
 module.exports = {
+  abiCoder,
+  bitsLayout,
   bytes32Attributes,
+  interfaceDetection,
+  interfaceIds,
+  inventoryIds,
+  layoutValidator,
 };
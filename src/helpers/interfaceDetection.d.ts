@@ -0,0 +1,29 @@
+import { Address, BlockTag, Bytes4, ProviderLike } from "../types";
+
+export interface InterfacesReport<Key extends string = string> {
+  address: Address;
+  erc165: boolean;
+  interfaces: { [key in Key]: boolean };
+  supported: Key[];
+}
+
+export declare function supportsInterface(
+  address: Address,
+  interfaceId: Bytes4,
+  provider: ProviderLike,
+  blockTag?: BlockTag
+): Promise<boolean>;
+export declare function supportsERC165(
+  address: Address,
+  provider: ProviderLike,
+  blockTag?: BlockTag
+): Promise<boolean>;
+export declare function detectInterfaces<
+  Interfaces extends {
+    [key: string]: { id: Bytes4 };
+  } = typeof import("../interfaces/ERC165")
+>(
+  address: Address,
+  provider: ProviderLike,
+  options?: { interfaces?: Interfaces; blockTag?: BlockTag }
+): Promise<InterfacesReport<Extract<keyof Interfaces, string>>>;
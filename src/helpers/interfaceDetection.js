@@ -0,0 +1,96 @@
+const {padRight, toBN} = require('web3-utils');
+const assert = require('assert');
+const catalog = require('../interfaces/ERC165');
+const {functionSelector} = require('./interfaceIds');
+const {toProvider} = require('../providers');
+
+/**
+ * Remote ERC165 interfaces detection, following the procedure described in EIP-165.
+ *
+ * The provider can be any of the providers supported by `src/providers`: a web3 instance, an EIP-1193 provider
+ * (such as `hardhat.network.provider`), an ethers provider, signer or contract.
+ */
+
+const SupportsInterfaceSelector = functionSelector('supportsInterface(bytes4)');
+const ERC165InterfaceId = SupportsInterfaceSelector;
+const InvalidInterfaceId = '0xffffffff';
+
+// As per EIP-165, supportsInterface uses less than 30000 gas
+const SupportsInterfaceGas = 30000;
+
+/**
+ * Calls `supportsInterface(interfaceId)` on a contract.
+ * @dev Returns false if the call reverts or does not return a boolean.
+ * @param address The contract address.
+ * @param interfaceId The interface identifier, as a bytes4 hexadecimal string.
+ * @param provider The provider.
+ * @param blockTag The block to perform the call at.
+ * @return Whether the contract returned true.
+ */
+const supportsInterface = async function (address, interfaceId, provider, blockTag = 'latest') {
+  assert(/^0x[0-9a-fA-F]{8}$/.test(interfaceId), `Invalid interface id '${interfaceId}'`);
+  const adapter = toProvider(provider);
+  const data = `${SupportsInterfaceSelector}${padRight(interfaceId, 64).slice(2)}`;
+  let result;
+  try {
+    result = await adapter.call({to: address, data, gas: SupportsInterfaceGas}, blockTag);
+  } catch (e) {
+    return false;
+  }
+  return typeof result === 'string' && result.length >= 66 && toBN(result.slice(0, 66)).eqn(1);
+};
+
+/**
+ * Detects whether a contract implements ERC165, ie. returns true for its identifier and false for `0xffffffff`.
+ * @param address The contract address.
+ * @param provider The provider.
+ * @param blockTag The block to perform the calls at.
+ * @return Whether the contract implements ERC165.
+ */
+const supportsERC165 = async function (address, provider, blockTag = 'latest') {
+  return (
+    (await supportsInterface(address, ERC165InterfaceId, provider, blockTag)) &&
+    !(await supportsInterface(address, InvalidInterfaceId, provider, blockTag))
+  );
+};
+
+/**
+ * Detects the interfaces supported by a contract.
+ * @dev The interfaces are not probed if the contract does not implement ERC165.
+ * @param address The contract address.
+ * @param provider The provider.
+ * @param options An object with the optional fields:
+ *  - `interfaces`: the interfaces to probe, as an object of `{name, id}` entries, defaults to `src/interfaces/ERC165`,
+ *  - `blockTag`: the block to perform the calls at, defaults to 'latest'.
+ * @return The capability report, an object with:
+ *  - `address`: the contract address,
+ *  - `erc165`: whether the contract implements ERC165,
+ *  - `interfaces`: an object mapping each interface key to whether it is supported,
+ *  - `supported`: the keys of the supported interfaces.
+ */
+const detectInterfaces = async function (address, provider, {interfaces = catalog, blockTag = 'latest'} = {}) {
+  const report = {address, erc165: false, interfaces: {}, supported: []};
+  const keys = Object.keys(interfaces);
+  keys.forEach((key) => {
+    report.interfaces[key] = false;
+  });
+
+  report.erc165 = await supportsERC165(address, provider, blockTag);
+  if (!report.erc165) {
+    return report;
+  }
+
+  for (const key of keys) {
+    if (await supportsInterface(address, interfaces[key].id, provider, blockTag)) {
+      report.interfaces[key] = true;
+      report.supported.push(key);
+    }
+  }
+  return report;
+};
+
+module.exports = {
+  supportsInterface,
+  supportsERC165,
+  detectInterfaces,
+};
@@ -0,0 +1,7 @@
+import { AbiFragment, Bytes4 } from "../types";
+
+export type FunctionLike = string | AbiFragment;
+
+export declare function functionSignature(fn: FunctionLike): string;
+export declare function functionSelector(fn: FunctionLike): Bytes4;
+export declare function makeInterfaceId(functions: FunctionLike[]): Bytes4;
@@ -0,0 +1,114 @@
+const {keccak256} = require('web3-utils');
+const assert = require('assert');
+
+/**
+ * Function selectors and ERC165 interface identifiers calculator.
+ *
+ * A function can be given either as a signature string such as `'balanceOf(address,uint256)'`
+ * or as a function fragment of a contract ABI. Signatures are canonicalized: whitespace is ignored
+ * and the `uint`, `int`, `byte`, `ufixed` and `fixed` aliases are expanded.
+ */
+
+const TypeAliases = {
+  uint: 'uint256',
+  int: 'int256',
+  byte: 'bytes1',
+  ufixed: 'ufixed128x18',
+  fixed: 'fixed128x18',
+};
+
+const SignatureRegex = /^([A-Za-z_$][A-Za-z0-9_$]*)\((.*)\)$/;
+
+const canonicalType = function (type) {
+  return type.replace(/^[a-z]+(?=(\[\d*\])*$)/, (base) => TypeAliases[base] || base);
+};
+
+// Splits a comma-separated list of types, ignoring the commas inside tuples
+const splitTypes = function (types) {
+  const result = [];
+  let depth = 0;
+  let current = '';
+  for (const c of types) {
+    if (c === ',' && depth === 0) {
+      result.push(current);
+      current = '';
+      continue;
+    }
+    if (c === '(') ++depth;
+    if (c === ')') --depth;
+    assert(depth >= 0, `Unbalanced parentheses in '${types}'`);
+    current += c;
+  }
+  assert(depth === 0, `Unbalanced parentheses in '${types}'`);
+  if (current !== '' || result.length !== 0) {
+    result.push(current);
+  }
+  return result;
+};
+
+const canonicalTypes = function (types) {
+  return splitTypes(types)
+    .map((type) => {
+      assert(type !== '', `Empty type in '${types}'`);
+      const tuple = type.match(/^\((.*)\)((?:\[\d*\])*)$/);
+      return tuple ? `(${canonicalTypes(tuple[1])})${tuple[2]}` : canonicalType(type);
+    })
+    .join(',');
+};
+
+const abiType = function (param) {
+  if (param.type.startsWith('tuple')) {
+    return `(${param.components.map(abiType).join(',')})${param.type.slice('tuple'.length)}`;
+  }
+  return canonicalType(param.type);
+};
+
+/**
+ * Returns the canonical signature of a function.
+ * @param fn The function signature or ABI fragment.
+ * @return The canonical signature, for example `'balanceOf(address,uint256)'`.
+ */
+const functionSignature = function (fn) {
+  if (typeof fn === 'string') {
+    const match = fn.replace(/\s/g, '').match(SignatureRegex);
+    assert(match !== null, `Invalid function signature '${fn}'`);
+    return `${match[1]}(${canonicalTypes(match[2])})`;
+  }
+  assert(fn !== null && typeof fn === 'object' && typeof fn.name === 'string', 'Invalid function fragment');
+  assert(fn.type === undefined || fn.type === 'function', `Not a function fragment: '${fn.name}' is of type '${fn.type}'`);
+  return `${fn.name}(${(fn.inputs || []).map(abiType).join(',')})`;
+};
+
+/**
+ * Returns the selector of a function, ie. the first 4 bytes of the keccak256 of its canonical signature.
+ * @param fn The function signature or ABI fragment.
+ * @return The selector, as a bytes4 hexadecimal string.
+ */
+const functionSelector = function (fn) {
+  return keccak256(functionSignature(fn)).slice(0, 10);
+};
+
+/**
+ * Computes an ERC165 interface identifier, ie. the XOR of the selectors of the interface functions.
+ * @dev Non-function fragments (events, constructor, fallback...) of a contract ABI are ignored.
+ * @param functions The interface functions, as signatures and/or ABI fragments.
+ * @return The interface identifier, as a bytes4 hexadecimal string.
+ */
+const makeInterfaceId = function (functions) {
+  const id = Buffer.alloc(4);
+  functions
+    .filter((fn) => typeof fn === 'string' || fn.type === undefined || fn.type === 'function')
+    .forEach((fn) => {
+      const selector = Buffer.from(functionSelector(fn).slice(2), 'hex');
+      for (let i = 0; i !== 4; ++i) {
+        id[i] ^= selector[i];
+      }
+    });
+  return `0x${id.toString('hex')}`;
+};
+
+module.exports = {
+  functionSignature,
+  functionSelector,
+  makeInterfaceId,
+};
@@ -0,0 +1,103 @@
+import BN = require("bn.js");
+import { NumberLike } from "../types";
+
+export declare const MaxNonFungibleMaskLength: 255;
+export declare const NonFungibleFlag: BN;
+export declare const IdTypes: {
+  Fungible: "Fungible";
+  NonFungibleCollection: "NonFungibleCollection";
+  NonFungibleToken: "NonFungibleToken";
+};
+export type IdType = typeof IdTypes[keyof typeof IdTypes];
+
+export interface ParsedFungibleId {
+  type: "Fungible";
+  id: string;
+  baseCollectionId: string;
+}
+
+export interface ParsedNonFungibleCollectionId {
+  type: "NonFungibleCollection";
+  id: string;
+  collectionId: string;
+  baseCollectionId: string;
+}
+
+export interface ParsedNonFungibleTokenId {
+  type: "NonFungibleToken";
+  id: string;
+  collectionId: string;
+  baseCollectionId: string;
+  baseTokenId: string;
+}
+
+export type ParsedId =
+  | ParsedFungibleId
+  | ParsedNonFungibleCollectionId
+  | ParsedNonFungibleTokenId;
+
+export declare function toBN(value: NumberLike): BN;
+
+// Introspection
+export declare function isFungible(id: NumberLike): boolean;
+export declare function isNonFungibleCollection(
+  id: NumberLike,
+  nfMaskLength: number
+): boolean;
+export declare function isNonFungibleToken(
+  id: NumberLike,
+  nfMaskLength: number
+): boolean;
+export declare function getIdType(id: NumberLike, nfMaskLength: number): IdType;
+export declare function parseId(
+  id: NumberLike,
+  nfMaskLength: number,
+  outputBase?: number
+): ParsedId;
+
+// Fungible Tokens
+export declare function maxFungibleBaseCollectionId(
+  outputBase?: number
+): string;
+export declare function makeFungibleCollectionId(
+  baseCollectionId: NumberLike,
+  outputBase?: number
+): string;
+
+// Non-Fungible Collections
+export declare function maxNonFungibleBaseCollectionId(
+  nfMaskLength: number,
+  outputBase?: number
+): string;
+export declare function makeNonFungibleCollectionId(
+  baseCollectionId: NumberLike,
+  nfMaskLength: number,
+  outputBase?: number
+): string;
+export declare function getNonFungibleCollectionId(
+  id: NumberLike,
+  nfMaskLength: number,
+  outputBase?: number
+): string;
+export declare function getNonFungibleBaseCollectionId(
+  id: NumberLike,
+  nfMaskLength: number,
+  outputBase?: number
+): string;
+
+// Non-Fungible Tokens
+export declare function maxNonFungibleBaseTokenId(
+  nfMaskLength: number,
+  outputBase?: number
+): string;
+export declare function makeNonFungibleTokenId(
+  baseTokenId: NumberLike,
+  baseCollectionId: NumberLike,
+  nfMaskLength: number,
+  outputBase?: number
+): string;
+export declare function getNonFungibleBaseTokenId(
+  id: NumberLike,
+  nfMaskLength: number,
+  outputBase?: number
+): string;
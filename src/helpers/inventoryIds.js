@@ -0,0 +1,234 @@
+const {BN, toBN: toWeb3BN} = require('web3-utils');
+const assert = require('assert');
+
+/**
+ * Inventory identifiers codec, mirroring `ERC1155InventoryIdentifiersLib`.
+ * With N the Non-Fungible Collection mask length, identifiers are represented as follow:
+ * (a) a Fungible Token:
+ *     - most significant bit == 0
+ * (b) a Non-Fungible Collection:
+ *     - most significant bit == 1
+ *     - (256-N) least significant bits == 0
+ * (c) a Non-Fungible Token:
+ *     - most significant bit == 1
+ *     - (256-N) least significant bits != 0
+ *
+ * Inputs can be given as BN, BigInt, number, decimal string or 0x-prefixed hexadecimal string.
+ * Outputs are string representations of the number values, in base `outputBase` (defaults to 10).
+ */
+
+const MaxNonFungibleMaskLength = 255;
+
+const NonFungibleFlag = new BN(1).shln(255);
+
+const MaxUInt256 = new BN(1).shln(256).subn(1);
+
+const IdTypes = {
+  Fungible: 'Fungible',
+  NonFungibleCollection: 'NonFungibleCollection',
+  NonFungibleToken: 'NonFungibleToken',
+};
+
+const makeMask = function (nbBits) {
+  return new BN(1).shln(nbBits).subn(1);
+};
+
+const toBN = function (value) {
+  if (BN.isBN(value)) {
+    return value.clone();
+  }
+  if (typeof value === 'bigint') {
+    value = value.toString(10);
+  }
+  if (typeof value === 'number') {
+    assert(Number.isSafeInteger(value), `unsafe integer: ${value}`);
+    value = value.toString(10);
+  }
+  assert(typeof value === 'string', `unsupported value type: ${typeof value}`);
+  assert(/^-?(0x[0-9a-fA-F]+|[0-9]+)$/.test(value), `invalid number: ${value}`);
+  return toWeb3BN(value);
+};
+
+const assertId = function (id) {
+  id = toBN(id);
+  assert(!id.isNeg(), 'id must not be negative');
+  assert(id.lte(MaxUInt256), 'id too big (more than 256 bits)');
+  return id;
+};
+
+const assertNfMaskLength = function (nfMaskLength) {
+  assert(
+    Number.isInteger(nfMaskLength) && nfMaskLength > 0 && nfMaskLength <= MaxNonFungibleMaskLength,
+    `nfMaskLength must be an integer between 1 and ${MaxNonFungibleMaskLength}`
+  );
+};
+
+const makeCollectionMask = function (nfMaskLength) {
+  assertNfMaskLength(nfMaskLength);
+  return makeMask(nfMaskLength).shln(256 - nfMaskLength);
+};
+
+const makeTokenMask = function (nfMaskLength) {
+  assertNfMaskLength(nfMaskLength);
+  return makeMask(256 - nfMaskLength);
+};
+
+// Introspection
+
+const isFungible = function (id) {
+  return assertId(id).and(NonFungibleFlag).isZero();
+};
+
+const isNonFungibleCollection = function (id, nfMaskLength) {
+  id = assertId(id);
+  return !id.and(NonFungibleFlag).isZero() && id.and(makeTokenMask(nfMaskLength)).isZero();
+};
+
+const isNonFungibleToken = function (id, nfMaskLength) {
+  id = assertId(id);
+  return !id.and(NonFungibleFlag).isZero() && !id.and(makeTokenMask(nfMaskLength)).isZero();
+};
+
+const getIdType = function (id, nfMaskLength) {
+  if (isFungible(id)) {
+    return IdTypes.Fungible;
+  }
+  return isNonFungibleToken(id, nfMaskLength) ? IdTypes.NonFungibleToken : IdTypes.NonFungibleCollection;
+};
+
+// Fungible Tokens
+
+const maxFungibleBaseCollectionId = function (outputBase = 10) {
+  return makeMask(255).toString(outputBase);
+};
+
+const makeFungibleCollectionId = function (baseCollectionId, outputBase = 10) {
+  baseCollectionId = toBN(baseCollectionId);
+  assert(!baseCollectionId.isNeg(), 'baseCollectionId must not be negative');
+  const max = makeMask(255);
+  assert(baseCollectionId.lte(max), `baseCollectionId is too big (max=${max.toString(outputBase)})`);
+  return baseCollectionId.toString(outputBase);
+};
+
+// Non-Fungible Collections
+
+// 1 bit is reserved for the non-fungible flag
+// If nfMaskLength == 1, baseCollectionId can be 0 only (0 bit to encode value)
+// If nfMaskLength == 2, baseCollectionId can be 0 or 1 (1 bit to encode value)
+const maxNonFungibleBaseCollectionId = function (nfMaskLength, outputBase = 10) {
+  assertNfMaskLength(nfMaskLength);
+  return makeMask(nfMaskLength - 1).toString(outputBase);
+};
+
+const makeNonFungibleCollectionId = function (baseCollectionId, nfMaskLength, outputBase = 10) {
+  assertNfMaskLength(nfMaskLength);
+  baseCollectionId = toBN(baseCollectionId);
+  assert(!baseCollectionId.isNeg(), 'baseCollectionId must not be negative');
+  const max = makeMask(nfMaskLength - 1);
+  assert(baseCollectionId.lte(max), `baseCollectionId is too big (max=${max.toString(outputBase)})`);
+  return baseCollectionId
+    .shln(256 - nfMaskLength)
+    .or(NonFungibleFlag)
+    .toString(outputBase);
+};
+
+const getNonFungibleCollectionId = function (id, nfMaskLength, outputBase = 10) {
+  assert(isNonFungibleToken(id, nfMaskLength), 'id must be a non-fungible token');
+  return toBN(id).and(makeCollectionMask(nfMaskLength)).toString(outputBase);
+};
+
+const getNonFungibleBaseCollectionId = function (id, nfMaskLength, outputBase = 10) {
+  id = assertId(id);
+  assert(!isFungible(id), 'id must have the non-fungible flag set');
+  return id
+    .and(makeCollectionMask(nfMaskLength))
+    .xor(NonFungibleFlag)
+    .shrn(256 - nfMaskLength)
+    .toString(outputBase);
+};
+
+// Non-Fungible Tokens
+
+const maxNonFungibleBaseTokenId = function (nfMaskLength, outputBase = 10) {
+  return makeTokenMask(nfMaskLength).toString(outputBase);
+};
+
+const makeNonFungibleTokenId = function (baseTokenId, baseCollectionId, nfMaskLength, outputBase = 10) {
+  baseTokenId = toBN(baseTokenId);
+  assert(!baseTokenId.isNeg(), 'baseTokenId must not be negative');
+  assert(!baseTokenId.isZero(), 'baseTokenId must not be 0');
+  const max = makeTokenMask(nfMaskLength);
+  assert(baseTokenId.lte(max), `baseTokenId is too big (max=${max.toString(outputBase)})`);
+  const collectionId = toBN(makeNonFungibleCollectionId(baseCollectionId, nfMaskLength));
+  return baseTokenId.or(collectionId).toString(outputBase);
+};
+
+const getNonFungibleBaseTokenId = function (id, nfMaskLength, outputBase = 10) {
+  assert(isNonFungibleToken(id, nfMaskLength), 'id must be a non-fungible token');
+  return toBN(id).and(makeTokenMask(nfMaskLength)).toString(outputBase);
+};
+
+// Parsing
+
+/**
+ * Parses an identifier into its components.
+ * @param id The identifier to parse.
+ * @param nfMaskLength The Non-Fungible Collection mask length.
+ * @param outputBase The base of the returned number values.
+ * @return An object with the `type` of the identifier (see `IdTypes`) and:
+ *  - for a Fungible Token: `id` and `baseCollectionId`,
+ *  - for a Non-Fungible Collection: `id`, `collectionId` and `baseCollectionId`,
+ *  - for a Non-Fungible Token: `id`, `collectionId`, `baseCollectionId` and `baseTokenId`.
+ */
+const parseId = function (id, nfMaskLength, outputBase = 10) {
+  id = assertId(id);
+  const type = getIdType(id, nfMaskLength);
+  switch (type) {
+    case IdTypes.Fungible:
+      return {
+        type,
+        id: id.toString(outputBase),
+        baseCollectionId: id.toString(outputBase),
+      };
+    case IdTypes.NonFungibleCollection:
+      return {
+        type,
+        id: id.toString(outputBase),
+        collectionId: id.toString(outputBase),
+        baseCollectionId: getNonFungibleBaseCollectionId(id, nfMaskLength, outputBase),
+      };
+    default:
+      return {
+        type,
+        id: id.toString(outputBase),
+        collectionId: getNonFungibleCollectionId(id, nfMaskLength, outputBase),
+        baseCollectionId: getNonFungibleBaseCollectionId(id, nfMaskLength, outputBase),
+        baseTokenId: getNonFungibleBaseTokenId(id, nfMaskLength, outputBase),
+      };
+  }
+};
+
+module.exports = {
+  MaxNonFungibleMaskLength,
+  NonFungibleFlag,
+  IdTypes,
+  toBN,
+
+  isFungible,
+  isNonFungibleCollection,
+  isNonFungibleToken,
+  getIdType,
+  parseId,
+
+  maxFungibleBaseCollectionId,
+  makeFungibleCollectionId,
+
+  maxNonFungibleBaseCollectionId,
+  makeNonFungibleCollectionId,
+  getNonFungibleCollectionId,
+  getNonFungibleBaseCollectionId,
+
+  maxNonFungibleBaseTokenId,
+  makeNonFungibleTokenId,
+  getNonFungibleBaseTokenId,
+};
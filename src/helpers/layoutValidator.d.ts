@@ -0,0 +1,30 @@
+import { Layout, NumberLike } from "../types";
+
+export declare const Errors: {
+  InconsistentArrays: "InvMeta: inconsistent arrays";
+  OverrideDefaultAttribute: "InvMeta: override default attr";
+  LengthIsZero: "UInt256Extract: length is zero";
+  OutOfBond: "UInt256Extract: out of bond";
+};
+export type LayoutError = typeof Errors[keyof typeof Errors];
+
+export declare const Warnings: {
+  OverlappingAttributes: "overlapping attributes";
+  ExceedingAttribute: "attribute exceeds 256 bits";
+  DuplicateName: "duplicate attribute name";
+  NonFungibleTokenId: "layout set on a non-fungible token id";
+};
+export type LayoutWarning = typeof Warnings[keyof typeof Warnings];
+
+export interface LayoutValidation {
+  valid: boolean;
+  revertReason: LayoutError | undefined;
+  errors: Array<{ message: LayoutError; attribute?: string }>;
+  warnings: Array<{ message: LayoutWarning; attributes: string[] }>;
+}
+
+export declare function validateLayout(
+  collectionId: NumberLike,
+  layout: Layout,
+  nfMaskLength: number
+): LayoutValidation;
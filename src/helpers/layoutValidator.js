@@ -0,0 +1,125 @@
+const {BN} = require('web3-utils');
+const {toBN, isFungible, isNonFungibleToken} = require('./inventoryIds');
+const {toPositions, makeDefaultFungibleLayout, makeDefaultNonFungibleLayout} = require('./bitsLayout');
+const {toBytes32Attribute, fromBytes32Attribute} = require('./bytes32Attributes');
+
+/**
+ * Off-chain validation of a collection layout before a call to `InventoryMetadata._setLayout()`.
+ *
+ * Errors are the conditions which make the transaction revert, reported in the order the contract checks them.
+ * Warnings are the conditions which the contract accepts but which are likely to be mistakes.
+ */
+
+const Errors = {
+  InconsistentArrays: 'InvMeta: inconsistent arrays',
+  OverrideDefaultAttribute: 'InvMeta: override default attr',
+  LengthIsZero: 'UInt256Extract: length is zero',
+  OutOfBond: 'UInt256Extract: out of bond',
+};
+
+const Warnings = {
+  OverlappingAttributes: 'overlapping attributes',
+  ExceedingAttribute: 'attribute exceeds 256 bits',
+  DuplicateName: 'duplicate attribute name',
+  NonFungibleTokenId: 'layout set on a non-fungible token id',
+};
+
+const MaxUInt256 = new BN(1).shln(256).subn(1);
+const Bytes32Regex = /^0x[0-9a-fA-F]{64}$/;
+
+const toName = function (name) {
+  return Bytes32Regex.test(name) ? fromBytes32Attribute(name) : name;
+};
+
+// Names are compared as the bytes32 values stored on-chain
+const toKey = function (name) {
+  return toBytes32Attribute(name)
+    .toLowerCase()
+    .replace(/(00)+$/, '');
+};
+
+const toRawPositions = function (layout) {
+  if (Array.isArray(layout)) {
+    return toPositions(layout).map(({name, length, index}) => ({name, length: new BN(length), index: new BN(index)}));
+  }
+  const {names, lengths, indices} = layout;
+  return names.map((name, i) => ({name: toName(name), length: toBN(lengths[i]), index: toBN(indices[i])}));
+};
+
+/**
+ * Validates a collection layout against the default layouts of `InventoryMetadata`.
+ * @param collectionId The identifier of the collection the layout is set for.
+ * @param layout The layout, in any of the forms supported by `bitsLayout`.
+ * @param nfMaskLength The Non-Fungible Collection mask length.
+ * @return An object with:
+ *  - `valid`: whether the call would succeed,
+ *  - `revertReason`: the expected revert message if the call would fail,
+ *  - `errors`: the list of `{message, attribute}` which would make the call revert,
+ *  - `warnings`: the list of `{message, attributes}` which the contract accepts.
+ */
+const validateLayout = function (collectionId, layout, nfMaskLength) {
+  const errors = [];
+  const warnings = [];
+
+  if (!Array.isArray(layout)) {
+    const size = layout.names.length;
+    if (layout.lengths.length !== size || layout.indices.length !== size) {
+      errors.push({message: Errors.InconsistentArrays});
+      return {valid: false, revertReason: Errors.InconsistentArrays, errors, warnings};
+    }
+  }
+
+  if (isNonFungibleToken(collectionId, nfMaskLength)) {
+    warnings.push({message: Warnings.NonFungibleTokenId, attributes: []});
+  }
+
+  const defaultLayout = isFungible(collectionId) ? makeDefaultFungibleLayout() : makeDefaultNonFungibleLayout(nfMaskLength);
+  const defaultKeys = defaultLayout.map((position) => toKey(position.name));
+
+  const positions = toRawPositions(layout);
+  const seen = {};
+  for (const {name, length, index} of positions) {
+    const key = toKey(name);
+    if (defaultKeys.includes(key)) {
+      errors.push({message: Errors.OverrideDefaultAttribute, attribute: name});
+    }
+    if (length.isZero()) {
+      errors.push({message: Errors.LengthIsZero, attribute: name});
+    } else {
+      // the contract computes `index + length` on 256 bits, an overflow bypasses the bounds check
+      const end = index.add(length);
+      if (end.lte(MaxUInt256) && end.gtn(256)) {
+        errors.push({message: Errors.OutOfBond, attribute: name});
+      } else if (end.gt(MaxUInt256)) {
+        warnings.push({message: Warnings.ExceedingAttribute, attributes: [name]});
+      }
+    }
+    if (seen[key]) {
+      warnings.push({message: Warnings.DuplicateName, attributes: [name]});
+    }
+    seen[key] = true;
+  }
+
+  for (let i = 0; i != positions.length; ++i) {
+    for (let j = i + 1; j != positions.length; ++j) {
+      const a = positions[i];
+      const b = positions[j];
+      if (a.index.lt(b.index.add(b.length)) && b.index.lt(a.index.add(a.length))) {
+        warnings.push({message: Warnings.OverlappingAttributes, attributes: [a.name, b.name]});
+      }
+    }
+  }
+
+  return {
+    valid: errors.length === 0,
+    revertReason: errors.length === 0 ? undefined : errors[0].message,
+    errors,
+    warnings,
+  };
+};
+
+module.exports = {
+  Errors,
+  Warnings,
+  validateLayout,
+};
@@ -0,0 +1,39 @@
+import * as constants from "./constants";
+import * as interfaces from "./interfaces/ERC165";
+import * as abiCoder from "./helpers/abiCoder";
+import * as bitsLayout from "./helpers/bitsLayout";
+import * as bytes32Attributes from "./helpers/bytes32Attributes";
+import * as interfaceDetection from "./helpers/interfaceDetection";
+import * as interfaceIds from "./helpers/interfaceIds";
+import * as inventoryIds from "./helpers/inventoryIds";
+import * as layoutValidator from "./helpers/layoutValidator";
+import * as client from "./client";
+import * as errors from "./errors";
+import * as indexer from "./indexer";
+import * as metadata from "./metadata";
+import * as model from "./model";
+import * as providers from "./providers";
+import * as snapshot from "./snapshot";
+import * as behaviors from "./behaviors";
+
+export * from "./types";
+
+export {
+  constants,
+  interfaces,
+  abiCoder,
+  bitsLayout,
+  bytes32Attributes,
+  interfaceDetection,
+  interfaceIds,
+  inventoryIds,
+  layoutValidator,
+  client,
+  errors,
+  indexer,
+  metadata,
+  model,
+  providers,
+  snapshot,
+  behaviors,
+};
@@ -1,9 +1,39 @@
 const constants = require('./constants');
 const interfaces = require('./interfaces/ERC165');
+const abiCoder = require('./helpers/abiCoder');
+const bitsLayout = require('./helpers/bitsLayout');
 const bytes32Attributes = require('./helpers/bytes32Attributes');
+const interfaceDetection = require('./helpers/interfaceDetection');
+const interfaceIds = require('./helpers/interfaceIds');
+const inventoryIds = require('./helpers/inventoryIds');
+const layoutValidator = require('./helpers/layoutValidator');
+const client = require('./client');
+const errors = require('./errors');
+const indexer = require('./indexer');
+const metadata = require('./metadata');
+const model = require('./model');
+const providers = require('./providers');
+const snapshot = require('./snapshot');
 
 module.exports = {
   constants,
   interfaces,
+  abiCoder,
+  bitsLayout,
   bytes32Attributes,
+  interfaceDetection,
+  interfaceIds,
+  inventoryIds,
+  layoutValidator,
+  client,
+  errors,
+  indexer,
+  metadata,
+  model,
+  providers,
+  snapshot,
+  // loaded on demand as the behaviors require the hardhat runtime environment
+  get behaviors() {
+    return require('./behaviors');
+  },
 };
@@ -0,0 +1,53 @@
+import { Address, BlockTag, NumberLike, ProviderLike, RawLog } from "../types";
+
+/** The state of an indexer as a plain object, numbers being decimal strings. */
+export interface IndexedState {
+  /** id => owner => balance */
+  balances: { [id: string]: { [owner: string]: string } };
+  /** id => supply */
+  supplies: { [id: string]: string };
+  /** nftId => owner */
+  owners: { [nftId: string]: Address };
+  /** The burnt non-fungible tokens. */
+  burnt: string[];
+  /** collectionId => creator */
+  creators: { [collectionId: string]: Address };
+  /** owner => approved operators */
+  operators: { [owner: string]: Address[] };
+}
+
+export declare class InventoryIndexer {
+  constructor(options?: { nfMaskLength?: number });
+
+  nfMaskLength: number;
+  /** The number of the last block applied. */
+  lastBlock: number | undefined;
+
+  // Indexing
+  applyLogs(
+    logs: RawLog[],
+    senders?: { [transactionHash: string]: Address }
+  ): void;
+
+  // Reads
+  balanceOf(owner: Address, id: NumberLike): string;
+  nftBalanceOf(owner: Address): string;
+  ownerOf(nftId: NumberLike): Address | undefined;
+  isBurnt(nftId: NumberLike): boolean;
+  totalSupply(id: NumberLike): string;
+  creator(collectionId: NumberLike): Address | undefined;
+  isApprovedForAll(owner: Address, operator: Address): boolean;
+  getApproved(nftId: NumberLike): Address;
+  toJSON(): IndexedState;
+}
+
+export declare function indexInventory(
+  provider: ProviderLike,
+  address: Address,
+  options?: {
+    fromBlock?: BlockTag;
+    toBlock?: BlockTag;
+    indexer?: InventoryIndexer;
+    nfMaskLength?: number;
+  }
+): Promise<InventoryIndexer>;
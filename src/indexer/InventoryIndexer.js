@@ -0,0 +1,292 @@
+const {BN} = require('web3-utils');
+const {DefaultNFMaskLength} = require('../constants');
+const {toBN, isNonFungibleToken, getNonFungibleCollectionId} = require('../helpers/inventoryIds');
+const {toProvider} = require('../providers');
+const {EventTopics, decodeLog} = require('./events');
+
+/**
+ * Off-chain reconstruction of the state of an `ERC1155Inventory` or `ERC1155721Inventory` from its logs.
+ *
+ * `ERC1155721Inventory` emits both an ERC721 `Transfer` and an ERC1155 `TransferSingle` or `TransferBatch`
+ * for each non-fungible token movement. Within a transaction, each `Transfer` matching an ERC1155 movement
+ * of the same token between the same addresses is discarded, so that each movement is applied once.
+ * Unmatched `Transfer` events are applied as non-fungible token movements.
+ */
+
+const ZeroAddress = '0x0000000000000000000000000000000000000000';
+
+const compareLogs = function (a, b) {
+  return Number(a.blockNumber) - Number(b.blockNumber) || Number(a.logIndex) - Number(b.logIndex);
+};
+
+const movementKey = function (from, to, id) {
+  return `${from}:${to}:${id}`;
+};
+
+class InventoryIndexer {
+  /**
+   * @param options An object with the optional fields:
+   *  - `nfMaskLength`: the Non-Fungible Collection mask length, defaults to `DefaultNFMaskLength`.
+   */
+  constructor({nfMaskLength = DefaultNFMaskLength} = {}) {
+    this.nfMaskLength = nfMaskLength;
+    this.balances = {}; // id => owner => BN
+    this.supplies = {}; // id => BN
+    this.owners = {}; // nftId => owner, ZeroAddress for a burnt token
+    this.creators = {}; // collectionId => creator
+    this.collections = {}; // collectionId => fungible
+    this.operators = {}; // owner => operator => approved
+    this.approvals = {}; // nftId => approved
+    this.lastBlock = undefined;
+  }
+
+  //================================== Indexing =======================================/
+
+  /**
+   * Applies a list of raw logs of the inventory to the state.
+   * @dev Logs are sorted by block number and log index. Removed logs are ignored.
+   * @param logs The raw logs.
+   * @param senders An optional object mapping transaction hashes to their senders, used as collections creators.
+   */
+  applyLogs(logs, senders = {}) {
+    const sorted = logs.filter((log) => !log.removed).sort(compareLogs);
+    let i = 0;
+    while (i !== sorted.length) {
+      const transactionHash = sorted[i].transactionHash;
+      let j = i;
+      while (j !== sorted.length && sorted[j].transactionHash === transactionHash) {
+        ++j;
+      }
+      this._applyTransaction(sorted.slice(i, j), senders[transactionHash]);
+      this.lastBlock = Number(sorted[j - 1].blockNumber);
+      i = j;
+    }
+  }
+
+  _applyTransaction(logs, sender) {
+    const events = logs.map(decodeLog).filter((event) => event !== undefined);
+
+    // ERC1155 movements of non-fungible tokens, to be matched with the ERC721 Transfer events
+    const movements = {};
+    for (const event of events) {
+      const ids = event.event === 'TransferSingle' ? [event.id] : event.event === 'TransferBatch' ? event.ids : [];
+      for (const id of ids) {
+        if (isNonFungibleToken(id, this.nfMaskLength)) {
+          const key = movementKey(event.from, event.to, id);
+          movements[key] = (movements[key] || 0) + 1;
+        }
+      }
+    }
+
+    for (const event of events) {
+      switch (event.event) {
+        case 'TransferSingle':
+          this._transfer(event.from, event.to, event.id, event.value);
+          break;
+        case 'TransferBatch':
+          event.ids.forEach((id, k) => this._transfer(event.from, event.to, id, event.values[k]));
+          break;
+        case 'Transfer': {
+          const key = movementKey(event.from, event.to, event.tokenId);
+          if (movements[key]) {
+            --movements[key];
+          } else {
+            this._transfer(event.from, event.to, event.tokenId, '1');
+          }
+          break;
+        }
+        case 'Approval':
+          this.approvals[event.tokenId] = event.approved;
+          break;
+        case 'ApprovalForAll':
+          this.operators[event.owner] = this.operators[event.owner] || {};
+          this.operators[event.owner][event.operator] = event.approved;
+          break;
+        case 'CollectionCreated':
+          this.collections[event.collectionId] = event.fungible;
+          this.creators[event.collectionId] = sender;
+          break;
+      }
+    }
+  }
+
+  _add(mapping, id, owner, value) {
+    mapping[id] = mapping[id] || {};
+    mapping[id][owner] = (mapping[id][owner] || new BN(0)).add(value);
+  }
+
+  _transfer(from, to, id, value) {
+    const amount = toBN(value);
+    const ids = [id];
+    if (isNonFungibleToken(id, this.nfMaskLength)) {
+      ids.push(getNonFungibleCollectionId(id, this.nfMaskLength));
+      this.owners[id] = to;
+      delete this.approvals[id];
+    }
+    for (const key of ids) {
+      if (from === ZeroAddress) {
+        this.supplies[key] = (this.supplies[key] || new BN(0)).add(amount);
+      } else {
+        this._add(this.balances, key, from, amount.neg());
+      }
+      if (to === ZeroAddress) {
+        this.supplies[key] = (this.supplies[key] || new BN(0)).sub(amount);
+      } else {
+        this._add(this.balances, key, to, amount);
+      }
+    }
+  }
+
+  //================================== State =======================================/
+
+  /**
+   * Returns the balance of an owner, as `balanceOf(address,uint256)`.
+   * @param owner The owner address.
+   * @param id The token or collection identifier.
+   * @return The balance, as a decimal string.
+   */
+  balanceOf(owner, id) {
+    const balances = this.balances[toBN(id).toString()] || {};
+    return (balances[owner] || new BN(0)).toString();
+  }
+
+  /**
+   * Returns the number of non-fungible tokens of an owner, as the ERC721 `balanceOf(address)`.
+   * @param owner The owner address.
+   * @return The balance, as a decimal string.
+   */
+  nftBalanceOf(owner) {
+    return Object.values(this.owners)
+      .filter((tokenOwner) => tokenOwner === owner)
+      .length.toString();
+  }
+
+  /**
+   * Returns the owner of a non-fungible token.
+   * @param nftId The non-fungible token identifier.
+   * @return The owner address, or `undefined` if the token does not exist or has been burnt.
+   */
+  ownerOf(nftId) {
+    const owner = this.owners[toBN(nftId).toString()];
+    return owner === ZeroAddress ? undefined : owner;
+  }
+
+  /**
+   * Returns whether a non-fungible token has been burnt.
+   * @param nftId The non-fungible token identifier.
+   * @return Whether the token has been burnt.
+   */
+  isBurnt(nftId) {
+    return this.owners[toBN(nftId).toString()] === ZeroAddress;
+  }
+
+  /**
+   * Returns the total supply, as `totalSupply(uint256)`.
+   * @param id The token or collection identifier.
+   * @return The supply, as a decimal string.
+   */
+  totalSupply(id) {
+    return (this.supplies[toBN(id).toString()] || new BN(0)).toString();
+  }
+
+  /**
+   * Returns the creator of a collection, ie. the sender of the transaction which created it.
+   * @param collectionId The collection identifier.
+   * @return The creator address, or `undefined` if unknown.
+   */
+  creator(collectionId) {
+    return this.creators[toBN(collectionId).toString()];
+  }
+
+  /**
+   * Returns whether an operator is approved for all the tokens of an owner.
+   * @param owner The owner address.
+   * @param operator The operator address.
+   * @return Whether the operator is approved.
+   */
+  isApprovedForAll(owner, operator) {
+    return !!(this.operators[owner] && this.operators[owner][operator]);
+  }
+
+  /**
+   * Returns the approved address of a non-fungible token, as the ERC721 `getApproved(uint256)`.
+   * @param nftId The non-fungible token identifier.
+   * @return The approved address.
+   */
+  getApproved(nftId) {
+    return this.approvals[toBN(nftId).toString()] || ZeroAddress;
+  }
+
+  /**
+   * Returns the state as a plain object, with sorted keys and without zero balances.
+   * @return An object with `balances` (id => owner => balance), `supplies`, `owners`, `burnt`, `creators` and `operators`.
+   */
+  toJSON() {
+    const sortIds = (ids) => ids.sort((a, b) => new BN(a).cmp(new BN(b)));
+    const balances = {};
+    for (const id of sortIds(Object.keys(this.balances))) {
+      for (const owner of Object.keys(this.balances[id]).sort()) {
+        if (!this.balances[id][owner].isZero()) {
+          balances[id] = balances[id] || {};
+          balances[id][owner] = this.balances[id][owner].toString();
+        }
+      }
+    }
+    const supplies = {};
+    for (const id of sortIds(Object.keys(this.supplies))) {
+      supplies[id] = this.supplies[id].toString();
+    }
+    const owners = {};
+    const burnt = [];
+    for (const id of sortIds(Object.keys(this.owners))) {
+      if (this.owners[id] === ZeroAddress) {
+        burnt.push(id);
+      } else {
+        owners[id] = this.owners[id];
+      }
+    }
+    const creators = {};
+    for (const id of sortIds(Object.keys(this.creators))) {
+      creators[id] = this.creators[id];
+    }
+    const operators = {};
+    for (const owner of Object.keys(this.operators).sort()) {
+      const approved = Object.keys(this.operators[owner])
+        .filter((operator) => this.operators[owner][operator])
+        .sort();
+      if (approved.length !== 0) {
+        operators[owner] = approved;
+      }
+    }
+    return {balances, supplies, owners, burnt, creators, operators};
+  }
+}
+
+/**
+ * Fetches the logs of an inventory and indexes them.
+ * @param provider The provider, any of the providers supported by `src/providers`.
+ * @param address The inventory contract address.
+ * @param options An object with the optional fields:
+ *  - `fromBlock` (defaults to 0) and `toBlock` (defaults to 'latest'): the range of blocks to index,
+ *  - `indexer`: an existing indexer to update, a new one is created by default,
+ *  - `nfMaskLength`: the Non-Fungible Collection mask length of a new indexer.
+ * @return The indexer.
+ */
+const indexInventory = async function (provider, address, {fromBlock = 0, toBlock = 'latest', indexer, nfMaskLength} = {}) {
+  provider = toProvider(provider);
+  indexer = indexer || new InventoryIndexer({nfMaskLength});
+  const logs = await provider.getLogs({address, fromBlock, toBlock});
+  const senders = {};
+  for (const log of logs) {
+    if (log.topics[0] === EventTopics.CollectionCreated && senders[log.transactionHash] === undefined) {
+      senders[log.transactionHash] = (await provider.getTransaction(log.transactionHash)).from;
+    }
+  }
+  indexer.applyLogs(logs, senders);
+  return indexer;
+};
+
+module.exports = {
+  InventoryIndexer,
+  indexInventory,
+};
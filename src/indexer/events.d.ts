@@ -0,0 +1,72 @@
+import { Address, RawLog } from "../types";
+
+export declare const EventSignatures: {
+  TransferSingle: "TransferSingle(address,address,address,uint256,uint256)";
+  TransferBatch: "TransferBatch(address,address,address,uint256[],uint256[])";
+  Transfer: "Transfer(address,address,uint256)";
+  Approval: "Approval(address,address,uint256)";
+  ApprovalForAll: "ApprovalForAll(address,address,bool)";
+  CollectionCreated: "CollectionCreated(uint256,bool)";
+  URI: "URI(string,uint256)";
+};
+
+export declare const EventTopics: {
+  [Event in keyof typeof EventSignatures]: string;
+};
+
+export interface TransferSingleEvent {
+  event: "TransferSingle";
+  operator: Address;
+  from: Address;
+  to: Address;
+  id: string;
+  value: string;
+}
+
+export interface TransferBatchEvent {
+  event: "TransferBatch";
+  operator: Address;
+  from: Address;
+  to: Address;
+  ids: string[];
+  values: string[];
+}
+
+export interface TransferEvent {
+  event: "Transfer";
+  from: Address;
+  to: Address;
+  tokenId: string;
+}
+
+export interface ApprovalEvent {
+  event: "Approval";
+  owner: Address;
+  approved: Address;
+  tokenId: string;
+}
+
+export interface ApprovalForAllEvent {
+  event: "ApprovalForAll";
+  owner: Address;
+  operator: Address;
+  approved: boolean;
+}
+
+export interface CollectionCreatedEvent {
+  event: "CollectionCreated";
+  collectionId: string;
+  fungible: boolean;
+}
+
+export type InventoryEvent =
+  | TransferSingleEvent
+  | TransferBatchEvent
+  | TransferEvent
+  | ApprovalEvent
+  | ApprovalForAllEvent
+  | CollectionCreatedEvent;
+
+export declare function decodeLog(
+  log: Pick<RawLog, "topics" | "data">
+): InventoryEvent | undefined;
@@ -0,0 +1,120 @@
+const {keccak256, toBN, toChecksumAddress} = require('web3-utils');
+
+/**
+ * Decoding of the raw logs emitted by the inventory contracts.
+ *
+ * A raw log is an object `{address, topics, data, blockNumber, transactionHash, logIndex}`
+ * as returned by `eth_getLogs`. Decoded events are `{event, ...args}` objects with addresses
+ * as checksummed strings and numbers as decimal strings.
+ */
+
+const EventSignatures = {
+  TransferSingle: 'TransferSingle(address,address,address,uint256,uint256)',
+  TransferBatch: 'TransferBatch(address,address,address,uint256[],uint256[])',
+  Transfer: 'Transfer(address,address,uint256)',
+  Approval: 'Approval(address,address,uint256)',
+  ApprovalForAll: 'ApprovalForAll(address,address,bool)',
+  CollectionCreated: 'CollectionCreated(uint256,bool)',
+  URI: 'URI(string,uint256)',
+};
+
+const EventTopics = {};
+Object.entries(EventSignatures).forEach(([event, signature]) => {
+  EventTopics[event] = keccak256(signature);
+});
+
+const toAddress = function (word) {
+  return toChecksumAddress(`0x${word.slice(-40)}`);
+};
+
+const toUint = function (word) {
+  return toBN(`0x${word}`).toString(10);
+};
+
+// Splits the data of a log into 32-byte hexadecimal words
+const toWords = function (data) {
+  const hex = data.slice(2);
+  const words = [];
+  for (let i = 0; i < hex.length; i += 64) {
+    words.push(hex.slice(i, i + 64));
+  }
+  return words;
+};
+
+const decodeUintArray = function (words, offsetWord) {
+  const start = toBN(`0x${offsetWord}`).toNumber() / 32;
+  const length = toBN(`0x${words[start]}`).toNumber();
+  return words.slice(start + 1, start + 1 + length).map(toUint);
+};
+
+/**
+ * Decodes a raw log.
+ * @dev ERC20-like `Transfer` events, with a non-indexed value, are not decoded.
+ * @param log The raw log.
+ * @return The decoded event, or `undefined` if the log is not an inventory event.
+ */
+const decodeLog = function (log) {
+  const [topic, ...indexed] = log.topics;
+  const words = toWords(log.data);
+  switch (topic) {
+    case EventTopics.TransferSingle:
+      return {
+        event: 'TransferSingle',
+        operator: toAddress(indexed[0]),
+        from: toAddress(indexed[1]),
+        to: toAddress(indexed[2]),
+        id: toUint(words[0]),
+        value: toUint(words[1]),
+      };
+    case EventTopics.TransferBatch:
+      return {
+        event: 'TransferBatch',
+        operator: toAddress(indexed[0]),
+        from: toAddress(indexed[1]),
+        to: toAddress(indexed[2]),
+        ids: decodeUintArray(words, words[0]),
+        values: decodeUintArray(words, words[1]),
+      };
+    case EventTopics.Transfer:
+      if (indexed.length !== 3) {
+        return undefined;
+      }
+      return {
+        event: 'Transfer',
+        from: toAddress(indexed[0]),
+        to: toAddress(indexed[1]),
+        tokenId: toUint(indexed[2].slice(2)),
+      };
+    case EventTopics.Approval:
+      if (indexed.length !== 3) {
+        return undefined;
+      }
+      return {
+        event: 'Approval',
+        owner: toAddress(indexed[0]),
+        approved: toAddress(indexed[1]),
+        tokenId: toUint(indexed[2].slice(2)),
+      };
+    case EventTopics.ApprovalForAll:
+      return {
+        event: 'ApprovalForAll',
+        owner: toAddress(indexed[0]),
+        operator: toAddress(indexed[1]),
+        approved: !toBN(`0x${words[0]}`).isZero(),
+      };
+    case EventTopics.CollectionCreated:
+      return {
+        event: 'CollectionCreated',
+        collectionId: toUint(indexed[0].slice(2)),
+        fungible: !toBN(indexed[1]).isZero(),
+      };
+    default:
+      return undefined;
+  }
+};
+
+module.exports = {
+  EventSignatures,
+  EventTopics,
+  decodeLog,
+};
@@ -0,0 +1,8 @@
+const events = require('./events');
+const {InventoryIndexer, indexInventory} = require('./InventoryIndexer');
+
+module.exports = {
+  ...events,
+  InventoryIndexer,
+  indexInventory,
+};
@@ -0,0 +1,39 @@
+import { ERC165Interface } from "../../types";
+
+export declare const ERC1155: ERC165Interface<"ERC1155", "0xd9b67a26">;
+export declare const ERC1155AssetCollections_Experimental: ERC165Interface<
+  "ERC1155AssetCollections",
+  "0x469bd23f"
+>;
+export declare const ERC1155Inventory_Experimental: ERC165Interface<
+  "ERC1155Inventory",
+  "0xb44bec7f"
+>;
+export declare const ERC1155InventoryCreator_Experimental: ERC165Interface<
+  "ERC1155InventoryCreator_Experimental",
+  "0x510b5158"
+>;
+export declare const ERC1155InventoryMintable_Experimental: ERC165Interface<
+  "ERC1155InventoryMintable_Experimental",
+  "0x5190c92c"
+>;
+export declare const ERC1155InventoryBurnable_Experimental: ERC165Interface<
+  "ERC1155InventoryBurnable_Experimental",
+  "0x921ed8d1"
+>;
+export declare const ERC1155InventoryEnumerableCollections_Experimental: ERC165Interface<
+  "ERC1155InventoryEnumerableCollections_Experimental",
+  "0xc70eb53a"
+>;
+export declare const ERC1155MetadataURI: ERC165Interface<
+  "ERC1155MetadataURI",
+  "0x0e89341c"
+>;
+export declare const ERC1155TokenReceiver: ERC165Interface<
+  "ERC1155TokenReceiver",
+  "0x4e2312e0"
+>;
+export declare const ERC____NextTokenStandard_Experimental: ERC165Interface<
+  "ERC____NextTokenStandard_Experimental",
+  "0x991ad735"
+>;
@@ -1,4 +1,4 @@
-const {makeInterfaceId} = require('@openzeppelin/test-helpers');
+const {makeInterfaceId} = require('../../helpers/interfaceIds');
 
 const ERC1155_Functions = [
   'safeTransferFrom(address,address,uint256,uint256,bytes)',
@@ -13,6 +13,17 @@ const ERC1155AssetCollections_Functions = ['isFungible(uint256)', 'collectionOf(
 
 const ERC1155Inventory_Functions = ['isFungible(uint256)', 'collectionOf(uint256)', 'ownerOf(uint256)', 'totalSupply(uint256)'];
 
+const ERC1155InventoryCreator_Functions = ['creator(uint256)'];
+
+const ERC1155InventoryMintable_Functions = ['safeMint(address,uint256,uint256,bytes)', 'safeBatchMint(address,uint256[],uint256[],bytes)'];
+
+const ERC1155InventoryBurnable_Functions = ['burnFrom(address,uint256,uint256)', 'batchBurnFrom(address,uint256[],uint256[])'];
+
+const ERC1155InventoryEnumerableCollections_Functions = [
+  'tokensOfCollection(uint256,uint256,uint256)',
+  'tokensOfOwnerInCollection(address,uint256,uint256,uint256)',
+];
+
 const ERC1155MetadataURI_Functions = ['uri(uint256)'];
 
 const ERC1155TokenReceiver_Functions = [
@@ -20,34 +31,77 @@ const ERC1155TokenReceiver_Functions = [
   'onERC1155BatchReceived(address,address,uint256[],uint256[],bytes)',
 ];
 
+const ERC____NextTokenStandard_Functions = [
+  'setApprovalForAllBatch(address[],bool[])',
+  'isApprovedForAllBatch(address[],address[])',
+  'safeTransferFrom(address,address,uint256,uint256,bytes)',
+  'safeBatchTransferFrom(address,address,uint256[],uint256[],bytes)',
+  'safeBatchOperatorTransferFrom(address[],address[],uint256[],uint256[],bytes)',
+  'totalSupplyBatch(uint256[])',
+  'balanceOfBatch(address[],uint256[])',
+  'ownerOfBatch(uint256[])',
+  'isFungibleBatch(uint256[])',
+  'collectionOfBatch(uint256[])',
+];
+
 module.exports = {
   ERC1155: {
     name: 'ERC1155',
     functions: ERC1155_Functions,
-    id: makeInterfaceId.ERC165(ERC1155_Functions),
+    id: makeInterfaceId(ERC1155_Functions),
   }, // 0xd9b67a26
 
   ERC1155AssetCollections_Experimental: {
     name: 'ERC1155AssetCollections',
     functions: ERC1155AssetCollections_Functions,
-    id: makeInterfaceId.ERC165(ERC1155AssetCollections_Functions),
+    id: makeInterfaceId(ERC1155AssetCollections_Functions),
   }, // 0x469bd23f
 
   ERC1155Inventory_Experimental: {
     name: 'ERC1155Inventory',
     functions: ERC1155Inventory_Functions,
-    id: makeInterfaceId.ERC165(ERC1155Inventory_Functions),
-  }, //
+    id: makeInterfaceId(ERC1155Inventory_Functions),
+  }, // 0xb44bec7f
+
+  ERC1155InventoryCreator_Experimental: {
+    name: 'ERC1155InventoryCreator_Experimental',
+    functions: ERC1155InventoryCreator_Functions,
+    id: makeInterfaceId(ERC1155InventoryCreator_Functions),
+  }, // 0x510b5158
+
+  ERC1155InventoryMintable_Experimental: {
+    name: 'ERC1155InventoryMintable_Experimental',
+    functions: ERC1155InventoryMintable_Functions,
+    id: makeInterfaceId(ERC1155InventoryMintable_Functions),
+  }, // 0x5190c92c
+
+  ERC1155InventoryBurnable_Experimental: {
+    name: 'ERC1155InventoryBurnable_Experimental',
+    functions: ERC1155InventoryBurnable_Functions,
+    id: makeInterfaceId(ERC1155InventoryBurnable_Functions),
+  }, // 0x921ed8d1
+
+  ERC1155InventoryEnumerableCollections_Experimental: {
+    name: 'ERC1155InventoryEnumerableCollections_Experimental',
+    functions: ERC1155InventoryEnumerableCollections_Functions,
+    id: makeInterfaceId(ERC1155InventoryEnumerableCollections_Functions),
+  }, // 0xc70eb53a
 
   ERC1155MetadataURI: {
     name: 'ERC1155MetadataURI',
     functions: ERC1155MetadataURI_Functions,
-    id: makeInterfaceId.ERC165(ERC1155MetadataURI_Functions),
+    id: makeInterfaceId(ERC1155MetadataURI_Functions),
   }, // 0x0e89341c
 
   ERC1155TokenReceiver: {
     name: 'ERC1155TokenReceiver',
     functions: ERC1155TokenReceiver_Functions,
-    id: makeInterfaceId.ERC165(ERC1155TokenReceiver_Functions),
+    id: makeInterfaceId(ERC1155TokenReceiver_Functions),
   }, // 0x4e2312e0
+
+  ERC____NextTokenStandard_Experimental: {
+    name: 'ERC____NextTokenStandard_Experimental',
+    functions: ERC____NextTokenStandard_Functions,
+    id: makeInterfaceId(ERC____NextTokenStandard_Functions),
+  }, // 0x991ad735
 };
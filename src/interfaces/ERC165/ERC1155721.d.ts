@@ -0,0 +1,14 @@
+import { ERC165Interface } from "../../types";
+
+export declare const ERC1155721BatchTransfer_Experimental: ERC165Interface<
+  "ERC1155721BatchTransfer_Experimental",
+  "0xf3993d11"
+>;
+export declare const ERC1155721InventoryMintable_Experimental: ERC165Interface<
+  "ERC1155721InventoryMintable_Experimental",
+  "0xdfe7f73f"
+>;
+export declare const ERC1155721InventoryBurnable_Experimental: ERC165Interface<
+  "ERC1155721InventoryBurnable_Experimental",
+  "0x6059f1b4"
+>;
@@ -0,0 +1,38 @@
+const {makeInterfaceId} = require('../../helpers/interfaceIds');
+
+// IERC1155721BatchTransfer only overrides the documentation of IERC721BatchTransfer
+const ERC1155721BatchTransfer_Functions = ['batchTransferFrom(address,address,uint256[])'];
+
+const ERC1155721InventoryMintable_Functions = [
+  'safeMint(address,uint256,uint256,bytes)',
+  'safeBatchMint(address,uint256[],uint256[],bytes)',
+  'mint(address,uint256)',
+  'batchMint(address,uint256[])',
+  'safeMint(address,uint256,bytes)',
+];
+
+const ERC1155721InventoryBurnable_Functions = [
+  'burnFrom(address,uint256,uint256)',
+  'batchBurnFrom(address,uint256[],uint256[])',
+  'batchBurnFrom(address,uint256[])',
+];
+
+module.exports = {
+  ERC1155721BatchTransfer_Experimental: {
+    name: 'ERC1155721BatchTransfer_Experimental',
+    functions: ERC1155721BatchTransfer_Functions,
+    id: makeInterfaceId(ERC1155721BatchTransfer_Functions),
+  }, // 0xf3993d11
+
+  ERC1155721InventoryMintable_Experimental: {
+    name: 'ERC1155721InventoryMintable_Experimental',
+    functions: ERC1155721InventoryMintable_Functions,
+    id: makeInterfaceId(ERC1155721InventoryMintable_Functions),
+  }, // 0xdfe7f73f
+
+  ERC1155721InventoryBurnable_Experimental: {
+    name: 'ERC1155721InventoryBurnable_Experimental',
+    functions: ERC1155721InventoryBurnable_Functions,
+    id: makeInterfaceId(ERC1155721InventoryBurnable_Functions),
+  }, // 0x6059f1b4
+};
@@ -0,0 +1,31 @@
+import { ERC165Interface } from "../../types";
+
+export declare const ERC721: ERC165Interface<"ERC721", "0x80ac58cd">;
+export declare const ERC721Metadata: ERC165Interface<
+  "ERC721Metadata",
+  "0x5b5e139f"
+>;
+export declare const ERC721Enumerable: ERC165Interface<
+  "ERC721Enumerable",
+  "0x780e9d63"
+>;
+export declare const ERC721Exists_Experimental: ERC165Interface<
+  "ERC721Exists_Experimental",
+  "0x4f558e79"
+>;
+export declare const ERC721BatchTransfer_Experimental: ERC165Interface<
+  "ERC721BatchTransfer_Experimental",
+  "0xf3993d11"
+>;
+export declare const ERC721Mintable_Experimental: ERC165Interface<
+  "ERC721Mintable_Experimental",
+  "0x8e773e13"
+>;
+export declare const ERC721Burnable_Experimental: ERC165Interface<
+  "ERC721Burnable_Experimental",
+  "0x8b8b4ef5"
+>;
+export declare const ERC721Receiver: ERC165Interface<
+  "ERC721Receiver",
+  "0x150b7a02"
+>;
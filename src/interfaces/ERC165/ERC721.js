@@ -1,4 +1,4 @@
-const {makeInterfaceId} = require('@openzeppelin/test-helpers');
+const {makeInterfaceId} = require('../../helpers/interfaceIds');
 
 const ERC721_Functions = [
   'balanceOf(address)',
@@ -18,36 +18,60 @@ const ERC721Enumerable_Functions = ['totalSupply()', 'tokenOfOwnerByIndex(addres
 
 const ERC721Exists_Functions = ['exists(uint256)'];
 
+const ERC721BatchTransfer_Functions = ['batchTransferFrom(address,address,uint256[])'];
+
+const ERC721Mintable_Functions = ['mint(address,uint256)', 'batchMint(address,uint256[])', 'safeMint(address,uint256,bytes)'];
+
+const ERC721Burnable_Functions = ['burnFrom(address,uint256)', 'batchBurnFrom(address,uint256[])'];
+
 const ERC721Receiver_Functions = ['onERC721Received(address,address,uint256,bytes)'];
 
 module.exports = {
   ERC721: {
     name: 'ERC721',
     functions: ERC721_Functions,
-    id: makeInterfaceId.ERC165(ERC721_Functions),
+    id: makeInterfaceId(ERC721_Functions),
   }, // '0x80ac58cd'
 
   ERC721Metadata: {
     name: 'ERC721Metadata',
     functions: ERC721Metadata_Functions,
-    id: makeInterfaceId.ERC165(ERC721Metadata_Functions),
+    id: makeInterfaceId(ERC721Metadata_Functions),
   }, // 0x5b5e139f
 
   ERC721Enumerable: {
     name: 'ERC721Enumerable',
     functions: ERC721Enumerable_Functions,
-    id: makeInterfaceId.ERC165(ERC721Enumerable_Functions),
+    id: makeInterfaceId(ERC721Enumerable_Functions),
   }, // 0x780e9d63
 
   ERC721Exists_Experimental: {
     name: 'ERC721Exists_Experimental',
     functions: ERC721Exists_Functions,
-    id: makeInterfaceId.ERC165(ERC721Exists_Functions),
+    id: makeInterfaceId(ERC721Exists_Functions),
   }, // 0x4f558e79
 
+  ERC721BatchTransfer_Experimental: {
+    name: 'ERC721BatchTransfer_Experimental',
+    functions: ERC721BatchTransfer_Functions,
+    id: makeInterfaceId(ERC721BatchTransfer_Functions),
+  }, // 0xf3993d11
+
+  ERC721Mintable_Experimental: {
+    name: 'ERC721Mintable_Experimental',
+    functions: ERC721Mintable_Functions,
+    id: makeInterfaceId(ERC721Mintable_Functions),
+  }, // 0x8e773e13
+
+  ERC721Burnable_Experimental: {
+    name: 'ERC721Burnable_Experimental',
+    functions: ERC721Burnable_Functions,
+    id: makeInterfaceId(ERC721Burnable_Functions),
+  }, // 0x8b8b4ef5
+
   ERC721Receiver: {
     name: 'ERC721Receiver',
     functions: ERC721Receiver_Functions,
-    id: makeInterfaceId.ERC165(ERC721Receiver_Functions),
+    id: makeInterfaceId(ERC721Receiver_Functions),
   }, // 0x150b7a02
 };
@@ -0,0 +1,14 @@
+import { ERC165Interface } from "../../types";
+
+export declare const CoreMetadataDelegator: ERC165Interface<
+  "CoreMetadataDelegator",
+  "0x99359bbe"
+>;
+export declare const CoreMetadata: ERC165Interface<
+  "CoreMetadata",
+  "0x8ee235ae"
+>;
+export declare const InventoryMetadata: ERC165Interface<
+  "InventoryMetadata",
+  "0xe00eaedc"
+>;
@@ -1,4 +1,4 @@
-const {makeInterfaceId} = require('@openzeppelin/test-helpers');
+const {makeInterfaceId} = require('../../helpers/interfaceIds');
 
 const CoreMetadataDelegator_Functions = ['coreMetadataImplementer()'];
 
@@ -10,16 +10,16 @@ module.exports = {
   CoreMetadataDelegator: {
     name: 'CoreMetadataDelegator',
     functions: CoreMetadataDelegator_Functions,
-    id: makeInterfaceId.ERC165(CoreMetadataDelegator_Functions),
+    id: makeInterfaceId(CoreMetadataDelegator_Functions),
   }, // 0x99359bbe
   CoreMetadata: {
     name: 'CoreMetadata',
     functions: CoreMetadata_Functions,
-    id: makeInterfaceId.ERC165(CoreMetadata_Functions),
+    id: makeInterfaceId(CoreMetadata_Functions),
   }, // '0x8ee235ae'
   InventoryMetadata: {
     name: 'InventoryMetadata',
     functions: InventoryMetadata_Functions,
-    id: makeInterfaceId.ERC165(InventoryMetadata_Functions),
-  }, // 0x6eec9b72
+    id: makeInterfaceId(InventoryMetadata_Functions),
+  }, // 0xe00eaedc
 };
@@ -0,0 +1,4 @@
+export * from "./ERC721";
+export * from "./ERC1155";
+export * from "./ERC1155721";
+export * from "./Metadata";
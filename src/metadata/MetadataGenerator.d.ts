@@ -0,0 +1,71 @@
+import { Address, NumberLike, ProviderLike } from "../types";
+import { ProviderAdapter } from "../providers/adapters";
+import { Bytes32AttributeOptions } from "../helpers/bytes32Attributes";
+
+/** Attribute name => decimal string value */
+export type Attributes = { [name: string]: string };
+
+export interface FormatterContext {
+  id: string;
+  name: string;
+  attributes: Attributes;
+}
+
+/** Formats an attribute value, `undefined` omitting the attribute and an object with a `value` field being merged into the trait. */
+export type Formatter = (
+  value: string,
+  context: FormatterContext
+) => any | Promise<any>;
+
+/** A top-level field of the metadata, as a string where `{id}` is substituted or as a function. */
+export type Field =
+  | string
+  | ((id: string, attributes: Attributes) => any | Promise<any>);
+
+export interface MetadataGeneratorOptions {
+  fields?: { [field: string]: Field };
+  formatters?: { [name: string]: Formatter };
+  defaultFormatter?: Formatter;
+  nameOptions?: Bytes32AttributeOptions;
+}
+
+export interface Trait {
+  trait_type: string;
+  value: any;
+  [key: string]: any;
+}
+
+export interface Metadata {
+  properties: { [name: string]: any };
+  attributes: Trait[];
+  [field: string]: any;
+}
+
+export declare function defaultFormatter(value: string): number | string;
+
+export declare class MetadataGenerator {
+  constructor(
+    provider: ProviderLike,
+    inventory: Address,
+    implementer: Address,
+    options?: MetadataGeneratorOptions
+  );
+
+  static at(
+    provider: ProviderLike,
+    inventory: Address,
+    options?: MetadataGeneratorOptions & { implementer?: Address }
+  ): Promise<MetadataGenerator>;
+
+  provider: ProviderAdapter;
+  inventory: Address;
+  implementer: Address;
+  fields: { [field: string]: Field };
+  formatters: { [name: string]: Formatter };
+  defaultFormatter: Formatter;
+  nameOptions: Bytes32AttributeOptions;
+
+  getAttributes(id: NumberLike): Promise<Attributes>;
+  generate(id: NumberLike): Promise<Metadata>;
+  generateJSON(id: NumberLike): Promise<string>;
+}
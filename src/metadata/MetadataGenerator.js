@@ -0,0 +1,165 @@
+const assert = require('assert');
+const {toChecksumAddress} = require('web3-utils');
+const interfaces = require('../interfaces/ERC165');
+const {supportsInterface} = require('../helpers/interfaceDetection');
+const {fromBytes32Attribute} = require('../helpers/bytes32Attributes');
+const {toBN} = require('../helpers/inventoryIds');
+const {encodeFunctionCall, decodeFunctionResult} = require('../helpers/abiCoder');
+const {toProvider} = require('../providers');
+const {substituteId} = require('./uri');
+
+/**
+ * Generation of the metadata JSON of the tokens of an inventory from the attributes returned by
+ * the `getAllAttributes(uint256)` function of its `CoreMetadata` or `InventoryMetadata` implementer.
+ *
+ * The generated metadata follows the ERC-1155 Metadata URI JSON Schema (`name`, `description`, `image`,
+ * `properties`) and the OpenSea metadata standard (`attributes` as a list of `{trait_type, value}`).
+ *
+ * Each attribute value is converted by the formatter registered for its name, or by the default formatter.
+ * A formatter is a (possibly async) function `(value, context) => result` where `value` is the decimal string
+ * of the attribute value and `context` is `{id, name, attributes}`, with `attributes` mapping the names of all
+ * the attributes of the token to their decimal string values. The result can be:
+ *  - `undefined`, to omit the attribute,
+ *  - an object with a `value` field, merged into the OpenSea trait (eg. to set a `display_type`),
+ *  - any other value, used as the trait value.
+ */
+
+const ICoreMetadataAbi = require('../../artifacts/contracts/metadata/ICoreMetadata.sol/ICoreMetadata.json').abi;
+const ICoreMetadataDelegatorAbi = require('../../artifacts/contracts/metadata/ICoreMetadataDelegator.sol/ICoreMetadataDelegator.json').abi;
+const IInventoryMetadataAbi = require('../../artifacts/contracts/metadata/IInventoryMetadata.sol/IInventoryMetadata.json').abi;
+
+const findFunction = function (abi, name) {
+  return abi.find((fragment) => fragment.type === 'function' && fragment.name === name);
+};
+
+const GetAllAttributesFragment = findFunction(ICoreMetadataAbi, 'getAllAttributes');
+const CoreMetadataImplementerFragment = findFunction(ICoreMetadataDelegatorAbi, 'coreMetadataImplementer');
+const InventoryMetadataDelegatorFragment = findFunction(IInventoryMetadataAbi, 'inventoryMetadataDelegator');
+
+const callFunction = async function (provider, address, fragment, args = []) {
+  return decodeFunctionResult(fragment, await provider.call({to: address, data: encodeFunctionCall(fragment, args)}));
+};
+
+/**
+ * Formats a value as a number if it can be safely represented as such, as a decimal string otherwise.
+ * @param value The decimal string value.
+ * @return The formatted value.
+ */
+const defaultFormatter = function (value) {
+  const number = Number(value);
+  return Number.isSafeInteger(number) ? number : value;
+};
+
+class MetadataGenerator {
+  /**
+   * @param provider The provider, any of the providers supported by `src/providers`.
+   * @param inventory The inventory contract address.
+   * @param implementer The `CoreMetadata` or `InventoryMetadata` implementer address.
+   * @param options An object with the optional fields:
+   *  - `fields`: the top-level fields of the metadata (eg. `name`, `description`, `image`, `external_url`), as strings
+   *    where `{id}` is substituted, or as (possibly async) functions `(id, attributes) => value`,
+   *  - `formatters`: an object mapping attribute names to formatters,
+   *  - `defaultFormatter`: the formatter of the attributes without a registered formatter, defaults to `defaultFormatter`,
+   *  - `nameOptions`: the options of `fromBytes32Attribute` to decode the attributes names, defaults to `{lossless: true}`.
+   */
+  constructor(
+    provider,
+    inventory,
+    implementer,
+    {fields = {}, formatters = {}, defaultFormatter: fallback = defaultFormatter, nameOptions = {lossless: true}} = {}
+  ) {
+    this.provider = toProvider(provider);
+    this.inventory = inventory;
+    this.implementer = implementer;
+    this.fields = fields;
+    this.formatters = formatters;
+    this.defaultFormatter = fallback;
+    this.nameOptions = nameOptions;
+  }
+
+  /**
+   * Creates a generator, validating the metadata implementer of an inventory.
+   * @dev If `options.implementer` is not provided, the inventory must implement `CoreMetadataDelegator`.
+   * @dev If the implementer is an `InventoryMetadata`, its delegator must be the inventory.
+   * @param provider The provider, any of the providers supported by `src/providers`.
+   * @param inventory The inventory contract address.
+   * @param options The constructor options, with the additional optional field `implementer`.
+   * @return The generator.
+   */
+  static async at(provider, inventory, {implementer, ...options} = {}) {
+    provider = toProvider(provider);
+    if (implementer === undefined) {
+      assert(await supportsInterface(inventory, interfaces.CoreMetadataDelegator.id, provider), 'The inventory is not a CoreMetadataDelegator');
+      implementer = await callFunction(provider, inventory, CoreMetadataImplementerFragment);
+    }
+    assert(await supportsInterface(implementer, interfaces.CoreMetadata.id, provider), 'The implementer is not a CoreMetadata');
+    if (await supportsInterface(implementer, interfaces.InventoryMetadata.id, provider)) {
+      const delegator = await callFunction(provider, implementer, InventoryMetadataDelegatorFragment);
+      assert(toChecksumAddress(delegator) === toChecksumAddress(inventory), 'The implementer is not the InventoryMetadata of the inventory');
+    }
+    return new MetadataGenerator(provider, inventory, implementer, options);
+  }
+
+  /**
+   * Retrieves the attributes of a token.
+   * @param id The token identifier.
+   * @return An object mapping the decoded attributes names to their decimal string values, in the on-chain order.
+   */
+  async getAttributes(id) {
+    const [names, values] = await callFunction(this.provider, this.implementer, GetAllAttributesFragment, [toBN(id).toString()]);
+    const attributes = {};
+    names.forEach((name, i) => {
+      attributes[fromBytes32Attribute(name, this.nameOptions)] = values[i];
+    });
+    return attributes;
+  }
+
+  /**
+   * Generates the metadata of a token.
+   * @param id The token identifier.
+   * @return The metadata object, with the configured fields, `properties` and `attributes`.
+   */
+  async generate(id) {
+    id = toBN(id).toString();
+    const attributes = await this.getAttributes(id);
+
+    const metadata = {};
+    for (const [field, value] of Object.entries(this.fields)) {
+      const resolved = typeof value === 'function' ? await value(id, attributes) : typeof value === 'string' ? substituteId(value, id) : value;
+      if (resolved !== undefined) {
+        metadata[field] = resolved;
+      }
+    }
+
+    metadata.properties = {};
+    metadata.attributes = [];
+    for (const [name, value] of Object.entries(attributes)) {
+      const formatter = this.formatters[name] || this.defaultFormatter;
+      const formatted = await formatter(value, {id, name, attributes});
+      if (formatted === undefined) {
+        continue;
+      }
+      const trait =
+        formatted !== null && typeof formatted === 'object' && 'value' in formatted
+          ? {trait_type: name, ...formatted}
+          : {trait_type: name, value: formatted};
+      metadata.properties[name] = trait.value;
+      metadata.attributes.push(trait);
+    }
+    return metadata;
+  }
+
+  /**
+   * Generates the metadata JSON of a token.
+   * @param id The token identifier.
+   * @return The metadata JSON string.
+   */
+  async generateJSON(id) {
+    return JSON.stringify(await this.generate(id), null, 2);
+  }
+}
+
+module.exports = {
+  defaultFormatter,
+  MetadataGenerator,
+};
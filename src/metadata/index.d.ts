@@ -0,0 +1,2 @@
+export * from "./MetadataGenerator";
+export * from "./uri";
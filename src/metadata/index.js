@@ -0,0 +1,10 @@
+const {defaultFormatter, MetadataGenerator} = require('./MetadataGenerator');
+const {URITemplateModes, substituteId, resolveTokenUri} = require('./uri');
+
+module.exports = {
+  defaultFormatter,
+  MetadataGenerator,
+  URITemplateModes,
+  substituteId,
+  resolveTokenUri,
+};
@@ -0,0 +1,15 @@
+import { NumberLike } from "../types";
+
+export declare const URITemplateModes: {
+  DecimalSuffix: 0;
+  HexSuffix: 1;
+  IdPlaceholder: 2;
+};
+export type URITemplateMode = typeof URITemplateModes[keyof typeof URITemplateModes];
+
+export declare function substituteId(template: string, id: NumberLike): string;
+export declare function resolveTokenUri(
+  baseMetadataURI: string,
+  id: NumberLike,
+  mode?: URITemplateMode | NumberLike
+): string;
@@ -0,0 +1,58 @@
+const assert = require('assert');
+const {toBN} = require('../helpers/inventoryIds');
+
+/**
+ * Client-side resolution of the token URIs of a `BaseMetadataURI`, applying the rules of its URI template modes.
+ */
+
+// Values of the BaseMetadataURI.URITemplateMode enum
+const URITemplateModes = {
+  DecimalSuffix: 0,
+  HexSuffix: 1,
+  IdPlaceholder: 2,
+};
+
+/**
+ * Returns the zero-padded 64 characters lowercase hexadecimal representation of an identifier.
+ * @param id The identifier.
+ * @return The hexadecimal representation, without prefix.
+ */
+const toHexId = function (id) {
+  return toBN(id).toString(16).padStart(64, '0');
+};
+
+/**
+ * Substitutes the `{id}` placeholders of a string, as specified by ERC-1155.
+ * @param template The string.
+ * @param id The token identifier.
+ * @return The string with the `{id}` placeholders replaced by the lowercase 64 hex characters of the identifier.
+ */
+const substituteId = function (template, id) {
+  return template.replace(/\{id\}/g, toHexId(id));
+};
+
+/**
+ * Resolves the URI of a token from a base metadata URI and a URI template mode, as `BaseMetadataURI` does,
+ * then substitutes the `{id}` placeholders, as ERC-1155 clients do.
+ * @param baseMetadataURI The base metadata URI.
+ * @param id The token identifier.
+ * @param mode The URI template mode (see `URITemplateModes`), defaults to `DecimalSuffix`.
+ * @return The token URI.
+ */
+const resolveTokenUri = function (baseMetadataURI, id, mode = URITemplateModes.DecimalSuffix) {
+  mode = Number(mode);
+  assert(Object.values(URITemplateModes).includes(mode), `Invalid URI template mode '${mode}'`);
+  let uri = baseMetadataURI;
+  if (mode === URITemplateModes.DecimalSuffix) {
+    uri = `${baseMetadataURI}${toBN(id).toString(10)}`;
+  } else if (mode === URITemplateModes.HexSuffix) {
+    uri = `${baseMetadataURI}${toHexId(id)}`;
+  }
+  return substituteId(uri, id);
+};
+
+module.exports = {
+  URITemplateModes,
+  substituteId,
+  resolveTokenUri,
+};
@@ -0,0 +1,166 @@
+import { Address, NumberLike } from "../types";
+import { RevertCode } from "../errors";
+import { InventoryEvent } from "../indexer";
+
+export declare const BurntNFTOwner: "0xdead000000000000000000000000000000000000000000000000000000000000";
+
+/** An event of the model, in the format of `decodeLog()`. */
+export type ModelEvent =
+  | InventoryEvent
+  | { event: "Paused"; account: Address }
+  | { event: "Unpaused"; account: Address }
+  | { event: "MinterAdded"; account: Address };
+
+/** The sender of a mutating call. */
+export interface ModelCallOptions {
+  from: Address;
+}
+
+/** The state of a model as a plain object, numbers being decimal strings. */
+export interface ModelState {
+  /** id => owner => balance */
+  balances: { [id: string]: { [owner: string]: string } };
+  /** id => supply */
+  supplies: { [id: string]: string };
+  /** nftId => owner */
+  owners: { [nftId: string]: Address };
+  /** The burnt non-fungible tokens. */
+  burnt: string[];
+  /** nftId => approved */
+  approvals: { [nftId: string]: Address };
+  /** owner => number of non-fungible tokens */
+  nftBalances: { [owner: string]: string };
+  /** collectionId => creator */
+  creators: { [collectionId: string]: Address };
+  /** owner => approved operators */
+  operators: { [owner: string]: Address[] };
+  paused: boolean;
+}
+
+export declare class RevertError extends Error {
+  constructor(reason: string);
+  name: "RevertError";
+  /** The revert reason. */
+  reason: string;
+  /** The code of the reason in the revert reasons catalog. */
+  code: RevertCode;
+}
+
+export declare class InventoryModel {
+  constructor(options: {
+    owner: Address;
+    erc721?: boolean;
+    pausable?: boolean;
+    nfMaskLength?: number;
+  });
+
+  owner: Address;
+  erc721: boolean;
+  pausable: boolean;
+  nfMaskLength: number;
+  paused: boolean;
+
+  clone(): InventoryModel;
+
+  // Administration
+  createCollection(
+    collectionId: NumberLike,
+    options: ModelCallOptions
+  ): ModelEvent[];
+  addMinter(account: Address, options: ModelCallOptions): ModelEvent[];
+  pause(options: ModelCallOptions): ModelEvent[];
+  unpause(options: ModelCallOptions): ModelEvent[];
+
+  // Approvals
+  setApprovalForAll(
+    operator: Address,
+    approved: boolean,
+    options: ModelCallOptions
+  ): ModelEvent[];
+  approve(
+    to: Address,
+    nftId: NumberLike,
+    options: ModelCallOptions
+  ): ModelEvent[];
+
+  // Mints
+  mint(to: Address, nftId: NumberLike, options: ModelCallOptions): ModelEvent[];
+  batchMint(
+    to: Address,
+    nftIds: NumberLike[],
+    options: ModelCallOptions
+  ): ModelEvent[];
+  safeMint(
+    to: Address,
+    id: NumberLike,
+    value: NumberLike,
+    options: ModelCallOptions
+  ): ModelEvent[];
+  safeBatchMint(
+    to: Address,
+    ids: NumberLike[],
+    values: NumberLike[],
+    options: ModelCallOptions
+  ): ModelEvent[];
+
+  // Transfers
+  transferFrom(
+    from: Address,
+    to: Address,
+    nftId: NumberLike,
+    options: ModelCallOptions
+  ): ModelEvent[];
+  batchTransferFrom(
+    from: Address,
+    to: Address,
+    nftIds: NumberLike[],
+    options: ModelCallOptions
+  ): ModelEvent[];
+  safeTransferFrom(
+    from: Address,
+    to: Address,
+    id: NumberLike,
+    value: NumberLike,
+    options: ModelCallOptions
+  ): ModelEvent[];
+  safeBatchTransferFrom(
+    from: Address,
+    to: Address,
+    ids: NumberLike[],
+    values: NumberLike[],
+    options: ModelCallOptions
+  ): ModelEvent[];
+
+  // Burns
+  burnFrom(
+    from: Address,
+    id: NumberLike,
+    value: NumberLike,
+    options: ModelCallOptions
+  ): ModelEvent[];
+  batchBurnFrom(
+    from: Address,
+    ids: NumberLike[],
+    values: NumberLike[],
+    options: ModelCallOptions
+  ): ModelEvent[];
+  batchBurnFrom(
+    from: Address,
+    nftIds: NumberLike[],
+    options: ModelCallOptions
+  ): ModelEvent[];
+
+  // Reads
+  balanceOf(owner: Address, id: NumberLike): string;
+  balanceOfBatch(owners: Address[], ids: NumberLike[]): string[];
+  nftBalanceOf(owner: Address): string;
+  ownerOf(nftId: NumberLike): Address;
+  isBurnt(nftId: NumberLike): boolean;
+  getApproved(nftId: NumberLike): Address;
+  isApprovedForAll(owner: Address, operator: Address): boolean;
+  totalSupply(id: NumberLike): string;
+  collectionOf(nftId: NumberLike): string;
+  creator(collectionId: NumberLike): Address;
+  isMinter(account: Address): boolean;
+  toJSON(): ModelState;
+}
@@ -0,0 +1,808 @@
+const assert = require('assert');
+const {BN, toChecksumAddress} = require('web3-utils');
+const {DefaultNFMaskLength} = require('../constants');
+const {toBN, isFungible, isNonFungibleToken, getNonFungibleCollectionId} = require('../helpers/inventoryIds');
+const {revertMessages, decodeRevertReason} = require('../errors');
+
+/**
+ * In-memory reference model of an `ERC1155Inventory` or `ERC1155721Inventory`, as implemented by the mocks of
+ * this repository: burnable, with an owner creating the collections and pausing the contract, and with minters.
+ *
+ * Each mutating method mirrors a contract function, with the sender given as `{from}` in the last argument. It
+ * applies the changes atomically, as a transaction, and returns the emitted events in their order of emission,
+ * in the format of `decodeLog()` of `src/indexer`. When the contract would revert, the state is left unchanged
+ * and a `RevertError` with the revert reason of the contract is thrown, the requirements being checked in the
+ * same order as the contract. The reads which would revert throw a `RevertError` as well.
+ *
+ * The receiver contracts are not modelled: recipients are considered as externally owned accounts, so that the
+ * ERC721 safe and unsafe transfers and mints are equivalent.
+ */
+
+const ZeroAddress = '0x0000000000000000000000000000000000000000';
+
+// The `_owners` value of a burnt non-fungible token, whose address part is the zero address
+const BurntNFTOwner = '0xdead000000000000000000000000000000000000000000000000000000000000';
+
+const MaxUInt256 = new BN(1).shln(256).subn(1);
+
+const InventoryReasons = revertMessages('Inventory');
+const PausableReasons = revertMessages('Pausable');
+const MinterRoleReasons = revertMessages('MinterRole');
+const OwnableReasons = revertMessages('Ownable');
+
+/**
+ * Error thrown when the contract would revert.
+ * @property reason The revert reason.
+ * @property code The code of the reason in the revert reasons catalog.
+ */
+class RevertError extends Error {
+  constructor(reason) {
+    super(`revert ${reason}`);
+    this.name = 'RevertError';
+    this.reason = reason;
+    this.code = decodeRevertReason({reason}).code;
+  }
+}
+
+const check = function (condition, reason) {
+  if (!condition) {
+    throw new RevertError(reason);
+  }
+};
+
+const toAddress = function (value) {
+  assert(typeof value === 'string' && /^0x[0-9a-fA-F]{40}$/.test(value), `invalid address: ${value}`);
+  return toChecksumAddress(value);
+};
+
+const toUint256 = function (value) {
+  const number = toBN(value);
+  assert(!number.isNeg() && number.lte(MaxUInt256), `invalid uint256: ${value}`);
+  return number;
+};
+
+const copyMapping = function (mapping, depth) {
+  const copy = {};
+  for (const [key, value] of Object.entries(mapping)) {
+    copy[key] = depth === 1 ? value : copyMapping(value, depth - 1);
+  }
+  return copy;
+};
+
+class InventoryModel {
+  /**
+   * @param options An object with the fields:
+   *  - `owner`: the contract owner, also the first minter, as the deployer of the mocks,
+   *  - `erc721`: whether the model is an `ERC1155721Inventory`, defaults to true,
+   *  - `pausable`: whether the contract can be paused, as the pausable mocks, defaults to false,
+   *  - `nfMaskLength`: the Non-Fungible Collection mask length, defaults to `DefaultNFMaskLength`.
+   */
+  constructor({owner, erc721 = true, pausable = false, nfMaskLength = DefaultNFMaskLength} = {}) {
+    this.owner = toAddress(owner);
+    this.erc721 = erc721;
+    this.pausable = pausable;
+    this.nfMaskLength = nfMaskLength;
+    this.paused = false;
+    this.balances = {}; // id => owner => BN
+    this.supplies = {}; // id => BN
+    this.owners = {}; // nftId => owner, BurntNFTOwner for a burnt token
+    this.approvals = {}; // nftId => approved, set when the token owner has approved an address
+    this.nftBalances = {}; // owner => BN
+    this.operators = {}; // owner => operator => approved
+    this.creators = {}; // collectionId => creator
+    this.minters = {[this.owner]: true};
+  }
+
+  /**
+   * Returns an independent copy of the model, to simulate calls without altering this one.
+   * @return The copy.
+   */
+  clone() {
+    const clone = new InventoryModel(this);
+    clone._restore(this._save());
+    return clone;
+  }
+
+  //================================== Transactions =======================================/
+
+  _save() {
+    return {
+      paused: this.paused,
+      balances: copyMapping(this.balances, 2),
+      supplies: copyMapping(this.supplies, 1),
+      owners: copyMapping(this.owners, 1),
+      approvals: copyMapping(this.approvals, 1),
+      nftBalances: copyMapping(this.nftBalances, 1),
+      operators: copyMapping(this.operators, 2),
+      creators: copyMapping(this.creators, 1),
+      minters: copyMapping(this.minters, 1),
+    };
+  }
+
+  _restore(state) {
+    Object.assign(this, state);
+  }
+
+  // Runs `fn(sender, events)` and returns the events, the state being restored if `fn` throws
+  _transaction(options, fn) {
+    assert(options !== undefined && options.from !== undefined, 'the sender is required, as {from}');
+    const sender = toAddress(options.from);
+    const saved = this._save();
+    const events = [];
+    try {
+      fn(sender, events);
+    } catch (e) {
+      this._restore(saved);
+      throw e;
+    }
+    return events;
+  }
+
+  _assertERC721() {
+    assert(this.erc721, 'not an ERC1155721Inventory model');
+  }
+
+  _whenNotPaused() {
+    check(!this.paused, InventoryReasons.Paused);
+  }
+
+  _isOperatable(from, sender) {
+    return from === sender || this.isApprovedForAll(from, sender);
+  }
+
+  // The owner address of a non-fungible token, the zero address for a non-existing or burnt token
+  _ownerAddress(nftId) {
+    const owner = this.owners[nftId];
+    return owner === undefined || owner === BurntNFTOwner ? ZeroAddress : owner;
+  }
+
+  _add(id, owner, amount) {
+    this.balances[id] = this.balances[id] || {};
+    this.balances[id][owner] = (this.balances[id][owner] || new BN(0)).add(amount);
+  }
+
+  _addSupply(id, amount) {
+    this.supplies[id] = (this.supplies[id] || new BN(0)).add(amount);
+  }
+
+  _addNFTBalance(owner, amount) {
+    this.nftBalances[owner] = (this.nftBalances[owner] || new BN(0)).add(amount);
+  }
+
+  //================================== Internal operations =======================================/
+
+  _mintToken(to, id, value, events) {
+    if (isFungible(id)) {
+      check(!value.isZero(), InventoryReasons.ZeroValue);
+      check(this._supply(id).add(value).lte(MaxUInt256), InventoryReasons.SupplyOverflow);
+      this._addSupply(id, value);
+      this._add(id, to, value);
+    } else if (isNonFungibleToken(id, this.nfMaskLength)) {
+      check(value.eqn(1), InventoryReasons.WrongNFTValue);
+      check(this.owners[id] === undefined, InventoryReasons.ExistingOrBurntNFT);
+      this.owners[id] = to;
+      const collectionId = getNonFungibleCollectionId(id, this.nfMaskLength);
+      this._addSupply(collectionId, value);
+      this._add(collectionId, to, value);
+      if (this.erc721) {
+        this._addNFTBalance(to, value);
+        events.push({event: 'Transfer', from: ZeroAddress, to, tokenId: id});
+      }
+    } else {
+      throw new RevertError(InventoryReasons.NotToken);
+    }
+  }
+
+  _transferToken(sender, from, to, id, value, operatable, events) {
+    if (isFungible(id)) {
+      check(operatable, InventoryReasons.NonApproved);
+      check(!value.isZero(), InventoryReasons.ZeroValue);
+      check(this._balance(id, from).gte(value), InventoryReasons.InsufficientBalance);
+      this._add(id, from, value.neg());
+      this._add(id, to, value);
+    } else if (isNonFungibleToken(id, this.nfMaskLength)) {
+      this._transferNFT(sender, from, to, id, value, operatable, events);
+    } else {
+      throw new RevertError(InventoryReasons.NotToken);
+    }
+  }
+
+  _transferNFT(sender, from, to, id, value, operatable, events) {
+    check(value.eqn(1), InventoryReasons.WrongNFTValue);
+    check(from === this._ownerAddress(id), InventoryReasons.NonOwnedNFT);
+    check(operatable || this.approvals[id] === sender, InventoryReasons.NonApproved);
+    this.owners[id] = to;
+    delete this.approvals[id];
+    const collectionId = getNonFungibleCollectionId(id, this.nfMaskLength);
+    this._add(collectionId, from, value.neg());
+    this._add(collectionId, to, value);
+    if (this.erc721) {
+      this._addNFTBalance(from, value.neg());
+      this._addNFTBalance(to, value);
+      events.push({event: 'Transfer', from, to, tokenId: id});
+    }
+  }
+
+  _burnToken(sender, from, id, value, operatable, events) {
+    if (isFungible(id)) {
+      check(!value.isZero(), InventoryReasons.ZeroValue);
+      check(operatable, InventoryReasons.NonApproved);
+      check(this._balance(id, from).gte(value), InventoryReasons.InsufficientBalance);
+      this._add(id, from, value.neg());
+      this._addSupply(id, value.neg());
+    } else if (isNonFungibleToken(id, this.nfMaskLength)) {
+      this._burnNFT(sender, from, id, value, operatable, events);
+    } else {
+      throw new RevertError(InventoryReasons.NotToken);
+    }
+  }
+
+  _burnNFT(sender, from, id, value, operatable, events) {
+    check(value.eqn(1), InventoryReasons.WrongNFTValue);
+    check(from === this._ownerAddress(id), InventoryReasons.NonOwnedNFT);
+    check(operatable || this.approvals[id] === sender, InventoryReasons.NonApproved);
+    this.owners[id] = BurntNFTOwner;
+    delete this.approvals[id];
+    const collectionId = getNonFungibleCollectionId(id, this.nfMaskLength);
+    this._add(collectionId, from, value.neg());
+    this._addSupply(collectionId, value.neg());
+    if (this.erc721) {
+      this._addNFTBalance(from, value.neg());
+      events.push({event: 'Transfer', from, to: ZeroAddress, tokenId: id});
+    }
+  }
+
+  _balance(id, owner) {
+    return (this.balances[id] && this.balances[id][owner]) || new BN(0);
+  }
+
+  _supply(id) {
+    return this.supplies[id] || new BN(0);
+  }
+
+  //================================== Administration =======================================/
+
+  /**
+   * Creates a collection, as `createCollection(uint256)`.
+   * @param collectionId The collection identifier.
+   * @param options An object with the field `from`, the sender.
+   * @return The emitted events.
+   */
+  createCollection(collectionId, options) {
+    return this._transaction(options, (sender, events) => {
+      const id = toUint256(collectionId).toString();
+      check(sender === this.owner, OwnableReasons.NotOwner);
+      check(!isNonFungibleToken(id, this.nfMaskLength), InventoryReasons.NotCollection);
+      check(this.creators[id] === undefined, InventoryReasons.ExistingCollection);
+      this.creators[id] = sender;
+      events.push({event: 'CollectionCreated', collectionId: id, fungible: isFungible(id)});
+    });
+  }
+
+  /**
+   * Adds a minter, as `addMinter(address)`.
+   * @dev Only the `MinterAdded` event is produced, not the `RoleGranted` event of the underlying access control.
+   * @param account The account to add.
+   * @param options An object with the field `from`, the sender.
+   * @return The emitted events.
+   */
+  addMinter(account, options) {
+    return this._transaction(options, (sender, events) => {
+      account = toAddress(account);
+      check(this.isMinter(sender), MinterRoleReasons.NotMinter);
+      check(!this.isMinter(account), MinterRoleReasons.AlreadyMinter);
+      this.minters[account] = true;
+      events.push({event: 'MinterAdded', account});
+    });
+  }
+
+  /**
+   * Pauses the contract, as `pause()` of the pausable mocks.
+   * @param options An object with the field `from`, the sender.
+   * @return The emitted events.
+   */
+  pause(options) {
+    assert(this.pausable, 'not a pausable model');
+    return this._transaction(options, (sender, events) => {
+      check(sender === this.owner, InventoryReasons.NotOwner);
+      check(!this.paused, PausableReasons.Paused);
+      this.paused = true;
+      events.push({event: 'Paused', account: sender});
+    });
+  }
+
+  /**
+   * Unpauses the contract, as `unpause()` of the pausable mocks.
+   * @param options An object with the field `from`, the sender.
+   * @return The emitted events.
+   */
+  unpause(options) {
+    assert(this.pausable, 'not a pausable model');
+    return this._transaction(options, (sender, events) => {
+      check(sender === this.owner, InventoryReasons.NotOwner);
+      check(this.paused, PausableReasons.NotPaused);
+      this.paused = false;
+      events.push({event: 'Unpaused', account: sender});
+    });
+  }
+
+  //================================== Approvals =======================================/
+
+  /**
+   * Approves or unapproves an operator for all the tokens of the sender, as `setApprovalForAll(address,bool)`.
+   * @param operator The operator address.
+   * @param approved Whether the operator is approved.
+   * @param options An object with the field `from`, the sender.
+   * @return The emitted events.
+   */
+  setApprovalForAll(operator, approved, options) {
+    return this._transaction(options, (sender, events) => {
+      operator = toAddress(operator);
+      check(operator !== sender, InventoryReasons.SelfApproval);
+      this.operators[sender] = this.operators[sender] || {};
+      this.operators[sender][operator] = approved;
+      events.push({event: 'ApprovalForAll', owner: sender, operator, approved});
+    });
+  }
+
+  /**
+   * Approves an address for a non-fungible token, as the ERC721 `approve(address,uint256)`.
+   * @dev The approval is cleared when the token is transferred or burnt.
+   * @param to The approved address.
+   * @param nftId The non-fungible token identifier.
+   * @param options An object with the field `from`, the sender.
+   * @return The emitted events.
+   */
+  approve(to, nftId, options) {
+    this._assertERC721();
+    return this._transaction(options, (sender, events) => {
+      to = toAddress(to);
+      const tokenOwner = this.ownerOf(nftId);
+      const id = toUint256(nftId).toString();
+      check(to !== tokenOwner, InventoryReasons.SelfApproval);
+      check(this._isOperatable(tokenOwner, sender), InventoryReasons.NonApproved);
+      this.approvals[id] = to;
+      events.push({event: 'Approval', owner: tokenOwner, approved: to, tokenId: id});
+    });
+  }
+
+  //================================== Mints =======================================/
+
+  /**
+   * Mints a non-fungible token, as the ERC721 `mint(address,uint256)` and `safeMint(address,uint256,bytes)`.
+   * @param to The recipient.
+   * @param nftId The non-fungible token identifier.
+   * @param options An object with the field `from`, the sender.
+   * @return The emitted events.
+   */
+  mint(to, nftId, options) {
+    this._assertERC721();
+    return this._transaction(options, (sender, events) => {
+      to = toAddress(to);
+      const id = toUint256(nftId).toString();
+      check(this.isMinter(sender), InventoryReasons.NotMinter);
+      check(to !== ZeroAddress, InventoryReasons.TransferToZero);
+      check(isNonFungibleToken(id, this.nfMaskLength), InventoryReasons.NotNFT);
+      this._mintToken(to, id, new BN(1), events);
+      events.push({event: 'TransferSingle', operator: sender, from: ZeroAddress, to, id, value: '1'});
+    });
+  }
+
+  /**
+   * Mints a batch of non-fungible tokens, as the ERC721 `batchMint(address,uint256[])`.
+   * @param to The recipient.
+   * @param nftIds The non-fungible token identifiers.
+   * @param options An object with the field `from`, the sender.
+   * @return The emitted events.
+   */
+  batchMint(to, nftIds, options) {
+    this._assertERC721();
+    return this._transaction(options, (sender, events) => {
+      to = toAddress(to);
+      const ids = nftIds.map((nftId) => toUint256(nftId).toString());
+      check(this.isMinter(sender), InventoryReasons.NotMinter);
+      check(to !== ZeroAddress, InventoryReasons.TransferToZero);
+      for (const id of ids) {
+        check(isNonFungibleToken(id, this.nfMaskLength), InventoryReasons.NotNFT);
+        this._mintToken(to, id, new BN(1), events);
+      }
+      events.push({event: 'TransferBatch', operator: sender, from: ZeroAddress, to, ids, values: ids.map(() => '1')});
+    });
+  }
+
+  /**
+   * Mints some token, as the ERC1155 `safeMint(address,uint256,uint256,bytes)`.
+   * @param to The recipient.
+   * @param id The fungible or non-fungible token identifier.
+   * @param value The amount to mint.
+   * @param options An object with the field `from`, the sender.
+   * @return The emitted events.
+   */
+  safeMint(to, id, value, options) {
+    return this._transaction(options, (sender, events) => {
+      to = toAddress(to);
+      id = toUint256(id).toString();
+      value = toUint256(value);
+      check(this.isMinter(sender), InventoryReasons.NotMinter);
+      check(to !== ZeroAddress, InventoryReasons.TransferToZero);
+      this._mintToken(to, id, value, events);
+      events.push({event: 'TransferSingle', operator: sender, from: ZeroAddress, to, id, value: value.toString()});
+    });
+  }
+
+  /**
+   * Mints a batch of tokens, as the ERC1155 `safeBatchMint(address,uint256[],uint256[],bytes)`.
+   * @param to The recipient.
+   * @param ids The fungible or non-fungible token identifiers.
+   * @param values The amounts to mint.
+   * @param options An object with the field `from`, the sender.
+   * @return The emitted events.
+   */
+  safeBatchMint(to, ids, values, options) {
+    return this._transaction(options, (sender, events) => {
+      to = toAddress(to);
+      ids = ids.map((id) => toUint256(id).toString());
+      values = values.map(toUint256);
+      check(this.isMinter(sender), InventoryReasons.NotMinter);
+      check(to !== ZeroAddress, InventoryReasons.TransferToZero);
+      check(ids.length === values.length, InventoryReasons.InconsistentArrays);
+      ids.forEach((id, i) => this._mintToken(to, id, values[i], events));
+      events.push({event: 'TransferBatch', operator: sender, from: ZeroAddress, to, ids, values: values.map((value) => value.toString())});
+    });
+  }
+
+  //================================== Transfers =======================================/
+
+  /**
+   * Transfers a non-fungible token, as the ERC721 `transferFrom(address,address,uint256)` and `safeTransferFrom()`.
+   * @param from The current owner.
+   * @param to The recipient.
+   * @param nftId The non-fungible token identifier.
+   * @param options An object with the field `from`, the sender.
+   * @return The emitted events.
+   */
+  transferFrom(from, to, nftId, options) {
+    this._assertERC721();
+    return this._transaction(options, (sender, events) => {
+      from = toAddress(from);
+      to = toAddress(to);
+      const id = toUint256(nftId).toString();
+      this._whenNotPaused();
+      check(to !== ZeroAddress, InventoryReasons.TransferToZero);
+      this._transferNFT(sender, from, to, id, new BN(1), this._isOperatable(from, sender), events);
+      events.push({event: 'TransferSingle', operator: sender, from, to, id, value: '1'});
+    });
+  }
+
+  /**
+   * Transfers a batch of non-fungible tokens, as the ERC721 `batchTransferFrom(address,address,uint256[])`.
+   * @param from The current owner.
+   * @param to The recipient.
+   * @param nftIds The non-fungible token identifiers.
+   * @param options An object with the field `from`, the sender.
+   * @return The emitted events.
+   */
+  batchTransferFrom(from, to, nftIds, options) {
+    this._assertERC721();
+    return this._transaction(options, (sender, events) => {
+      from = toAddress(from);
+      to = toAddress(to);
+      const ids = nftIds.map((nftId) => toUint256(nftId).toString());
+      this._whenNotPaused();
+      check(to !== ZeroAddress, InventoryReasons.TransferToZero);
+      const operatable = this._isOperatable(from, sender);
+      ids.forEach((id) => this._transferNFT(sender, from, to, id, new BN(1), operatable, events));
+      events.push({event: 'TransferBatch', operator: sender, from, to, ids, values: ids.map(() => '1')});
+    });
+  }
+
+  /**
+   * Transfers some token, as the ERC1155 `safeTransferFrom(address,address,uint256,uint256,bytes)`.
+   * @param from The current owner.
+   * @param to The recipient.
+   * @param id The fungible or non-fungible token identifier.
+   * @param value The amount to transfer.
+   * @param options An object with the field `from`, the sender.
+   * @return The emitted events.
+   */
+  safeTransferFrom(from, to, id, value, options) {
+    return this._transaction(options, (sender, events) => {
+      from = toAddress(from);
+      to = toAddress(to);
+      id = toUint256(id).toString();
+      value = toUint256(value);
+      this._whenNotPaused();
+      check(to !== ZeroAddress, InventoryReasons.TransferToZero);
+      const operatable = this._isOperatable(from, sender);
+      if (!this.erc721) {
+        check(operatable, InventoryReasons.NonApproved);
+      }
+      this._transferToken(sender, from, to, id, value, operatable, events);
+      events.push({event: 'TransferSingle', operator: sender, from, to, id, value: value.toString()});
+    });
+  }
+
+  /**
+   * Transfers a batch of tokens, as the ERC1155 `safeBatchTransferFrom(address,address,uint256[],uint256[],bytes)`.
+   * @param from The current owner.
+   * @param to The recipient.
+   * @param ids The fungible or non-fungible token identifiers.
+   * @param values The amounts to transfer.
+   * @param options An object with the field `from`, the sender.
+   * @return The emitted events.
+   */
+  safeBatchTransferFrom(from, to, ids, values, options) {
+    return this._transaction(options, (sender, events) => {
+      from = toAddress(from);
+      to = toAddress(to);
+      ids = ids.map((id) => toUint256(id).toString());
+      values = values.map(toUint256);
+      this._whenNotPaused();
+      check(to !== ZeroAddress, InventoryReasons.TransferToZero);
+      check(ids.length === values.length, InventoryReasons.InconsistentArrays);
+      const operatable = this._isOperatable(from, sender);
+      if (!this.erc721) {
+        check(operatable, InventoryReasons.NonApproved);
+      }
+      ids.forEach((id, i) => this._transferToken(sender, from, to, id, values[i], operatable, events));
+      events.push({event: 'TransferBatch', operator: sender, from, to, ids, values: values.map((value) => value.toString())});
+    });
+  }
+
+  //================================== Burns =======================================/
+
+  /**
+   * Burns some token, as `burnFrom(address,uint256,uint256)`.
+   * @param from The current owner.
+   * @param id The fungible or non-fungible token identifier.
+   * @param value The amount to burn.
+   * @param options An object with the field `from`, the sender.
+   * @return The emitted events.
+   */
+  burnFrom(from, id, value, options) {
+    return this._transaction(options, (sender, events) => {
+      from = toAddress(from);
+      id = toUint256(id).toString();
+      value = toUint256(value);
+      this._whenNotPaused();
+      const operatable = this._isOperatable(from, sender);
+      if (!this.erc721) {
+        check(operatable, InventoryReasons.NonApproved);
+      }
+      this._burnToken(sender, from, id, value, operatable, events);
+      events.push({event: 'TransferSingle', operator: sender, from, to: ZeroAddress, id, value: value.toString()});
+    });
+  }
+
+  /**
+   * Burns a batch of tokens, as `batchBurnFrom(address,uint256[],uint256[])`, or a batch of non-fungible
+   * tokens, as the ERC721 `batchBurnFrom(address,uint256[])` when `values` is omitted.
+   * @param from The current owner.
+   * @param ids The token identifiers.
+   * @param values The amounts to burn, omitted for the ERC721 batch burn.
+   * @param options An object with the field `from`, the sender.
+   * @return The emitted events.
+   */
+  batchBurnFrom(from, ids, values, options) {
+    if (!Array.isArray(values)) {
+      return this._batchBurnNFTsFrom(from, ids, values === undefined ? options : values);
+    }
+    return this._transaction(options, (sender, events) => {
+      from = toAddress(from);
+      ids = ids.map((id) => toUint256(id).toString());
+      values = values.map(toUint256);
+      this._whenNotPaused();
+      check(ids.length === values.length, InventoryReasons.InconsistentArrays);
+      const operatable = this._isOperatable(from, sender);
+      if (!this.erc721) {
+        check(operatable, InventoryReasons.NonApproved);
+      }
+      ids.forEach((id, i) => this._burnToken(sender, from, id, values[i], operatable, events));
+      events.push({event: 'TransferBatch', operator: sender, from, to: ZeroAddress, ids, values: values.map((value) => value.toString())});
+    });
+  }
+
+  _batchBurnNFTsFrom(from, nftIds, options) {
+    this._assertERC721();
+    return this._transaction(options, (sender, events) => {
+      from = toAddress(from);
+      const ids = nftIds.map((nftId) => toUint256(nftId).toString());
+      this._whenNotPaused();
+      const operatable = this._isOperatable(from, sender);
+      ids.forEach((id) => this._burnNFT(sender, from, id, new BN(1), operatable, events));
+      events.push({event: 'TransferBatch', operator: sender, from, to: ZeroAddress, ids, values: ids.map(() => '1')});
+    });
+  }
+
+  //================================== Reads =======================================/
+
+  /**
+   * Returns the balance of an owner, as `balanceOf(address,uint256)`.
+   * @param owner The owner address.
+   * @param id The token or collection identifier.
+   * @return The balance, as a decimal string.
+   */
+  balanceOf(owner, id) {
+    owner = toAddress(owner);
+    id = toUint256(id).toString();
+    check(owner !== ZeroAddress, InventoryReasons.ZeroAddress);
+    if (isNonFungibleToken(id, this.nfMaskLength)) {
+      return this._ownerAddress(id) === owner ? '1' : '0';
+    }
+    return this._balance(id, owner).toString();
+  }
+
+  /**
+   * Returns the balances of a list of owners, as `balanceOfBatch(address[],uint256[])`.
+   * @param owners The owners addresses.
+   * @param ids The token or collection identifiers.
+   * @return The balances, as decimal strings.
+   */
+  balanceOfBatch(owners, ids) {
+    check(owners.length === ids.length, InventoryReasons.InconsistentArrays);
+    return owners.map((owner, i) => this.balanceOf(owner, ids[i]));
+  }
+
+  /**
+   * Returns the number of non-fungible tokens of an owner, as the ERC721 `balanceOf(address)`.
+   * @param owner The owner address.
+   * @return The balance, as a decimal string.
+   */
+  nftBalanceOf(owner) {
+    this._assertERC721();
+    owner = toAddress(owner);
+    check(owner !== ZeroAddress, InventoryReasons.ZeroAddress);
+    return (this.nftBalances[owner] || new BN(0)).toString();
+  }
+
+  /**
+   * Returns the owner of a non-fungible token, as `ownerOf(uint256)`.
+   * @param nftId The non-fungible token identifier.
+   * @return The owner address.
+   */
+  ownerOf(nftId) {
+    const owner = this._ownerAddress(toUint256(nftId).toString());
+    check(owner !== ZeroAddress, InventoryReasons.NonExistingNFT);
+    return owner;
+  }
+
+  /**
+   * Returns whether a non-fungible token has been burnt, ie. whether its owner is the burnt token marker.
+   * @param nftId The non-fungible token identifier.
+   * @return Whether the token has been burnt.
+   */
+  isBurnt(nftId) {
+    return this.owners[toUint256(nftId).toString()] === BurntNFTOwner;
+  }
+
+  /**
+   * Returns the approved address of a non-fungible token, as the ERC721 `getApproved(uint256)`.
+   * @param nftId The non-fungible token identifier.
+   * @return The approved address.
+   */
+  getApproved(nftId) {
+    this._assertERC721();
+    const id = toUint256(nftId).toString();
+    check(this._ownerAddress(id) !== ZeroAddress, InventoryReasons.NonExistingNFT);
+    return this.approvals[id] || ZeroAddress;
+  }
+
+  /**
+   * Returns whether an operator is approved for all the tokens of an owner, as `isApprovedForAll(address,address)`.
+   * @param owner The owner address.
+   * @param operator The operator address.
+   * @return Whether the operator is approved.
+   */
+  isApprovedForAll(owner, operator) {
+    owner = toAddress(owner);
+    operator = toAddress(operator);
+    return !!(this.operators[owner] && this.operators[owner][operator]);
+  }
+
+  /**
+   * Returns the total supply, as `totalSupply(uint256)`.
+   * @param id The token or collection identifier.
+   * @return The supply, as a decimal string.
+   */
+  totalSupply(id) {
+    id = toUint256(id).toString();
+    if (isNonFungibleToken(id, this.nfMaskLength)) {
+      return this._ownerAddress(id) === ZeroAddress ? '0' : '1';
+    }
+    return this._supply(id).toString();
+  }
+
+  /**
+   * Returns the collection of a non-fungible token, as `collectionOf(uint256)`.
+   * @param nftId The non-fungible token identifier.
+   * @return The collection identifier, as a decimal string.
+   */
+  collectionOf(nftId) {
+    const id = toUint256(nftId).toString();
+    check(isNonFungibleToken(id, this.nfMaskLength), InventoryReasons.NotNFT);
+    return getNonFungibleCollectionId(id, this.nfMaskLength);
+  }
+
+  /**
+   * Returns the creator of a collection, as `creator(uint256)`.
+   * @param collectionId The collection identifier.
+   * @return The creator address, the zero address if the collection has not been created.
+   */
+  creator(collectionId) {
+    const id = toUint256(collectionId).toString();
+    check(!isNonFungibleToken(id, this.nfMaskLength), InventoryReasons.NotCollection);
+    return this.creators[id] || ZeroAddress;
+  }
+
+  /**
+   * Returns whether an account is a minter, as `isMinter(address)`.
+   * @param account The account address.
+   * @return Whether the account is a minter.
+   */
+  isMinter(account) {
+    return !!this.minters[toAddress(account)];
+  }
+
+  /**
+   * Returns the state as a plain object, with sorted keys and without zero balances and supplies.
+   * @return An object with `balances` (id => owner => balance), `supplies`, `owners`, `burnt`, `approvals`,
+   * `nftBalances`, `creators`, `operators` and `paused`.
+   */
+  toJSON() {
+    const sortIds = (ids) => ids.sort((a, b) => new BN(a).cmp(new BN(b)));
+    const balances = {};
+    for (const id of sortIds(Object.keys(this.balances))) {
+      for (const owner of Object.keys(this.balances[id]).sort()) {
+        if (!this.balances[id][owner].isZero()) {
+          balances[id] = balances[id] || {};
+          balances[id][owner] = this.balances[id][owner].toString();
+        }
+      }
+    }
+    const supplies = {};
+    for (const id of sortIds(Object.keys(this.supplies))) {
+      if (!this.supplies[id].isZero()) {
+        supplies[id] = this.supplies[id].toString();
+      }
+    }
+    const owners = {};
+    const burnt = [];
+    for (const id of sortIds(Object.keys(this.owners))) {
+      if (this.owners[id] === BurntNFTOwner) {
+        burnt.push(id);
+      } else {
+        owners[id] = this.owners[id];
+      }
+    }
+    const approvals = {};
+    for (const id of sortIds(Object.keys(this.approvals))) {
+      approvals[id] = this.approvals[id];
+    }
+    const nftBalances = {};
+    for (const owner of Object.keys(this.nftBalances).sort()) {
+      if (!this.nftBalances[owner].isZero()) {
+        nftBalances[owner] = this.nftBalances[owner].toString();
+      }
+    }
+    const creators = {};
+    for (const id of sortIds(Object.keys(this.creators))) {
+      creators[id] = this.creators[id];
+    }
+    const operators = {};
+    for (const owner of Object.keys(this.operators).sort()) {
+      const approved = Object.keys(this.operators[owner])
+        .filter((operator) => this.operators[owner][operator])
+        .sort();
+      if (approved.length !== 0) {
+        operators[owner] = approved;
+      }
+    }
+    return {balances, supplies, owners, burnt, approvals, nftBalances, creators, operators, paused: this.paused};
+  }
+}
+
+module.exports = {
+  BurntNFTOwner,
+  RevertError,
+  InventoryModel,
+};
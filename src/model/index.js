@@ -0,0 +1,7 @@
+const {BurntNFTOwner, RevertError, InventoryModel} = require('./InventoryModel');
+
+module.exports = {
+  BurntNFTOwner,
+  RevertError,
+  InventoryModel,
+};
@@ -0,0 +1,70 @@
+import {
+  Address,
+  BlockTag,
+  EIP1193Provider,
+  EthersProviderLike,
+  EthersSignerLike,
+  NumberLike,
+  ProviderLike,
+  RawLog,
+  Web3Like,
+} from "../types";
+
+/** A transaction receipt, as normalized by the adapters. */
+export interface NormalizedReceipt {
+  transactionHash: string;
+  blockNumber: number;
+  status: boolean;
+  gasUsed: number;
+  from: Address;
+  to: Address | null;
+  logs: RawLog[];
+}
+
+export interface TransactionRequest {
+  from?: Address;
+  to: Address;
+  data: string;
+  gas?: NumberLike;
+  gasPrice?: NumberLike;
+  value?: NumberLike;
+  nonce?: NumberLike;
+}
+
+export declare abstract class ProviderAdapter {
+  call(
+    transaction: { to: Address; data: string; gas?: NumberLike },
+    blockTag?: BlockTag
+  ): Promise<string>;
+  getLogs(filter: {
+    address?: Address;
+    fromBlock?: BlockTag;
+    toBlock?: BlockTag;
+    topics?: any[];
+  }): Promise<RawLog[]>;
+  getTransaction(hash: string): Promise<{ from: Address; [key: string]: any }>;
+  getBlockNumber(): Promise<number>;
+  sendTransaction(transaction: TransactionRequest): Promise<NormalizedReceipt>;
+}
+
+export declare class Web3Adapter extends ProviderAdapter {
+  constructor(web3: Web3Like);
+  web3: Web3Like;
+}
+
+export declare class EIP1193Adapter extends ProviderAdapter {
+  constructor(
+    provider: EIP1193Provider,
+    options?: { pollingInterval?: number }
+  );
+  provider: EIP1193Provider;
+  pollingInterval: number;
+}
+
+export declare class EthersAdapter extends ProviderAdapter {
+  constructor(providerOrSigner: EthersProviderLike | EthersSignerLike);
+  provider: EthersProviderLike;
+  signer: EthersSignerLike | undefined;
+}
+
+export declare function toProvider(provider: ProviderLike): ProviderAdapter;
@@ -0,0 +1,237 @@
+const assert = require('assert');
+const {toBN, toChecksumAddress} = require('web3-utils');
+
+/**
+ * Provider abstraction, so that the helpers, the client, the indexer and the snapshots work with web3,
+ * with an EIP-1193 provider (such as `hardhat.network.provider` or `window.ethereum`) or with ethers.
+ *
+ * An adapter exposes the few JSON-RPC operations used by the package, with normalized results (addresses are checksummed):
+ * - `call({to, data, gas}, blockTag)`: performs an `eth_call` and returns the hexadecimal return data,
+ * - `getLogs({address, fromBlock, toBlock, topics})`: returns the raw logs, with numbers as numbers,
+ * - `getTransaction(hash)`: returns the transaction, with at least its `from` field,
+ * - `getBlockNumber()`: returns the current block number,
+ * - `sendTransaction({from, to, data, gas, gasPrice, value, nonce})`: sends a transaction, waits for it to be mined
+ *   and returns the receipt `{transactionHash, blockNumber, status, gasUsed, from, to, logs}`, or throws if it reverted.
+ */
+
+const toAddress = function (value) {
+  return typeof value === 'string' ? toChecksumAddress(value) : value;
+};
+
+const toNumber = function (value) {
+  return value === undefined || value === null ? value : Number(value.toString());
+};
+
+// Removes the undefined fields of an object
+const compact = function (object) {
+  const result = {};
+  Object.entries(object).forEach(([key, value]) => {
+    if (value !== undefined) {
+      result[key] = value;
+    }
+  });
+  return result;
+};
+
+class ProviderAdapter {
+  _normalizeLog(log) {
+    return {
+      address: toAddress(log.address),
+      topics: [...log.topics],
+      data: log.data,
+      blockNumber: toNumber(log.blockNumber),
+      transactionHash: log.transactionHash,
+      logIndex: toNumber(log.logIndex !== undefined ? log.logIndex : log.index),
+      removed: log.removed === true,
+    };
+  }
+
+  _normalizeReceipt(receipt) {
+    return {
+      transactionHash: receipt.transactionHash !== undefined ? receipt.transactionHash : receipt.hash,
+      blockNumber: toNumber(receipt.blockNumber),
+      status: receipt.status === true || toNumber(receipt.status) === 1,
+      gasUsed: toNumber(receipt.gasUsed),
+      from: toAddress(receipt.from),
+      to: toAddress(receipt.to),
+      logs: (receipt.logs || []).map((log) => this._normalizeLog(log)),
+    };
+  }
+}
+
+class Web3Adapter extends ProviderAdapter {
+  /**
+   * @param web3 The web3 instance.
+   */
+  constructor(web3) {
+    super();
+    this.web3 = web3;
+  }
+
+  async call({to, data, gas}, blockTag = 'latest') {
+    return this.web3.eth.call(compact({to, data, gas}), blockTag);
+  }
+
+  async getLogs(filter) {
+    return (await this.web3.eth.getPastLogs(filter)).map((log) => this._normalizeLog(log));
+  }
+
+  async getTransaction(hash) {
+    return this.web3.eth.getTransaction(hash);
+  }
+
+  async getBlockNumber() {
+    return this.web3.eth.getBlockNumber();
+  }
+
+  async sendTransaction(transaction) {
+    return this._normalizeReceipt(await this.web3.eth.sendTransaction(compact(transaction)));
+  }
+}
+
+class EIP1193Adapter extends ProviderAdapter {
+  /**
+   * @param provider The EIP-1193 provider.
+   * @param options An object with the optional field `pollingInterval`, the delay between two receipt queries in milliseconds, defaults to 1000.
+   */
+  constructor(provider, {pollingInterval = 1000} = {}) {
+    super();
+    this.provider = provider;
+    this.pollingInterval = pollingInterval;
+  }
+
+  _request(method, params) {
+    return this.provider.request({method, params});
+  }
+
+  _toQuantity(value) {
+    if (value === undefined || (typeof value === 'string' && !/^(0x[0-9a-fA-F]+|\d+)$/.test(value))) {
+      // block tags such as 'latest' are passed as-is
+      return value;
+    }
+    return `0x${toBN(value.toString()).toString(16)}`;
+  }
+
+  async call({to, data, gas}, blockTag = 'latest') {
+    return this._request('eth_call', [compact({to, data, gas: this._toQuantity(gas)}), this._toQuantity(blockTag)]);
+  }
+
+  async getLogs({address, fromBlock, toBlock, topics}) {
+    const filter = compact({address, fromBlock: this._toQuantity(fromBlock), toBlock: this._toQuantity(toBlock), topics});
+    return (await this._request('eth_getLogs', [filter])).map((log) => this._normalizeLog(log));
+  }
+
+  async getTransaction(hash) {
+    const transaction = await this._request('eth_getTransactionByHash', [hash]);
+    return {...transaction, from: toAddress(transaction.from), to: toAddress(transaction.to)};
+  }
+
+  async getBlockNumber() {
+    return toNumber(await this._request('eth_blockNumber', []));
+  }
+
+  async sendTransaction({from, to, data, gas, gasPrice, value, nonce}) {
+    const hash = await this._request('eth_sendTransaction', [
+      compact({
+        from,
+        to,
+        data,
+        gas: this._toQuantity(gas),
+        gasPrice: this._toQuantity(gasPrice),
+        value: this._toQuantity(value),
+        nonce: this._toQuantity(nonce),
+      }),
+    ]);
+    let receipt;
+    while ((receipt = await this._request('eth_getTransactionReceipt', [hash])) === null) {
+      await new Promise((resolve) => setTimeout(resolve, this.pollingInterval));
+    }
+    receipt = this._normalizeReceipt(receipt);
+    if (!receipt.status) {
+      throw Object.assign(new Error(`Transaction ${hash} has been reverted`), {receipt});
+    }
+    return receipt;
+  }
+}
+
+class EthersAdapter extends ProviderAdapter {
+  /**
+   * @dev Transactions are sent by the signer, or by the provider signer of their `from` field if the provider has a `getSigner()` function.
+   * @param providerOrSigner The ethers provider or signer.
+   */
+  constructor(providerOrSigner) {
+    super();
+    if (typeof providerOrSigner.getAddress === 'function') {
+      this.signer = providerOrSigner;
+      this.provider = providerOrSigner.provider;
+    } else {
+      this.provider = providerOrSigner;
+    }
+    assert(this.provider, 'The signer is not connected to a provider');
+  }
+
+  async _getSigner(from) {
+    if (this.signer !== undefined && (from === undefined || (await this.signer.getAddress()).toLowerCase() === from.toLowerCase())) {
+      return this.signer;
+    }
+    assert(from !== undefined && typeof this.provider.getSigner === 'function', 'A signer is required to send transactions');
+    return this.provider.getSigner(from);
+  }
+
+  async call({to, data, gas}, blockTag = 'latest') {
+    // ethers v6 reads the block tag from the transaction
+    return this.provider.call(compact({to, data, gasLimit: gas, blockTag}), blockTag);
+  }
+
+  async getLogs(filter) {
+    return (await this.provider.getLogs(compact(filter))).map((log) => this._normalizeLog(log));
+  }
+
+  async getTransaction(hash) {
+    return this.provider.getTransaction(hash);
+  }
+
+  async getBlockNumber() {
+    return toNumber(await this.provider.getBlockNumber());
+  }
+
+  async sendTransaction({from, to, data, gas, gasPrice, value, nonce}) {
+    const signer = await this._getSigner(from);
+    const response = await signer.sendTransaction(compact({to, data, gasLimit: gas, gasPrice, value, nonce}));
+    return this._normalizeReceipt(await response.wait());
+  }
+}
+
+/**
+ * Wraps a provider into an adapter.
+ * @param provider A web3 instance, an EIP-1193 provider, an ethers provider, signer or contract, or an adapter.
+ * @return The adapter.
+ */
+const toProvider = function (provider) {
+  assert(provider !== null && typeof provider === 'object', 'Unsupported provider');
+  if (provider instanceof ProviderAdapter) {
+    return provider;
+  }
+  if (provider.eth !== undefined) {
+    return new Web3Adapter(provider);
+  }
+  // ethers contract, connected to a signer or a provider (v5) or to a runner (v6)
+  if (provider.interface !== undefined && (provider.runner || provider.signer || provider.provider)) {
+    return new EthersAdapter(provider.runner || provider.signer || provider.provider);
+  }
+  if (typeof provider.getAddress === 'function' || typeof provider.getBlockNumber === 'function') {
+    return new EthersAdapter(provider);
+  }
+  if (typeof provider.request === 'function') {
+    return new EIP1193Adapter(provider);
+  }
+  throw new Error('Unsupported provider');
+};
+
+module.exports = {
+  ProviderAdapter,
+  Web3Adapter,
+  EIP1193Adapter,
+  EthersAdapter,
+  toProvider,
+};
@@ -0,0 +1,5 @@
+const adapters = require('./adapters');
+
+module.exports = {
+  ...adapters,
+};
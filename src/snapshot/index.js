@@ -0,0 +1,5 @@
+const snapshot = require('./snapshot');
+
+module.exports = {
+  ...snapshot,
+};
@@ -0,0 +1,37 @@
+import { Address, BlockTag, NumberLike, ProviderLike } from "../types";
+
+export declare const SnapshotModes: {
+  Logs: "logs";
+  Reads: "reads";
+};
+export type SnapshotMode = typeof SnapshotModes[keyof typeof SnapshotModes];
+
+export interface SnapshotOptions {
+  /** The block of the snapshot, defaults to 'latest'. */
+  blockNumber?: BlockTag;
+  /** `logs` to rebuild the balances from the logs (default), `reads` to read them with `balanceOfBatch` and `ownerOf`. */
+  mode?: SnapshotMode;
+  /** In `reads` mode, the owners to read the balances of. */
+  owners?: Address[];
+  /** In `reads` mode, the fungible tokens, non-fungible collections and non-fungible tokens to read. */
+  ids?: NumberLike[];
+  /** The Non-Fungible Collection mask length, defaults to `DefaultNFMaskLength`. */
+  nfMaskLength?: number;
+}
+
+export interface Snapshot {
+  address: Address;
+  blockNumber: number;
+  /** owner => id => balance, for the fungible tokens and the non-fungible collections */
+  balances: { [owner: string]: { [id: string]: string } };
+  /** owner => non-fungible tokens */
+  nfts: { [owner: string]: string[] };
+}
+
+export declare function takeSnapshot(
+  provider: ProviderLike,
+  address: Address,
+  options?: SnapshotOptions
+): Promise<Snapshot>;
+export declare function snapshotToJSON(snapshot: Snapshot): string;
+export declare function snapshotToCSV(snapshot: Snapshot): string;
@@ -0,0 +1,162 @@
+const assert = require('assert');
+const {BN, toChecksumAddress} = require('web3-utils');
+const {DefaultNFMaskLength} = require('../constants');
+const {toBN, isNonFungibleToken} = require('../helpers/inventoryIds');
+const {InventoryClient, InventoryError} = require('../client');
+const {indexInventory} = require('../indexer');
+const {toProvider} = require('../providers');
+
+/**
+ * Balance snapshots of an inventory at a given block.
+ *
+ * A snapshot is an object `{address, blockNumber, balances, nfts}` where `balances` maps each owner to its
+ * non-zero balances of fungible tokens and non-fungible collections (id => balance) and `nfts` maps each owner
+ * to the list of its non-fungible tokens. Owners are sorted by address and identifiers by numerical value,
+ * numbers are decimal strings, so that two snapshots can be compared with a textual diff.
+ */
+
+const ZeroAddress = '0x0000000000000000000000000000000000000000';
+
+const SnapshotModes = {
+  Logs: 'logs',
+  Reads: 'reads',
+};
+
+const compareAddresses = function (a, b) {
+  a = a.toLowerCase();
+  b = b.toLowerCase();
+  return a < b ? -1 : a > b ? 1 : 0;
+};
+
+const compareIds = function (a, b) {
+  return new BN(a).cmp(new BN(b));
+};
+
+// Builds a snapshot with sorted keys from a list of {owner, id, balance} entries
+const makeSnapshot = function (address, blockNumber, entries, nfMaskLength) {
+  const snapshot = {address, blockNumber, balances: {}, nfts: {}};
+  const sorted = entries
+    .map(({owner, id, balance}) => ({owner: toChecksumAddress(owner), id, balance}))
+    .filter(({owner, balance}) => owner !== ZeroAddress && !new BN(balance).isZero())
+    .sort((a, b) => compareAddresses(a.owner, b.owner) || compareIds(a.id, b.id));
+  for (const {owner, id, balance} of sorted) {
+    if (isNonFungibleToken(id, nfMaskLength)) {
+      snapshot.nfts[owner] = snapshot.nfts[owner] || [];
+      snapshot.nfts[owner].push(id);
+    } else {
+      snapshot.balances[owner] = snapshot.balances[owner] || {};
+      snapshot.balances[owner][id] = balance;
+    }
+  }
+  return snapshot;
+};
+
+const resolveBlockNumber = async function (provider, blockNumber) {
+  if (blockNumber === 'latest') {
+    return provider.getBlockNumber();
+  }
+  assert(Number.isInteger(Number(blockNumber)) && Number(blockNumber) >= 0, `Invalid block number '${blockNumber}'`);
+  return Number(blockNumber);
+};
+
+const snapshotFromLogs = async function (provider, address, blockNumber, nfMaskLength) {
+  const indexer = await indexInventory(provider, address, {toBlock: blockNumber, nfMaskLength});
+  const entries = [];
+  Object.entries(indexer.toJSON().balances).forEach(([id, balances]) => {
+    Object.entries(balances).forEach(([owner, balance]) => entries.push({owner, id, balance}));
+  });
+  return entries;
+};
+
+const snapshotFromReads = async function (provider, address, blockNumber, nfMaskLength, owners, ids) {
+  assert(owners !== undefined && ids !== undefined, `'${SnapshotModes.Reads}' snapshots require the owners and the ids`);
+  const client = new InventoryClient(provider, address, {nfMaskLength, defaultBlock: blockNumber});
+  const entries = [];
+
+  const balanceIds = ids.map((id) => toBN(id).toString()).filter((id) => !isNonFungibleToken(id, nfMaskLength));
+  if (balanceIds.length !== 0 && owners.length !== 0) {
+    const batchOwners = [];
+    const batchIds = [];
+    owners.forEach((owner) => {
+      balanceIds.forEach((id) => {
+        batchOwners.push(owner);
+        batchIds.push(id);
+      });
+    });
+    const balances = await client.balanceOfBatch(batchOwners, batchIds);
+    balances.forEach((balance, i) => entries.push({owner: batchOwners[i], id: batchIds[i], balance}));
+  }
+
+  const nftIds = ids.map((id) => toBN(id).toString()).filter((id) => isNonFungibleToken(id, nfMaskLength));
+  for (const id of nftIds) {
+    try {
+      entries.push({owner: await client.ownerOf(id), id, balance: '1'});
+    } catch (e) {
+      if (!(e instanceof InventoryError && e.code === 'NonExistingNFT')) {
+        throw e;
+      }
+    }
+  }
+  return entries;
+};
+
+/**
+ * Takes a balance snapshot of an inventory.
+ * @dev In `reads` mode, the non-fungible tokens are listed whatever their owner, the `owners` option restricting only the balances.
+ * @param provider The provider, any of the providers supported by `src/providers`.
+ * @param address The inventory contract address.
+ * @param options An object with the optional fields:
+ *  - `blockNumber`: the block of the snapshot, defaults to 'latest',
+ *  - `mode`: `logs` to rebuild the balances from the logs (default), `reads` to read them with `balanceOfBatch` and `ownerOf`,
+ *  - `owners`: in `reads` mode, the owners to read the balances of,
+ *  - `ids`: in `reads` mode, the fungible tokens, non-fungible collections and non-fungible tokens to read,
+ *  - `nfMaskLength`: the Non-Fungible Collection mask length, defaults to `DefaultNFMaskLength`.
+ * @return The snapshot.
+ */
+const takeSnapshot = async function (
+  provider,
+  address,
+  {blockNumber = 'latest', mode = SnapshotModes.Logs, owners, ids, nfMaskLength = DefaultNFMaskLength} = {}
+) {
+  assert(Object.values(SnapshotModes).includes(mode), `Invalid snapshot mode '${mode}'`);
+  provider = toProvider(provider);
+  blockNumber = await resolveBlockNumber(provider, blockNumber);
+  const entries =
+    mode === SnapshotModes.Logs
+      ? await snapshotFromLogs(provider, address, blockNumber, nfMaskLength)
+      : await snapshotFromReads(provider, address, blockNumber, nfMaskLength, owners, ids);
+  return makeSnapshot(address, blockNumber, entries, nfMaskLength);
+};
+
+/**
+ * Formats a snapshot as JSON.
+ * @param snapshot The snapshot.
+ * @return The JSON string.
+ */
+const snapshotToJSON = function (snapshot) {
+  return `${JSON.stringify(snapshot, null, 2)}\n`;
+};
+
+/**
+ * Formats a snapshot as CSV, with one `owner,id,balance` row per balance and per non-fungible token.
+ * @param snapshot The snapshot.
+ * @return The CSV string.
+ */
+const snapshotToCSV = function (snapshot) {
+  const rows = [];
+  Object.entries(snapshot.balances).forEach(([owner, balances]) => {
+    Object.entries(balances).forEach(([id, balance]) => rows.push({owner, id, balance}));
+  });
+  Object.entries(snapshot.nfts).forEach(([owner, nftIds]) => {
+    nftIds.forEach((id) => rows.push({owner, id, balance: '1'}));
+  });
+  rows.sort((a, b) => compareAddresses(a.owner, b.owner) || compareIds(a.id, b.id));
+  return ['owner,id,balance', ...rows.map(({owner, id, balance}) => `${owner},${id},${balance}`), ''].join('\n');
+};
+
+module.exports = {
+  SnapshotModes,
+  takeSnapshot,
+  snapshotToJSON,
+  snapshotToCSV,
+};
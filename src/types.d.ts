@@ -0,0 +1,168 @@
+import BN = require("bn.js");
+
+/**
+ * Types shared by the typings of the package.
+ *
+ * The web3, ethers and EIP-1193 objects are typed structurally, with only the members used by the package,
+ * so that the typings do not depend on a particular version of these libraries.
+ */
+
+/** A number value, as a BN, a BigInt, a safe integer, a decimal string or a 0x-prefixed hexadecimal string. */
+export type NumberLike = BN | bigint | number | string;
+
+/** A 0x-prefixed bytes4 hexadecimal string. */
+export type Bytes4 = string;
+
+/** A 0x-prefixed bytes32 hexadecimal string. */
+export type Bytes32 = string;
+
+/** An account or contract address. */
+export type Address = string;
+
+/** A block number or tag. */
+export type BlockTag = number | string;
+
+/** An ABI fragment, as found in a contract ABI. */
+export interface AbiFragment {
+  type?: string;
+  name?: string;
+  inputs?: AbiParameter[];
+  outputs?: AbiParameter[];
+  stateMutability?: string;
+  [key: string]: any;
+}
+
+export interface AbiParameter {
+  name?: string;
+  type: string;
+  components?: AbiParameter[];
+  [key: string]: any;
+}
+
+/** A raw log, as returned by `eth_getLogs`. */
+export interface RawLog {
+  address: Address;
+  topics: string[];
+  data: string;
+  blockNumber: number;
+  transactionHash: string;
+  logIndex: number;
+  removed?: boolean;
+}
+
+/** A transaction receipt, as returned by web3. */
+export interface TransactionReceipt {
+  transactionHash: string;
+  blockNumber: number;
+  status: boolean;
+  gasUsed: number;
+  [key: string]: any;
+}
+
+/** The transaction options of web3. */
+export interface TxOptions {
+  from?: Address;
+  gas?: number | string;
+  gasPrice?: number | string;
+  value?: number | string;
+  nonce?: number;
+  [key: string]: any;
+}
+
+/** A web3 instance. */
+export interface Web3Like {
+  eth: {
+    Contract: new (abi: AbiFragment[], address?: Address) => any;
+    call(
+      transaction: { to: Address; data: string; gas?: string },
+      blockTag?: BlockTag
+    ): Promise<string>;
+    getPastLogs(options: {
+      address?: Address;
+      fromBlock?: BlockTag;
+      toBlock?: BlockTag;
+      topics?: any[];
+    }): Promise<RawLog[]>;
+    getTransaction(
+      hash: string
+    ): Promise<{ from: Address; [key: string]: any }>;
+    getBlockNumber(): Promise<number>;
+    [key: string]: any;
+  };
+  [key: string]: any;
+}
+
+/** An EIP-1193 provider, such as `hardhat.network.provider`. */
+export interface EIP1193Provider {
+  request(args: { method: string; params?: any[] }): Promise<any>;
+}
+
+/** An ethers provider (v5 or v6). */
+export interface EthersProviderLike {
+  call(
+    transaction: {
+      to: Address;
+      data: string;
+      gasLimit?: number | string;
+      blockTag?: BlockTag;
+    },
+    blockTag?: BlockTag
+  ): Promise<string>;
+  getBlockNumber(): Promise<number>;
+  [key: string]: any;
+}
+
+/** An ethers signer (v5 or v6), connected to a provider. */
+export interface EthersSignerLike {
+  getAddress(): Promise<Address>;
+  provider: EthersProviderLike | null;
+  [key: string]: any;
+}
+
+/** An ethers contract, connected to a provider or a signer. */
+export interface EthersContractLike {
+  interface: any;
+  [key: string]: any;
+}
+
+/** The providers supported by `src/providers`. */
+export type ProviderLike =
+  | Web3Like
+  | EIP1193Provider
+  | EthersProviderLike
+  | EthersSignerLike
+  | EthersContractLike
+  | import("./providers/adapters").ProviderAdapter;
+
+/** A field of a bits layout, packed contiguously from the least significant bit. */
+export interface LayoutField {
+  name: string;
+  bits: NumberLike;
+}
+
+/** A position of a bits layout. */
+export interface LayoutPosition {
+  name: string;
+  length: NumberLike;
+  index: NumberLike;
+}
+
+/** A bits layout as parallel arrays, as returned by `getLayout()`, names being strings or bytes32 hexadecimal strings. */
+export interface LayoutArrays {
+  names: string[];
+  lengths: NumberLike[];
+  indices: NumberLike[];
+}
+
+/** A bits layout, in any of the forms supported by `bitsLayout`. */
+export type Layout = Array<LayoutField | LayoutPosition> | LayoutArrays;
+
+/** An ERC165 interface. */
+export interface ERC165Interface<
+  Name extends string = string,
+  Id extends Bytes4 = Bytes4
+> {
+  name: Name;
+  functions: string[];
+  id: Id;
+}
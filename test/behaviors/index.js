@@ -0,0 +1,63 @@
+const {shouldBehaveLikeERC1155} = require('../contracts/token/ERC1155/behaviors/ERC1155.behavior');
+const {shouldBehaveLikeERC1155Standard} = require('../contracts/token/ERC1155/behaviors/ERC1155.standard.behavior');
+const {shouldBehaveLikeERC1155Mintable} = require('../contracts/token/ERC1155/behaviors/ERC1155.mintable.behavior');
+const {shouldBehaveLikeERC1155Burnable} = require('../contracts/token/ERC1155/behaviors/ERC1155.burnable.behavior');
+const {shouldBehaveLikeERC1155SafeTransfers} = require('../contracts/token/ERC1155/behaviors/ERC1155.safeTransfers.behavior');
+const {shouldBehaveLikeERC1155MetadataURI} = require('../contracts/token/ERC1155/behaviors/ERC1155MetadataURI.behavior');
+const {shouldBehaveLikeERC1155Inventory} = require('../contracts/token/ERC1155/behaviors/ERC1155Inventory.behavior');
+const {shouldBehaveLikeERC1155InventoryCreator} = require('../contracts/token/ERC1155/behaviors/ERC1155InventoryCreator.behavior');
+const {
+  shouldBehaveLikeERC1155InventoryEnumerableCollections,
+} = require('../contracts/token/ERC1155/behaviors/ERC1155InventoryEnumerableCollections.behavior');
+const {shouldBehaveLikeERC721} = require('../contracts/token/ERC721/behaviors/ERC721.behavior');
+const {shouldBehaveLikeERC721Standard} = require('../contracts/token/ERC721/behaviors/ERC721.standard.behavior');
+const {shouldBehaveLikeERC721Mintable} = require('../contracts/token/ERC721/behaviors/ERC721.mintable.behavior');
+const {shouldBehaveLikeERC721Burnable} = require('../contracts/token/ERC721/behaviors/ERC721.burnable.behavior');
+const {shouldBehaveLikeERC721SafeTransfers} = require('../contracts/token/ERC721/behaviors/ERC721.safeTransfers.behavior');
+const {shouldBehaveLikeERC721Metadata} = require('../contracts/token/ERC721/behaviors/ERC721Metadata.behavior');
+const {shouldBehaveLikeERC721Enumerable} = require('../contracts/token/ERC721/behaviors/ERC721Enumerable.behavior');
+
+/**
+ * Conformance test suites, to be run with `hardhat test` against an implementation object with the fields:
+ *  - `contractName`: the name of the contract, used in the messages of the skipped tests,
+ *  - `nfMaskLength`: the Non-Fungible Collection mask length of the contract,
+ *  - `name` and `symbol`: for the ERC721Metadata behavior, the expected name and symbol,
+ *  - `revertMessages`: the revert messages of the contract, by error name (see the mocks tests, based on `revertMessages()` of
+ *    `src/errors`). A message can be set to the name of the standard, such as 'ERC721', if the contract reverts without reason,
+ *  - `eventParamsOverrides`: an optional object mapping an event name to a function converting the expected event parameters,
+ *    for contracts naming differently the parameters of the standard events,
+ *  - `interfaces`: the feature flags, `ERC721`, `ERC721Metadata`, `ERC721Enumerable`, `ERC1155`, `ERC1155MetadataURI`,
+ *    `ERC1155Inventory`, `ERC1155InventoryCreator`, `ERC1155InventoryEnumerableCollections` and `Pausable`, enabling the
+ *    associated suites and tests,
+ *  - `methods`: the non-standard methods of the contract, by signature, as `async function (contract, ...args, overrides)`,
+ *    the tests of a missing method being skipped: `mint(address,uint256)`, `safeMint(address,uint256,bytes)`,
+ *    `batchMint(address,uint256[])`, `batchTransferFrom(address,address,uint256[])`, `burnFrom(address,uint256)`,
+ *    `burnFrom(address,uint256,uint256)`, `batchBurnFrom(address,uint256[])`, `batchBurnFrom(address,uint256[],uint256[])`,
+ *    `safeMint(address,uint256,uint256,bytes)`, `safeBatchMint(address,uint256[],uint256[],bytes)` and `createCollection(uint256)`,
+ *  - `deploy`: `async function (deployer)` returning a new truffle contract instance, `deployer` being its owner,
+ *  - `mint`: `async function (contract, to, id, value, overrides)` minting any token, called by an account added with `addMinter()`.
+ *
+ * The suites deploy the `ERC721ReceiverMock`, `ERC1155TokenReceiverMock` and `ERC1155721ConfigurableReceiverMock` contracts, which
+ * need to be available as artifacts.
+ * The deployed contract is wrapped to check the token accounting invariants after every successful call to a non-view
+ * function (see `test/contracts/token/invariants`), the burnt tokens being checked by simulating a mint from a minter.
+ */
+
+module.exports = {
+  shouldBehaveLikeERC1155,
+  shouldBehaveLikeERC1155Standard,
+  shouldBehaveLikeERC1155Mintable,
+  shouldBehaveLikeERC1155Burnable,
+  shouldBehaveLikeERC1155SafeTransfers,
+  shouldBehaveLikeERC1155MetadataURI,
+  shouldBehaveLikeERC1155Inventory,
+  shouldBehaveLikeERC1155InventoryCreator,
+  shouldBehaveLikeERC1155InventoryEnumerableCollections,
+  shouldBehaveLikeERC721,
+  shouldBehaveLikeERC721Standard,
+  shouldBehaveLikeERC721Mintable,
+  shouldBehaveLikeERC721Burnable,
+  shouldBehaveLikeERC721SafeTransfers,
+  shouldBehaveLikeERC721Metadata,
+  shouldBehaveLikeERC721Enumerable,
+};
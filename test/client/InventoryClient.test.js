@@ -0,0 +1,163 @@
+const {artifacts, accounts, network, web3} = require('hardhat');
+const {AssertionError} = require('assert');
+const {Web3Provider} = require('@ethersproject/providers');
+const {DefaultNFMaskLength} = require('../../src/constants');
+const {makeFungibleCollectionId, makeNonFungibleCollectionId, makeNonFungibleTokenId} = require('../../src/helpers/inventoryIds');
+const {InventoryClient, InventoryError, InventoryRevertReasons} = require('../../src/client');
+
+describe('InventoryClient', function () {
+  const [deployer, owner, recipient, operator] = accounts;
+
+  // JSON-RPC transport of the ethers provider, with plain errors as returned by a node
+  const jsonRpcProvider = {
+    request: (args) =>
+      network.provider.request(args).catch((e) => {
+        throw Object.assign(new Error(e.message), {code: e.code, data: e.data});
+      }),
+  };
+
+  const fCollection = makeFungibleCollectionId(1);
+  const nfCollection = makeNonFungibleCollectionId(1, DefaultNFMaskLength);
+  const nft1 = makeNonFungibleTokenId(1, 1, DefaultNFMaskLength);
+  const nft2 = makeNonFungibleTokenId(2, 1, DefaultNFMaskLength);
+  const nft3 = makeNonFungibleTokenId(3, 1, DefaultNFMaskLength);
+
+  const expectError = async function (promise, ErrorClass) {
+    try {
+      await promise;
+    } catch (e) {
+      e.should.be.instanceOf(ErrorClass);
+      return e;
+    }
+    throw new Error(`expected a ${ErrorClass.name}`);
+  };
+
+  const expectInventoryError = async function (promise, code) {
+    const e = await expectError(promise, InventoryError);
+    e.code.should.equal(code);
+    e.reason.should.equal(InventoryRevertReasons[code]);
+  };
+
+  const shouldBehaveLikeAnInventoryClient = function () {
+    beforeEach(async function () {
+      await this.client.mint(owner, fCollection, 10);
+      await this.client.batchMint(owner, [nft1, nft2]);
+    });
+
+    it('reads balances', async function () {
+      (await this.client.balanceOf(owner, fCollection)).should.equal('10');
+      (await this.client.balanceOf(owner, nfCollection)).should.equal('2');
+      (await this.client.balanceOf(owner, nft1)).should.equal('1');
+      (await this.client.balanceOfBatch([owner, recipient], [nfCollection, nfCollection])).should.deep.equal(['2', '0']);
+    });
+
+    it('reads supplies, owners and collections', async function () {
+      (await this.client.totalSupply(fCollection)).should.equal('10');
+      (await this.client.totalSupply(nfCollection)).should.equal('2');
+      (await this.client.ownerOf(nft1)).should.equal(owner);
+      (await this.client.collectionOf(nft1)).should.equal(nfCollection);
+      this.client.isFungible(fCollection).should.be.true;
+      this.client.isFungible(nft1).should.be.false;
+    });
+
+    it('safely transfers a fungible token', async function () {
+      await this.client.transfer(owner, recipient, fCollection, 3, {from: owner});
+      (await this.client.balanceOf(recipient, fCollection)).should.equal('3');
+    });
+
+    it('safely transfers a non-fungible token', async function () {
+      await this.client.transfer(owner, recipient, nft1, undefined, {from: owner});
+      (await this.client.ownerOf(nft1)).should.equal(recipient);
+    });
+
+    it('safely transfers a batch of tokens', async function () {
+      await this.client.batchTransfer(owner, recipient, [fCollection, nft1, nft2], [4, 1, 1], {from: owner});
+      (await this.client.balanceOfBatch([recipient, recipient], [fCollection, nfCollection])).should.deep.equal(['4', '2']);
+    });
+
+    it('approves an operator', async function () {
+      await this.client.setApprovalForAll(operator, true, {from: owner});
+      (await this.client.isApprovedForAll(owner, operator)).should.be.true;
+      await this.client.transfer(owner, recipient, nft1, 1, {from: operator});
+      (await this.client.ownerOf(nft1)).should.equal(recipient);
+    });
+
+    it('burns tokens', async function () {
+      await this.client.burn(owner, fCollection, 4, {from: owner});
+      await this.client.batchBurn(owner, [nft1, nft2], undefined, {from: owner});
+      (await this.client.totalSupply(fCollection)).should.equal('6');
+      (await this.client.balanceOf(owner, nfCollection)).should.equal('0');
+    });
+
+    it('requires the values of fungible tokens', async function () {
+      await expectError(this.client.transfer(owner, recipient, fCollection, undefined, {from: owner}), AssertionError);
+    });
+
+    it('throws an InventoryError with the revert reason', async function () {
+      await expectInventoryError(this.client.transfer(owner, recipient, nft1, 1, {from: recipient}), 'NonApproved');
+      await expectInventoryError(this.client.transfer(owner, recipient, fCollection, 11, {from: owner}), 'InsufficientBalance');
+      await expectInventoryError(this.client.transfer(owner, recipient, nft1, 2, {from: owner}), 'WrongNFTValue');
+      await expectInventoryError(this.client.mint(owner, nft1, 1), 'ExistingOrBurntNFT');
+      await expectInventoryError(this.client.ownerOf(nft3), 'NonExistingNFT');
+    });
+  };
+
+  for (const [providerName, getProvider] of [
+    ['web3', () => web3],
+    ['EIP-1193 provider', () => network.provider],
+    ['ethers provider', () => new Web3Provider(jsonRpcProvider)],
+  ]) {
+    describe(`with a ${providerName}`, function () {
+      describe('with an ERC1155721Inventory', function () {
+        beforeEach(async function () {
+          const contract = await artifacts.require('ERC1155721InventoryBurnableMock').new({from: deployer});
+          this.client = await InventoryClient.at(getProvider(), contract.address, {from: deployer});
+        });
+
+        it('detects the ERC721 support', function () {
+          this.client.erc721.should.be.true;
+        });
+
+        shouldBehaveLikeAnInventoryClient();
+
+        it('unsafely transfers non-fungible tokens', async function () {
+          await this.client.transfer(owner, recipient, nft1, undefined, {from: owner, safe: false});
+          await this.client.batchTransfer(owner, recipient, [nft2], undefined, {from: owner, safe: false});
+          (await this.client.nftBalanceOf(recipient)).should.equal('2');
+        });
+
+        it('unsafely mints non-fungible tokens', async function () {
+          await this.client.mint(owner, nft3, undefined, {safe: false});
+          (await this.client.ownerOf(nft3)).should.equal(owner);
+        });
+
+        it('approves an address for a non-fungible token', async function () {
+          await this.client.approve(operator, nft1, {from: owner});
+          (await this.client.getApproved(nft1)).should.equal(operator);
+        });
+
+        it('rejects unsafe transfers of fungible tokens', async function () {
+          await expectError(this.client.transfer(owner, recipient, fCollection, 1, {from: owner, safe: false}), AssertionError);
+        });
+      });
+
+      describe('with an ERC1155Inventory', function () {
+        beforeEach(async function () {
+          const contract = await artifacts.require('ERC1155InventoryBurnableMock').new({from: deployer});
+          this.client = await InventoryClient.at(getProvider(), contract.address, {from: deployer});
+        });
+
+        it('detects the absence of ERC721 support', function () {
+          this.client.erc721.should.be.false;
+        });
+
+        shouldBehaveLikeAnInventoryClient();
+
+        it('rejects the ERC721 operations', async function () {
+          await expectError(this.client.transfer(owner, recipient, nft1, 1, {from: owner, safe: false}), AssertionError);
+          await expectError(this.client.getApproved(nft1), AssertionError);
+        });
+      });
+    });
+  }
+});
@@ -0,0 +1,89 @@
+const {artifacts, accounts} = require('hardhat');
+const {BN, expectEvent, expectRevert} = require('@openzeppelin/test-helpers');
+const {DefaultNFMaskLength} = require('../../../src/constants');
+const {makeFungibleCollectionId, makeNonFungibleCollectionId, makeNonFungibleTokenId} = require('../../../src/helpers/inventoryIds');
+const {URITemplateModes, resolveTokenUri} = require('../../../src/metadata');
+const {revertMessages} = require('../../../src/errors');
+
+const Inventory = artifacts.require('ERC1155InventoryMock');
+const Ownable = revertMessages('Ownable');
+
+describe('BaseMetadataURI', function () {
+  const [deployer, other] = accounts;
+
+  const ids = [
+    makeFungibleCollectionId(1),
+    makeNonFungibleCollectionId(1, DefaultNFMaskLength),
+    makeNonFungibleTokenId(1, 1, DefaultNFMaskLength),
+  ];
+
+  const toHex = (id) => new BN(id).toString(16).padStart(64, '0');
+
+  beforeEach(async function () {
+    this.contract = await Inventory.new({from: deployer});
+  });
+
+  describe('setBaseMetadataURI(string)', function () {
+    it('reverts if not called by the owner', async function () {
+      await expectRevert(this.contract.setBaseMetadataURI('https://example.com/', {from: other}), Ownable.NotOwner);
+    });
+
+    it('emits a BaseMetadataURISet event', async function () {
+      const receipt = await this.contract.setBaseMetadataURI('https://example.com/', {from: deployer});
+      expectEvent(receipt, 'BaseMetadataURISet', {baseMetadataURI: 'https://example.com/'});
+      (await this.contract.baseMetadataURI()).should.equal('https://example.com/');
+    });
+  });
+
+  describe('setURITemplateMode(URITemplateMode)', function () {
+    it('defaults to the decimal suffix mode', async function () {
+      (await this.contract.uriTemplateMode()).toNumber().should.equal(URITemplateModes.DecimalSuffix);
+    });
+
+    it('reverts if not called by the owner', async function () {
+      await expectRevert(this.contract.setURITemplateMode(URITemplateModes.HexSuffix, {from: other}), Ownable.NotOwner);
+    });
+
+    it('reverts with an invalid mode', async function () {
+      await expectRevert.assertion(this.contract.setURITemplateMode(3, {from: deployer}));
+    });
+
+    it('emits a URITemplateModeSet event', async function () {
+      const receipt = await this.contract.setURITemplateMode(URITemplateModes.IdPlaceholder, {from: deployer});
+      expectEvent(receipt, 'URITemplateModeSet', {uriTemplateMode: `${URITemplateModes.IdPlaceholder}`});
+      (await this.contract.uriTemplateMode()).toNumber().should.equal(URITemplateModes.IdPlaceholder);
+    });
+  });
+
+  describe('uri(uint256)', function () {
+    const itResolvesTheURIs = function (baseMetadataURI, mode, expected) {
+      context(`in mode ${Object.keys(URITemplateModes)[mode]}`, function () {
+        beforeEach(async function () {
+          await this.contract.setBaseMetadataURI(baseMetadataURI, {from: deployer});
+          await this.contract.setURITemplateMode(mode, {from: deployer});
+        });
+
+        it('returns the expected URIs', async function () {
+          for (let i = 0; i !== ids.length; ++i) {
+            (await this.contract.uri(ids[i])).should.equal(expected[i]);
+          }
+        });
+
+        it('returns the URIs resolved by resolveTokenUri()', async function () {
+          for (const id of ids) {
+            const uri = await this.contract.uri(id);
+            resolveTokenUri(baseMetadataURI, id, mode).should.equal(uri.replace('{id}', toHex(id)));
+          }
+        });
+      });
+    };
+
+    itResolvesTheURIs('https://example.com/', URITemplateModes.DecimalSuffix, ids.map((id) => `https://example.com/${id}`));
+    itResolvesTheURIs(
+      'https://example.com/',
+      URITemplateModes.HexSuffix,
+      ids.map((id) => `https://example.com/${toHex(id)}`)
+    );
+    itResolvesTheURIs('https://example.com/{id}.json', URITemplateModes.IdPlaceholder, ids.map(() => 'https://example.com/{id}.json'));
+  });
+});
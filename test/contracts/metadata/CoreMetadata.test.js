@@ -1,12 +1,13 @@
 const {artifacts, accounts} = require('hardhat');
-const {encode, decode} = require('bits.js');
-const BigInteger = require('big-integer');
 const {BN, expectRevert} = require('@openzeppelin/test-helpers');
 const {behaviors, interfaces} = require('@cryptogesic/ethereum-contracts-core_library');
 const interfacesMetadata = require('../../../src/interfaces/ERC165/Metadata');
 const {fromBytes32Attribute, toBytes32Attribute} = require('../../../src/helpers/bytes32Attributes');
+const {encode, decode} = require('../../../src/helpers/bitsLayout');
+const {revertMessages} = require('../../../src/errors');
 
 const CoreMetadata = artifacts.require('CoreMetadataMock');
+const UInt256Extract = revertMessages('UInt256Extract');
 
 describe('CoreMetadata', function () {
   const [deployer, purchaser, payout] = accounts;
@@ -75,7 +76,7 @@ describe('CoreMetadata', function () {
         indices: [0],
       };
 
-      itReverts(layout, 'UInt256Extract: length is zero');
+      itReverts(layout, UInt256Extract.ZeroLength);
     });
 
     context('attribute length = 256', function () {
@@ -95,7 +96,7 @@ describe('CoreMetadata', function () {
         indices: [0],
       };
 
-      itReverts(layout, 'UInt256Extract: out of bond');
+      itReverts(layout, UInt256Extract.OutOfBounds);
     });
 
     context('out of bond position #1', function () {
@@ -105,7 +106,7 @@ describe('CoreMetadata', function () {
         indices: [256],
       };
 
-      itReverts(layout, 'UInt256Extract: out of bond');
+      itReverts(layout, UInt256Extract.OutOfBounds);
     });
 
     context('out of bond position #2', function () {
@@ -115,7 +116,7 @@ describe('CoreMetadata', function () {
         indices: [1],
       };
 
-      itReverts(layout, 'UInt256Extract: out of bond');
+      itReverts(layout, UInt256Extract.OutOfBounds);
     });
 
     context('working example #1', function () {
@@ -212,18 +213,18 @@ describe('CoreMetadata', function () {
       );
 
       const attributes1 = {
-        collection_attr1: BigInteger(24),
-        collection_attr2: BigInteger(),
-        collection_attr3: BigInteger(53),
-        token_attr1: BigInteger(234324321),
-        token_attr2: BigInteger('0xFFFFFFFFFFFF'),
-        token_attr3: BigInteger(1),
-        token_attr4: BigInteger('0xABCDEF'),
+        collection_attr1: 24,
+        collection_attr2: 0,
+        collection_attr3: 53,
+        token_attr1: 234324321,
+        token_attr2: 0xffffffffffff,
+        token_attr3: 1,
+        token_attr4: 0xabcdef,
       };
       const integer = encode(bitsLayout1, attributes1);
       const attributes2 = decode(bitsLayout2, integer);
 
-      const attributesValues = await this.contract.getAllAttributes(integer.toString(10));
+      const attributesValues = await this.contract.getAllAttributes(integer);
 
       for (const [name, value] of Object.entries({...attributes1, ...attributes2})) {
         if (name == 'nf_flag' || name == 'nfFlag') continue;
@@ -231,7 +232,7 @@ describe('CoreMetadata', function () {
         index.should.be.gte(0, `Missing attribute: ${name}`);
         attributesValues.values[index].should.be.bignumber.equal(new BN(`${value}`), "Attribute's value from getAllAttributes() is wrong");
 
-        const attributeValue = await this.contract.getAttribute(integer.toString(10), toBytes32Attribute(name));
+        const attributeValue = await this.contract.getAttribute(integer, toBytes32Attribute(name));
         attributeValue.should.be.bignumber.equal(new BN(`${value}`), "Attribute's value from getAttribute() is wrong");
       }
     });
@@ -1,14 +1,15 @@
 const {artifacts, accounts} = require('hardhat');
-const {encode, decode} = require('bits.js');
-const BigInteger = require('big-integer');
 const {BN, expectRevert} = require('@openzeppelin/test-helpers');
 const {behaviors, interfaces} = require('@cryptogesic/ethereum-contracts-core_library');
 const interfacesMetadata = require('../../../src/interfaces/ERC165/Metadata');
 const {DefaultNFMaskLength, DefaultNonFungibleLayout} = require('../../../src/constants');
 const {fromBytes32Attribute, toBytes32Attribute} = require('../../../src/helpers/bytes32Attributes');
+const {encode, decode} = require('../../../src/helpers/bitsLayout');
+const {revertMessages} = require('../../../src/errors');
 
 const Inventory = artifacts.require('ERC1155721InventoryMock');
 const InventoryMetadata = artifacts.require('InventoryMetadataMock');
+const UInt256Extract = revertMessages('UInt256Extract');
 
 describe('InventoryMetadata', function () {
   const [deployer, purchaser, payout] = accounts;
@@ -80,7 +81,7 @@ describe('InventoryMetadata', function () {
         indices: [0],
       };
 
-      itReverts(1, layout, 'UInt256Extract: length is zero');
+      itReverts(1, layout, UInt256Extract.ZeroLength);
     });
 
     context('attribute length = 256', function () {
@@ -100,7 +101,7 @@ describe('InventoryMetadata', function () {
         indices: [0],
       };
 
-      itReverts(1, layout, 'UInt256Extract: out of bond');
+      itReverts(1, layout, UInt256Extract.OutOfBounds);
     });
 
     context('out of bond position #1', function () {
@@ -110,7 +111,7 @@ describe('InventoryMetadata', function () {
         indices: [256],
       };
 
-      itReverts(1, layout, 'UInt256Extract: out of bond');
+      itReverts(1, layout, UInt256Extract.OutOfBounds);
     });
 
     context('out of bond position #2', function () {
@@ -120,7 +121,7 @@ describe('InventoryMetadata', function () {
         indices: [1],
       };
 
-      itReverts(1, layout, 'UInt256Extract: out of bond');
+      itReverts(1, layout, UInt256Extract.OutOfBounds);
     });
 
     context('working example #1', function () {
@@ -199,39 +200,39 @@ describe('InventoryMetadata', function () {
     ];
 
     const CollectionAttributes = {
-      collection_attr1: BigInteger(24),
-      collection_attr2: BigInteger(),
-      collection_attr3: BigInteger(53),
-      nf_flag: BigInteger(1),
+      collection_attr1: 24,
+      collection_attr2: 0,
+      collection_attr3: 53,
+      nf_flag: 1,
     };
 
     const NfCollectionId = encode(bitsLayout, {
-      token_attr1: BigInteger(),
-      token_attr2: BigInteger(),
-      token_attr3: BigInteger(),
-      token_attr4: BigInteger(),
+      token_attr1: 0,
+      token_attr2: 0,
+      token_attr3: 0,
+      token_attr4: 0,
       ...CollectionAttributes,
     });
 
     it('retrieves the correct values', async function () {
       await this.contract.setLayout(
-        NfCollectionId.toString(10),
+        NfCollectionId,
         layout.names.map((x) => toBytes32Attribute(x)),
         layout.lengths,
         layout.indices
       );
 
       const attributes1 = {
-        token_attr1: BigInteger(234324321),
-        token_attr2: BigInteger('0xFFFFFFFFFFFF'),
-        token_attr3: BigInteger(1),
-        token_attr4: BigInteger('0xABCDEF'),
+        token_attr1: 234324321,
+        token_attr2: 0xffffffffffff,
+        token_attr3: 1,
+        token_attr4: 0xabcdef,
         ...CollectionAttributes,
       };
       const nftId = encode(bitsLayout, attributes1);
       const nftDefaultAttributes = decode(DefaultNonFungibleLayout, nftId);
 
-      const attributesValues = await this.contract.getAllAttributes(nftId.toString(10));
+      const attributesValues = await this.contract.getAllAttributes(nftId);
 
       for (const [name, value] of Object.entries({...attributes1, ...nftDefaultAttributes})) {
         if (name == 'nf_flag' || name == 'nfFlag') continue;
@@ -239,7 +240,7 @@ describe('InventoryMetadata', function () {
         index.should.be.gte(0, `Missing attribute: ${name}`);
         attributesValues.values[index].should.be.bignumber.equal(new BN(`${value}`), `Wrong value for '${name}' from getAllAttributes()`);
 
-        const attributeValue = await this.contract.getAttribute(nftId.toString(10), toBytes32Attribute(name));
+        const attributeValue = await this.contract.getAttribute(nftId, toBytes32Attribute(name));
         attributeValue.should.be.bignumber.equal(new BN(`${value}`), `Wrong value for '${name}' from getAttribute()`);
       }
     });
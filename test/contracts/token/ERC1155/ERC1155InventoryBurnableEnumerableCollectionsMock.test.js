@@ -0,0 +1,72 @@
+const {artifacts} = require('hardhat');
+const {shouldBehaveLikeERC1155} = require('../../../../src/behaviors');
+const {revertMessages} = require('../../../../src/errors');
+
+const Inventory = revertMessages('Inventory');
+
+const implementation = {
+  contractName: 'ERC1155InventoryBurnableEnumerableCollectionsMock',
+  nfMaskLength: 32,
+  revertMessages: {
+    // ERC1155
+    SelfApprovalForAll: Inventory.SelfApproval,
+    ZeroAddress: Inventory.ZeroAddress,
+    NonApproved: Inventory.NonApproved,
+    TransferToZero: Inventory.TransferToZero,
+    MintToZero: Inventory.TransferToZero,
+    ZeroValue: Inventory.ZeroValue,
+    InconsistentArrays: Inventory.InconsistentArrays,
+    InsufficientBalance: Inventory.InsufficientBalance,
+    TransferRejected: Inventory.TransferRejected,
+    SupplyOverflow: Inventory.SupplyOverflow,
+    NotMinter: Inventory.NotMinter,
+
+    // ERC1155Inventory
+    ExistingCollection: Inventory.ExistingCollection,
+    ExistingOrBurntNFT: Inventory.ExistingOrBurntNFT,
+    NotCollection: Inventory.NotCollection,
+    NotToken: Inventory.NotToken,
+    NonExistingNFT: Inventory.NonExistingNFT,
+    NonOwnedNFT: Inventory.NonOwnedNFT,
+    WrongNFTValue: Inventory.WrongNFTValue,
+    NotNFT: Inventory.NotNFT,
+
+    // ERC1155InventoryEnumerableCollections
+    NotNFCollection: Inventory.NotNFCollection,
+  },
+  interfaces: {
+    ERC1155: true,
+    ERC1155MetadataURI: true,
+    ERC1155Inventory: true,
+    ERC1155InventoryCreator: true,
+    ERC1155InventoryEnumerableCollections: true,
+  },
+  methods: {
+    'safeMint(address,uint256,uint256,bytes)': async function (contract, to, id, value, data, overrides) {
+      return contract.safeMint(to, id, value, data, overrides);
+    },
+    'safeBatchMint(address,uint256[],uint256[],bytes)': async function (contract, to, ids, values, data, overrides) {
+      return contract.safeBatchMint(to, ids, values, data, overrides);
+    },
+    'burnFrom(address,uint256,uint256)': async function (contract, from, id, value, overrides) {
+      return contract.burnFrom(from, id, value, overrides);
+    },
+    'batchBurnFrom(address,uint256[],uint256[])': async function (contract, from, ids, values, overrides) {
+      return contract.batchBurnFrom(from, ids, values, overrides);
+    },
+    'createCollection(uint256)': async function (contract, collectionId, overrides) {
+      return contract.createCollection(collectionId, overrides);
+    },
+  },
+  deploy: async function (deployer) {
+    return artifacts.require('ERC1155InventoryBurnableEnumerableCollectionsMock').new({from: deployer});
+  },
+  mint: async function (contract, to, id, value, overrides) {
+    return contract.methods['safeMint(address,uint256,uint256,bytes)'](to, id, value, '0x', overrides);
+  },
+};
+
+describe('ERC1155InventoryBurnableEnumerableCollectionsMock', function () {
+  this.timeout(0);
+  shouldBehaveLikeERC1155(implementation);
+});
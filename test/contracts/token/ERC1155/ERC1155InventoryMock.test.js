@@ -1,32 +1,35 @@
 const {artifacts} = require('hardhat');
-const {shouldBehaveLikeERC1155} = require('./behaviors/ERC1155.behavior');
+const {shouldBehaveLikeERC1155} = require('../../../../src/behaviors');
+const {revertMessages} = require('../../../../src/errors');
+
+const Inventory = revertMessages('Inventory');
 
 const implementation = {
   contractName: 'ERC1155InventoryMock',
   nfMaskLength: 32,
   revertMessages: {
     // ERC1155
-    SelfApprovalForAll: 'Inventory: self-approval',
-    ZeroAddress: 'Inventory: zero address',
-    NonApproved: 'Inventory: non-approved sender',
-    TransferToZero: 'Inventory: transfer to zero',
-    MintToZero: 'Inventory: transfer to zero',
-    ZeroValue: 'Inventory: zero value',
-    InconsistentArrays: 'Inventory: inconsistent arrays',
-    InsufficientBalance: 'Inventory: not enough balance',
-    TransferRejected: 'Inventory: transfer refused',
-    SupplyOverflow: 'Inventory: supply overflow',
-    NotMinter: 'Inventory: not a minter',
+    SelfApprovalForAll: Inventory.SelfApproval,
+    ZeroAddress: Inventory.ZeroAddress,
+    NonApproved: Inventory.NonApproved,
+    TransferToZero: Inventory.TransferToZero,
+    MintToZero: Inventory.TransferToZero,
+    ZeroValue: Inventory.ZeroValue,
+    InconsistentArrays: Inventory.InconsistentArrays,
+    InsufficientBalance: Inventory.InsufficientBalance,
+    TransferRejected: Inventory.TransferRejected,
+    SupplyOverflow: Inventory.SupplyOverflow,
+    NotMinter: Inventory.NotMinter,
 
     // ERC1155Inventory
-    ExistingCollection: 'Inventory: existing collection',
-    ExistingOrBurntNFT: 'Inventory: existing/burnt NFT',
-    NotCollection: 'Inventory: not a collection',
-    NotToken: 'Inventory: not a token id',
-    NonExistingNFT: 'Inventory: non-existing NFT',
-    NonOwnedNFT: 'Inventory: non-owned NFT',
-    WrongNFTValue: 'Inventory: wrong NFT value',
-    NotNFT: 'Inventory: not an NFT',
+    ExistingCollection: Inventory.ExistingCollection,
+    ExistingOrBurntNFT: Inventory.ExistingOrBurntNFT,
+    NotCollection: Inventory.NotCollection,
+    NotToken: Inventory.NotToken,
+    NonExistingNFT: Inventory.NonExistingNFT,
+    NonOwnedNFT: Inventory.NonOwnedNFT,
+    WrongNFTValue: Inventory.WrongNFTValue,
+    NotNFT: Inventory.NotNFT,
   },
   interfaces: {ERC1155: true, ERC1155MetadataURI: true, ERC1155Inventory: true, ERC1155InventoryCreator: true},
   methods: {
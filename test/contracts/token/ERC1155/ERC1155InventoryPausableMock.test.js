@@ -1,38 +1,42 @@
 const {artifacts} = require('hardhat');
-const {shouldBehaveLikeERC1155} = require('./behaviors/ERC1155.behavior');
+const {shouldBehaveLikeERC1155} = require('../../../../src/behaviors');
+const {revertMessages} = require('../../../../src/errors');
+
+const Inventory = revertMessages('Inventory');
+const Pausable = revertMessages('Pausable');
 
 const implementation = {
   contractName: 'ERC1155InventoryPausableMock',
   nfMaskLength: 32,
   revertMessages: {
     // ERC1155
-    SelfApprovalForAll: 'Inventory: self-approval',
-    ZeroAddress: 'Inventory: zero address',
-    NonApproved: 'Inventory: non-approved sender',
-    TransferToZero: 'Inventory: transfer to zero',
-    MintToZero: 'Inventory: transfer to zero',
-    ZeroValue: 'Inventory: zero value',
-    InconsistentArrays: 'Inventory: inconsistent arrays',
-    InsufficientBalance: 'Inventory: not enough balance',
-    TransferRejected: 'Inventory: transfer refused',
-    SupplyOverflow: 'Inventory: supply overflow',
-    NotMinter: 'Inventory: not a minter',
+    SelfApprovalForAll: Inventory.SelfApproval,
+    ZeroAddress: Inventory.ZeroAddress,
+    NonApproved: Inventory.NonApproved,
+    TransferToZero: Inventory.TransferToZero,
+    MintToZero: Inventory.TransferToZero,
+    ZeroValue: Inventory.ZeroValue,
+    InconsistentArrays: Inventory.InconsistentArrays,
+    InsufficientBalance: Inventory.InsufficientBalance,
+    TransferRejected: Inventory.TransferRejected,
+    SupplyOverflow: Inventory.SupplyOverflow,
+    NotMinter: Inventory.NotMinter,
 
     // ERC1155Inventory
-    ExistingCollection: 'Inventory: existing collection',
-    ExistingOrBurntNFT: 'Inventory: existing/burnt NFT',
-    NotCollection: 'Inventory: not a collection',
-    NotToken: 'Inventory: not a token id',
-    NonExistingNFT: 'Inventory: non-existing NFT',
-    NonOwnedNFT: 'Inventory: non-owned NFT',
-    WrongNFTValue: 'Inventory: wrong NFT value',
-    NotNFT: 'Inventory: not an NFT',
+    ExistingCollection: Inventory.ExistingCollection,
+    ExistingOrBurntNFT: Inventory.ExistingOrBurntNFT,
+    NotCollection: Inventory.NotCollection,
+    NotToken: Inventory.NotToken,
+    NonExistingNFT: Inventory.NonExistingNFT,
+    NonOwnedNFT: Inventory.NonOwnedNFT,
+    WrongNFTValue: Inventory.WrongNFTValue,
+    NotNFT: Inventory.NotNFT,
 
     // Pausable
-    Paused: 'Inventory: paused',
-    NotPauser: 'Inventory: not the owner',
-    AlreadyPaused: 'Pausable: paused',
-    AlreadyUnpaused: 'Pausable: not paused',
+    Paused: Inventory.Paused,
+    NotPauser: Inventory.NotOwner,
+    AlreadyPaused: Pausable.Paused,
+    AlreadyUnpaused: Pausable.NotPaused,
   },
   interfaces: {
     ERC1155: true,
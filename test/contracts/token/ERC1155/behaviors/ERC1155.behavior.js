@@ -1,9 +1,11 @@
 const {shouldBehaveLikeERC1155Standard} = require('./ERC1155.standard.behavior');
 const {shouldBehaveLikeERC1155Mintable} = require('./ERC1155.mintable.behavior');
 const {shouldBehaveLikeERC1155Burnable} = require('./ERC1155.burnable.behavior');
+const {shouldBehaveLikeERC1155SafeTransfers} = require('./ERC1155.safeTransfers.behavior');
 const {shouldBehaveLikeERC1155MetadataURI} = require('./ERC1155MetadataURI.behavior');
 const {shouldBehaveLikeERC1155Inventory} = require('./ERC1155Inventory.behavior');
 const {shouldBehaveLikeERC1155InventoryCreator} = require('./ERC1155InventoryCreator.behavior');
+const {shouldBehaveLikeERC1155InventoryEnumerableCollections} = require('./ERC1155InventoryEnumerableCollections.behavior');
 const {shouldBehaveLikePausableContract} = require('@cryptogesic/ethereum-contracts-core_library/test/contracts/utils/Pausable.behavior');
 
 function shouldBehaveLikeERC1155(implementation) {
@@ -11,6 +13,7 @@ function shouldBehaveLikeERC1155(implementation) {
     shouldBehaveLikeERC1155Standard(implementation);
     shouldBehaveLikeERC1155Mintable(implementation);
     shouldBehaveLikeERC1155Burnable(implementation);
+    shouldBehaveLikeERC1155SafeTransfers(implementation);
     if (implementation.interfaces.ERC1155MetadataURI) {
       shouldBehaveLikeERC1155MetadataURI(implementation);
     }
@@ -20,6 +23,9 @@ function shouldBehaveLikeERC1155(implementation) {
     if (implementation.interfaces.ERC1155InventoryCreator) {
       shouldBehaveLikeERC1155InventoryCreator(implementation);
     }
+    if (implementation.interfaces.ERC1155InventoryEnumerableCollections) {
+      shouldBehaveLikeERC1155InventoryEnumerableCollections(implementation);
+    }
 
     if (implementation.interfaces.Pausable) {
       shouldBehaveLikePausableContract(implementation);
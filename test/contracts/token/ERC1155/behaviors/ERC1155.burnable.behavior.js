@@ -8,8 +8,9 @@ const {
   makeNonFungibleTokenId,
   isNonFungibleToken,
   isFungible,
-} = require('@cryptogesic/blockchain-inventory_metadata').inventoryIds;
+} = require('../../../../../src/helpers/inventoryIds');
 const {Zero, One, ZeroAddress} = require('@cryptogesic/ethereum-contracts-core_library').constants;
+const {withInvariants} = require('../../invariants');
 
 function shouldBehaveLikeERC1155Burnable({nfMaskLength, contractName, revertMessages, eventParamsOverrides, interfaces, methods, deploy, mint}) {
   const [deployer, minter, owner, operator, approved, other] = accounts;
@@ -56,7 +57,7 @@ function shouldBehaveLikeERC1155Burnable({nfMaskLength, contractName, revertMess
 
     const fixtureLoader = createFixtureLoader(accounts, web3.eth.currentProvider);
     const fixture = async function () {
-      this.token = await deploy(deployer);
+      this.token = withInvariants(await deploy(deployer), {nfMaskLength, revertMessages, minter});
       await this.token.addMinter(minter, {from: deployer});
       await mint(this.token, owner, fCollection1.id, fCollection1.supply, {from: minter});
       await mint(this.token, owner, fCollection2.id, fCollection2.supply, {from: minter});
@@ -76,8 +77,8 @@ function shouldBehaveLikeERC1155Burnable({nfMaskLength, contractName, revertMess
         this.nftBalance = await this.token.balanceOf(owner);
       }
       if (interfaces.ERC1155Inventory) {
-        this.nfcSupply = await this.token.totalSupply(nfCollection);
-        this.otherNFCSupply = await this.token.totalSupply(nfCollectionOther);
+        this.nfcSupply = await this.token.methods['totalSupply(uint256)'](nfCollection);
+        this.otherNFCSupply = await this.token.methods['totalSupply(uint256)'](nfCollectionOther);
         this.nfcBalance = await this.token.balanceOf(owner, nfCollection);
         this.otherNFCBalance = await this.token.balanceOf(owner, nfCollectionOther);
       }
@@ -133,7 +134,7 @@ function shouldBehaveLikeERC1155Burnable({nfMaskLength, contractName, revertMess
                 }
                 supply = supply - value;
               }
-              (await this.token.totalSupply(id)).should.be.bignumber.equal(new BN(supply));
+              (await this.token.methods['totalSupply(uint256)'](id)).should.be.bignumber.equal(new BN(supply));
             }
           });
         }
@@ -157,13 +158,15 @@ function shouldBehaveLikeERC1155Burnable({nfMaskLength, contractName, revertMess
             });
 
             it('[ERC1155Inventory] decreases the Non-Fungible Collection(s) total supply', async function () {
-              (await this.token.totalSupply(nfCollection)).should.be.bignumber.equal(this.nfcSupply.subn(nbCollectionNFTs));
-              (await this.token.totalSupply(nfCollectionOther)).should.be.bignumber.equal(this.otherNFCSupply.subn(nbOtherCollectionNFTs));
+              (await this.token.methods['totalSupply(uint256)'](nfCollection)).should.be.bignumber.equal(this.nfcSupply.subn(nbCollectionNFTs));
+              (await this.token.methods['totalSupply(uint256)'](nfCollectionOther)).should.be.bignumber.equal(
+                this.otherNFCSupply.subn(nbOtherCollectionNFTs)
+              );
             });
 
             it('[ERC1155Inventory] sets the Non-Fungible Token(s) total supply to 0', async function () {
               for (const [id, _value] of nonFungibleTokens) {
-                (await this.token.totalSupply(id)).should.be.bignumber.equal('0');
+                (await this.token.methods['totalSupply(uint256)'](id)).should.be.bignumber.equal('0');
               }
             });
           }
@@ -12,7 +12,8 @@ const {
   makeNonFungibleTokenId,
   isNonFungibleToken,
   isFungible,
-} = require('@cryptogesic/blockchain-inventory_metadata').inventoryIds;
+} = require('../../../../../src/helpers/inventoryIds');
+const {withInvariants} = require('../../invariants');
 
 const ERC1155TokenReceiverMock = artifacts.require('ERC1155TokenReceiverMock');
 const ERC721ReceiverMock = artifacts.require('ERC721ReceiverMock');
@@ -62,7 +63,7 @@ function shouldBehaveLikeERC1155Mintable({contractName, nfMaskLength, revertMess
   describe('like a mintable ERC1155Inventory', function () {
     const fixtureLoader = createFixtureLoader(accounts, web3.eth.currentProvider);
     const fixture = async function () {
-      this.token = await deploy(deployer);
+      this.token = withInvariants(await deploy(deployer), {nfMaskLength, revertMessages, minter});
       await this.token.addMinter(minter, {from: deployer});
       await mint(this.token, other, unknownFCollection.id, MaxUInt256, {from: minter});
       this.receiver721 = await ERC721ReceiverMock.new(true);
@@ -93,7 +94,7 @@ function shouldBehaveLikeERC1155Mintable({contractName, nfMaskLength, revertMess
         if (interfaces.ERC1155Inventory) {
           it('[ERC1155Inventory] increases the token(s) total supply', async function () {
             for (const [id, value] of tokens) {
-              (await this.token.totalSupply(id)).should.be.bignumber.equal(new BN(value));
+              (await this.token.methods['totalSupply(uint256)'](id)).should.be.bignumber.equal(new BN(value));
             }
           });
         }
@@ -115,13 +116,13 @@ function shouldBehaveLikeERC1155Mintable({contractName, nfMaskLength, revertMess
             });
 
             it('[ERC1155Inventory] increases the Non-Fungible Collection(s) total supply', async function () {
-              (await this.token.totalSupply(nfCollection)).should.be.bignumber.equal(new BN(nbCollectionNFTs));
-              (await this.token.totalSupply(nfCollectionOther)).should.be.bignumber.equal(new BN(nbOtherCollectionNFTs));
+              (await this.token.methods['totalSupply(uint256)'](nfCollection)).should.be.bignumber.equal(new BN(nbCollectionNFTs));
+              (await this.token.methods['totalSupply(uint256)'](nfCollectionOther)).should.be.bignumber.equal(new BN(nbOtherCollectionNFTs));
             });
 
             it('[ERC1155Inventory] sets the Non-Fungible Token(s) total supply to 1', async function () {
               for (const [id, _value] of nonFungibleTokens) {
-                (await this.token.totalSupply(id)).should.be.bignumber.equal('1');
+                (await this.token.methods['totalSupply(uint256)'](id)).should.be.bignumber.equal('1');
               }
             });
           }
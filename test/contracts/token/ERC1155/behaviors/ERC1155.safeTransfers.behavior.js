@@ -0,0 +1,217 @@
+const {artifacts, accounts, web3} = require('hardhat');
+const {createFixtureLoader} = require('@cryptogesic/ethereum-contracts-core_library/test/utils/fixture');
+const {BN, expectEvent, expectRevert} = require('@openzeppelin/test-helpers');
+const {ZeroAddress} = require('@cryptogesic/ethereum-contracts-core_library').constants;
+const {ERC721Received_MagicValue, ERC1155Received_MagicValue, ERC1155BatchReceived_MagicValue} = require('../../../../../src/constants');
+const {makeFungibleCollectionId, makeNonFungibleTokenId} = require('../../../../../src/helpers/inventoryIds');
+const {withInvariants} = require('../../invariants');
+
+const ReceiverMode = require('../../ReceiverMode');
+
+const ERC1155721ConfigurableReceiverMock = artifacts.require('ERC1155721ConfigurableReceiverMock');
+
+function shouldBehaveLikeERC1155SafeTransfers({nfMaskLength, revertMessages, methods, deploy, mint}) {
+  const [deployer, minter, owner, other] = accounts;
+
+  const {
+    'safeMint(address,uint256,uint256,bytes)': safeMint_ERC1155,
+    'safeBatchMint(address,uint256[],uint256[],bytes)': safeBatchMint_ERC1155,
+    'batchTransferFrom(address,address,uint256[])': batchTransferFrom_ERC721,
+    'batchMint(address,uint256[])': batchMint_ERC721,
+  } = methods;
+
+  const fungibleToken = makeFungibleCollectionId(1);
+  const nft1 = makeNonFungibleTokenId(1, 1, nfMaskLength);
+  const nft2 = makeNonFungibleTokenId(2, 1, nfMaskLength);
+  const unmintedNft = makeNonFungibleTokenId(3, 1, nfMaskLength);
+  const data = '0x42';
+
+  const errorData = function (reason) {
+    return web3.eth.abi.encodeFunctionCall({name: 'Error', type: 'function', inputs: [{type: 'string', name: 'reason'}]}, [reason]);
+  };
+
+  // The calls to the receivers: `send` transfers or mints `ids` and `values` to `to`, from `from`, sent by `operator`
+  const calls = [
+    {
+      signature: 'safeTransferFrom(address,address,uint256,uint256,bytes)',
+      batch: false,
+      operator: owner,
+      from: owner,
+      ids: [fungibleToken],
+      values: [2],
+      data,
+      send: (token, to, overrides) =>
+        token.methods['safeTransferFrom(address,address,uint256,uint256,bytes)'](owner, to, fungibleToken, 2, data, overrides),
+    },
+    {
+      signature: 'safeTransferFrom(address,address,uint256,uint256,bytes) of a Non-Fungible Token',
+      batch: false,
+      operator: owner,
+      from: owner,
+      ids: [nft1],
+      values: [1],
+      data,
+      send: (token, to, overrides) => token.methods['safeTransferFrom(address,address,uint256,uint256,bytes)'](owner, to, nft1, 1, data, overrides),
+    },
+    {
+      signature: 'safeBatchTransferFrom(address,address,uint256[],uint256[],bytes)',
+      batch: true,
+      operator: owner,
+      from: owner,
+      ids: [fungibleToken, nft1, nft2],
+      values: [2, 1, 1],
+      data,
+      send: (token, to, overrides) => token.safeBatchTransferFrom(owner, to, [fungibleToken, nft1, nft2], [2, 1, 1], data, overrides),
+    },
+  ];
+  if (batchTransferFrom_ERC721 !== undefined) {
+    calls.push({
+      signature: 'batchTransferFrom(address,address,uint256[])',
+      batch: true,
+      operator: owner,
+      from: owner,
+      ids: [nft1, nft2],
+      values: [1, 1],
+      data: null,
+      send: (token, to, overrides) => batchTransferFrom_ERC721(token, owner, to, [nft1, nft2], overrides),
+    });
+  }
+  if (safeMint_ERC1155 !== undefined) {
+    calls.push({
+      signature: 'safeMint(address,uint256,uint256,bytes)',
+      batch: false,
+      operator: minter,
+      from: ZeroAddress,
+      ids: [unmintedNft],
+      values: [1],
+      data,
+      send: (token, to, overrides) => safeMint_ERC1155(token, to, unmintedNft, 1, data, {...overrides, from: minter}),
+    });
+  }
+  if (safeBatchMint_ERC1155 !== undefined) {
+    calls.push({
+      signature: 'safeBatchMint(address,uint256[],uint256[],bytes)',
+      batch: true,
+      operator: minter,
+      from: ZeroAddress,
+      ids: [fungibleToken, unmintedNft],
+      values: [2, 1],
+      data,
+      send: (token, to, overrides) => safeBatchMint_ERC1155(token, to, [fungibleToken, unmintedNft], [2, 1], data, {...overrides, from: minter}),
+    });
+  }
+  if (batchMint_ERC721 !== undefined) {
+    calls.push({
+      signature: 'batchMint(address,uint256[])',
+      batch: true,
+      operator: minter,
+      from: ZeroAddress,
+      ids: [unmintedNft],
+      values: [1],
+      data: null,
+      send: (token, to, overrides) => batchMint_ERC721(token, to, [unmintedNft], {...overrides, from: minter}),
+    });
+  }
+
+  describe('like an ERC1155 calling the token receivers', function () {
+    const fixtureLoader = createFixtureLoader(accounts, web3.eth.currentProvider);
+    const fixture = async function () {
+      this.token = withInvariants(await deploy(deployer), {nfMaskLength, revertMessages, minter});
+      await this.token.addMinter(minter, {from: deployer});
+      await mint(this.token, owner, fungibleToken, 10, {from: minter});
+      await mint(this.token, owner, nft1, 1, {from: minter});
+      await mint(this.token, owner, nft2, 1, {from: minter});
+      this.receiver = await ERC1155721ConfigurableReceiverMock.new(false, true);
+    };
+
+    beforeEach(async function () {
+      await fixtureLoader(fixture, this);
+    });
+
+    for (const call of calls) {
+      const {signature, batch, operator, from, ids, values} = call;
+      const magicValue = batch ? ERC1155BatchReceived_MagicValue : ERC1155Received_MagicValue;
+
+      describe(signature, function () {
+        it(`calls ${batch ? 'onERC1155BatchReceived' : 'onERC1155Received'} and records the call`, async function () {
+          const receipt = await call.send(this.token, this.receiver.address, {from: operator});
+          if (batch) {
+            await expectEvent.inTransaction(receipt.tx, ERC1155721ConfigurableReceiverMock, 'ReceivedBatch', {
+              operator,
+              from,
+              ids,
+              values,
+              data: call.data,
+            });
+          } else {
+            await expectEvent.inTransaction(receipt.tx, ERC1155721ConfigurableReceiverMock, 'ReceivedSingle', {
+              operator,
+              from,
+              id: ids[0],
+              value: values[0],
+              data: call.data,
+            });
+          }
+          (await this.receiver.receivedCalls(magicValue)).should.be.bignumber.equal(new BN(1));
+          for (const [index, id] of ids.entries()) {
+            (await this.token.balanceOf(this.receiver.address, id)).should.be.bignumber.equal(new BN(values[index]));
+          }
+        });
+
+        it('reverts if the receiver returns a wrong value', async function () {
+          for (const returnValue of [
+            '0x00000000',
+            '0xffffffff',
+            batch ? ERC1155Received_MagicValue : ERC1155BatchReceived_MagicValue,
+            ERC721Received_MagicValue,
+          ]) {
+            await this.receiver.configure(ReceiverMode.RETURN_VALUE, returnValue, '0x');
+            await expectRevert(call.send(this.token, this.receiver.address, {from: operator}), revertMessages.TransferRejected);
+          }
+        });
+
+        it('bubbles up the revert reason of the receiver', async function () {
+          await this.receiver.configure(ReceiverMode.REVERT, '0x00000000', errorData('Receiver: custom reason'));
+          await expectRevert(call.send(this.token, this.receiver.address, {from: operator}), 'Receiver: custom reason');
+        });
+
+        it('reverts if the receiver reverts without data', async function () {
+          await this.receiver.configure(ReceiverMode.REVERT, '0x00000000', '0x');
+          await expectRevert.unspecified(call.send(this.token, this.receiver.address, {from: operator}));
+        });
+
+        it('reverts if the receiver consumes all the gas', async function () {
+          await this.receiver.configure(ReceiverMode.CONSUME_GAS, '0x00000000', '0x');
+          await expectRevert.unspecified(call.send(this.token, this.receiver.address, {from: operator, gas: 2000000}));
+        });
+
+        it('lets the receiver re-enter to transfer the received tokens', async function () {
+          const reentry = this.token.contract.methods.safeBatchTransferFrom(this.receiver.address, other, ids, values, '0x').encodeABI();
+          await this.receiver.configure(ReceiverMode.REENTER, '0x00000000', reentry);
+          await call.send(this.token, this.receiver.address, {from: operator});
+          for (const [index, id] of ids.entries()) {
+            (await this.token.balanceOf(this.receiver.address, id)).should.be.bignumber.equal(new BN(0));
+            (await this.token.balanceOf(other, id)).should.be.bignumber.equal(new BN(values[index]));
+          }
+          (await this.receiver.receivedCalls(magicValue)).should.be.bignumber.equal(new BN(1));
+        });
+
+        it('bubbles up the revert reason of a failing re-entrant call', async function () {
+          const reentry = this.token.contract.methods['safeTransferFrom(address,address,uint256,uint256,bytes)'](
+            owner,
+            other,
+            fungibleToken,
+            1,
+            '0x'
+          ).encodeABI();
+          await this.receiver.configure(ReceiverMode.REENTER, '0x00000000', reentry);
+          await expectRevert(call.send(this.token, this.receiver.address, {from: operator}), revertMessages.NonApproved);
+        });
+      });
+    }
+  });
+}
+
+module.exports = {
+  shouldBehaveLikeERC1155SafeTransfers,
+};
@@ -14,8 +14,9 @@ const {
   makeFungibleCollectionId,
   makeNonFungibleCollectionId,
   makeNonFungibleTokenId,
-} = require('@cryptogesic/blockchain-inventory_metadata').inventoryIds;
+} = require('../../../../../src/helpers/inventoryIds');
 const {Zero, One} = require('@cryptogesic/ethereum-contracts-core_library/src/constants');
+const {withInvariants} = require('../../invariants');
 
 const ERC1155TokenReceiverMock = artifacts.require('ERC1155TokenReceiverMock');
 const ERC721ReceiverMock = artifacts.require('ERC721ReceiverMock');
@@ -50,7 +51,7 @@ function shouldBehaveLikeERC1155Standard({nfMaskLength, revertMessages, eventPar
   describe('like an ERC1155StandardInventory', function () {
     const fixtureLoader = createFixtureLoader(accounts, web3.eth.currentProvider);
     const fixture = async function () {
-      this.token = await deploy(deployer);
+      this.token = withInvariants(await deploy(deployer), {nfMaskLength, revertMessages, minter});
       await this.token.addMinter(minter, {from: deployer});
       await mint(this.token, owner, fCollection1.id, fCollection1.supply, {from: minter});
       await mint(this.token, owner, fCollection2.id, fCollection2.supply, {from: minter});
@@ -73,8 +74,8 @@ function shouldBehaveLikeERC1155Standard({nfMaskLength, revertMessages, eventPar
         this.nftBalance = await this.token.balanceOf(owner);
       }
       if (interfaces.ERC1155Inventory) {
-        this.nfcSupply = await this.token.totalSupply(nfCollection);
-        this.otherNFCSupply = await this.token.totalSupply(nfCollectionOther);
+        this.nfcSupply = await this.token.methods['totalSupply(uint256)'](nfCollection);
+        this.otherNFCSupply = await this.token.methods['totalSupply(uint256)'](nfCollectionOther);
         this.nfcBalance = await this.token.balanceOf(owner, nfCollection);
         this.otherNFCBalance = await this.token.balanceOf(owner, nfCollectionOther);
       }
@@ -313,7 +314,7 @@ function shouldBehaveLikeERC1155Standard({nfMaskLength, revertMessages, eventPar
                     supply = fCollection3.supply;
                   }
                 }
-                (await this.token.totalSupply(id)).should.be.bignumber.equal(new BN(supply));
+                (await this.token.methods['totalSupply(uint256)'](id)).should.be.bignumber.equal(new BN(supply));
               }
             });
           }
@@ -357,8 +358,8 @@ function shouldBehaveLikeERC1155Standard({nfMaskLength, revertMessages, eventPar
               }
 
               it('[ERC1155Inventory] does not affect the Non-Fungible Collection(s) total supply', async function () {
-                (await this.token.totalSupply(nfCollection)).should.be.bignumber.equal(this.nfcSupply);
-                (await this.token.totalSupply(nfCollectionOther)).should.be.bignumber.equal(this.otherNFCSupply);
+                (await this.token.methods['totalSupply(uint256)'](nfCollection)).should.be.bignumber.equal(this.nfcSupply);
+                (await this.token.methods['totalSupply(uint256)'](nfCollectionOther)).should.be.bignumber.equal(this.otherNFCSupply);
               });
             }
 
@@ -4,11 +4,8 @@ const {expectRevert} = require('@openzeppelin/test-helpers');
 const interfaces1155 = require('../../../../../src/interfaces/ERC165/ERC1155');
 const {behaviors} = require('@cryptogesic/ethereum-contracts-core_library');
 
-const {
-  makeFungibleCollectionId,
-  makeNonFungibleCollectionId,
-  makeNonFungibleTokenId,
-} = require('@cryptogesic/blockchain-inventory_metadata').inventoryIds;
+const {makeFungibleCollectionId, makeNonFungibleCollectionId, makeNonFungibleTokenId} = require('../../../../../src/helpers/inventoryIds');
+const {withInvariants} = require('../../invariants');
 
 function shouldBehaveLikeERC1155Inventory({nfMaskLength, revertMessages, interfaces, deploy, mint}) {
   const [deployer, minter, owner, operator, approved, other] = accounts;
@@ -36,7 +33,7 @@ function shouldBehaveLikeERC1155Inventory({nfMaskLength, revertMessages, interfa
   describe('like an ERC1155StandardInventory', function () {
     const fixtureLoader = createFixtureLoader(accounts, web3.eth.currentProvider);
     const fixture = async function () {
-      this.token = await deploy(deployer);
+      this.token = withInvariants(await deploy(deployer), {nfMaskLength, revertMessages, minter});
       await this.token.addMinter(minter, {from: deployer});
       await mint(this.token, owner, fCollection1.id, fCollection1.supply, {from: minter});
       await mint(this.token, owner, fCollection2.id, fCollection2.supply, {from: minter});
@@ -123,23 +120,23 @@ function shouldBehaveLikeERC1155Inventory({nfMaskLength, revertMessages, interfa
       describe('totalSupply()', function () {
         context('for an Non-Fungible Token', function () {
           it('returns 1 for an existing Non-Fungible Token id', async function () {
-            (await this.token.totalSupply(nft1)).should.be.bignumber.equal('1');
+            (await this.token.methods['totalSupply(uint256)'](nft1)).should.be.bignumber.equal('1');
           });
           it('returns 0 for a non-existing Non-Fungible Token id', async function () {
-            (await this.token.totalSupply(unknownNft)).should.be.bignumber.equal('0');
+            (await this.token.methods['totalSupply(uint256)'](unknownNft)).should.be.bignumber.equal('0');
           });
         });
 
         context('for a Non-Fungible Collection', function () {
           it('returns the Non-Fungible Collection total supply', async function () {
-            (await this.token.totalSupply(nfCollection)).should.be.bignumber.equal('2');
-            (await this.token.totalSupply(nfCollectionOther)).should.be.bignumber.equal('1');
+            (await this.token.methods['totalSupply(uint256)'](nfCollection)).should.be.bignumber.equal('2');
+            (await this.token.methods['totalSupply(uint256)'](nfCollectionOther)).should.be.bignumber.equal('1');
           });
         });
 
         context('for a Fungible Token', function () {
           it('returns the Fungible Token total supply', async function () {
-            (await this.token.totalSupply(fCollection1.id)).should.be.bignumber.equal(fCollection1.supply.toString());
+            (await this.token.methods['totalSupply(uint256)'](fCollection1.id)).should.be.bignumber.equal(fCollection1.supply.toString());
           });
         });
       });
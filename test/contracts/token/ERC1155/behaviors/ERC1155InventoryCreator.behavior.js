@@ -1,12 +1,9 @@
 const {accounts, web3} = require('hardhat');
 const {createFixtureLoader} = require('@cryptogesic/ethereum-contracts-core_library/test/utils/fixture');
-const {
-  makeFungibleCollectionId,
-  makeNonFungibleCollectionId,
-  makeNonFungibleTokenId,
-} = require('@cryptogesic/blockchain-inventory_metadata').inventoryIds;
+const {makeFungibleCollectionId, makeNonFungibleCollectionId, makeNonFungibleTokenId} = require('../../../../../src/helpers/inventoryIds');
 const {ZeroAddress} = require('@cryptogesic/ethereum-contracts-core_library').constants;
 const {expectEvent, expectRevert} = require('@openzeppelin/test-helpers');
+const {withInvariants} = require('../../invariants');
 
 function shouldBehaveLikeERC1155InventoryCreator({nfMaskLength, contractName, revertMessages, methods, deploy, mint}) {
   const [deployer] = accounts;
@@ -32,7 +29,7 @@ function shouldBehaveLikeERC1155InventoryCreator({nfMaskLength, contractName, re
 
     const fixtureLoader = createFixtureLoader(accounts, web3.eth.currentProvider);
     const fixture = async function () {
-      this.token = await deploy(deployer);
+      this.token = withInvariants(await deploy(deployer), {nfMaskLength, revertMessages, minter: deployer});
       await this.token.createCollection(createdFungibleToken, {from: deployer});
       await this.token.createCollection(createdNonFungibleCollection, {from: deployer});
     };
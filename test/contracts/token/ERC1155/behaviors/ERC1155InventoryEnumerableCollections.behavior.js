@@ -0,0 +1,297 @@
+const {accounts, web3} = require('hardhat');
+const {createFixtureLoader} = require('@cryptogesic/ethereum-contracts-core_library/test/utils/fixture');
+const {expectRevert} = require('@openzeppelin/test-helpers');
+const {ZeroAddress, MaxUInt256} = require('@cryptogesic/ethereum-contracts-core_library').constants;
+const {
+  makeFungibleCollectionId,
+  makeNonFungibleCollectionId,
+  makeNonFungibleTokenId,
+  getNonFungibleCollectionId,
+} = require('../../../../../src/helpers/inventoryIds');
+
+const {behaviors} = require('@cryptogesic/ethereum-contracts-core_library');
+const interfaces1155 = require('../../../../../src/interfaces/ERC165/ERC1155');
+const {withInvariants} = require('../../invariants');
+
+function shouldBehaveLikeERC1155InventoryEnumerableCollections({nfMaskLength, revertMessages, interfaces, methods, deploy, mint}) {
+  const [deployer, minter, owner, other] = accounts;
+
+  const {
+    'safeMint(address,uint256,uint256,bytes)': safeMint_ERC1155,
+    'safeBatchMint(address,uint256[],uint256[],bytes)': safeBatchMint_ERC1155,
+    'burnFrom(address,uint256,uint256)': burnFrom_ERC1155,
+    'batchBurnFrom(address,uint256[],uint256[])': batchBurnFrom_ERC1155,
+    'mint(address,uint256)': mint_ERC721,
+    'batchMint(address,uint256[])': batchMint_ERC721,
+    'batchTransferFrom(address,address,uint256[])': batchTransferFrom_ERC721,
+    'batchBurnFrom(address,uint256[])': batchBurnFrom_ERC721,
+  } = methods;
+
+  const fungibleToken = makeFungibleCollectionId(1);
+  const nfCollection = makeNonFungibleCollectionId(1, nfMaskLength);
+  const otherNFCollection = makeNonFungibleCollectionId(2, nfMaskLength);
+  const unknownNFCollection = makeNonFungibleCollectionId(3, nfMaskLength);
+  const nft1 = makeNonFungibleTokenId(1, 1, nfMaskLength);
+  const nft2 = makeNonFungibleTokenId(2, 1, nfMaskLength);
+  const nft3 = makeNonFungibleTokenId(3, 1, nfMaskLength);
+  const nft4 = makeNonFungibleTokenId(4, 1, nfMaskLength);
+  const nftOtherCollection = makeNonFungibleTokenId(1, 2, nfMaskLength);
+  const newNft = makeNonFungibleTokenId(5, 1, nfMaskLength);
+  const newNftOtherCollection = makeNonFungibleTokenId(2, 2, nfMaskLength);
+
+  // owner => tokens, as minted by the fixture
+  const initialOwners = {
+    [owner]: [nft1, nft2, nft3, nftOtherCollection],
+    [other]: [nft4],
+  };
+
+  // The calls modifying the enumeration: `run` sends the call and `moves` lists the resulting [nftId, newOwner] changes
+  const calls = [
+    {
+      name: 'safeTransferFrom(address,address,uint256,uint256,bytes)',
+      run: (token) => token.methods['safeTransferFrom(address,address,uint256,uint256,bytes)'](owner, other, nft1, 1, '0x', {from: owner}),
+      moves: [[nft1, other]],
+    },
+    {
+      name: 'safeTransferFrom(address,address,uint256,uint256,bytes) to self',
+      run: (token) => token.methods['safeTransferFrom(address,address,uint256,uint256,bytes)'](owner, owner, nft1, 1, '0x', {from: owner}),
+      moves: [],
+    },
+    {
+      name: 'safeBatchTransferFrom(address,address,uint256[],uint256[],bytes)',
+      run: (token) => token.safeBatchTransferFrom(owner, other, [nft1, fungibleToken, nftOtherCollection, nft3], [1, 1, 1, 1], '0x', {from: owner}),
+      moves: [
+        [nft1, other],
+        [nftOtherCollection, other],
+        [nft3, other],
+      ],
+    },
+  ];
+  if (safeMint_ERC1155 !== undefined) {
+    calls.push({
+      name: 'safeMint(address,uint256,uint256,bytes)',
+      run: (token) => safeMint_ERC1155(token, other, newNft, 1, '0x', {from: minter}),
+      moves: [[newNft, other]],
+    });
+  }
+  if (safeBatchMint_ERC1155 !== undefined) {
+    calls.push({
+      name: 'safeBatchMint(address,uint256[],uint256[],bytes)',
+      run: (token) => safeBatchMint_ERC1155(token, other, [newNft, fungibleToken, newNftOtherCollection], [1, 1, 1], '0x', {from: minter}),
+      moves: [
+        [newNft, other],
+        [newNftOtherCollection, other],
+      ],
+    });
+  }
+  if (burnFrom_ERC1155 !== undefined) {
+    calls.push({
+      name: 'burnFrom(address,uint256,uint256)',
+      run: (token) => burnFrom_ERC1155(token, owner, nft1, 1, {from: owner}),
+      moves: [[nft1, ZeroAddress]],
+    });
+  }
+  if (batchBurnFrom_ERC1155 !== undefined) {
+    calls.push({
+      name: 'batchBurnFrom(address,uint256[],uint256[])',
+      run: (token) => batchBurnFrom_ERC1155(token, owner, [nft2, fungibleToken, nftOtherCollection, nft1], [1, 1, 1, 1], {from: owner}),
+      moves: [
+        [nft2, ZeroAddress],
+        [nftOtherCollection, ZeroAddress],
+        [nft1, ZeroAddress],
+      ],
+    });
+  }
+  if (interfaces.ERC721) {
+    calls.push({
+      name: 'transferFrom(address,address,uint256)',
+      run: (token) => token.transferFrom(owner, other, nft2, {from: owner}),
+      moves: [[nft2, other]],
+    });
+  }
+  if (batchTransferFrom_ERC721 !== undefined) {
+    calls.push({
+      name: 'batchTransferFrom(address,address,uint256[])',
+      run: (token) => batchTransferFrom_ERC721(token, owner, other, [nft3, nftOtherCollection, nft1], {from: owner}),
+      moves: [
+        [nft3, other],
+        [nftOtherCollection, other],
+        [nft1, other],
+      ],
+    });
+  }
+  if (mint_ERC721 !== undefined) {
+    calls.push({name: 'mint(address,uint256)', run: (token) => mint_ERC721(token, owner, newNft, {from: minter}), moves: [[newNft, owner]]});
+  }
+  if (batchMint_ERC721 !== undefined) {
+    calls.push({
+      name: 'batchMint(address,uint256[])',
+      run: (token) => batchMint_ERC721(token, owner, [newNftOtherCollection, newNft], {from: minter}),
+      moves: [
+        [newNftOtherCollection, owner],
+        [newNft, owner],
+      ],
+    });
+  }
+  if (batchBurnFrom_ERC721 !== undefined) {
+    calls.push({
+      name: 'batchBurnFrom(address,uint256[])',
+      run: (token) => batchBurnFrom_ERC721(token, other, [nft4], {from: other}),
+      moves: [[nft4, ZeroAddress]],
+    });
+  }
+
+  // enumerations are compared as sorted lists, the order of the tokens not being specified
+  const sorted = function (nftIds) {
+    return nftIds.map((nftId) => nftId.toString(10)).sort();
+  };
+
+  const inCollection = function (nftIds, collectionId) {
+    return nftIds.filter((nftId) => getNonFungibleCollectionId(nftId, nfMaskLength) === collectionId);
+  };
+
+  // reads the pages of `limit` tokens until a page is not full
+  const readPages = async function (read, limit) {
+    const nftIds = [];
+    for (let offset = 0; ; offset += limit) {
+      const page = await read(offset, limit);
+      page.length.should.be.at.most(limit);
+      nftIds.push(...page);
+      if (page.length < limit) {
+        return nftIds;
+      }
+    }
+  };
+
+  const shouldEnumerate = async function (token, owners) {
+    for (const collectionId of [nfCollection, otherNFCollection]) {
+      const all = [];
+      for (const [account, nftIds] of Object.entries(owners)) {
+        const owned = sorted(inCollection(nftIds, collectionId));
+        all.push(...owned);
+        sorted(await token.tokensOfOwnerInCollection(account, collectionId, 0, MaxUInt256)).should.be.deep.equal(
+          owned,
+          `tokens of ${account} in collection ${collectionId}`
+        );
+      }
+      sorted(await token.tokensOfCollection(collectionId, 0, MaxUInt256)).should.be.deep.equal(sorted(all), `tokens of collection ${collectionId}`);
+    }
+  };
+
+  describe('like an ERC1155InventoryEnumerableCollections', function () {
+    const fixtureLoader = createFixtureLoader(accounts, web3.eth.currentProvider);
+    const fixture = async function () {
+      this.token = withInvariants(await deploy(deployer), {nfMaskLength, revertMessages, minter});
+      await this.token.addMinter(minter, {from: deployer});
+      await mint(this.token, owner, fungibleToken, 10, {from: minter});
+      for (const [account, nftIds] of Object.entries(initialOwners)) {
+        for (const nftId of nftIds) {
+          await mint(this.token, account, nftId, 1, {from: minter});
+        }
+      }
+    };
+
+    beforeEach(async function () {
+      await fixtureLoader(fixture, this);
+    });
+
+    describe('tokensOfCollection(uint256,uint256,uint256)', function () {
+      it('reverts with a fungible token identifier', async function () {
+        await expectRevert(this.token.tokensOfCollection(fungibleToken, 0, 10), revertMessages.NotNFCollection);
+      });
+
+      it('reverts with a non-fungible token identifier', async function () {
+        await expectRevert(this.token.tokensOfCollection(nft1, 0, 10), revertMessages.NotNFCollection);
+      });
+
+      it('returns the tokens of the collection', async function () {
+        sorted(await this.token.tokensOfCollection(nfCollection, 0, 10)).should.be.deep.equal(sorted([nft1, nft2, nft3, nft4]));
+        sorted(await this.token.tokensOfCollection(otherNFCollection, 0, 10)).should.be.deep.equal(sorted([nftOtherCollection]));
+      });
+
+      it('returns no tokens for a collection without tokens', async function () {
+        (await this.token.tokensOfCollection(unknownNFCollection, 0, 10)).should.be.empty;
+      });
+
+      it('returns no tokens with a zero limit', async function () {
+        (await this.token.tokensOfCollection(nfCollection, 0, 0)).should.be.empty;
+      });
+
+      it('returns no tokens with an offset out of the collection', async function () {
+        (await this.token.tokensOfCollection(nfCollection, 4, 10)).should.be.empty;
+        (await this.token.tokensOfCollection(nfCollection, MaxUInt256, 10)).should.be.empty;
+      });
+
+      it('returns the remaining tokens with a limit exceeding the collection', async function () {
+        (await this.token.tokensOfCollection(nfCollection, 1, MaxUInt256)).length.should.be.equal(3);
+      });
+
+      it('paginates the tokens of the collection', async function () {
+        for (const limit of [1, 2, 3]) {
+          const nftIds = await readPages((offset, limit) => this.token.tokensOfCollection(nfCollection, offset, limit), limit);
+          sorted(nftIds).should.be.deep.equal(sorted([nft1, nft2, nft3, nft4]), `pages of ${limit} tokens`);
+        }
+      });
+    });
+
+    describe('tokensOfOwnerInCollection(address,uint256,uint256,uint256)', function () {
+      it('reverts with the zero address', async function () {
+        await expectRevert(this.token.tokensOfOwnerInCollection(ZeroAddress, nfCollection, 0, 10), revertMessages.ZeroAddress);
+      });
+
+      it('reverts with a fungible token identifier', async function () {
+        await expectRevert(this.token.tokensOfOwnerInCollection(owner, fungibleToken, 0, 10), revertMessages.NotNFCollection);
+      });
+
+      it('reverts with a non-fungible token identifier', async function () {
+        await expectRevert(this.token.tokensOfOwnerInCollection(owner, nft1, 0, 10), revertMessages.NotNFCollection);
+      });
+
+      it('returns the tokens of the collection owned by the account', async function () {
+        await shouldEnumerate(this.token, initialOwners);
+      });
+
+      it('returns no tokens for an account without tokens in the collection', async function () {
+        (await this.token.tokensOfOwnerInCollection(other, otherNFCollection, 0, 10)).should.be.empty;
+        (await this.token.tokensOfOwnerInCollection(owner, unknownNFCollection, 0, 10)).should.be.empty;
+      });
+
+      it('returns no tokens with a zero limit or an offset out of the balance', async function () {
+        (await this.token.tokensOfOwnerInCollection(owner, nfCollection, 0, 0)).should.be.empty;
+        (await this.token.tokensOfOwnerInCollection(owner, nfCollection, 3, 10)).should.be.empty;
+        (await this.token.tokensOfOwnerInCollection(owner, nfCollection, MaxUInt256, MaxUInt256)).should.be.empty;
+      });
+
+      it('paginates the tokens of the collection owned by the account', async function () {
+        for (const limit of [1, 2]) {
+          const nftIds = await readPages((offset, limit) => this.token.tokensOfOwnerInCollection(owner, nfCollection, offset, limit), limit);
+          sorted(nftIds).should.be.deep.equal(sorted([nft1, nft2, nft3]), `pages of ${limit} tokens`);
+        }
+      });
+    });
+
+    for (const {name, run, moves} of calls) {
+      describe(`after ${name}`, function () {
+        it('enumerates the tokens of the collections and of their new owners', async function () {
+          await run(this.token);
+          const owners = {[owner]: [...initialOwners[owner]], [other]: [...initialOwners[other]]};
+          for (const [nftId, to] of moves) {
+            for (const account of Object.keys(owners)) {
+              owners[account] = owners[account].filter((ownedId) => ownedId !== nftId);
+            }
+            if (to !== ZeroAddress) {
+              owners[to].push(nftId);
+            }
+          }
+          await shouldEnumerate(this.token, owners);
+        });
+      });
+    }
+
+    behaviors.shouldSupportInterfaces([interfaces1155.ERC1155InventoryEnumerableCollections_Experimental]);
+  });
+}
+
+module.exports = {
+  shouldBehaveLikeERC1155InventoryEnumerableCollections,
+};
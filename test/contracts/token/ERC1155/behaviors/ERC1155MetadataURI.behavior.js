@@ -1,10 +1,6 @@
 const {accounts, web3} = require('hardhat');
 const {createFixtureLoader} = require('@cryptogesic/ethereum-contracts-core_library/test/utils/fixture');
-const {
-  makeFungibleCollectionId,
-  makeNonFungibleCollectionId,
-  makeNonFungibleTokenId,
-} = require('@cryptogesic/blockchain-inventory_metadata').inventoryIds;
+const {makeFungibleCollectionId, makeNonFungibleCollectionId, makeNonFungibleTokenId} = require('../../../../../src/helpers/inventoryIds');
 const {behaviors} = require('@cryptogesic/ethereum-contracts-core_library');
 const interfaces = require('../../../../../src/interfaces/ERC165/ERC1155');
 
@@ -0,0 +1,100 @@
+const {artifacts} = require('hardhat');
+const {shouldBehaveLikeERC721, shouldBehaveLikeERC1155} = require('../../../../src/behaviors');
+const {revertMessages} = require('../../../../src/errors');
+
+const Inventory = revertMessages('Inventory');
+
+const implementation = {
+  contractName: 'ERC1155721InventoryBurnableEnumerableCollectionsMock',
+  nfMaskLength: 32,
+  name: 'ERC1155721InventoryBurnableEnumerableCollectionsMock',
+  symbol: 'INVBC',
+  revertMessages: {
+    // ERC721
+    SelfApproval: Inventory.SelfApproval,
+
+    // ERC1155
+    SelfApprovalForAll: Inventory.SelfApproval,
+    ZeroAddress: Inventory.ZeroAddress,
+    NonApproved: Inventory.NonApproved,
+    TransferToZero: Inventory.TransferToZero,
+    MintToZero: Inventory.TransferToZero,
+    ZeroValue: Inventory.ZeroValue,
+    InconsistentArrays: Inventory.InconsistentArrays,
+    InsufficientBalance: Inventory.InsufficientBalance,
+    TransferRejected: Inventory.TransferRejected,
+    SupplyOverflow: Inventory.SupplyOverflow,
+    NotMinter: Inventory.NotMinter,
+
+    // ERC1155Inventory
+    ExistingCollection: Inventory.ExistingCollection,
+    ExistingOrBurntNFT: Inventory.ExistingOrBurntNFT,
+    NotCollection: Inventory.NotCollection,
+    NotToken: Inventory.NotToken,
+    NonExistingNFT: Inventory.NonExistingNFT,
+    NonOwnedNFT: Inventory.NonOwnedNFT,
+    WrongNFTValue: Inventory.WrongNFTValue,
+    NotNFT: Inventory.NotNFT,
+
+    // ERC1155InventoryEnumerableCollections
+    NotNFCollection: Inventory.NotNFCollection,
+  },
+  interfaces: {
+    ERC721: true,
+    ERC721Metadata: true,
+    ERC1155: true,
+    ERC1155MetadataURI: true,
+    ERC1155Inventory: true,
+    ERC1155InventoryCreator: true,
+    ERC1155InventoryEnumerableCollections: true,
+  },
+  methods: {
+    // ERC721
+    'batchTransferFrom(address,address,uint256[])': async function (contract, from, to, nftIds, overrides) {
+      return contract.batchTransferFrom(from, to, nftIds, overrides);
+    },
+    'mint(address,uint256)': async function (contract, to, nftId, overrides) {
+      return contract.mint(to, nftId, overrides);
+    },
+    'safeMint(address,uint256,bytes)': async function (contract, to, nftId, data, overrides) {
+      return contract.methods['safeMint(address,uint256,bytes)'](to, nftId, data, overrides);
+    },
+    'batchMint(address,uint256[])': async function (contract, to, nftIds, overrides) {
+      return contract.batchMint(to, nftIds, overrides);
+    },
+    'batchBurnFrom(address,uint256[])': async function (contract, from, nftIds, overrides) {
+      return contract.methods['batchBurnFrom(address,uint256[])'](from, nftIds, overrides);
+    },
+
+    // ERC1155
+    'safeMint(address,uint256,uint256,bytes)': async function (contract, to, id, value, data, overrides) {
+      return contract.methods['safeMint(address,uint256,uint256,bytes)'](to, id, value, data, overrides);
+    },
+    'safeBatchMint(address,uint256[],uint256[],bytes)': async function (contract, to, ids, values, data, overrides) {
+      return contract.safeBatchMint(to, ids, values, data, overrides);
+    },
+    'burnFrom(address,uint256,uint256)': async function (contract, from, id, value, overrides) {
+      return contract.burnFrom(from, id, value, overrides);
+    },
+    'batchBurnFrom(address,uint256[],uint256[])': async function (contract, from, ids, values, overrides) {
+      return contract.methods['batchBurnFrom(address,uint256[],uint256[])'](from, ids, values, overrides);
+    },
+
+    // ERC1155InventoryCreator
+    'createCollection(uint256)': async function (contract, collectionId, overrides) {
+      return contract.createCollection(collectionId, overrides);
+    },
+  },
+  deploy: async function (deployer) {
+    return artifacts.require('ERC1155721InventoryBurnableEnumerableCollectionsMock').new({from: deployer});
+  },
+  mint: async function (contract, to, id, value, overrides) {
+    return contract.methods['safeMint(address,uint256,uint256,bytes)'](to, id, value, '0x', overrides);
+  },
+};
+
+describe('ERC1155721InventoryBurnableEnumerableCollectionsMock', function () {
+  this.timeout(0);
+  shouldBehaveLikeERC721(implementation);
+  shouldBehaveLikeERC1155(implementation);
+});
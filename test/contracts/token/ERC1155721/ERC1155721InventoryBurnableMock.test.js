@@ -1,6 +1,8 @@
 const {artifacts} = require('hardhat');
-const {shouldBehaveLikeERC721} = require('../ERC721/behaviors/ERC721.behavior');
-const {shouldBehaveLikeERC1155} = require('../ERC1155/behaviors/ERC1155.behavior');
+const {shouldBehaveLikeERC721, shouldBehaveLikeERC1155} = require('../../../../src/behaviors');
+const {revertMessages} = require('../../../../src/errors');
+
+const Inventory = revertMessages('Inventory');
 
 const implementation = {
   contractName: 'ERC1155721InventoryBurnableMock',
@@ -9,30 +11,30 @@ const implementation = {
   symbol: 'INVB',
   revertMessages: {
     // ERC721
-    SelfApproval: 'Inventory: self-approval',
+    SelfApproval: Inventory.SelfApproval,
 
     // ERC1155
-    SelfApprovalForAll: 'Inventory: self-approval',
-    ZeroAddress: 'Inventory: zero address',
-    NonApproved: 'Inventory: non-approved sender',
-    TransferToZero: 'Inventory: transfer to zero',
-    MintToZero: 'Inventory: transfer to zero',
-    ZeroValue: 'Inventory: zero value',
-    InconsistentArrays: 'Inventory: inconsistent arrays',
-    InsufficientBalance: 'Inventory: not enough balance',
-    TransferRejected: 'Inventory: transfer refused',
-    SupplyOverflow: 'Inventory: supply overflow',
-    NotMinter: 'Inventory: not a minter',
+    SelfApprovalForAll: Inventory.SelfApproval,
+    ZeroAddress: Inventory.ZeroAddress,
+    NonApproved: Inventory.NonApproved,
+    TransferToZero: Inventory.TransferToZero,
+    MintToZero: Inventory.TransferToZero,
+    ZeroValue: Inventory.ZeroValue,
+    InconsistentArrays: Inventory.InconsistentArrays,
+    InsufficientBalance: Inventory.InsufficientBalance,
+    TransferRejected: Inventory.TransferRejected,
+    SupplyOverflow: Inventory.SupplyOverflow,
+    NotMinter: Inventory.NotMinter,
 
     // ERC1155Inventory
-    ExistingCollection: 'Inventory: existing collection',
-    ExistingOrBurntNFT: 'Inventory: existing/burnt NFT',
-    NotCollection: 'Inventory: not a collection',
-    NotToken: 'Inventory: not a token id',
-    NonExistingNFT: 'Inventory: non-existing NFT',
-    NonOwnedNFT: 'Inventory: non-owned NFT',
-    WrongNFTValue: 'Inventory: wrong NFT value',
-    NotNFT: 'Inventory: not an NFT',
+    ExistingCollection: Inventory.ExistingCollection,
+    ExistingOrBurntNFT: Inventory.ExistingOrBurntNFT,
+    NotCollection: Inventory.NotCollection,
+    NotToken: Inventory.NotToken,
+    NonExistingNFT: Inventory.NonExistingNFT,
+    NonOwnedNFT: Inventory.NonOwnedNFT,
+    WrongNFTValue: Inventory.WrongNFTValue,
+    NotNFT: Inventory.NotNFT,
   },
   interfaces: {
     ERC721: true,
@@ -1,5 +1,9 @@
 const {artifacts} = require('hardhat');
-const {shouldBehaveLikeERC721} = require('./behaviors/ERC721.behavior');
+const {shouldBehaveLikeERC721} = require('../../../../src/behaviors');
+const {revertMessages} = require('../../../../src/errors');
+
+const ERC721 = revertMessages('ERC721');
+const Pausable = revertMessages('Pausable');
 
 const implementation = {
   contractName: 'ERC721PausableMock',
@@ -9,22 +13,22 @@ const implementation = {
   revertMessages: {
     // ERC721
     NonApproved: 'ERC721',
-    SelfApproval: 'ERC721: approval to current owner',
-    SelfApprovalForAll: 'ERC721: approve to caller',
-    ZeroAddress: 'ERC721: balance query for the zero address',
-    TransferToZero: 'ERC721: transfer to the zero address',
-    MintToZero: 'ERC721: mint to the zero address',
-    TransferRejected: 'ERC721: transfer to non ERC721Receiver implementer',
+    SelfApproval: ERC721.SelfApproval,
+    SelfApprovalForAll: ERC721.SelfApprovalForAll,
+    ZeroAddress: ERC721.ZeroAddress,
+    TransferToZero: ERC721.TransferToZero,
+    MintToZero: ERC721.MintToZero,
+    TransferRejected: ERC721.TransferRejected,
     NonExistingNFT: 'ERC721',
     NonOwnedNFT: 'ERC721',
-    ExistingOrBurntNFT: 'ERC721: token already minted',
-    NotMinter: 'ERC721: not a minter',
+    ExistingOrBurntNFT: ERC721.ExistingNFT,
+    NotMinter: ERC721.NotMinter,
 
     // Pausable
-    Paused: 'ERC721: paused',
-    NotPauser: 'ERC721: not the owner',
-    AlreadyPaused: 'Pausable: paused',
-    AlreadyUnpaused: 'Pausable: not paused',
+    Paused: ERC721.Paused,
+    NotPauser: ERC721.NotOwner,
+    AlreadyPaused: Pausable.Paused,
+    AlreadyUnpaused: Pausable.NotPaused,
   },
   eventParamsOverrides: {
     Transfer: function (params) {
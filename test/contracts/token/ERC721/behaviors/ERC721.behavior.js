@@ -1,7 +1,9 @@
 const {shouldBehaveLikeERC721Standard} = require('./ERC721.standard.behavior');
 const {shouldBehaveLikeERC721Mintable} = require('./ERC721.mintable.behavior');
 const {shouldBehaveLikeERC721Burnable} = require('./ERC721.burnable.behavior');
+const {shouldBehaveLikeERC721SafeTransfers} = require('./ERC721.safeTransfers.behavior');
 const {shouldBehaveLikeERC721Metadata} = require('./ERC721Metadata.behavior');
+const {shouldBehaveLikeERC721Enumerable} = require('./ERC721Enumerable.behavior');
 const {shouldBehaveLikePausableContract} = require('@cryptogesic/ethereum-contracts-core_library/test/contracts/utils/Pausable.behavior');
 
 function shouldBehaveLikeERC721(implementation) {
@@ -9,11 +11,16 @@ function shouldBehaveLikeERC721(implementation) {
     shouldBehaveLikeERC721Standard(implementation);
     shouldBehaveLikeERC721Mintable(implementation);
     shouldBehaveLikeERC721Burnable(implementation);
+    shouldBehaveLikeERC721SafeTransfers(implementation);
 
     if (implementation.interfaces.ERC721Metadata) {
       shouldBehaveLikeERC721Metadata(implementation);
     }
 
+    if (implementation.interfaces.ERC721Enumerable) {
+      shouldBehaveLikeERC721Enumerable(implementation);
+    }
+
     if (implementation.interfaces.Pausable) {
       shouldBehaveLikePausableContract(implementation);
     }
@@ -4,11 +4,8 @@ const {expectEventWithParamsOverride} = require('@cryptogesic/ethereum-contracts
 const {BN, expectRevert} = require('@openzeppelin/test-helpers');
 const {One, ZeroAddress} = require('@cryptogesic/ethereum-contracts-core_library').constants;
 
-const {
-  makeNonFungibleTokenId,
-  makeNonFungibleCollectionId,
-  makeFungibleCollectionId,
-} = require('@cryptogesic/blockchain-inventory_metadata').inventoryIds;
+const {makeNonFungibleTokenId, makeNonFungibleCollectionId, makeFungibleCollectionId} = require('../../../../../src/helpers/inventoryIds');
+const {withInvariants} = require('../../invariants');
 
 function shouldBehaveLikeERC721Burnable({nfMaskLength, contractName, revertMessages, eventParamsOverrides, interfaces, methods, deploy, mint}) {
   const [deployer, minter, owner, other, approved, operator] = accounts;
@@ -39,7 +36,7 @@ function shouldBehaveLikeERC721Burnable({nfMaskLength, contractName, revertMessa
   describe('like a burnable ERC721', function () {
     const fixtureLoader = createFixtureLoader(accounts, web3.eth.currentProvider);
     const fixture = async function () {
-      this.token = await deploy(deployer);
+      this.token = withInvariants(await deploy(deployer), {nfMaskLength, revertMessages, minter});
       await this.token.addMinter(minter, {from: deployer});
       await mint(this.token, owner, fungibleToken, 1, {from: minter});
       await mint(this.token, owner, nft1, 1, {from: minter});
@@ -53,8 +50,8 @@ function shouldBehaveLikeERC721Burnable({nfMaskLength, contractName, revertMessa
       // pre-transfer state
       this.nftBalance = await this.token.balanceOf(owner);
       if (interfaces.ERC1155Inventory) {
-        this.nfcSupply = await this.token.totalSupply(nfCollection);
-        this.otherNFCSupply = await this.token.totalSupply(otherNFCollection);
+        this.nfcSupply = await this.token.methods['totalSupply(uint256)'](nfCollection);
+        this.otherNFCSupply = await this.token.methods['totalSupply(uint256)'](otherNFCollection);
         this.nfcBalance = await this.token.balanceOf(owner, nfCollection);
         this.otherNFCBalance = await this.token.balanceOf(owner, otherNFCollection);
       }
@@ -143,8 +140,10 @@ function shouldBehaveLikeERC721Burnable({nfMaskLength, contractName, revertMessa
         });
 
         it('[ERC1155Inventory] decreases the Non-Fungible Collections total supply', async function () {
-          (await this.token.totalSupply(nfCollection)).should.be.bignumber.equal(this.nfcSupply.subn(nbCollectionNFTs));
-          (await this.token.totalSupply(otherNFCollection)).should.be.bignumber.equal(this.otherNFCSupply.subn(nbOtherCollectionNFTs));
+          (await this.token.methods['totalSupply(uint256)'](nfCollection)).should.be.bignumber.equal(this.nfcSupply.subn(nbCollectionNFTs));
+          (await this.token.methods['totalSupply(uint256)'](otherNFCollection)).should.be.bignumber.equal(
+            this.otherNFCSupply.subn(nbOtherCollectionNFTs)
+          );
         });
       }
     };
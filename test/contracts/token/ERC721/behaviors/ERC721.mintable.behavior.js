@@ -4,13 +4,10 @@ const {expectEventWithParamsOverride} = require('@cryptogesic/ethereum-contracts
 const {BN, expectEvent, expectRevert} = require('@openzeppelin/test-helpers');
 const {One, ZeroAddress} = require('@cryptogesic/ethereum-contracts-core_library').constants;
 
-const {
-  makeNonFungibleTokenId,
-  makeNonFungibleCollectionId,
-  makeFungibleCollectionId,
-} = require('@cryptogesic/blockchain-inventory_metadata').inventoryIds;
+const {makeNonFungibleTokenId, makeNonFungibleCollectionId, makeFungibleCollectionId} = require('../../../../../src/helpers/inventoryIds');
 
 const ReceiverType = require('../../ReceiverType');
+const {withInvariants} = require('../../invariants');
 
 const ERC721ReceiverMock = artifacts.require('ERC721ReceiverMock');
 const ERC1155TokenReceiverMock = artifacts.require('ERC1155TokenReceiverMock');
@@ -53,7 +50,7 @@ function shouldBehaveLikeERC721Mintable({nfMaskLength, contractName, revertMessa
   describe('like a mintable ERC721', function () {
     const fixtureLoader = createFixtureLoader(accounts, web3.eth.currentProvider);
     const fixture = async function () {
-      this.token = await deploy(deployer);
+      this.token = withInvariants(await deploy(deployer), {nfMaskLength, revertMessages, minter});
       await this.token.addMinter(minter, {from: deployer});
       this.receiver721 = await ERC721ReceiverMock.new(true);
       this.refusingReceiver721 = await ERC721ReceiverMock.new(false);
@@ -144,8 +141,8 @@ function shouldBehaveLikeERC721Mintable({nfMaskLength, contractName, revertMessa
         it('[ERC1155Inventory] increases the Non-Fungible Collection(s) total supply', async function () {
           const nbCollectionNFTs = ids.filter((id) => id != nftOtherCollection).length;
           const nbOtherCollectionNFTs = ids.length - nbCollectionNFTs;
-          (await this.token.totalSupply(nfCollection)).should.be.bignumber.equal(new BN(nbCollectionNFTs));
-          (await this.token.totalSupply(otherNFCollection)).should.be.bignumber.equal(new BN(nbOtherCollectionNFTs));
+          (await this.token.methods['totalSupply(uint256)'](nfCollection)).should.be.bignumber.equal(new BN(nbCollectionNFTs));
+          (await this.token.methods['totalSupply(uint256)'](otherNFCollection)).should.be.bignumber.equal(new BN(nbOtherCollectionNFTs));
         });
       }
 
@@ -0,0 +1,130 @@
+const {artifacts, accounts, web3} = require('hardhat');
+const {createFixtureLoader} = require('@cryptogesic/ethereum-contracts-core_library/test/utils/fixture');
+const {BN, expectEvent, expectRevert} = require('@openzeppelin/test-helpers');
+const {ZeroAddress} = require('@cryptogesic/ethereum-contracts-core_library').constants;
+const {ERC721Received_MagicValue, ERC1155Received_MagicValue, ERC1155BatchReceived_MagicValue} = require('../../../../../src/constants');
+const {makeNonFungibleTokenId} = require('../../../../../src/helpers/inventoryIds');
+const {withInvariants} = require('../../invariants');
+
+const ReceiverMode = require('../../ReceiverMode');
+
+const ERC1155721ConfigurableReceiverMock = artifacts.require('ERC1155721ConfigurableReceiverMock');
+
+function shouldBehaveLikeERC721SafeTransfers({nfMaskLength, revertMessages, methods, deploy, mint}) {
+  const [deployer, minter, owner, other] = accounts;
+
+  const {'safeMint(address,uint256,bytes)': safeMint_ERC721} = methods;
+
+  const nft1 = makeNonFungibleTokenId(1, 1, nfMaskLength);
+  const nft2 = makeNonFungibleTokenId(2, 1, nfMaskLength);
+  const unmintedNft = makeNonFungibleTokenId(3, 1, nfMaskLength);
+  const data = '0x42';
+
+  const errorData = function (reason) {
+    return web3.eth.abi.encodeFunctionCall({name: 'Error', type: 'function', inputs: [{type: 'string', name: 'reason'}]}, [reason]);
+  };
+
+  // The calls to the receivers: `send` transfers or mints `tokenId` to `to`, from `from`, sent by `operator`
+  const calls = [
+    {
+      signature: 'safeTransferFrom(address,address,uint256)',
+      operator: owner,
+      from: owner,
+      tokenId: nft1,
+      data: null,
+      send: (token, to, overrides) => token.methods['safeTransferFrom(address,address,uint256)'](owner, to, nft1, overrides),
+    },
+    {
+      signature: 'safeTransferFrom(address,address,uint256,bytes)',
+      operator: owner,
+      from: owner,
+      tokenId: nft1,
+      data,
+      send: (token, to, overrides) => token.methods['safeTransferFrom(address,address,uint256,bytes)'](owner, to, nft1, data, overrides),
+    },
+  ];
+  if (safeMint_ERC721 !== undefined) {
+    calls.push({
+      signature: 'safeMint(address,uint256,bytes)',
+      operator: minter,
+      from: ZeroAddress,
+      tokenId: unmintedNft,
+      data,
+      send: (token, to, overrides) => safeMint_ERC721(token, to, unmintedNft, data, {...overrides, from: minter}),
+    });
+  }
+
+  describe('like an ERC721 calling the token receivers', function () {
+    const fixtureLoader = createFixtureLoader(accounts, web3.eth.currentProvider);
+    const fixture = async function () {
+      this.token = withInvariants(await deploy(deployer), {nfMaskLength, revertMessages, minter});
+      await this.token.addMinter(minter, {from: deployer});
+      await mint(this.token, owner, nft1, 1, {from: minter});
+      await mint(this.token, owner, nft2, 1, {from: minter});
+      this.receiver = await ERC1155721ConfigurableReceiverMock.new(true, false);
+    };
+
+    beforeEach(async function () {
+      await fixtureLoader(fixture, this);
+    });
+
+    for (const call of calls) {
+      const {signature, operator, from, tokenId} = call;
+
+      describe(signature, function () {
+        it('calls onERC721Received and records the call', async function () {
+          const receipt = await call.send(this.token, this.receiver.address, {from: operator});
+          await expectEvent.inTransaction(receipt.tx, ERC1155721ConfigurableReceiverMock, 'Received', {
+            operator,
+            from,
+            tokenId,
+            data: call.data,
+          });
+          (await this.receiver.receivedCalls(ERC721Received_MagicValue)).should.be.bignumber.equal(new BN(1));
+          (await this.token.ownerOf(tokenId)).should.be.equal(this.receiver.address);
+        });
+
+        it('reverts if the receiver returns a wrong value', async function () {
+          for (const returnValue of ['0x00000000', '0xffffffff', ERC1155Received_MagicValue, ERC1155BatchReceived_MagicValue]) {
+            await this.receiver.configure(ReceiverMode.RETURN_VALUE, returnValue, '0x');
+            await expectRevert(call.send(this.token, this.receiver.address, {from: operator}), revertMessages.TransferRejected);
+          }
+        });
+
+        it('bubbles up the revert reason of the receiver', async function () {
+          await this.receiver.configure(ReceiverMode.REVERT, '0x00000000', errorData('Receiver: custom reason'));
+          await expectRevert(call.send(this.token, this.receiver.address, {from: operator}), 'Receiver: custom reason');
+        });
+
+        it('reverts if the receiver reverts without data', async function () {
+          await this.receiver.configure(ReceiverMode.REVERT, '0x00000000', '0x');
+          await expectRevert.unspecified(call.send(this.token, this.receiver.address, {from: operator}));
+        });
+
+        it('reverts if the receiver consumes all the gas', async function () {
+          await this.receiver.configure(ReceiverMode.CONSUME_GAS, '0x00000000', '0x');
+          await expectRevert.unspecified(call.send(this.token, this.receiver.address, {from: operator, gas: 2000000}));
+        });
+
+        it('lets the receiver re-enter to transfer the received token', async function () {
+          const reentry = this.token.contract.methods.transferFrom(this.receiver.address, other, tokenId).encodeABI();
+          await this.receiver.configure(ReceiverMode.REENTER, '0x00000000', reentry);
+          await call.send(this.token, this.receiver.address, {from: operator});
+          (await this.token.ownerOf(tokenId)).should.be.equal(other);
+          (await this.token.balanceOf(this.receiver.address)).should.be.bignumber.equal(new BN(0));
+          (await this.receiver.receivedCalls(ERC721Received_MagicValue)).should.be.bignumber.equal(new BN(1));
+        });
+
+        it('bubbles up the revert reason of a failing re-entrant call', async function () {
+          const reentry = this.token.contract.methods.transferFrom(owner, other, nft2).encodeABI();
+          await this.receiver.configure(ReceiverMode.REENTER, '0x00000000', reentry);
+          await expectRevert(call.send(this.token, this.receiver.address, {from: operator}), revertMessages.NonApproved);
+        });
+      });
+    }
+  });
+}
+
+module.exports = {
+  shouldBehaveLikeERC721SafeTransfers,
+};
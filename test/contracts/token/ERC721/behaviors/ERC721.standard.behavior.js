@@ -7,13 +7,10 @@ const {behaviors, constants, interfaces: interfaces165} = require('@cryptogesic/
 const {ZeroAddress} = constants;
 const interfaces721 = require('../../../../../src/interfaces/ERC165/ERC721');
 
-const {
-  makeNonFungibleTokenId,
-  makeNonFungibleCollectionId,
-  makeFungibleCollectionId,
-} = require('@cryptogesic/blockchain-inventory_metadata').inventoryIds;
+const {makeNonFungibleTokenId, makeNonFungibleCollectionId, makeFungibleCollectionId} = require('../../../../../src/helpers/inventoryIds');
 
 const ReceiverType = require('../../ReceiverType');
+const {withInvariants} = require('../../invariants');
 
 const ERC721ReceiverMock = artifacts.require('ERC721ReceiverMock');
 const ERC1155TokenReceiverMock = artifacts.require('ERC1155TokenReceiverMock');
@@ -40,7 +37,7 @@ function shouldBehaveLikeERC721Standard({nfMaskLength, contractName, revertMessa
   describe('like an standard ERC721', function () {
     const fixtureLoader = createFixtureLoader(accounts, web3.eth.currentProvider);
     const fixture = async function () {
-      this.token = await deploy(deployer);
+      this.token = withInvariants(await deploy(deployer), {nfMaskLength, revertMessages, minter});
       await this.token.addMinter(minter, {from: deployer});
       await mint(this.token, owner, fungibleToken, 1, {from: minter});
       await mint(this.token, owner, nft1, 1, {from: minter});
@@ -59,8 +56,8 @@ function shouldBehaveLikeERC721Standard({nfMaskLength, contractName, revertMessa
       // pre-transfer state
       this.nftBalance = await this.token.balanceOf(owner);
       if (interfaces.ERC1155Inventory) {
-        this.nfcSupply = await this.token.totalSupply(nfCollection);
-        this.otherNFCSupply = await this.token.totalSupply(otherNFCollection);
+        this.nfcSupply = await this.token.methods['totalSupply(uint256)'](nfCollection);
+        this.otherNFCSupply = await this.token.methods['totalSupply(uint256)'](otherNFCollection);
         this.nfcBalance = await this.token.balanceOf(owner, nfCollection);
         this.otherNFCBalance = await this.token.balanceOf(owner, otherNFCollection);
       }
@@ -218,8 +215,8 @@ function shouldBehaveLikeERC721Standard({nfMaskLength, contractName, revertMessa
           }
 
           it('[ERC1155Inventory] does not affect the Non-Fungible Collections total supply', async function () {
-            (await this.token.totalSupply(nfCollection)).should.be.bignumber.equal(this.nfcSupply);
-            (await this.token.totalSupply(otherNFCollection)).should.be.bignumber.equal(this.otherNFCSupply);
+            (await this.token.methods['totalSupply(uint256)'](nfCollection)).should.be.bignumber.equal(this.nfcSupply);
+            (await this.token.methods['totalSupply(uint256)'](otherNFCollection)).should.be.bignumber.equal(this.otherNFCSupply);
           });
         }
 
@@ -0,0 +1,253 @@
+const {accounts, web3} = require('hardhat');
+const {createFixtureLoader} = require('@cryptogesic/ethereum-contracts-core_library/test/utils/fixture');
+const {expectRevert} = require('@openzeppelin/test-helpers');
+const {ZeroAddress} = require('@cryptogesic/ethereum-contracts-core_library').constants;
+const {makeNonFungibleTokenId, makeFungibleCollectionId} = require('../../../../../src/helpers/inventoryIds');
+
+const {behaviors} = require('@cryptogesic/ethereum-contracts-core_library');
+const interfaces721 = require('../../../../../src/interfaces/ERC165/ERC721');
+const {withInvariants} = require('../../invariants');
+
+function shouldBehaveLikeERC721Enumerable({nfMaskLength, revertMessages, interfaces, methods, deploy, mint}) {
+  const [deployer, minter, owner, other] = accounts;
+
+  const {
+    'mint(address,uint256)': mint_ERC721,
+    'safeMint(address,uint256,bytes)': safeMint_ERC721,
+    'batchMint(address,uint256[])': batchMint_ERC721,
+    'batchTransferFrom(address,address,uint256[])': batchTransferFrom_ERC721,
+    'burnFrom(address,uint256)': burnFrom_ERC721,
+    'batchBurnFrom(address,uint256[])': batchBurnFrom_ERC721,
+    'safeMint(address,uint256,uint256,bytes)': safeMint_ERC1155,
+    'safeBatchMint(address,uint256[],uint256[],bytes)': safeBatchMint_ERC1155,
+    'burnFrom(address,uint256,uint256)': burnFrom_ERC1155,
+    'batchBurnFrom(address,uint256[],uint256[])': batchBurnFrom_ERC1155,
+  } = methods;
+
+  const fungibleToken = makeFungibleCollectionId(1);
+  const nft1 = makeNonFungibleTokenId(1, 1, nfMaskLength);
+  const nft2 = makeNonFungibleTokenId(2, 1, nfMaskLength);
+  const nftOtherCollection = makeNonFungibleTokenId(1, 2, nfMaskLength);
+  const newNft1 = makeNonFungibleTokenId(3, 1, nfMaskLength);
+  const newNft2 = makeNonFungibleTokenId(2, 2, nfMaskLength);
+
+  // The calls modifying the enumeration: `run` sends the call and `moves` lists the resulting [nftId, newOwner] changes
+  const calls = [
+    {name: 'transferFrom(address,address,uint256)', run: (token) => token.transferFrom(owner, other, nft1, {from: owner}), moves: [[nft1, other]]},
+    {
+      name: 'transferFrom(address,address,uint256) to self',
+      run: (token) => token.transferFrom(owner, owner, nft1, {from: owner}),
+      moves: [],
+    },
+    {
+      name: 'safeTransferFrom(address,address,uint256)',
+      run: (token) => token.methods['safeTransferFrom(address,address,uint256)'](owner, other, nft1, {from: owner}),
+      moves: [[nft1, other]],
+    },
+  ];
+  if (batchTransferFrom_ERC721 !== undefined) {
+    calls.push({
+      name: 'batchTransferFrom(address,address,uint256[])',
+      run: (token) => batchTransferFrom_ERC721(token, owner, other, [nft1, nftOtherCollection], {from: owner}),
+      moves: [
+        [nft1, other],
+        [nftOtherCollection, other],
+      ],
+    });
+  }
+  if (interfaces.ERC1155) {
+    calls.push({
+      name: 'safeTransferFrom(address,address,uint256,uint256,bytes)',
+      run: (token) => token.methods['safeTransferFrom(address,address,uint256,uint256,bytes)'](owner, other, nft2, 1, '0x', {from: owner}),
+      moves: [[nft2, other]],
+    });
+    calls.push({
+      name: 'safeBatchTransferFrom(address,address,uint256[],uint256[],bytes)',
+      run: (token) => token.safeBatchTransferFrom(owner, other, [fungibleToken, nft1, nftOtherCollection], [1, 1, 1], '0x', {from: owner}),
+      moves: [
+        [nft1, other],
+        [nftOtherCollection, other],
+      ],
+    });
+  }
+  if (mint_ERC721 !== undefined) {
+    calls.push({name: 'mint(address,uint256)', run: (token) => mint_ERC721(token, other, newNft1, {from: minter}), moves: [[newNft1, other]]});
+  }
+  if (safeMint_ERC721 !== undefined) {
+    calls.push({
+      name: 'safeMint(address,uint256,bytes)',
+      run: (token) => safeMint_ERC721(token, other, newNft1, '0x', {from: minter}),
+      moves: [[newNft1, other]],
+    });
+  }
+  if (batchMint_ERC721 !== undefined) {
+    calls.push({
+      name: 'batchMint(address,uint256[])',
+      run: (token) => batchMint_ERC721(token, other, [newNft1, newNft2], {from: minter}),
+      moves: [
+        [newNft1, other],
+        [newNft2, other],
+      ],
+    });
+  }
+  if (safeMint_ERC1155 !== undefined) {
+    calls.push({
+      name: 'safeMint(address,uint256,uint256,bytes)',
+      run: (token) => safeMint_ERC1155(token, other, newNft1, 1, '0x', {from: minter}),
+      moves: [[newNft1, other]],
+    });
+  }
+  if (safeBatchMint_ERC1155 !== undefined) {
+    calls.push({
+      name: 'safeBatchMint(address,uint256[],uint256[],bytes)',
+      run: (token) => safeBatchMint_ERC1155(token, other, [newNft1, fungibleToken, newNft2], [1, 1, 1], '0x', {from: minter}),
+      moves: [
+        [newNft1, other],
+        [newNft2, other],
+      ],
+    });
+  }
+  if (burnFrom_ERC721 !== undefined) {
+    calls.push({name: 'burnFrom(address,uint256)', run: (token) => burnFrom_ERC721(token, owner, nft1, {from: owner}), moves: [[nft1, ZeroAddress]]});
+  }
+  if (batchBurnFrom_ERC721 !== undefined) {
+    calls.push({
+      name: 'batchBurnFrom(address,uint256[])',
+      run: (token) => batchBurnFrom_ERC721(token, owner, [nft1, nftOtherCollection], {from: owner}),
+      moves: [
+        [nft1, ZeroAddress],
+        [nftOtherCollection, ZeroAddress],
+      ],
+    });
+  }
+  if (burnFrom_ERC1155 !== undefined) {
+    calls.push({
+      name: 'burnFrom(address,uint256,uint256)',
+      run: (token) => burnFrom_ERC1155(token, owner, nft2, 1, {from: owner}),
+      moves: [[nft2, ZeroAddress]],
+    });
+  }
+  if (batchBurnFrom_ERC1155 !== undefined) {
+    calls.push({
+      name: 'batchBurnFrom(address,uint256[],uint256[])',
+      run: (token) => batchBurnFrom_ERC1155(token, owner, [nft1, fungibleToken, nftOtherCollection], [1, 1, 1], {from: owner}),
+      moves: [
+        [nft1, ZeroAddress],
+        [nftOtherCollection, ZeroAddress],
+      ],
+    });
+  }
+
+  // enumerations are compared as sorted lists, the order of the tokens not being specified
+  const sorted = function (nftIds) {
+    return nftIds.map((nftId) => nftId.toString(10)).sort();
+  };
+
+  const enumerateOwner = async function (token, account) {
+    const balance = (await token.balanceOf(account)).toNumber();
+    const nftIds = [];
+    for (let index = 0; index != balance; ++index) {
+      nftIds.push(await token.tokenOfOwnerByIndex(account, index));
+    }
+    await expectRevert(token.tokenOfOwnerByIndex(account, balance), revertMessages.IndexOutOfBounds);
+    return sorted(nftIds);
+  };
+
+  const enumerateAll = async function (token) {
+    const supply = (await token.methods['totalSupply()']()).toNumber();
+    const nftIds = [];
+    for (let index = 0; index != supply; ++index) {
+      nftIds.push(await token.tokenByIndex(index));
+    }
+    await expectRevert(token.tokenByIndex(supply), revertMessages.IndexOutOfBounds);
+    return sorted(nftIds);
+  };
+
+  const shouldEnumerate = async function (token, owners) {
+    const all = [];
+    for (const [account, nftIds] of Object.entries(owners)) {
+      (await enumerateOwner(token, account)).should.be.deep.equal(sorted(nftIds), `enumeration of ${account}`);
+      all.push(...nftIds);
+    }
+    (await enumerateAll(token)).should.be.deep.equal(sorted(all), 'enumeration of all the tokens');
+  };
+
+  describe('like an ERC721Enumerable', function () {
+    const fixtureLoader = createFixtureLoader(accounts, web3.eth.currentProvider);
+    const fixture = async function () {
+      this.token = withInvariants(await deploy(deployer), {nfMaskLength, revertMessages, minter});
+      await this.token.addMinter(minter, {from: deployer});
+      if (interfaces.ERC1155Inventory) {
+        await mint(this.token, owner, fungibleToken, 10, {from: minter});
+      }
+      await mint(this.token, owner, nft1, 1, {from: minter});
+      await mint(this.token, owner, nft2, 1, {from: minter});
+      await mint(this.token, owner, nftOtherCollection, 1, {from: minter});
+    };
+
+    beforeEach(async function () {
+      await fixtureLoader(fixture, this);
+    });
+
+    context('before any mint', function () {
+      it('has an empty enumeration', async function () {
+        const token = await deploy(deployer);
+        (await token.methods['totalSupply()']()).should.be.bignumber.equal('0');
+        await expectRevert(token.tokenByIndex(0), revertMessages.IndexOutOfBounds);
+        await expectRevert(token.tokenOfOwnerByIndex(owner, 0), revertMessages.IndexOutOfBounds);
+      });
+    });
+
+    describe('totalSupply()', function () {
+      it('returns the number of existing non-fungible tokens', async function () {
+        (await this.token.methods['totalSupply()']()).should.be.bignumber.equal('3');
+      });
+    });
+
+    describe('tokenByIndex(uint256) and tokenOfOwnerByIndex(address,uint256)', function () {
+      it('enumerate the minted tokens', async function () {
+        await shouldEnumerate(this.token, {[owner]: [nft1, nft2, nftOtherCollection], [other]: []});
+      });
+
+      it('enumerate no tokens for the zero address', async function () {
+        await expectRevert(this.token.tokenOfOwnerByIndex(ZeroAddress, 0), revertMessages.IndexOutOfBounds);
+      });
+    });
+
+    for (const {name, run, moves} of calls) {
+      describe(`after ${name}`, function () {
+        it('enumerates the tokens of their new owners', async function () {
+          await run(this.token);
+          const owners = {[owner]: [nft1, nft2, nftOtherCollection], [other]: []};
+          for (const [nftId, to] of moves) {
+            owners[owner] = owners[owner].filter((ownedId) => ownedId !== nftId);
+            if (to !== ZeroAddress) {
+              owners[to].push(nftId);
+            }
+          }
+          await shouldEnumerate(this.token, owners);
+        });
+      });
+    }
+
+    if (burnFrom_ERC1155 !== undefined && mint_ERC721 !== undefined) {
+      describe('after a sequence of mints, transfers and burns', function () {
+        it('enumerates the remaining tokens', async function () {
+          await mint_ERC721(this.token, owner, newNft1, {from: minter});
+          await this.token.transferFrom(owner, other, nft2, {from: owner});
+          await burnFrom_ERC1155(this.token, owner, nft1, 1, {from: owner});
+          await mint_ERC721(this.token, other, newNft2, {from: minter});
+          await this.token.transferFrom(other, owner, nft2, {from: other});
+          await burnFrom_ERC1155(this.token, other, newNft2, 1, {from: other});
+          await shouldEnumerate(this.token, {[owner]: [nftOtherCollection, newNft1, nft2], [other]: []});
+        });
+      });
+    }
+
+    behaviors.shouldSupportInterfaces([interfaces721.ERC721Enumerable]);
+  });
+}
+
+module.exports = {
+  shouldBehaveLikeERC721Enumerable,
+};
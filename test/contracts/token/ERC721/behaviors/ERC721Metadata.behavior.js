@@ -1,10 +1,11 @@
 const {accounts, web3} = require('hardhat');
 const {createFixtureLoader} = require('@cryptogesic/ethereum-contracts-core_library/test/utils/fixture');
 const {expectRevert} = require('@openzeppelin/test-helpers');
-const {makeNonFungibleTokenId} = require('@cryptogesic/blockchain-inventory_metadata').inventoryIds;
+const {makeNonFungibleTokenId} = require('../../../../../src/helpers/inventoryIds');
 
 const {behaviors} = require('@cryptogesic/ethereum-contracts-core_library');
 const interfaces = require('../../../../../src/interfaces/ERC165/ERC721');
+const {withInvariants} = require('../../invariants');
 
 function shouldBehaveLikeERC721Metadata({nfMaskLength, name, symbol, revertMessages, deploy, mint}) {
   const [deployer, owner] = accounts;
@@ -15,7 +16,7 @@ function shouldBehaveLikeERC721Metadata({nfMaskLength, name, symbol, revertMessa
   describe('like an ERC721Metadata', function () {
     const fixtureLoader = createFixtureLoader(accounts, web3.eth.currentProvider);
     const fixture = async function () {
-      this.token = await deploy(deployer);
+      this.token = withInvariants(await deploy(deployer), {nfMaskLength, revertMessages, minter: deployer});
     };
 
     beforeEach(async function () {
@@ -0,0 +1,8 @@
+// Modes of ERC1155721ConfigurableReceiverMock
+module.exports = {
+  ACCEPT: 0,
+  RETURN_VALUE: 1,
+  REVERT: 2,
+  CONSUME_GAS: 3,
+  REENTER: 4,
+};
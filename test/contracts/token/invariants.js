@@ -0,0 +1,204 @@
+const {BN, expectRevert} = require('@openzeppelin/test-helpers');
+const {isFungible, isNonFungibleToken, getNonFungibleCollectionId} = require('../../../src/helpers/inventoryIds');
+
+/**
+ * Invariant checks for the behavior suites.
+ *
+ * `withInvariants()` wraps a truffle contract instance so that, after every successful call to a non-view function, the
+ * consistency of the token accounting is verified for all the holders and tokens seen so far in the transfer events:
+ *  - the sum of the balances of a fungible token or a non-fungible collection equals its total supply,
+ *  - a non-fungible token owned according to `ownerOf` has a balance of 1 for its owner only and a total supply of 1,
+ *    and the balance of a non-fungible collection equals the number of its tokens owned,
+ *  - the ERC721 `balanceOf(owner)` equals the number of non-fungible tokens owned,
+ *  - the ERC721Enumerable `totalSupply()`, `tokenByIndex()` and `tokenOfOwnerByIndex()` enumerate exactly the existing
+ *    non-fungible tokens and the tokens owned by each holder (ERC721Enumerable implementations only),
+ *  - `tokensOfCollection()` and `tokensOfOwnerInCollection()` enumerate exactly the existing non-fungible tokens of each
+ *    collection and the tokens of each collection owned by each holder (ERC1155InventoryEnumerableCollections
+ *    implementations only),
+ *  - a non-fungible token burnt by the call does not exist anymore and cannot be minted again (inventories only).
+ * The holders and tokens are never forgotten, so that the checks remain valid when the suites revert to a snapshot.
+ */
+
+const ZeroAddress = '0x0000000000000000000000000000000000000000';
+const MaxUInt256 = new BN(1).shln(256).subn(1);
+
+const isMutating = function (abi) {
+  return abi.type === 'function' && abi.stateMutability !== 'view' && abi.stateMutability !== 'pure';
+};
+
+const signatureOf = function (abi) {
+  return `${abi.name}(${abi.inputs.map((input) => input.type).join(',')})`;
+};
+
+// Records the holders and tokens of the transfer events of a receipt, returning the non-fungible tokens burnt
+const track = function (state, receipt) {
+  const burnt = [];
+  const record = function (from, to, id, nft) {
+    [from, to].filter((account) => account !== ZeroAddress).forEach((account) => state.holders.add(account));
+    id = id.toString(10);
+    if (nft) {
+      state.nfts.add(id);
+      if (to === ZeroAddress) {
+        burnt.push(id);
+      }
+    } else {
+      state.fungibles.add(id);
+    }
+  };
+  for (const {event, args} of receipt.logs) {
+    if (event === 'Transfer') {
+      record(args[0], args[1], args[2], true);
+    } else if (event === 'TransferSingle') {
+      record(args[1], args[2], args[3], isNonFungibleToken(args[3], state.nfMaskLength));
+    } else if (event === 'TransferBatch') {
+      args[3].forEach((id) => record(args[1], args[2], id, isNonFungibleToken(id, state.nfMaskLength)));
+    }
+  }
+  return burnt;
+};
+
+// The reads go through the web3 contract, much faster than the truffle calls, and return the numbers as strings
+const ownerOf = async function (methods, nftId) {
+  try {
+    return await methods.ownerOf(nftId).call();
+  } catch (e) {
+    return ZeroAddress;
+  }
+};
+
+const checkInvariants = async function (contract, state, burnt) {
+  const {nfMaskLength, revertMessages, minter} = state;
+  const {methods} = contract.contract;
+  const holders = [...state.holders];
+  const nfts = [...state.nfts];
+  const owners = {};
+  (await Promise.all(nfts.map((nftId) => ownerOf(methods, nftId)))).forEach((owner, index) => (owners[nfts[index]] = owner));
+  const nftBalanceOf = (holder, collectionId) =>
+    nfts.filter((nftId) => owners[nftId] === holder && (!collectionId || getNonFungibleCollectionId(nftId, nfMaskLength) === collectionId)).length;
+
+  if (state.erc721) {
+    const balances = await Promise.all(holders.map((holder) => methods['balanceOf(address)'](holder).call()));
+    holders.forEach((holder, index) => balances[index].should.be.equal(`${nftBalanceOf(holder)}`, `ERC721 balance of ${holder}`));
+  }
+
+  if (state.enumerable) {
+    const existing = nfts.filter((nftId) => owners[nftId] !== ZeroAddress);
+    (await methods['totalSupply()']().call()).should.be.equal(`${existing.length}`, 'ERC721 total supply');
+    const all = await Promise.all(existing.map((_, index) => methods.tokenByIndex(index).call()));
+    all.sort().should.be.deep.equal([...existing].sort(), 'enumeration of all the tokens');
+    for (const holder of holders) {
+      const owned = existing.filter((nftId) => owners[nftId] === holder);
+      const enumerated = await Promise.all(owned.map((_, index) => methods.tokenOfOwnerByIndex(holder, index).call()));
+      enumerated.sort().should.be.deep.equal(owned.sort(), `enumeration of ${holder}`);
+    }
+  }
+
+  // the arrays returned by web3 are read-only, so they are copied before sorting
+  if (state.enumerableCollections) {
+    const existing = nfts.filter((nftId) => owners[nftId] !== ZeroAddress);
+    for (const collectionId of new Set(nfts.map((nftId) => getNonFungibleCollectionId(nftId, nfMaskLength)))) {
+      const ofCollection = existing.filter((nftId) => getNonFungibleCollectionId(nftId, nfMaskLength) === collectionId);
+      const enumerated = await methods.tokensOfCollection(collectionId, 0, MaxUInt256).call();
+      [...enumerated].sort().should.be.deep.equal(ofCollection.sort(), `tokens of collection ${collectionId}`);
+      const enumeratedByHolder = await Promise.all(
+        holders.map((holder) => methods.tokensOfOwnerInCollection(holder, collectionId, 0, MaxUInt256).call())
+      );
+      holders.forEach((holder, index) =>
+        [...enumeratedByHolder[index]]
+          .sort()
+          .should.be.deep.equal(ofCollection.filter((nftId) => owners[nftId] === holder).sort(), `tokens of ${holder} in collection ${collectionId}`)
+      );
+    }
+  }
+
+  if (state.inventory) {
+    const collections = [...new Set(nfts.map((nftId) => getNonFungibleCollectionId(nftId, nfMaskLength)))];
+    const ids = [...state.fungibles, ...collections, ...nfts];
+    const balances = await methods
+      .balanceOfBatch(
+        ids.flatMap(() => holders),
+        ids.flatMap((id) => holders.map(() => id))
+      )
+      .call();
+    const supplies = await Promise.all(ids.map((id) => methods['totalSupply(uint256)'](id).call()));
+    const balanceOf = (holder, id) => balances[ids.indexOf(id) * holders.length + holders.indexOf(holder)];
+    ids.forEach((id, index) => {
+      if (isNonFungibleToken(id, nfMaskLength)) {
+        supplies[index].should.be.equal(owners[id] === ZeroAddress ? '0' : '1', `total supply of ${id}`);
+        holders.forEach((holder) => balanceOf(holder, id).should.be.equal(owners[id] === holder ? '1' : '0', `balance of ${holder} for ${id}`));
+      } else {
+        const sum = holders.reduce((sum, holder) => sum.add(new BN(balanceOf(holder, id))), new BN(0));
+        sum.toString(10).should.be.equal(supplies[index], `sum of the balances of ${id}`);
+        if (!isFungible(id)) {
+          holders.forEach((holder) => balanceOf(holder, id).should.be.equal(`${nftBalanceOf(holder, id)}`, `balance of ${holder} for ${id}`));
+        }
+      }
+    });
+  }
+
+  for (const nftId of burnt) {
+    await expectRevert(contract.ownerOf(nftId), revertMessages.NonExistingNFT);
+    if (state.inventory) {
+      await expectRevert(
+        contract.methods['safeMint(address,uint256,uint256,bytes)'].call(minter, nftId, 1, '0x', {from: minter}),
+        revertMessages.ExistingOrBurntNFT
+      );
+    }
+  }
+};
+
+/**
+ * Wraps a truffle contract instance to check the invariants after each successful call to one of its non-view functions,
+ * whether called by name or through `methods` by signature.
+ * @param contract The truffle contract instance.
+ * @param nfMaskLength The Non-Fungible Collection mask length of the contract.
+ * @param revertMessages The revert messages of the contract, by error name.
+ * @param minter An account with the minter role, used to simulate the minting of the burnt tokens.
+ * @return A proxy of the contract instance.
+ */
+const withInvariants = function (contract, {nfMaskLength, revertMessages, minter}) {
+  const signatures = contract.abi.filter((abi) => abi.type === 'function').map(signatureOf);
+  const state = {
+    nfMaskLength,
+    revertMessages,
+    minter,
+    inventory: signatures.includes('totalSupply(uint256)') && signatures.includes('safeMint(address,uint256,uint256,bytes)'),
+    erc721: signatures.includes('balanceOf(address)'),
+    enumerable: signatures.includes('tokenByIndex(uint256)'),
+    enumerableCollections: signatures.includes('tokensOfCollection(uint256,uint256,uint256)'),
+    holders: new Set(),
+    fungibles: new Set(),
+    nfts: new Set(),
+  };
+
+  const wrap = (fn) =>
+    new Proxy(fn, {
+      apply: async function (target, thisArg, args) {
+        const result = await Reflect.apply(target, thisArg, args);
+        await checkInvariants(contract, state, track(state, result));
+        return result;
+      },
+    });
+
+  const mutating = contract.abi.filter(isMutating);
+  const functions = {};
+  mutating.forEach((abi) => (functions[abi.name] = wrap(contract[abi.name])));
+  const methods = {...contract.methods};
+  mutating.map(signatureOf).forEach((signature) => (methods[signature] = wrap(contract.methods[signature])));
+
+  return new Proxy(contract, {
+    get: function (target, property, receiver) {
+      if (property === 'methods') {
+        return methods;
+      }
+      if (Object.prototype.hasOwnProperty.call(functions, property)) {
+        return functions[property];
+      }
+      return Reflect.get(target, property, receiver);
+    },
+  });
+};
+
+module.exports = {
+  withInvariants,
+};
@@ -0,0 +1,49 @@
+const {artifacts} = require('hardhat');
+const interfaces = require('../../../src/interfaces/ERC165');
+
+const InterfaceIds = artifacts.require('InterfaceIdsMock');
+
+describe('ERC165 interfaces catalog', function () {
+  // mock getter => catalog entry
+  const catalog = {
+    coreMetadata: 'CoreMetadata',
+    coreMetadataDelegator: 'CoreMetadataDelegator',
+    inventoryMetadata: 'InventoryMetadata',
+    erc721: 'ERC721',
+    erc721BatchTransfer: 'ERC721BatchTransfer_Experimental',
+    erc721Burnable: 'ERC721Burnable_Experimental',
+    erc721Enumerable: 'ERC721Enumerable',
+    erc721Exists: 'ERC721Exists_Experimental',
+    erc721Metadata: 'ERC721Metadata',
+    erc721Mintable: 'ERC721Mintable_Experimental',
+    erc721Receiver: 'ERC721Receiver',
+    erc1155: 'ERC1155',
+    erc1155Inventory: 'ERC1155Inventory_Experimental',
+    erc1155InventoryBurnable: 'ERC1155InventoryBurnable_Experimental',
+    erc1155InventoryCreator: 'ERC1155InventoryCreator_Experimental',
+    erc1155InventoryEnumerableCollections: 'ERC1155InventoryEnumerableCollections_Experimental',
+    erc1155InventoryMintable: 'ERC1155InventoryMintable_Experimental',
+    erc1155MetadataURI: 'ERC1155MetadataURI',
+    erc1155TokenReceiver: 'ERC1155TokenReceiver',
+    erc1155721BatchTransfer: 'ERC1155721BatchTransfer_Experimental',
+    erc1155721InventoryBurnable: 'ERC1155721InventoryBurnable_Experimental',
+    erc1155721InventoryMintable: 'ERC1155721InventoryMintable_Experimental',
+    nextTokenStandard: 'ERC____NextTokenStandard_Experimental',
+  };
+
+  before(async function () {
+    this.contract = await InterfaceIds.new();
+  });
+
+  it('covers every getter of the mock', function () {
+    const getters = InterfaceIds.abi.filter((fragment) => fragment.type === 'function').map((fragment) => fragment.name);
+    getters.should.have.members(Object.keys(catalog));
+  });
+
+  for (const [getter, name] of Object.entries(catalog)) {
+    it(`${name} matches type(I${name.replace('_Experimental', '')}).interfaceId`, async function () {
+      interfaces.should.have.property(name);
+      (await this.contract[getter]()).should.equal(interfaces[name].id);
+    });
+  }
+});
@@ -0,0 +1,118 @@
+const fs = require('fs');
+const path = require('path');
+const {RevertReasons, revertMessages, extractRevertReason, decodeRevertReason, getRevertReason} = require('../../src/errors');
+
+describe('Revert reasons', function () {
+  const contractsPath = path.join(__dirname, '../../contracts');
+
+  const listSources = function (directory) {
+    return fs.readdirSync(directory).reduce((sources, entry) => {
+      const entryPath = path.join(directory, entry);
+      if (fs.statSync(entryPath).isDirectory()) {
+        return sources.concat(listSources(entryPath));
+      }
+      return entryPath.endsWith('.sol') ? sources.concat([entryPath]) : sources;
+    }, []);
+  };
+
+  // Error(string) ABI-encoded return data
+  const encodeError = function (reason) {
+    const hex = Buffer.from(reason, 'utf8').toString('hex');
+    return `0x08c379a0${(32).toString(16).padStart(64, '0')}${reason.length.toString(16).padStart(64, '0')}${hex.padEnd(64, '0')}`;
+  };
+
+  describe('RevertReasons', function () {
+    it('contains every revert reason of the contracts', function () {
+      const reasons = Object.values(RevertReasons).reduce((all, entries) => all.concat(Object.values(entries).map((entry) => entry.reason)), []);
+      for (const source of listSources(contractsPath)) {
+        const content = fs.readFileSync(source, 'utf8');
+        // commented-out requires are ignored
+        const regex = /^(?!\s*\/\/).*(?:require\(.*|revert\()"([^"]+)"\)/gm;
+        let match;
+        while ((match = regex.exec(content)) !== null) {
+          reasons.should.include(match[1], `${path.relative(contractsPath, source)}: '${match[1]}' is missing`);
+        }
+      }
+    });
+
+    it('has unique revert reasons', function () {
+      const reasons = Object.values(RevertReasons).reduce((all, entries) => all.concat(Object.values(entries).map((entry) => entry.reason)), []);
+      reasons.length.should.equal(new Set(reasons).size);
+    });
+
+    it('has codes prefixed with the namespace', function () {
+      for (const [namespace, entries] of Object.entries(RevertReasons)) {
+        for (const [name, entry] of Object.entries(entries)) {
+          entry.code.should.equal(`${namespace}.${name}`);
+          entry.description.should.be.a('string');
+        }
+      }
+    });
+  });
+
+  describe('revertMessages()', function () {
+    it('maps the names of a namespace to their revert strings', function () {
+      const messages = revertMessages('Pausable');
+      messages.should.deep.equal({Paused: 'Pausable: paused', NotPaused: 'Pausable: not paused'});
+    });
+  });
+
+  describe('getRevertReason()', function () {
+    it('returns the entry of a code', function () {
+      getRevertReason('Inventory.NotMinter').reason.should.equal('Inventory: not a minter');
+    });
+
+    it('returns undefined for an unknown code', function () {
+      (getRevertReason('Inventory.Unknown') === undefined).should.be.true;
+      (getRevertReason('Unknown.Unknown') === undefined).should.be.true;
+    });
+  });
+
+  describe('extractRevertReason()', function () {
+    it('decodes Error(string) return data', function () {
+      extractRevertReason(encodeError('Inventory: not a minter')).should.equal('Inventory: not a minter');
+    });
+
+    it('reads the reason of an error', function () {
+      extractRevertReason({reason: 'Inventory: paused', message: 'whatever'}).should.equal('Inventory: paused');
+    });
+
+    it('reads the return data of an error', function () {
+      extractRevertReason({data: encodeError('InvMeta: non-existing layout')}).should.equal('InvMeta: non-existing layout');
+    });
+
+    it('reads the reasons reported by transaction hash', function () {
+      extractRevertReason({data: {'0x01': {error: 'revert', reason: 'Collections: id is paused'}}}).should.equal('Collections: id is paused');
+    });
+
+    it('parses the error message', function () {
+      extractRevertReason(new Error('VM Exception while processing transaction: revert Inventory: zero value')).should.equal('Inventory: zero value');
+      extractRevertReason(new Error("VM Exception while processing transaction: reverted with reason string 'Inventory: zero value'")).should.equal(
+        'Inventory: zero value'
+      );
+    });
+
+    it('returns undefined without reason', function () {
+      (extractRevertReason(new Error('invalid opcode')) === undefined).should.be.true;
+      (extractRevertReason(undefined) === undefined).should.be.true;
+    });
+  });
+
+  describe('decodeRevertReason()', function () {
+    it('decodes a known reason', function () {
+      const decoded = decodeRevertReason(new Error('VM Exception while processing transaction: revert MetaDeleg: invalid implementer'));
+      decoded.code.should.equal('MetaDeleg.InvalidImplementer');
+      decoded.reason.should.equal('MetaDeleg: invalid implementer');
+    });
+
+    it('finds a known reason inside a message', function () {
+      decodeRevertReason(new Error('Returned error: execution reverted: InvMeta: override default attr, tx 0x1234')).code.should.equal(
+        'InvMeta.OverrideDefaultAttribute'
+      );
+    });
+
+    it('returns undefined for an unknown reason', function () {
+      (decodeRevertReason(new Error('VM Exception while processing transaction: revert Unknown: reason')) === undefined).should.be.true;
+    });
+  });
+});
@@ -0,0 +1,53 @@
+const {accounts} = require('hardhat');
+const {createRandom, makeIds, generateSequence, shrinkSequence, fuzzSequence} = require('./harness');
+
+// The number of sequences per contract, their length and the seed of the first one can be set with the environment
+// variables FUZZ_RUNS, FUZZ_STEPS and FUZZ_SEED, for example to replay a failing sequence or for longer campaigns.
+const Runs = Number(process.env.FUZZ_RUNS || 4);
+const Steps = Number(process.env.FUZZ_STEPS || 25);
+const Seed = Number(process.env.FUZZ_SEED || 1);
+
+describe('Inventory fuzzing', function () {
+  this.timeout(600000);
+
+  const ids = makeIds();
+
+  describe('harness', function () {
+    it('generates the same sequence for the same seed', function () {
+      createRandom(7)().should.equal(createRandom(7)());
+      const options = {accounts, erc721: true, ids};
+      generateSequence(3, 20, options).should.deep.equal(generateSequence(3, 20, options));
+      generateSequence(3, 20, options).should.not.deep.equal(generateSequence(4, 20, options));
+    });
+
+    it('generates the ERC721 calls only for an ERC1155721Inventory', function () {
+      const erc721Calls = [
+        'mint(address,uint256)',
+        'batchMint(address,uint256[])',
+        'transferFrom(address,address,uint256)',
+        'approve(address,uint256)',
+      ];
+      generateSequence(5, 100, {accounts, erc721: false, ids}).filter(({fn}) => erc721Calls.includes(fn)).should.be.empty;
+      generateSequence(5, 100, {accounts, erc721: true, ids}).filter(({fn}) => erc721Calls.includes(fn)).should.not.be.empty;
+    });
+
+    it('shrinks a failing sequence', async function () {
+      // fails when containing both 3 and 7
+      const fails = async (calls) => calls.includes(3) && calls.includes(7);
+      (await shrinkSequence([1, 2, 3, 4, 5, 6, 7, 8], fails)).should.deep.equal([3, 7]);
+    });
+  });
+
+  for (const [contractName, erc721] of [
+    ['ERC1155InventoryBurnableMock', false],
+    ['ERC1155721InventoryBurnableMock', true],
+  ]) {
+    describe(contractName, function () {
+      for (let seed = Seed; seed !== Seed + Runs; ++seed) {
+        it(`behaves like the model for the sequence of seed ${seed}`, async function () {
+          await fuzzSequence(seed, Steps, {contractName, erc721, accounts: accounts.slice(0, 4), ids});
+        });
+      }
+    });
+  }
+});
@@ -0,0 +1,417 @@
+const {isDeepStrictEqual} = require('util');
+const {artifacts} = require('hardhat');
+const {DefaultNFMaskLength} = require('../../src/constants');
+const {makeFungibleCollectionId, makeNonFungibleCollectionId, makeNonFungibleTokenId} = require('../../src/helpers/inventoryIds');
+const {extractRevertReason} = require('../../src/errors');
+const {decodeLog} = require('../../src/indexer');
+const {RevertError, InventoryModel} = require('../../src/model');
+
+/**
+ * Differential fuzzing of the inventory mocks against `InventoryModel`.
+ *
+ * A sequence is a list of calls `{fn, args, from}`, `fn` being the signature of the contract function, generated
+ * from a seed. The calls are biased towards valid ones by looking up the owners and balances in a model, but they
+ * can revert: the revert reasons are compared as well as the emitted events. After each call, the balances, owners
+ * and supplies of all the identifiers of the pools are compared. A failing sequence is shrunk to a minimal failing
+ * sequence by removing calls.
+ */
+
+const ZeroAddress = '0x0000000000000000000000000000000000000000';
+
+// Mulberry32, a small seedable pseudo-random generator returning floats in [0, 1)
+const createRandom = function (seed) {
+  let state = seed >>> 0;
+  return function () {
+    state = (state + 0x6d2b79f5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+};
+
+/**
+ * Builds the pools of identifiers of the sequences: 2 fungible tokens, 2 non-fungible collections of 3 tokens each.
+ * @param nfMaskLength The Non-Fungible Collection mask length.
+ * @return An object with the fields `fungibles`, `collections` and `nfts`.
+ */
+const makeIds = function (nfMaskLength = DefaultNFMaskLength) {
+  const fungibles = [1, 2].map((base) => makeFungibleCollectionId(base));
+  const collections = [1, 2].map((base) => makeNonFungibleCollectionId(base, nfMaskLength));
+  const nfts = [];
+  [1, 2].forEach((collection) => [1, 2, 3].forEach((token) => nfts.push(makeNonFungibleTokenId(token, collection, nfMaskLength))));
+  return {fungibles, collections, nfts};
+};
+
+//================================== Generation =======================================/
+
+const createGenerator = function (random, model, accounts, ids) {
+  const g = {
+    accounts,
+    chance: (probability) => random() < probability,
+    int: (max) => Math.floor(random() * max),
+    pick: (list) => list[g.int(list.length)],
+    list: (pick) => new Array(g.chance(0.05) ? 0 : 1 + g.int(3)).fill(0).map(pick),
+    deployer: () => (g.chance(0.9) ? accounts[0] : g.pick(accounts)),
+    to: () => (g.chance(0.03) ? ZeroAddress : g.pick(accounts)),
+    token: () => (g.chance(0.03) ? g.pick(ids.collections) : g.chance(0.4) ? g.pick(ids.fungibles) : g.pick(ids.nfts)),
+    // a token held by an account, most of the time
+    held: (pool) => {
+      const held = pool.filter((id) => accounts.some((account) => model.balanceOf(account, id) !== '0'));
+      return g.pick(held.length !== 0 && g.chance(0.8) ? held : pool);
+    },
+    heldToken: () => (g.chance(0.03) ? g.pick(ids.collections) : g.held(g.chance(0.4) ? ids.fungibles : ids.nfts)),
+    heldNFT: () => g.held(ids.nfts),
+    value: (id) => (ids.nfts.includes(id) ? (g.chance(0.95) ? 1 : g.pick([0, 2])) : g.chance(0.05) ? 0 : 1 + g.int(10)),
+    mintValue: (id) => (ids.nfts.includes(id) ? (g.chance(0.95) ? 1 : 2) : g.chance(0.03) ? 0 : 1 + g.int(100)),
+    // the owner of an NFT or a holder of a fungible token, most of the time
+    holder: (id) => {
+      if (g.chance(0.8)) {
+        const holders = accounts.filter((account) => model.balanceOf(account, id) !== '0');
+        if (holders.length !== 0) {
+          return g.pick(holders);
+        }
+      }
+      return g.pick(accounts);
+    },
+    // the holder itself, an operator or an approved address, most of the time
+    sender: (from, nftIds = []) => {
+      if (g.chance(0.3)) {
+        return g.pick(accounts);
+      }
+      const senders = accounts.filter(
+        (account) => account === from || model.isApprovedForAll(from, account) || nftIds.some((id) => getApproved(model, id) === account)
+      );
+      return g.pick(senders.length === 0 ? accounts : senders);
+    },
+    values: (list) => {
+      const values = list.map(g.value);
+      return g.chance(0.03) ? values.concat([1]) : values;
+    },
+  };
+  return g;
+};
+
+const getApproved = function (model, nftId) {
+  try {
+    return model.getApproved(nftId);
+  } catch (e) {
+    return undefined;
+  }
+};
+
+// Call generators, by weight, the ERC721 ones being used only for an ERC1155721Inventory
+const Generators = [
+  {
+    weight: 1,
+    generate: (g, ids) => ({
+      fn: 'createCollection(uint256)',
+      args: [g.pick([...ids.fungibles, ...ids.collections, ids.nfts[0]])],
+      from: g.deployer(),
+    }),
+  },
+  {
+    weight: 4,
+    generate: (g) => {
+      const id = g.token();
+      return {fn: 'safeMint(address,uint256,uint256,bytes)', args: [g.to(), id, g.mintValue(id)], from: g.deployer()};
+    },
+  },
+  {
+    weight: 3,
+    generate: (g) => {
+      const tokens = g.list(g.token);
+      return {fn: 'safeBatchMint(address,uint256[],uint256[],bytes)', args: [g.to(), tokens, tokens.map(g.mintValue)], from: g.deployer()};
+    },
+  },
+  {
+    weight: 6,
+    generate: (g) => {
+      const id = g.heldToken();
+      const from = g.holder(id);
+      return {fn: 'safeTransferFrom(address,address,uint256,uint256,bytes)', args: [from, g.to(), id, g.value(id)], from: g.sender(from, [id])};
+    },
+  },
+  {
+    weight: 4,
+    generate: (g) => {
+      const tokens = g.list(g.heldToken);
+      const from = tokens.length === 0 ? g.pick(g.accounts) : g.holder(tokens[0]);
+      return {
+        fn: 'safeBatchTransferFrom(address,address,uint256[],uint256[],bytes)',
+        args: [from, g.to(), tokens, g.values(tokens)],
+        from: g.sender(from, tokens),
+      };
+    },
+  },
+  {
+    weight: 2,
+    generate: (g) => {
+      const from = g.pick(g.accounts);
+      return {fn: 'setApprovalForAll(address,bool)', args: [g.chance(0.05) ? from : g.pick(g.accounts), g.chance(0.7)], from};
+    },
+  },
+  {
+    weight: 3,
+    generate: (g) => {
+      const id = g.heldToken();
+      const from = g.holder(id);
+      return {fn: 'burnFrom(address,uint256,uint256)', args: [from, id, g.value(id)], from: g.sender(from, [id])};
+    },
+  },
+  {
+    weight: 2,
+    generate: (g) => {
+      const tokens = g.list(g.heldToken);
+      const from = tokens.length === 0 ? g.pick(g.accounts) : g.holder(tokens[0]);
+      return {fn: 'batchBurnFrom(address,uint256[],uint256[])', args: [from, tokens, g.values(tokens)], from: g.sender(from, tokens)};
+    },
+  },
+  {
+    weight: 2,
+    erc721: true,
+    generate: (g, ids) => ({
+      fn: 'mint(address,uint256)',
+      args: [g.to(), g.chance(0.05) ? g.pick(ids.fungibles) : g.pick(ids.nfts)],
+      from: g.deployer(),
+    }),
+  },
+  {
+    weight: 2,
+    erc721: true,
+    generate: (g, ids) => ({fn: 'batchMint(address,uint256[])', args: [g.to(), g.list(() => g.pick(ids.nfts))], from: g.deployer()}),
+  },
+  {
+    weight: 4,
+    erc721: true,
+    generate: (g, ids) => {
+      const id = g.heldNFT();
+      const from = g.holder(id);
+      return {fn: 'transferFrom(address,address,uint256)', args: [from, g.to(), id], from: g.sender(from, [id])};
+    },
+  },
+  {
+    weight: 3,
+    erc721: true,
+    generate: (g, ids) => {
+      const tokens = g.list(() => g.heldNFT());
+      const from = tokens.length === 0 ? g.pick(g.accounts) : g.holder(tokens[0]);
+      return {fn: 'batchTransferFrom(address,address,uint256[])', args: [from, g.to(), tokens], from: g.sender(from, tokens)};
+    },
+  },
+  {
+    weight: 3,
+    erc721: true,
+    generate: (g, ids) => {
+      const id = g.heldNFT();
+      return {fn: 'approve(address,uint256)', args: [g.pick([...g.accounts, ZeroAddress]), id], from: g.sender(g.holder(id))};
+    },
+  },
+  {
+    weight: 2,
+    erc721: true,
+    generate: (g, ids) => {
+      const tokens = g.list(() => g.heldNFT());
+      const from = tokens.length === 0 ? g.pick(g.accounts) : g.holder(tokens[0]);
+      return {fn: 'batchBurnFrom(address,uint256[])', args: [from, tokens], from: g.sender(from, tokens)};
+    },
+  },
+];
+
+/**
+ * Generates a sequence of calls.
+ * @param seed The seed of the sequence.
+ * @param length The number of calls.
+ * @param options An object with the fields `accounts`, the accounts of the sequence, the first one being the deployer,
+ * `erc721`, whether to generate the ERC721 calls, and `ids`, the identifiers pools (see `makeIds()`).
+ * @return The calls.
+ */
+const generateSequence = function (seed, length, {accounts, erc721, ids}) {
+  const random = createRandom(seed);
+  const model = new InventoryModel({owner: accounts[0], erc721});
+  const g = createGenerator(random, model, accounts, ids);
+  const generators = Generators.filter((generator) => erc721 || !generator.erc721);
+  const totalWeight = generators.reduce((total, {weight}) => total + weight, 0);
+  const calls = [];
+  while (calls.length !== length) {
+    let draw = g.int(totalWeight);
+    const generator = generators.find(({weight}) => (draw -= weight) < 0);
+    const call = generator.generate(g, ids);
+    callModel(model, call);
+    calls.push(call);
+  }
+  return calls;
+};
+
+//================================== Execution =======================================/
+
+const toModelArg = function (arg) {
+  if (Array.isArray(arg)) {
+    return arg.map(toModelArg);
+  }
+  return typeof arg === 'number' ? String(arg) : arg;
+};
+
+// Returns {events} or {reason}
+const callModel = function (model, {fn, args, from}) {
+  try {
+    return {events: model[fn.slice(0, fn.indexOf('('))](...args.map(toModelArg), {from})};
+  } catch (e) {
+    if (!(e instanceof RevertError)) {
+      throw e;
+    }
+    return {reason: e.reason};
+  }
+};
+
+// Returns {events} or {reason}
+const callContract = async function (contract, {fn, args, from}) {
+  const data = fn.endsWith('bytes)') ? ['0x'] : [];
+  try {
+    const {receipt} = await contract.methods[fn](...args, ...data, {from});
+    return {events: receipt.rawLogs.map(decodeLog).filter((event) => event !== undefined)};
+  } catch (e) {
+    return {reason: extractRevertReason(e)};
+  }
+};
+
+const readModel = function (fn) {
+  try {
+    return fn();
+  } catch (e) {
+    return `revert ${e.reason}`;
+  }
+};
+
+const readContract = async function (promise) {
+  try {
+    return (await promise).toString();
+  } catch (e) {
+    return `revert ${extractRevertReason(e)}`;
+  }
+};
+
+// Returns the description of the first difference between the model and the contract, if any
+const compareState = async function (model, contract, accounts, ids) {
+  const allIds = [...ids.fungibles, ...ids.collections, ...ids.nfts];
+  const owners = [];
+  const batchIds = [];
+  for (const account of accounts) {
+    for (const id of allIds) {
+      owners.push(account);
+      batchIds.push(id);
+    }
+  }
+  const expectedBalances = model.balanceOfBatch(owners, batchIds);
+  const actualBalances = (await contract.balanceOfBatch(owners, batchIds)).map((balance) => balance.toString());
+  for (let i = 0; i !== owners.length; ++i) {
+    if (actualBalances[i] !== expectedBalances[i]) {
+      return `balanceOf(${owners[i]}, ${batchIds[i]}): expected ${expectedBalances[i]}, got ${actualBalances[i]}`;
+    }
+  }
+  for (const id of ids.nfts) {
+    const expected = readModel(() => model.ownerOf(id));
+    const actual = await readContract(contract.ownerOf(id));
+    if (actual !== expected) {
+      return `ownerOf(${id}): expected ${expected}, got ${actual}`;
+    }
+  }
+  for (const id of allIds) {
+    const expected = model.totalSupply(id);
+    const actual = await readContract(contract.totalSupply(id));
+    if (actual !== expected) {
+      return `totalSupply(${id}): expected ${expected}, got ${actual}`;
+    }
+  }
+  if (model.erc721) {
+    for (const account of accounts) {
+      const expected = model.nftBalanceOf(account);
+      const actual = await readContract(contract.methods['balanceOf(address)'](account));
+      if (actual !== expected) {
+        return `balanceOf(${account}): expected ${expected}, got ${actual}`;
+      }
+    }
+  }
+  return undefined;
+};
+
+/**
+ * Executes a sequence on a new deployment of a contract and on a new model.
+ * @param calls The calls.
+ * @param options An object with the fields `contractName`, `erc721`, `accounts` and `ids`.
+ * @return The first failure `{step, message}`, or `undefined` if the contract behaved like the model.
+ */
+const executeSequence = async function (calls, {contractName, erc721, accounts, ids}) {
+  const contract = await artifacts.require(contractName).new({from: accounts[0]});
+  const model = new InventoryModel({owner: accounts[0], erc721});
+  for (let step = 0; step !== calls.length; ++step) {
+    const expected = callModel(model, calls[step]);
+    const actual = await callContract(contract, calls[step]);
+    if (!isDeepStrictEqual(actual, expected)) {
+      return {step, message: `expected ${JSON.stringify(expected)}, got ${JSON.stringify(actual)}`};
+    }
+    const difference = await compareState(model, contract, accounts, ids);
+    if (difference !== undefined) {
+      return {step, message: difference};
+    }
+  }
+  return undefined;
+};
+
+//================================== Shrinking =======================================/
+
+/**
+ * Shrinks a failing sequence by removing chunks of calls, then single calls, as long as the sequence still fails.
+ * @param calls The failing sequence.
+ * @param fails `async function (calls)` returning whether a sequence fails.
+ * @return A failing sequence from which no single call can be removed.
+ */
+const shrinkSequence = async function (calls, fails) {
+  let chunk = Math.floor(calls.length / 2);
+  while (chunk !== 0) {
+    let start = 0;
+    while (start < calls.length) {
+      const candidate = calls.slice(0, start).concat(calls.slice(start + chunk));
+      if (candidate.length !== 0 && (await fails(candidate))) {
+        calls = candidate;
+      } else {
+        start += chunk;
+      }
+    }
+    chunk = Math.floor(chunk / 2);
+  }
+  return calls;
+};
+
+/**
+ * Fuzzes a contract with a generated sequence, failing with a shrunk sequence.
+ * @param seed The seed of the sequence.
+ * @param length The number of calls.
+ * @param options An object with the fields `contractName`, `erc721`, `accounts` and `ids`.
+ */
+const fuzzSequence = async function (seed, length, options) {
+  const calls = generateSequence(seed, length, options);
+  const failure = await executeSequence(calls, options);
+  if (failure === undefined) {
+    return;
+  }
+  const shrunk = await shrinkSequence(
+    calls.slice(0, failure.step + 1),
+    async (candidate) => (await executeSequence(candidate, options)) !== undefined
+  );
+  const {step, message} = await executeSequence(shrunk, options);
+  const lines = shrunk.map((call, i) => `  ${i === step ? '>' : ' '} ${JSON.stringify(call)}`);
+  throw new Error(
+    `${options.contractName} differs from the model with the seed ${seed} at step ${failure.step}.\n` +
+      `Shrunk to ${shrunk.length} calls, failing at step ${step}: ${message}\n${lines.join('\n')}`
+  );
+};
+
+module.exports = {
+  createRandom,
+  makeIds,
+  generateSequence,
+  executeSequence,
+  shrinkSequence,
+  fuzzSequence,
+};
@@ -0,0 +1,205 @@
+const {artifacts, accounts, web3, network} = require('hardhat');
+const fs = require('fs');
+const path = require('path');
+const {createFixtureLoader} = require('@cryptogesic/ethereum-contracts-core_library/test/utils/fixture');
+const {DefaultNFMaskLength} = require('../../src/constants');
+const {makeFungibleCollectionId, makeNonFungibleTokenId} = require('../../src/helpers/inventoryIds');
+
+// The gas used by each operation is compared with the committed baseline, failing when it regresses by more than the
+// tolerance, in percent, set with the environment variable GAS_TOLERANCE. Running with GAS_UPDATE=true rewrites the
+// baseline with the measured values instead, for example after an intended change of the contracts or of the compiler.
+const BaselinePath = path.join(__dirname, 'baseline.json');
+const Tolerance = Number(process.env.GAS_TOLERANCE || 1);
+const Update = process.env.GAS_UPDATE === 'true';
+
+const BatchSizes = [1, 10, 50];
+
+const range = function (size, fn) {
+  return new Array(size).fill(0).map((_, index) => fn(index + 1));
+};
+
+describe('Inventory gas benchmarks', function () {
+  this.timeout(600000);
+
+  const [deployer, owner, recipient] = accounts;
+
+  // owned by `owner` in the fixture
+  const fungibles = range(50, (base) => makeFungibleCollectionId(base));
+  const nfts = range(50, (base) => makeNonFungibleTokenId(base, 1, DefaultNFMaskLength));
+  // not minted in the fixture
+  const newFungibles = range(50, (base) => makeFungibleCollectionId(100 + base));
+  const newNfts = range(50, (base) => makeNonFungibleTokenId(100 + base, 1, DefaultNFMaskLength));
+
+  const safeMint = 'safeMint(address,uint256,uint256,bytes)';
+  const safeTransferFrom = 'safeTransferFrom(address,address,uint256,uint256,bytes)';
+  const batchBurnFrom = 'batchBurnFrom(address,uint256[],uint256[])';
+  const batchBurnFrom_ERC721 = 'batchBurnFrom(address,uint256[])';
+
+  // `run(token, size)` sends the measured transaction, batches being measured for each of the batch sizes
+  const operations = [
+    {name: 'safeMint fungible', run: (token) => token.methods[safeMint](recipient, newFungibles[0], 10, '0x', {from: deployer})},
+    {name: 'safeMint NFT', run: (token) => token.methods[safeMint](recipient, newNfts[0], 1, '0x', {from: deployer})},
+    {
+      name: 'safeBatchMint fungibles',
+      batch: true,
+      run: (token, size) =>
+        token.safeBatchMint(
+          recipient,
+          newFungibles.slice(0, size),
+          range(size, () => 10),
+          '0x',
+          {from: deployer}
+        ),
+    },
+    {
+      name: 'safeBatchMint NFTs',
+      batch: true,
+      run: (token, size) =>
+        token.safeBatchMint(
+          recipient,
+          newNfts.slice(0, size),
+          range(size, () => 1),
+          '0x',
+          {from: deployer}
+        ),
+    },
+    {name: 'safeTransferFrom fungible', run: (token) => token.methods[safeTransferFrom](owner, recipient, fungibles[0], 10, '0x', {from: owner})},
+    {name: 'safeTransferFrom NFT', run: (token) => token.methods[safeTransferFrom](owner, recipient, nfts[0], 1, '0x', {from: owner})},
+    {
+      name: 'safeBatchTransferFrom fungibles',
+      batch: true,
+      run: (token, size) =>
+        token.safeBatchTransferFrom(
+          owner,
+          recipient,
+          fungibles.slice(0, size),
+          range(size, () => 10),
+          '0x',
+          {from: owner}
+        ),
+    },
+    {
+      name: 'safeBatchTransferFrom NFTs',
+      batch: true,
+      run: (token, size) =>
+        token.safeBatchTransferFrom(
+          owner,
+          recipient,
+          nfts.slice(0, size),
+          range(size, () => 1),
+          '0x',
+          {from: owner}
+        ),
+    },
+    {name: 'burnFrom fungible', run: (token) => token.burnFrom(owner, fungibles[0], 10, {from: owner})},
+    {name: 'burnFrom NFT', run: (token) => token.burnFrom(owner, nfts[0], 1, {from: owner})},
+    {
+      name: 'batchBurnFrom fungibles',
+      batch: true,
+      run: (token, size) =>
+        token.methods[batchBurnFrom](
+          owner,
+          fungibles.slice(0, size),
+          range(size, () => 10),
+          {from: owner}
+        ),
+    },
+    {
+      name: 'batchBurnFrom NFTs',
+      batch: true,
+      run: (token, size) =>
+        token.methods[batchBurnFrom](
+          owner,
+          nfts.slice(0, size),
+          range(size, () => 1),
+          {from: owner}
+        ),
+    },
+  ];
+
+  const operations_ERC721 = [
+    {name: 'mint NFT', run: (token) => token.mint(recipient, newNfts[0], {from: deployer})},
+    {name: 'batchMint NFTs', batch: true, run: (token, size) => token.batchMint(recipient, newNfts.slice(0, size), {from: deployer})},
+    {name: 'transferFrom NFT', run: (token) => token.transferFrom(owner, recipient, nfts[0], {from: owner})},
+    {
+      name: 'batchTransferFrom NFTs',
+      batch: true,
+      run: (token, size) => token.batchTransferFrom(owner, recipient, nfts.slice(0, size), {from: owner}),
+    },
+    {
+      name: 'batchBurnFrom(address,uint256[]) NFTs',
+      batch: true,
+      run: (token, size) => token.methods[batchBurnFrom_ERC721](owner, nfts.slice(0, size), {from: owner}),
+    },
+  ];
+
+  const baseline = fs.existsSync(BaselinePath) ? JSON.parse(fs.readFileSync(BaselinePath)) : {};
+  const measured = {};
+
+  before(function () {
+    if (network.name === 'coverage') {
+      // the instrumented contracts use much more gas
+      this.skip();
+    }
+  });
+
+  after(function () {
+    if (Update && Object.keys(measured).length !== 0) {
+      fs.writeFileSync(BaselinePath, JSON.stringify(measured, null, 2) + '\n');
+    }
+  });
+
+  for (const [contractName, erc721] of [
+    ['ERC1155InventoryBurnableMock', false],
+    ['ERC1155721InventoryBurnableMock', true],
+  ]) {
+    describe(contractName, function () {
+      const fixtureLoader = createFixtureLoader(accounts, web3.eth.currentProvider);
+      const fixture = async function () {
+        this.token = await artifacts.require(contractName).new({from: deployer});
+        await this.token.safeBatchMint(
+          owner,
+          fungibles,
+          fungibles.map(() => 1000),
+          '0x',
+          {from: deployer}
+        );
+        await this.token.safeBatchMint(
+          owner,
+          nfts,
+          nfts.map(() => 1),
+          '0x',
+          {from: deployer}
+        );
+      };
+
+      beforeEach(async function () {
+        await fixtureLoader(fixture, this);
+      });
+
+      measured[contractName] = {};
+
+      for (const {name, batch, run} of erc721 ? [...operations, ...operations_ERC721] : operations) {
+        for (const size of batch ? BatchSizes : [1]) {
+          const key = batch ? `${name} x${size}` : name;
+
+          it(key, async function () {
+            const gasUsed = (await run(this.token, size)).receipt.gasUsed;
+            measured[contractName][key] = gasUsed;
+            if (Update) {
+              return;
+            }
+            const expected = (baseline[contractName] || {})[key];
+            if (expected === undefined) {
+              throw new Error(`${contractName}: no gas baseline for ${key}, measured ${gasUsed}, run with GAS_UPDATE=true to record it`);
+            }
+            gasUsed.should.be.at.most(
+              Math.floor(expected * (1 + Tolerance / 100)),
+              `${contractName}: ${key} regressed from ${expected} to ${gasUsed} gas, run with GAS_UPDATE=true if intended`
+            );
+          });
+        }
+      }
+    });
+  }
+});
@@ -0,0 +1,166 @@
+const {artifacts, accounts, run} = require('hardhat');
+const {DefaultNFMaskLength} = require('../../src/constants');
+const {makeFungibleCollectionId, makeNonFungibleCollectionId, makeNonFungibleTokenId} = require('../../src/helpers/inventoryIds');
+const {fromBytes32Attribute} = require('../../src/helpers/bytes32Attributes');
+
+const Inventory = artifacts.require('ERC1155721InventoryMock');
+const InventoryMetadata = artifacts.require('InventoryMetadataMock');
+
+describe('inventory administration tasks', function () {
+  const [deployer, owner, other] = accounts;
+
+  const fCollection = makeFungibleCollectionId(1);
+  const nfCollection = makeNonFungibleCollectionId(1, DefaultNFMaskLength);
+  const nft1 = makeNonFungibleTokenId(1, 1, DefaultNFMaskLength);
+  const nft2 = makeNonFungibleTokenId(2, 1, DefaultNFMaskLength);
+
+  const expectError = async function (promise, message) {
+    try {
+      await promise;
+    } catch (e) {
+      e.message.should.include(message);
+      return;
+    }
+    throw new Error(`expected an error '${message}'`);
+  };
+
+  before(function () {
+    this.log = console.log;
+    console.log = () => {};
+  });
+
+  after(function () {
+    console.log = this.log;
+  });
+
+  beforeEach(async function () {
+    this.inventory = await Inventory.new({from: deployer});
+    this.address = this.inventory.address;
+  });
+
+  describe('inventory:create-collection', function () {
+    it('creates a collection', async function () {
+      const receipt = await run('inventory:create-collection', {address: this.address, id: nfCollection});
+      receipt.status.should.be.true;
+      (await this.inventory.creator(nfCollection)).should.equal(deployer);
+    });
+
+    it('creates a collection from the given sender', async function () {
+      await this.inventory.transferOwnership(other, {from: deployer});
+      await run('inventory:create-collection', {address: this.address, id: fCollection, from: other});
+      (await this.inventory.creator(fCollection)).should.equal(other);
+    });
+
+    it('rejects a non-fungible token identifier', async function () {
+      await expectError(run('inventory:create-collection', {address: this.address, id: nft1}), 'not a collection');
+    });
+  });
+
+  describe('inventory:mint', function () {
+    it('mints a fungible token', async function () {
+      await run('inventory:mint', {address: this.address, to: owner, id: fCollection, value: '10'});
+      (await this.inventory.balanceOf(owner, fCollection)).toString().should.equal('10');
+    });
+
+    it('mints a non-fungible token', async function () {
+      await run('inventory:mint', {address: this.address, to: owner, id: nft1});
+      (await this.inventory.ownerOf(nft1)).should.equal(owner);
+    });
+
+    it('mints a non-fungible token unsafely', async function () {
+      await run('inventory:mint', {address: this.address, to: owner, id: nft1, unsafe: true});
+      (await this.inventory.ownerOf(nft1)).should.equal(owner);
+    });
+
+    it('rejects a non-fungible collection identifier', async function () {
+      await expectError(run('inventory:mint', {address: this.address, to: owner, id: nfCollection}), 'only tokens can be minted');
+    });
+
+    it('rejects a non-fungible token value other than 1', async function () {
+      await expectError(run('inventory:mint', {address: this.address, to: owner, id: nft1, value: '2'}), 'its value must be 1');
+    });
+  });
+
+  describe('inventory:batch-mint', function () {
+    it('mints a batch of tokens', async function () {
+      await run('inventory:batch-mint', {address: this.address, to: owner, ids: `${fCollection},${nft1},${nft2}`, values: '5,1,1'});
+      (await this.inventory.balanceOf(owner, fCollection)).toString().should.equal('5');
+      (await this.inventory.balanceOf(owner, nfCollection)).toString().should.equal('2');
+    });
+
+    it('mints a batch of non-fungible tokens without values', async function () {
+      await run('inventory:batch-mint', {address: this.address, to: owner, ids: `${nft1},${nft2}`, unsafe: true});
+      (await this.inventory.balanceOf(owner, nfCollection)).toString().should.equal('2');
+    });
+
+    it('rejects inconsistent ids and values', async function () {
+      await expectError(run('inventory:batch-mint', {address: this.address, to: owner, ids: `${fCollection},${nft1}`, values: '5'}), 'Inconsistent');
+    });
+  });
+
+  describe('inventory:set-base-uri', function () {
+    it('sets the base metadata URI', async function () {
+      await run('inventory:set-base-uri', {address: this.address, uri: 'https://example.com/'});
+      (await this.inventory.uri(fCollection)).should.equal(`https://example.com/${fCollection}`);
+    });
+  });
+
+  describe('inventory:set-layout', function () {
+    beforeEach(async function () {
+      this.metadata = await InventoryMetadata.new(DefaultNFMaskLength, this.address, {from: deployer});
+    });
+
+    it('sets the layout of a collection', async function () {
+      const layout = JSON.stringify([
+        {name: 'rarity', bits: 8},
+        {name: 'level', bits: 8},
+      ]);
+      await run('inventory:set-layout', {address: this.metadata.address, collection: nfCollection, layout});
+      const {names, lengths, indices} = await this.metadata.getLayout(nfCollection);
+      names.map((name) => fromBytes32Attribute(name)).should.deep.equal(['rarity', 'level']);
+      lengths.map((length) => length.toString()).should.deep.equal(['8', '8']);
+      indices.map((index) => index.toString()).should.deep.equal(['0', '8']);
+    });
+
+    it('rejects an invalid layout before sending', async function () {
+      const layout = JSON.stringify([{name: 'baseTokenId', bits: 8}]);
+      await expectError(
+        run('inventory:set-layout', {address: this.metadata.address, collection: nfCollection, layout}),
+        'Invalid layout: InvMeta: override default attr (baseTokenId)'
+      );
+    });
+  });
+
+  describe('inventory:balances', function () {
+    beforeEach(async function () {
+      await run('inventory:batch-mint', {address: this.address, to: owner, ids: `${fCollection},${nft1}`, values: '5,1'});
+    });
+
+    it('returns the balances found in the logs', async function () {
+      (await run('inventory:balances', {address: this.address, owner})).should.deep.equal({
+        [fCollection]: '5',
+        [nfCollection]: '1',
+        [nft1]: '1',
+      });
+    });
+
+    it('returns the balances of the given identifiers', async function () {
+      (await run('inventory:balances', {address: this.address, owner, ids: `${fCollection},${nft2}`})).should.deep.equal({
+        [fCollection]: '5',
+        [nft2]: '0',
+      });
+    });
+  });
+
+  describe('inventory:decode-id', function () {
+    it('decodes a non-fungible token identifier', async function () {
+      (await run('inventory:decode-id', {id: nft1})).should.deep.equal({
+        type: 'NonFungibleToken',
+        id: nft1,
+        collectionId: nfCollection,
+        baseCollectionId: '1',
+        baseTokenId: '1',
+      });
+    });
+  });
+});
@@ -0,0 +1,146 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const {artifacts, accounts, network, run} = require('hardhat');
+const {AssertionError} = require('assert');
+const {DefaultNFMaskLength} = require('../../src/constants');
+const {makeFungibleCollectionId, makeNonFungibleCollectionId, makeNonFungibleTokenId} = require('../../src/helpers/inventoryIds');
+const {fromBytes32Attribute} = require('../../src/helpers/bytes32Attributes');
+const {loadConfig, resolveConfig, readManifest} = require('../../hardhat-plugins/inventory-deploy/pipeline');
+
+describe('inventory:deploy task', function () {
+  const [deployer, minter] = accounts;
+
+  const fCollection = makeFungibleCollectionId(1);
+  const nfCollection = makeNonFungibleCollectionId(1, DefaultNFMaskLength);
+  const exampleConfig = path.join(__dirname, '../../deploy/ERC1155721Inventory.example.yml');
+
+  before(function () {
+    this.log = console.log;
+    console.log = () => {};
+  });
+
+  after(function () {
+    console.log = this.log;
+  });
+
+  beforeEach(function () {
+    this.directory = fs.mkdtempSync(path.join(os.tmpdir(), 'inventory-deploy-'));
+  });
+
+  afterEach(function () {
+    fs.rmdirSync(this.directory, {recursive: true});
+  });
+
+  const writeConfig = function (directory, config) {
+    const file = path.join(directory, 'config.json');
+    fs.writeFileSync(file, JSON.stringify(config));
+    return file;
+  };
+
+  describe('resolveConfig()', function () {
+    it('resolves the default values', function () {
+      resolveConfig({type: 'ERC1155Inventory'}).should.deep.equal({
+        type: 'ERC1155Inventory',
+        contract: 'ERC1155InventoryMock',
+        name: undefined,
+        symbol: undefined,
+        nfMaskLength: DefaultNFMaskLength,
+        baseMetadataURI: undefined,
+        uriTemplateMode: undefined,
+        minters: [],
+        collections: [],
+        metadata: undefined,
+      });
+    });
+
+    it('resolves the collections identifiers', function () {
+      const {collections, metadata} = resolveConfig(loadConfig(exampleConfig));
+      collections.map((collection) => collection.id).should.deep.equal([fCollection, nfCollection]);
+      metadata.should.deep.equal({contract: 'InventoryMetadataMock'});
+    });
+
+    it('throws with an invalid inventory type', function () {
+      (function () {
+        resolveConfig({type: 'ERC721'});
+      }.should.throw(AssertionError));
+    });
+
+    it('throws with a name for an ERC1155Inventory', function () {
+      (function () {
+        resolveConfig({type: 'ERC1155Inventory', name: 'Inventory'});
+      }.should.throw(AssertionError));
+    });
+
+    it('throws with an invalid URI template mode', function () {
+      (function () {
+        resolveConfig({type: 'ERC1155Inventory', uriTemplateMode: 'Suffix'});
+      }.should.throw(AssertionError));
+    });
+
+    it('throws with a non-fungible token identifier', function () {
+      (function () {
+        resolveConfig({type: 'ERC1155Inventory', collections: [{id: makeNonFungibleTokenId(1, 1, DefaultNFMaskLength)}]});
+      }.should.throw(AssertionError, 'not a collection'));
+    });
+
+    it('throws with an invalid layout', function () {
+      (function () {
+        resolveConfig({type: 'ERC1155Inventory', collections: [{id: nfCollection, layout: [{name: 'baseTokenId', bits: 8}]}]});
+      }.should.throw(AssertionError, 'InvMeta: override default attr'));
+    });
+  });
+
+  describe('deployment', function () {
+    beforeEach(async function () {
+      const config = {...loadConfig(exampleConfig), minters: [minter]};
+      this.manifest = await run('inventory:deploy', {deployConfig: writeConfig(this.directory, config), manifests: this.directory});
+      this.inventory = await artifacts.require('ERC1155721InventoryMock').at(this.manifest.contracts.inventory.address);
+      this.metadata = await artifacts.require('InventoryMetadataMock').at(this.manifest.contracts.metadata.address);
+    });
+
+    it('writes the manifest of the network', function () {
+      readManifest(this.directory, network.name).should.deep.equal(JSON.parse(JSON.stringify(this.manifest)));
+      this.manifest.deployer.should.equal(deployer);
+      this.manifest.contracts.inventory.should.include({contract: 'ERC1155721InventoryMock', name: 'ERC1155721InventoryMock', symbol: 'INV'});
+      this.manifest.contracts.inventory.constructorArgs.should.deep.equal([]);
+      this.manifest.contracts.metadata.constructorArgs.should.deep.equal([DefaultNFMaskLength, this.inventory.address]);
+    });
+
+    it('configures the inventory', async function () {
+      (await this.inventory.uri(fCollection)).should.equal(`https://example.com/metadata/${fCollection}`);
+      (await this.inventory.isMinter(minter)).should.be.true;
+      (await this.inventory.creator(fCollection)).should.equal(deployer);
+      (await this.inventory.creator(nfCollection)).should.equal(deployer);
+    });
+
+    it('sets the layouts', async function () {
+      const {names, lengths, indices} = await this.metadata.getLayout(nfCollection);
+      names.map((name) => fromBytes32Attribute(name)).should.deep.equal(['rarity', 'level']);
+      lengths.map((length) => length.toString()).should.deep.equal(['8', '8']);
+      indices.map((index) => index.toString()).should.deep.equal(['0', '8']);
+    });
+  });
+
+  it('deploys an ERC1155Inventory without metadata contract', async function () {
+    const manifest = await run('inventory:deploy', {
+      deployConfig: writeConfig(this.directory, {type: 'ERC1155Inventory'}),
+      manifests: this.directory,
+    });
+    manifest.contracts.inventory.contract.should.equal('ERC1155InventoryMock');
+    manifest.contracts.should.not.have.property('metadata');
+  });
+
+  it('throws when the name of the contract differs', async function () {
+    try {
+      await run('inventory:deploy', {
+        deployConfig: writeConfig(this.directory, {type: 'ERC1155721Inventory', name: 'Other'}),
+        manifests: this.directory,
+      });
+    } catch (e) {
+      e.should.be.instanceOf(AssertionError);
+      return;
+    }
+    throw new Error('expected an AssertionError');
+  });
+});
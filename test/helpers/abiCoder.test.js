@@ -0,0 +1,158 @@
+const {AssertionError} = require('assert');
+const {encodeParameters, decodeParameters, encodeFunctionCall, decodeFunctionResult} = require('../../src/helpers/abiCoder');
+
+describe('abiCoder', function () {
+  const word = (hex) => hex.padStart(64, '0');
+  const address = '0x5B38Da6a701c568545dCfcB03FcB875f56beddC4';
+
+  // example of the Solidity contract ABI specification
+  const specificationCall = [
+    '0x8be65246',
+    word('123'),
+    word('80'),
+    '3132333435363738393000000000000000000000000000000000000000000000',
+    word('e0'),
+    word('2'),
+    word('456'),
+    word('789'),
+    word('d'),
+    '48656c6c6f2c20776f726c642100000000000000000000000000000000000000',
+  ].join('');
+
+  describe('encodeParameters()', function () {
+    it('encodes static parameters', function () {
+      encodeParameters(['uint256', 'address', 'bool', 'bytes4'], ['1', address, true, '0x01020304']).should.equal(
+        `0x${word('1')}${word(address.slice(2).toLowerCase())}${word('1')}${'01020304'.padEnd(64, '0')}`
+      );
+    });
+
+    it('encodes negative integers in two complement', function () {
+      encodeParameters(['int8'], [-1]).should.equal(`0x${'f'.repeat(64)}`);
+    });
+
+    it('encodes fixed-size arrays in place', function () {
+      encodeParameters(['uint8[2]', 'bool'], [[1, 2], false]).should.equal(`0x${word('1')}${word('2')}${word('0')}`);
+    });
+
+    it('throws with an out of range integer', function () {
+      (function () {
+        encodeParameters(['uint8'], [256]);
+      }.should.throw(AssertionError));
+      (function () {
+        encodeParameters(['int8'], [128]);
+      }.should.throw(AssertionError));
+      (function () {
+        encodeParameters(['uint256'], [-1]);
+      }.should.throw(AssertionError));
+    });
+
+    it('throws with an invalid value', function () {
+      (function () {
+        encodeParameters(['address'], ['0x1234']);
+      }.should.throw(AssertionError));
+      (function () {
+        encodeParameters(['bytes4'], ['0x0102']);
+      }.should.throw(AssertionError));
+      (function () {
+        encodeParameters(['uint8[2]'], [[1]]);
+      }.should.throw(AssertionError));
+    });
+
+    it('throws with an unsupported type', function () {
+      (function () {
+        encodeParameters(['(uint256,bool)'], [['1', true]]);
+      }.should.throw(AssertionError));
+      (function () {
+        encodeParameters(['uint7'], ['1']);
+      }.should.throw(AssertionError));
+    });
+  });
+
+  describe('encodeFunctionCall()', function () {
+    it('encodes the example of the specification', function () {
+      encodeFunctionCall('f(uint,uint32[],bytes10,bytes)', [
+        '0x123',
+        ['0x456', '0x789'],
+        '0x31323334353637383930',
+        `0x${Buffer.from('Hello, world!').toString('hex')}`,
+      ]).should.equal(specificationCall);
+    });
+
+    it('encodes a call from an ABI fragment', function () {
+      encodeFunctionCall(
+        {
+          type: 'function',
+          name: 'balanceOf',
+          inputs: [
+            {name: 'owner', type: 'address'},
+            {name: 'id', type: 'uint256'},
+          ],
+        },
+        [address, '2']
+      ).should.equal(`0x00fdd58e${word(address.slice(2).toLowerCase())}${word('2')}`);
+    });
+
+    it('encodes a call without parameters', function () {
+      encodeFunctionCall('name()').should.equal('0x06fdde03');
+    });
+  });
+
+  describe('decodeParameters()', function () {
+    it('decodes the parameters of the example of the specification', function () {
+      decodeParameters(['uint256', 'uint32[]', 'bytes10', 'bytes'], `0x${specificationCall.slice(10)}`).should.deep.equal([
+        '291',
+        ['1110', '1929'],
+        '0x31323334353637383930',
+        `0x${Buffer.from('Hello, world!').toString('hex')}`,
+      ]);
+    });
+
+    it('round-trips the supported types', function () {
+      const types = ['uint256', 'int16', 'address', 'bool', 'bytes32', 'bytes', 'string', 'string[]', 'uint8[2][]', 'address[2]'];
+      const values = [
+        '115792089237316195423570985008687907853269984665640564039457584007913129639935',
+        '-300',
+        address,
+        true,
+        `0x${'ab'.repeat(32)}`,
+        '0x',
+        'Ünïcødé',
+        ['', 'a', 'b'.repeat(40)],
+        [
+          ['1', '2'],
+          ['3', '4'],
+        ],
+        [address, '0x0000000000000000000000000000000000000000'],
+      ];
+      decodeParameters(types, encodeParameters(types, values)).should.deep.equal(values);
+    });
+
+    it('throws with truncated data', function () {
+      (function () {
+        decodeParameters(['uint256', 'uint256'], `0x${word('1')}`);
+      }.should.throw(AssertionError));
+      (function () {
+        decodeParameters(['string'], `0x${word('20')}${word('40')}`);
+      }.should.throw(AssertionError));
+    });
+
+    it('throws with invalid data', function () {
+      (function () {
+        decodeParameters(['uint256'], '0x123');
+      }.should.throw(AssertionError));
+    });
+  });
+
+  describe('decodeFunctionResult()', function () {
+    it('returns the value of a single output', function () {
+      decodeFunctionResult({outputs: [{type: 'uint256'}]}, `0x${word('2a')}`).should.equal('42');
+    });
+
+    it('returns the list of values of several outputs', function () {
+      decodeFunctionResult({outputs: [{type: 'bool'}, {type: 'address'}]}, `0x${word('1')}${word(address.slice(2))}`).should.deep.equal([
+        true,
+        address,
+      ]);
+    });
+  });
+});
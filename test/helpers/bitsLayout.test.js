@@ -0,0 +1,107 @@
+const {AssertionError} = require('assert');
+const {DefaultNFMaskLength, DefaultNonFungibleLayout} = require('../../src/constants');
+const {toBytes32Attribute} = require('../../src/helpers/bytes32Attributes');
+const {makeNonFungibleTokenId} = require('../../src/helpers/inventoryIds');
+const {toPositions, toArrays, encode, decode, getAllAttributes} = require('../../src/helpers/bitsLayout');
+
+describe('bitsLayout', function () {
+  const bitsLayout = [
+    {name: 'a', bits: 8},
+    {name: 'b', bits: 16},
+    {name: 'c', bits: 232},
+  ];
+
+  const arraysLayout = {
+    names: ['a', 'b', 'c'],
+    lengths: [8, 16, 232],
+    indices: [0, 8, 24],
+  };
+
+  describe('toPositions() / toArrays()', function () {
+    it('computes the positions of a {name, bits} layout', function () {
+      toPositions(bitsLayout).should.deep.equal([
+        {name: 'a', length: 8, index: 0},
+        {name: 'b', length: 16, index: 8},
+        {name: 'c', length: 232, index: 24},
+      ]);
+    });
+
+    it('converts a {name, bits} layout to the on-chain form', function () {
+      toArrays(bitsLayout).should.deep.equal(arraysLayout);
+    });
+
+    it('accepts the on-chain form with bytes32 names', function () {
+      toPositions({...arraysLayout, names: arraysLayout.names.map((name) => toBytes32Attribute(name))}).should.deep.equal(toPositions(bitsLayout));
+    });
+
+    it('throws with inconsistent arrays', function () {
+      (function () {
+        toPositions({names: ['a'], lengths: [], indices: [0]});
+      }.should.throw(AssertionError));
+    });
+  });
+
+  describe('encode() / decode()', function () {
+    const values = {a: '1', b: '65535', c: '42'};
+
+    it('round-trips with both layout forms', function () {
+      const id = encode(bitsLayout, values);
+      id.should.equal(encode(arraysLayout, values));
+      decode(bitsLayout, id).should.deep.equal(values);
+      decode(arraysLayout, id).should.deep.equal(values);
+    });
+
+    it('encodes missing attributes as 0', function () {
+      encode(bitsLayout, {b: 1}).should.equal('256');
+    });
+
+    it('decodes overlapping attributes', function () {
+      decode({names: ['low', 'high', 'all'], lengths: [4, 4, 8], indices: [0, 4, 0]}, '0xa5').should.deep.equal({low: '5', high: '10', all: '165'});
+    });
+
+    it('throws with a value which does not fit', function () {
+      (function () {
+        encode(bitsLayout, {a: 256});
+      }.should.throw(AssertionError));
+    });
+
+    it('throws with an unknown attribute', function () {
+      (function () {
+        encode(bitsLayout, {d: 1});
+      }.should.throw(AssertionError));
+    });
+
+    it('throws with conflicting overlapping values', function () {
+      (function () {
+        encode({names: ['low', 'all'], lengths: [4, 8], indices: [0, 0]}, {low: 1, all: 2});
+      }.should.throw(AssertionError));
+    });
+
+    it('throws with an out of bond attribute', function () {
+      (function () {
+        decode({names: ['a'], lengths: [2], indices: [255]}, 0);
+      }.should.throw(AssertionError));
+    });
+
+    it('decodes an identifier with the default non-fungible layout', function () {
+      const nftId = makeNonFungibleTokenId(3, 2, DefaultNFMaskLength);
+      decode(DefaultNonFungibleLayout, nftId).should.deep.equal({baseTokenId: '3', baseCollectionId: '2', nfFlag: '1'});
+    });
+  });
+
+  describe('getAllAttributes()', function () {
+    it('returns the default attributes followed by the collection attributes', function () {
+      const nftId = makeNonFungibleTokenId('0x0102', 5, DefaultNFMaskLength);
+      getAllAttributes(nftId, DefaultNFMaskLength, {names: ['x', 'y'], lengths: [8, 8], indices: [0, 8]}).should.deep.equal({
+        names: ['baseTokenId', 'baseCollectionId', 'x', 'y'],
+        values: ['258', '5', '2', '1'],
+      });
+    });
+
+    it('throws for an identifier which is not a non-fungible token', function () {
+      (function () {
+        getAllAttributes(1, DefaultNFMaskLength);
+      }.should.throw(AssertionError));
+    });
+  });
+});
@@ -0,0 +1,93 @@
+const {AssertionError} = require('assert');
+const {Padding, utf8ByteLength, toBytes32Attribute, fromBytes32Attribute} = require('../../src/helpers/bytes32Attributes');
+
+describe('bytes32Attributes', function () {
+  describe('utf8ByteLength()', function () {
+    it('counts UTF-8 bytes', function () {
+      utf8ByteLength('abc').should.equal(3);
+      utf8ByteLength('é').should.equal(2);
+      utf8ByteLength('✓').should.equal(3);
+      utf8ByteLength('😀').should.equal(4);
+    });
+  });
+
+  describe('toBytes32Attribute()', function () {
+    it('right-pads by default', function () {
+      toBytes32Attribute('abc').should.equal('0x6162630000000000000000000000000000000000000000000000000000000000');
+    });
+
+    it('left-pads on demand', function () {
+      toBytes32Attribute('abc', {padding: Padding.Left}).should.equal('0x0000000000000000000000000000000000000000000000000000000000616263');
+    });
+
+    it('encodes non-ASCII text as UTF-8', function () {
+      toBytes32Attribute('é').should.equal('0xc3a9000000000000000000000000000000000000000000000000000000000000');
+    });
+
+    it('accepts a name of 32 bytes', function () {
+      toBytes32Attribute('a'.repeat(32)).should.equal(`0x${'61'.repeat(32)}`);
+    });
+
+    it('throws with a name of more than 32 bytes', function () {
+      (function () {
+        toBytes32Attribute('a'.repeat(33));
+      }.should.throw(AssertionError));
+    });
+
+    it('throws with a name of less than 32 characters but more than 32 bytes', function () {
+      (function () {
+        toBytes32Attribute('é'.repeat(17));
+      }.should.throw(AssertionError));
+    });
+
+    it('throws with an embedded NUL', function () {
+      (function () {
+        toBytes32Attribute('a\0b');
+      }.should.throw(AssertionError));
+    });
+
+    it('throws with an invalid padding', function () {
+      (function () {
+        toBytes32Attribute('a', {padding: 'center'});
+      }.should.throw(AssertionError));
+    });
+  });
+
+  describe('fromBytes32Attribute()', function () {
+    const embeddedNul = '0x6100620000000000000000000000000000000000000000000000000000000000';
+
+    it('round-trips non-ASCII text', function () {
+      for (const name of ['', 'a', 'héllo wörld ✓', '属性名', '😀', 'a'.repeat(32)]) {
+        fromBytes32Attribute(toBytes32Attribute(name)).should.equal(name);
+        fromBytes32Attribute(toBytes32Attribute(name, {padding: Padding.Left}), {padding: Padding.Left}).should.equal(name);
+      }
+    });
+
+    it('removes the padding only', function () {
+      fromBytes32Attribute(embeddedNul).should.equal('a\0b');
+    });
+
+    it('throws in strict mode with an embedded NUL', function () {
+      (function () {
+        fromBytes32Attribute(embeddedNul, {strict: true});
+      }.should.throw(AssertionError));
+    });
+
+    it('throws in strict mode with invalid UTF-8', function () {
+      (function () {
+        fromBytes32Attribute('0xff00000000000000000000000000000000000000000000000000000000000000', {strict: true});
+      }.should.throw(AssertionError));
+    });
+
+    it('returns the raw value in lossless mode when it is not representable', function () {
+      fromBytes32Attribute(embeddedNul, {lossless: true}).should.equal(embeddedNul);
+      toBytes32Attribute(fromBytes32Attribute(embeddedNul, {lossless: true}), {lossless: true}).should.equal(embeddedNul);
+    });
+
+    it('throws with a value of more than 32 bytes', function () {
+      (function () {
+        fromBytes32Attribute(`0x${'61'.repeat(33)}`);
+      }.should.throw(AssertionError));
+    });
+  });
+});
@@ -0,0 +1,75 @@
+const {artifacts, accounts, network, web3} = require('hardhat');
+const {Web3Provider} = require('@ethersproject/providers');
+const interfaces = require('../../src/interfaces/ERC165');
+const {supportsInterface, supportsERC165, detectInterfaces} = require('../../src/helpers/interfaceDetection');
+
+describe('interfaceDetection', function () {
+  const [deployer] = accounts;
+
+  before(async function () {
+    this.inventory = await artifacts.require('ERC1155721InventoryMock').new({from: deployer});
+    this.nonERC165 = await artifacts.require('InterfaceIdsMock').new({from: deployer});
+  });
+
+  for (const [providerName, getProvider] of [
+    ['web3', () => web3],
+    ['EIP-1193 provider', () => network.provider],
+    ['ethers provider', () => new Web3Provider(network.provider)],
+  ]) {
+    describe(`with a ${providerName}`, function () {
+      describe('supportsInterface()', function () {
+        it('returns true for a supported interface', async function () {
+          (await supportsInterface(this.inventory.address, interfaces.ERC721.id, getProvider())).should.be.true;
+        });
+
+        it('returns false for an unsupported interface', async function () {
+          (await supportsInterface(this.inventory.address, interfaces.ERC721Enumerable.id, getProvider())).should.be.false;
+        });
+
+        it('returns false if the call reverts', async function () {
+          (await supportsInterface(this.nonERC165.address, interfaces.ERC721.id, getProvider())).should.be.false;
+        });
+      });
+
+      describe('supportsERC165()', function () {
+        it('returns true for an ERC165 contract', async function () {
+          (await supportsERC165(this.inventory.address, getProvider())).should.be.true;
+        });
+
+        it('returns false for a contract without supportsInterface', async function () {
+          (await supportsERC165(this.nonERC165.address, getProvider())).should.be.false;
+        });
+
+        it('returns false for an externally owned account', async function () {
+          (await supportsERC165(deployer, getProvider())).should.be.false;
+        });
+      });
+
+      describe('detectInterfaces()', function () {
+        it('reports the interfaces of an ERC1155721Inventory', async function () {
+          const report = await detectInterfaces(this.inventory.address, getProvider());
+          report.address.should.equal(this.inventory.address);
+          report.erc165.should.be.true;
+          report.supported.should.have.members(['ERC721', 'ERC721Metadata', 'ERC1155', 'ERC1155MetadataURI', 'ERC1155Inventory_Experimental']);
+          report.interfaces.should.have.all.keys(Object.keys(interfaces));
+          report.interfaces.ERC721.should.be.true;
+          report.interfaces.CoreMetadata.should.be.false;
+        });
+
+        it('probes the given interfaces only', async function () {
+          const report = await detectInterfaces(this.inventory.address, getProvider(), {
+            interfaces: {ERC1155: interfaces.ERC1155, ERC721Exists: interfaces.ERC721Exists_Experimental},
+          });
+          report.interfaces.should.deep.equal({ERC1155: true, ERC721Exists: false});
+          report.supported.should.deep.equal(['ERC1155']);
+        });
+
+        it('reports no interface for a non-ERC165 contract', async function () {
+          const report = await detectInterfaces(this.nonERC165.address, getProvider());
+          report.erc165.should.be.false;
+          report.supported.should.be.empty;
+        });
+      });
+    });
+  }
+});
@@ -0,0 +1,92 @@
+const {AssertionError} = require('assert');
+const {functionSignature, functionSelector, makeInterfaceId} = require('../../src/helpers/interfaceIds');
+
+describe('interfaceIds', function () {
+  const balanceOfFragment = {
+    type: 'function',
+    name: 'balanceOf',
+    inputs: [
+      {name: 'owner', type: 'address'},
+      {name: 'id', type: 'uint256'},
+    ],
+    outputs: [{name: '', type: 'uint256'}],
+    stateMutability: 'view',
+  };
+
+  describe('functionSignature()', function () {
+    it('canonicalizes a signature', function () {
+      functionSignature(' balanceOf( address , uint ) ').should.equal('balanceOf(address,uint256)');
+      functionSignature('f(int[],byte,uint8[2][])').should.equal('f(int256[],bytes1,uint8[2][])');
+      functionSignature('f((uint,(bytes,address))[],bool)').should.equal('f((uint256,(bytes,address))[],bool)');
+      functionSignature('name()').should.equal('name()');
+    });
+
+    it('computes the signature of an ABI fragment', function () {
+      functionSignature(balanceOfFragment).should.equal('balanceOf(address,uint256)');
+      functionSignature({
+        name: 'f',
+        inputs: [{type: 'tuple[2]', components: [{type: 'uint'}, {type: 'tuple', components: [{type: 'bytes32'}]}]}],
+      }).should.equal('f((uint256,(bytes32))[2])');
+    });
+
+    it('throws with an invalid signature', function () {
+      (function () {
+        functionSignature('balanceOf');
+      }.should.throw(AssertionError));
+      (function () {
+        functionSignature('f((uint256)');
+      }.should.throw(AssertionError));
+      (function () {
+        functionSignature('f(uint256,)');
+      }.should.throw(AssertionError));
+    });
+
+    it('throws with a non-function fragment', function () {
+      (function () {
+        functionSignature({type: 'event', name: 'Transfer', inputs: []});
+      }.should.throw(AssertionError));
+    });
+  });
+
+  describe('functionSelector()', function () {
+    it('returns the correct value', function () {
+      functionSelector('onERC721Received(address,address,uint256,bytes)').should.equal('0x150b7a02');
+      functionSelector('onERC1155Received(address,address,uint256,uint256,bytes)').should.equal('0xf23a6e61');
+      functionSelector(balanceOfFragment).should.equal('0x00fdd58e');
+    });
+  });
+
+  describe('makeInterfaceId()', function () {
+    it('returns the correct value', function () {
+      makeInterfaceId(['supportsInterface(bytes4)']).should.equal('0x01ffc9a7');
+      makeInterfaceId(['name()', 'symbol()', 'tokenURI(uint256)']).should.equal('0x5b5e139f');
+      makeInterfaceId([]).should.equal('0x00000000');
+    });
+
+    it('accepts a contract ABI', function () {
+      const abi = [
+        {
+          type: 'event',
+          name: 'URI',
+          inputs: [
+            {name: 'value', type: 'string'},
+            {name: 'id', type: 'uint256', indexed: true},
+          ],
+        },
+        {type: 'function', name: 'uri', inputs: [{name: 'id', type: 'uint256'}], outputs: [{name: '', type: 'string'}]},
+      ];
+      makeInterfaceId(abi).should.equal('0x0e89341c');
+    });
+
+    it('accepts both signatures and fragments', function () {
+      const ERC1155_Functions = [
+        'safeTransferFrom(address,address,uint256,uint256,bytes)',
+        'safeBatchTransferFrom(address,address,uint256[],uint256[],bytes)',
+        'balanceOfBatch(address[],uint256[])',
+        'setApprovalForAll(address,bool)',
+        'isApprovedForAll(address,address)',
+      ];
+      makeInterfaceId([...ERC1155_Functions, balanceOfFragment]).should.equal('0xd9b67a26');
+    });
+  });
+});
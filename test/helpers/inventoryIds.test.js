@@ -0,0 +1,216 @@
+const {AssertionError} = require('assert');
+const {BN} = require('@openzeppelin/test-helpers');
+const {DefaultNFMaskLength} = require('../../src/constants');
+const {
+  IdTypes,
+  isFungible,
+  isNonFungibleCollection,
+  isNonFungibleToken,
+  getIdType,
+  parseId,
+  maxFungibleBaseCollectionId,
+  makeFungibleCollectionId,
+  maxNonFungibleBaseCollectionId,
+  makeNonFungibleCollectionId,
+  getNonFungibleCollectionId,
+  getNonFungibleBaseCollectionId,
+  maxNonFungibleBaseTokenId,
+  makeNonFungibleTokenId,
+  getNonFungibleBaseTokenId,
+} = require('../../src/helpers/inventoryIds');
+
+describe('inventoryIds', function () {
+  const nfMaskLength = DefaultNFMaskLength;
+
+  describe('Fungible Tokens', function () {
+    describe('maxFungibleBaseCollectionId()', function () {
+      it('returns the correct value', function () {
+        maxFungibleBaseCollectionId(16).should.equal('7fffffffffffffffffffffffffffffffffffffffffffffffffffffffffffffff');
+      });
+    });
+
+    describe('makeFungibleCollectionId()', function () {
+      it('returns the correct value', function () {
+        makeFungibleCollectionId(0).should.equal('0');
+        makeFungibleCollectionId(1).should.equal('1');
+        makeFungibleCollectionId('2').should.equal('2');
+        makeFungibleCollectionId('0x10').should.equal('16');
+        makeFungibleCollectionId(new BN(3)).should.equal('3');
+        makeFungibleCollectionId(BigInt(4)).should.equal('4');
+        makeFungibleCollectionId(maxFungibleBaseCollectionId(), 16).should.equal(maxFungibleBaseCollectionId(16));
+      });
+
+      it('throws if baseCollectionId is too big', function () {
+        (function () {
+          makeFungibleCollectionId(new BN(maxFungibleBaseCollectionId()).addn(1));
+        }.should.throw(AssertionError));
+      });
+
+      it('throws if baseCollectionId is negative', function () {
+        (function () {
+          makeFungibleCollectionId(-1);
+        }.should.throw(AssertionError));
+      });
+
+      it('throws if baseCollectionId is not a number', function () {
+        (function () {
+          makeFungibleCollectionId('abc');
+        }.should.throw(AssertionError));
+      });
+    });
+  });
+
+  describe('Non-Fungible Collections', function () {
+    describe('maxNonFungibleBaseCollectionId()', function () {
+      it('returns the correct value', function () {
+        maxNonFungibleBaseCollectionId(1).should.equal('0');
+        maxNonFungibleBaseCollectionId(2).should.equal('1');
+        maxNonFungibleBaseCollectionId(nfMaskLength, 16).should.equal('7fffffff');
+      });
+
+      it('throws if nfMaskLength = 0', function () {
+        (function () {
+          maxNonFungibleBaseCollectionId(0);
+        }.should.throw(AssertionError));
+      });
+
+      it('throws if nfMaskLength >= 256', function () {
+        (function () {
+          maxNonFungibleBaseCollectionId(256);
+        }.should.throw(AssertionError));
+      });
+    });
+
+    describe('makeNonFungibleCollectionId()', function () {
+      it('returns the correct value', function () {
+        makeNonFungibleCollectionId(0, nfMaskLength, 16).should.equal('8000000000000000000000000000000000000000000000000000000000000000');
+        makeNonFungibleCollectionId(1, nfMaskLength, 16).should.equal('8000000100000000000000000000000000000000000000000000000000000000');
+        makeNonFungibleCollectionId(1, 8, 16).should.equal('8100000000000000000000000000000000000000000000000000000000000000');
+        makeNonFungibleCollectionId(maxNonFungibleBaseCollectionId(nfMaskLength), nfMaskLength, 16).should.equal(
+          'ffffffff00000000000000000000000000000000000000000000000000000000'
+        );
+      });
+
+      it('throws if baseCollectionId is too big', function () {
+        (function () {
+          makeNonFungibleCollectionId(new BN(maxNonFungibleBaseCollectionId(nfMaskLength)).addn(1), nfMaskLength);
+        }.should.throw(AssertionError));
+      });
+    });
+
+    describe('getNonFungibleBaseCollectionId()', function () {
+      it('returns the correct value for a collection', function () {
+        getNonFungibleBaseCollectionId(makeNonFungibleCollectionId(5, nfMaskLength), nfMaskLength).should.equal('5');
+      });
+
+      it('returns the correct value for a token', function () {
+        getNonFungibleBaseCollectionId(makeNonFungibleTokenId(1, 5, nfMaskLength), nfMaskLength).should.equal('5');
+      });
+
+      it('throws for a Fungible Token', function () {
+        (function () {
+          getNonFungibleBaseCollectionId(makeFungibleCollectionId(5), nfMaskLength);
+        }.should.throw(AssertionError));
+      });
+    });
+  });
+
+  describe('Non-Fungible Tokens', function () {
+    describe('maxNonFungibleBaseTokenId()', function () {
+      it('returns the correct value', function () {
+        maxNonFungibleBaseTokenId(nfMaskLength, 16).should.equal('ffffffffffffffffffffffffffffffffffffffffffffffffffffffff');
+        maxNonFungibleBaseTokenId(255, 16).should.equal('1');
+      });
+    });
+
+    describe('makeNonFungibleTokenId()', function () {
+      it('returns the correct value', function () {
+        makeNonFungibleTokenId(1, 1, nfMaskLength, 16).should.equal('8000000100000000000000000000000000000000000000000000000000000001');
+        makeNonFungibleTokenId('0xff', 2, nfMaskLength, 16).should.equal('80000002000000000000000000000000000000000000000000000000000000ff');
+      });
+
+      it('throws if baseTokenId is 0', function () {
+        (function () {
+          makeNonFungibleTokenId(0, 1, nfMaskLength);
+        }.should.throw(AssertionError));
+      });
+
+      it('throws if baseTokenId is too big', function () {
+        (function () {
+          makeNonFungibleTokenId(new BN(maxNonFungibleBaseTokenId(nfMaskLength)).addn(1), 1, nfMaskLength);
+        }.should.throw(AssertionError));
+      });
+
+      it('throws if baseCollectionId is too big', function () {
+        (function () {
+          makeNonFungibleTokenId(1, new BN(maxNonFungibleBaseCollectionId(nfMaskLength)).addn(1), nfMaskLength);
+        }.should.throw(AssertionError));
+      });
+    });
+
+    describe('getNonFungibleCollectionId() / getNonFungibleBaseTokenId()', function () {
+      const nftId = makeNonFungibleTokenId(42, 7, nfMaskLength);
+
+      it('returns the correct values', function () {
+        getNonFungibleCollectionId(nftId, nfMaskLength).should.equal(makeNonFungibleCollectionId(7, nfMaskLength));
+        getNonFungibleBaseTokenId(nftId, nfMaskLength).should.equal('42');
+      });
+
+      it('throws for a Non-Fungible Collection', function () {
+        (function () {
+          getNonFungibleCollectionId(makeNonFungibleCollectionId(7, nfMaskLength), nfMaskLength);
+        }.should.throw(AssertionError));
+      });
+    });
+  });
+
+  describe('introspection', function () {
+    const fungible = makeFungibleCollectionId(1);
+    const nfCollection = makeNonFungibleCollectionId(1, nfMaskLength);
+    const nft = makeNonFungibleTokenId(1, 1, nfMaskLength);
+
+    it('classifies a Fungible Token', function () {
+      isFungible(fungible).should.be.true;
+      isNonFungibleCollection(fungible, nfMaskLength).should.be.false;
+      isNonFungibleToken(fungible, nfMaskLength).should.be.false;
+      getIdType(fungible, nfMaskLength).should.equal(IdTypes.Fungible);
+    });
+
+    it('classifies a Non-Fungible Collection', function () {
+      isFungible(nfCollection).should.be.false;
+      isNonFungibleCollection(nfCollection, nfMaskLength).should.be.true;
+      isNonFungibleToken(nfCollection, nfMaskLength).should.be.false;
+      getIdType(nfCollection, nfMaskLength).should.equal(IdTypes.NonFungibleCollection);
+    });
+
+    it('classifies a Non-Fungible Token', function () {
+      isFungible(nft).should.be.false;
+      isNonFungibleCollection(nft, nfMaskLength).should.be.false;
+      isNonFungibleToken(nft, nfMaskLength).should.be.true;
+      getIdType(nft, nfMaskLength).should.equal(IdTypes.NonFungibleToken);
+    });
+
+    it('throws for an id of more than 256 bits', function () {
+      (function () {
+        isFungible(new BN(1).shln(256));
+      }.should.throw(AssertionError));
+    });
+
+    it('parses identifiers', function () {
+      parseId(fungible, nfMaskLength).should.deep.equal({type: IdTypes.Fungible, id: fungible, baseCollectionId: '1'});
+      parseId(nfCollection, nfMaskLength).should.deep.equal({
+        type: IdTypes.NonFungibleCollection,
+        id: nfCollection,
+        collectionId: nfCollection,
+        baseCollectionId: '1',
+      });
+      parseId(nft, nfMaskLength).should.deep.equal({
+        type: IdTypes.NonFungibleToken,
+        id: nft,
+        collectionId: nfCollection,
+        baseCollectionId: '1',
+        baseTokenId: '1',
+      });
+    });
+  });
+});
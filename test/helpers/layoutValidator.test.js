@@ -0,0 +1,83 @@
+const {BN} = require('@openzeppelin/test-helpers');
+const {DefaultNFMaskLength} = require('../../src/constants');
+const {makeFungibleCollectionId, makeNonFungibleCollectionId, makeNonFungibleTokenId} = require('../../src/helpers/inventoryIds');
+const {Errors, Warnings, validateLayout} = require('../../src/helpers/layoutValidator');
+
+describe('layoutValidator', function () {
+  const nfMaskLength = DefaultNFMaskLength;
+  const fCollection = makeFungibleCollectionId(1);
+  const nfCollection = makeNonFungibleCollectionId(1, nfMaskLength);
+
+  const itIsValid = function (collectionId, layout, expectedWarnings = []) {
+    it('is valid', function () {
+      const result = validateLayout(collectionId, layout, nfMaskLength);
+      result.valid.should.be.true;
+      result.errors.should.have.lengthOf(0);
+      result.warnings.map((warning) => warning.message).should.deep.equal(expectedWarnings);
+    });
+  };
+
+  const itReverts = function (collectionId, layout, revertReason) {
+    it(`predicts a revert with '${revertReason}'`, function () {
+      const result = validateLayout(collectionId, layout, nfMaskLength);
+      result.valid.should.be.false;
+      result.revertReason.should.equal(revertReason);
+    });
+  };
+
+  context('empty layout', function () {
+    itIsValid(nfCollection, {names: [], lengths: [], indices: []});
+  });
+
+  context('inconsistent arrays', function () {
+    itReverts(nfCollection, {names: ['a'], lengths: [1, 2], indices: [0]}, Errors.InconsistentArrays);
+  });
+
+  context('override of a default non-fungible attribute', function () {
+    itReverts(nfCollection, {names: ['baseTokenId'], lengths: [8], indices: [0]}, Errors.OverrideDefaultAttribute);
+  });
+
+  context('override of a default fungible attribute', function () {
+    itReverts(fCollection, {names: ['baseCollectionId'], lengths: [8], indices: [0]}, Errors.OverrideDefaultAttribute);
+  });
+
+  context('default non-fungible attribute name for a fungible collection', function () {
+    itIsValid(fCollection, [{name: 'baseTokenId', bits: 8}]);
+  });
+
+  context('attribute length = 0', function () {
+    itReverts(nfCollection, {names: ['a'], lengths: [0], indices: [0]}, Errors.LengthIsZero);
+  });
+
+  context('attribute length > 256', function () {
+    itReverts(nfCollection, {names: ['a'], lengths: [257], indices: [0]}, Errors.OutOfBond);
+  });
+
+  context('out of bond position', function () {
+    itReverts(nfCollection, {names: ['a'], lengths: [256], indices: [1]}, Errors.OutOfBond);
+  });
+
+  context('first revert reason in the contract order', function () {
+    itReverts(nfCollection, {names: ['a', 'baseTokenId'], lengths: [0, 1], indices: [0, 0]}, Errors.LengthIsZero);
+  });
+
+  context('overlapping attributes', function () {
+    itIsValid(nfCollection, {names: ['a', 'b', 'c'], lengths: [5, 2, 4], indices: [0, 1, 4]}, [
+      Warnings.OverlappingAttributes,
+      Warnings.OverlappingAttributes,
+    ]);
+  });
+
+  context('attribute exceeding 256 bits through an overflow', function () {
+    const index = new BN(1).shln(256).subn(1).toString();
+    itIsValid(nfCollection, {names: ['a'], lengths: [1], indices: [index]}, [Warnings.ExceedingAttribute]);
+  });
+
+  context('duplicate attribute name', function () {
+    itIsValid(nfCollection, {names: ['a', 'a'], lengths: [8, 8], indices: [0, 8]}, [Warnings.DuplicateName]);
+  });
+
+  context('layout set on a non-fungible token', function () {
+    itIsValid(makeNonFungibleTokenId(1, 1, nfMaskLength), {names: ['a'], lengths: [8], indices: [0]}, [Warnings.NonFungibleTokenId]);
+  });
+});
@@ -0,0 +1,132 @@
+const {artifacts, accounts, web3} = require('hardhat');
+const {DefaultNFMaskLength} = require('../../src/constants');
+const {makeFungibleCollectionId, makeNonFungibleCollectionId, makeNonFungibleTokenId} = require('../../src/helpers/inventoryIds');
+const {InventoryClient} = require('../../src/client');
+const {InventoryIndexer, indexInventory, decodeLog} = require('../../src/indexer');
+
+describe('InventoryIndexer', function () {
+  const [deployer, owner, recipient, operator] = accounts;
+
+  const fCollection = makeFungibleCollectionId(1);
+  const nfCollection = makeNonFungibleCollectionId(1, DefaultNFMaskLength);
+  const nft1 = makeNonFungibleTokenId(1, 1, DefaultNFMaskLength);
+  const nft2 = makeNonFungibleTokenId(2, 1, DefaultNFMaskLength);
+  const nft3 = makeNonFungibleTokenId(3, 1, DefaultNFMaskLength);
+  const nft4 = makeNonFungibleTokenId(4, 1, DefaultNFMaskLength);
+
+  const shouldIndexLikeTheContract = function () {
+    beforeEach(async function () {
+      const client = this.client;
+      await client.createCollection(fCollection);
+      await client.createCollection(nfCollection);
+      await client.mint(owner, fCollection, 100);
+      await client.batchMint(owner, [fCollection, nft1, nft2, nft3], [10, 1, 1, 1]);
+      await client.transfer(owner, recipient, fCollection, 30, {from: owner});
+      await client.transfer(owner, recipient, nft1, 1, {from: owner});
+      await client.setApprovalForAll(operator, true, {from: owner});
+      await client.batchTransfer(owner, recipient, [fCollection, nft2], [5, 1], {from: operator});
+      await client.setApprovalForAll(operator, false, {from: owner});
+      await client.setApprovalForAll(operator, true, {from: recipient});
+      await client.burn(recipient, fCollection, 15, {from: recipient});
+      await client.batchBurn(recipient, [nft1], undefined, {from: operator});
+      this.indexer = await indexInventory(web3, this.contract.address);
+    });
+
+    it('rebuilds the balances', async function () {
+      for (const account of [deployer, owner, recipient, operator]) {
+        for (const id of [fCollection, nfCollection, nft1, nft2, nft3]) {
+          this.indexer.balanceOf(account, id).should.equal(await this.client.balanceOf(account, id));
+        }
+      }
+    });
+
+    it('rebuilds the supplies', async function () {
+      for (const id of [fCollection, nfCollection]) {
+        this.indexer.totalSupply(id).should.equal(await this.client.totalSupply(id));
+      }
+      this.indexer.totalSupply(fCollection).should.equal('95');
+      this.indexer.totalSupply(nfCollection).should.equal('2');
+    });
+
+    it('rebuilds the owners', async function () {
+      for (const nftId of [nft2, nft3]) {
+        this.indexer.ownerOf(nftId).should.equal(await this.client.ownerOf(nftId));
+      }
+      (this.indexer.ownerOf(nft1) === undefined).should.be.true;
+      (this.indexer.ownerOf(nft4) === undefined).should.be.true;
+      this.indexer.isBurnt(nft1).should.be.true;
+      this.indexer.isBurnt(nft4).should.be.false;
+    });
+
+    it('rebuilds the creators', async function () {
+      for (const collectionId of [fCollection, nfCollection]) {
+        this.indexer.creator(collectionId).should.equal(await this.client.creator(collectionId));
+      }
+    });
+
+    it('rebuilds the operators approvals', async function () {
+      this.indexer.isApprovedForAll(owner, operator).should.be.false;
+      this.indexer.isApprovedForAll(recipient, operator).should.be.true;
+    });
+
+    it('produces a deterministic state', async function () {
+      const indexer = new InventoryIndexer();
+      const logs = await web3.eth.getPastLogs({address: this.contract.address, fromBlock: 0});
+      indexer.applyLogs(logs.slice().reverse(), await sendersOf(logs));
+      JSON.stringify(indexer).should.equal(JSON.stringify(this.indexer));
+    });
+
+    it('indexes incrementally', async function () {
+      const indexer = await indexInventory(web3, this.contract.address, {toBlock: this.indexer.lastBlock - 1});
+      await indexInventory(web3, this.contract.address, {fromBlock: this.indexer.lastBlock, indexer});
+      JSON.stringify(indexer).should.equal(JSON.stringify(this.indexer));
+    });
+  };
+
+  const sendersOf = async function (logs) {
+    const senders = {};
+    for (const log of logs) {
+      senders[log.transactionHash] = (await web3.eth.getTransaction(log.transactionHash)).from;
+    }
+    return senders;
+  };
+
+  describe('with an ERC1155721Inventory', function () {
+    beforeEach(async function () {
+      this.contract = await artifacts.require('ERC1155721InventoryBurnableMock').new({from: deployer});
+      this.client = new InventoryClient(web3, this.contract.address, {from: deployer});
+    });
+
+    shouldIndexLikeTheContract();
+
+    it('counts once the non-fungible tokens movements', async function () {
+      const logs = await web3.eth.getPastLogs({address: this.contract.address, fromBlock: 0});
+      logs.map(decodeLog).filter((event) => event && event.event === 'Transfer').length.should.be.above(0);
+      this.indexer.nftBalanceOf(owner).should.equal(await this.client.nftBalanceOf(owner));
+      this.indexer.nftBalanceOf(recipient).should.equal(await this.client.nftBalanceOf(recipient));
+    });
+
+    it('applies the ERC721 unsafe transfers', async function () {
+      await this.client.transfer(owner, operator, nft3, undefined, {from: owner, safe: false});
+      const indexer = await indexInventory(web3, this.contract.address);
+      indexer.ownerOf(nft3).should.equal(operator);
+      indexer.balanceOf(operator, nfCollection).should.equal('1');
+    });
+
+    it('rebuilds the ERC721 approvals', async function () {
+      await this.client.approve(operator, nft3, {from: owner});
+      const indexer = await indexInventory(web3, this.contract.address);
+      indexer.getApproved(nft3).should.equal(operator);
+      indexer.getApproved(nft2).should.equal(await this.client.getApproved(nft2));
+    });
+  });
+
+  describe('with an ERC1155Inventory', function () {
+    beforeEach(async function () {
+      this.contract = await artifacts.require('ERC1155InventoryBurnableMock').new({from: deployer});
+      this.client = new InventoryClient(web3, this.contract.address, {from: deployer, erc721: false});
+    });
+
+    shouldIndexLikeTheContract();
+  });
+});
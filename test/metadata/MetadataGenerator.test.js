@@ -0,0 +1,140 @@
+const {artifacts, accounts, web3} = require('hardhat');
+const {AssertionError} = require('assert');
+const {DefaultNFMaskLength} = require('../../src/constants');
+const {makeNonFungibleCollectionId, makeNonFungibleTokenId} = require('../../src/helpers/inventoryIds');
+const {toBytes32Attribute} = require('../../src/helpers/bytes32Attributes');
+const {defaultFormatter, substituteId, MetadataGenerator} = require('../../src/metadata');
+
+const Inventory = artifacts.require('ERC1155721InventoryMock');
+const InventoryMetadata = artifacts.require('InventoryMetadataMock');
+const CoreMetadata = artifacts.require('CoreMetadataMock');
+
+describe('MetadataGenerator', function () {
+  const [deployer] = accounts;
+
+  const nfCollection = makeNonFungibleCollectionId(1, DefaultNFMaskLength);
+  // rarity on bits [0, 8), level on bits [8, 16)
+  const nft = makeNonFungibleTokenId(3 + (42 << 8), 1, DefaultNFMaskLength);
+
+  const expectError = async function (promise, ErrorClass) {
+    try {
+      await promise;
+    } catch (e) {
+      e.should.be.instanceOf(ErrorClass);
+      return e;
+    }
+    throw new Error(`expected a ${ErrorClass.name}`);
+  };
+
+  beforeEach(async function () {
+    this.inventory = await Inventory.new({from: deployer});
+    this.implementer = await InventoryMetadata.new(DefaultNFMaskLength, this.inventory.address, {from: deployer});
+    await this.implementer.setLayout(
+      nfCollection,
+      ['rarity', 'level'].map((name) => toBytes32Attribute(name)),
+      [8, 8],
+      [0, 8],
+      {from: deployer}
+    );
+  });
+
+  describe('at()', function () {
+    it('validates the InventoryMetadata delegator', async function () {
+      const generator = await MetadataGenerator.at(web3, this.inventory.address, {implementer: this.implementer.address});
+      generator.implementer.should.equal(this.implementer.address);
+    });
+
+    it('rejects the InventoryMetadata of another inventory', async function () {
+      const other = await Inventory.new({from: deployer});
+      await expectError(MetadataGenerator.at(web3, other.address, {implementer: this.implementer.address}), AssertionError);
+    });
+
+    it('rejects a non-CoreMetadata implementer', async function () {
+      await expectError(MetadataGenerator.at(web3, this.inventory.address, {implementer: this.inventory.address}), AssertionError);
+    });
+
+    it('requires a CoreMetadataDelegator inventory without implementer', async function () {
+      await expectError(MetadataGenerator.at(web3, this.inventory.address), AssertionError);
+    });
+
+    it('accepts a CoreMetadata implementer', async function () {
+      const coreMetadata = await CoreMetadata.new({from: deployer});
+      await MetadataGenerator.at(web3, this.inventory.address, {implementer: coreMetadata.address});
+    });
+  });
+
+  describe('getAttributes()', function () {
+    it('decodes the names of the attributes of a non-fungible token', async function () {
+      const generator = new MetadataGenerator(web3, this.inventory.address, this.implementer.address);
+      (await generator.getAttributes(nft)).should.deep.equal({
+        baseTokenId: `${3 + (42 << 8)}`,
+        baseCollectionId: '1',
+        rarity: '3',
+        level: '42',
+      });
+    });
+  });
+
+  describe('generate()', function () {
+    it('generates the attributes with the default formatter', async function () {
+      const generator = new MetadataGenerator(web3, this.inventory.address, this.implementer.address);
+      (await generator.generate(nft)).should.deep.equal({
+        properties: {baseTokenId: 3 + (42 << 8), baseCollectionId: 1, rarity: 3, level: 42},
+        attributes: [
+          {trait_type: 'baseTokenId', value: 3 + (42 << 8)},
+          {trait_type: 'baseCollectionId', value: 1},
+          {trait_type: 'rarity', value: 3},
+          {trait_type: 'level', value: 42},
+        ],
+      });
+    });
+
+    it('applies the formatters and the fields', async function () {
+      const rarities = ['Common', 'Uncommon', 'Rare', 'Epic'];
+      const generator = new MetadataGenerator(web3, this.inventory.address, this.implementer.address, {
+        fields: {
+          name: (id, attributes) => `Item #${attributes.baseTokenId}`,
+          description: 'An item',
+          image: 'https://example.com/{id}.png',
+          external_url: () => undefined,
+        },
+        formatters: {
+          baseTokenId: () => undefined,
+          baseCollectionId: () => undefined,
+          rarity: (value) => rarities[value],
+          level: async (value, {id, name, attributes}) => {
+            id.should.equal(nft);
+            name.should.equal('level');
+            attributes.rarity.should.equal('3');
+            return {display_type: 'number', value: Number(value), max_value: 255};
+          },
+        },
+      });
+      (await generator.generate(nft)).should.deep.equal({
+        name: `Item #${3 + (42 << 8)}`,
+        description: 'An item',
+        image: `https://example.com/${substituteId('{id}', nft)}.png`,
+        properties: {rarity: 'Epic', level: 42},
+        attributes: [
+          {trait_type: 'rarity', value: 'Epic'},
+          {trait_type: 'level', display_type: 'number', value: 42, max_value: 255},
+        ],
+      });
+    });
+
+    it('generates the JSON', async function () {
+      const generator = new MetadataGenerator(web3, this.inventory.address, this.implementer.address);
+      JSON.parse(await generator.generateJSON(nft)).should.deep.equal(await generator.generate(nft));
+    });
+  });
+
+  describe('defaultFormatter()', function () {
+    it('formats safe integers as numbers', function () {
+      defaultFormatter('42').should.equal(42);
+    });
+
+    it('formats large integers as decimal strings', function () {
+      defaultFormatter(nfCollection).should.equal(nfCollection);
+    });
+  });
+});
@@ -0,0 +1,47 @@
+const {AssertionError} = require('assert');
+const {URITemplateModes, substituteId, resolveTokenUri} = require('../../src/metadata/uri');
+
+describe('Token URIs', function () {
+  const id = '255';
+  const hexId = `${'0'.repeat(62)}ff`;
+
+  describe('substituteId()', function () {
+    it('substitutes the lowercase 64 hex characters of the identifier', function () {
+      substituteId('https://example.com/{id}.json', id).should.equal(`https://example.com/${hexId}.json`);
+    });
+
+    it('substitutes every placeholder', function () {
+      substituteId('{id}/{id}', '0x0a').should.equal(`${'0'.repeat(63)}a/${'0'.repeat(63)}a`);
+    });
+
+    it('leaves a string without placeholder unchanged', function () {
+      substituteId('https://example.com/', id).should.equal('https://example.com/');
+    });
+  });
+
+  describe('resolveTokenUri()', function () {
+    it('appends the decimal identifier by default', function () {
+      resolveTokenUri('https://example.com/', id).should.equal('https://example.com/255');
+    });
+
+    it('appends the decimal identifier in DecimalSuffix mode', function () {
+      resolveTokenUri('https://example.com/', '0xff', URITemplateModes.DecimalSuffix).should.equal('https://example.com/255');
+    });
+
+    it('appends the hexadecimal identifier in HexSuffix mode', function () {
+      resolveTokenUri('https://example.com/', id, URITemplateModes.HexSuffix).should.equal(`https://example.com/${hexId}`);
+    });
+
+    it('substitutes the placeholder in IdPlaceholder mode', function () {
+      resolveTokenUri('https://example.com/{id}.json', id, URITemplateModes.IdPlaceholder).should.equal(`https://example.com/${hexId}.json`);
+    });
+
+    it('accepts the mode as a string', function () {
+      resolveTokenUri('https://example.com/', id, `${URITemplateModes.HexSuffix}`).should.equal(`https://example.com/${hexId}`);
+    });
+
+    it('throws with an invalid mode', function () {
+      (() => resolveTokenUri('https://example.com/', id, 3)).should.throw(AssertionError);
+    });
+  });
+});
@@ -0,0 +1,245 @@
+const {artifacts, accounts} = require('hardhat');
+const {AssertionError} = require('assert');
+const {DefaultNFMaskLength} = require('../../src/constants');
+const {makeFungibleCollectionId, makeNonFungibleCollectionId, makeNonFungibleTokenId} = require('../../src/helpers/inventoryIds');
+const {revertMessages, extractRevertReason} = require('../../src/errors');
+const {decodeLog} = require('../../src/indexer');
+const {BurntNFTOwner, RevertError, InventoryModel} = require('../../src/model');
+
+const Reasons = revertMessages('Inventory');
+const ZeroAddress = '0x0000000000000000000000000000000000000000';
+
+describe('InventoryModel', function () {
+  const [deployer, owner, recipient, operator] = accounts;
+
+  const names = {[deployer]: 'deployer', [owner]: 'owner', [recipient]: 'recipient', [operator]: 'operator'};
+
+  const fCollection = makeFungibleCollectionId(1);
+  const nfCollection = makeNonFungibleCollectionId(1, DefaultNFMaskLength);
+  const nft1 = makeNonFungibleTokenId(1, 1, DefaultNFMaskLength);
+  const nft2 = makeNonFungibleTokenId(2, 1, DefaultNFMaskLength);
+  const nft3 = makeNonFungibleTokenId(3, 1, DefaultNFMaskLength);
+  const nft4 = makeNonFungibleTokenId(4, 1, DefaultNFMaskLength);
+
+  const expectRevert = function (fn, reason) {
+    try {
+      fn();
+    } catch (e) {
+      e.should.be.instanceOf(RevertError);
+      e.reason.should.equal(reason);
+      return e;
+    }
+    throw new Error(`expected a revert with '${reason}'`);
+  };
+
+  describe('model', function () {
+    beforeEach(function () {
+      this.model = new InventoryModel({owner: deployer});
+      this.model.createCollection(fCollection, {from: deployer});
+      this.model.safeMint(owner, fCollection, 100, {from: deployer});
+      this.model.batchMint(owner, [nft1, nft2], {from: deployer});
+    });
+
+    it('requires the owner and the sender', function () {
+      (() => new InventoryModel()).should.throw(AssertionError);
+      (() => this.model.safeMint(owner, fCollection, 1)).should.throw(AssertionError);
+    });
+
+    it('tracks the balances, supplies and owners', function () {
+      this.model.balanceOf(owner, fCollection).should.equal('100');
+      this.model.balanceOf(owner, nfCollection).should.equal('2');
+      this.model.balanceOf(owner, nft1).should.equal('1');
+      this.model.balanceOf(recipient, nft1).should.equal('0');
+      this.model.balanceOfBatch([owner, recipient], [nft2, nft2]).should.deep.equal(['1', '0']);
+      this.model.nftBalanceOf(owner).should.equal('2');
+      this.model.totalSupply(fCollection).should.equal('100');
+      this.model.totalSupply(nfCollection).should.equal('2');
+      this.model.totalSupply(nft1).should.equal('1');
+      this.model.totalSupply(nft3).should.equal('0');
+      this.model.ownerOf(nft1).should.equal(owner);
+      this.model.collectionOf(nft1).should.equal(nfCollection);
+      this.model.creator(fCollection).should.equal(deployer);
+      this.model.creator(nfCollection).should.equal(ZeroAddress);
+    });
+
+    it('reverts the invalid reads', function () {
+      expectRevert(() => this.model.balanceOf(ZeroAddress, fCollection), Reasons.ZeroAddress);
+      expectRevert(() => this.model.balanceOfBatch([owner], []), Reasons.InconsistentArrays);
+      expectRevert(() => this.model.nftBalanceOf(ZeroAddress), Reasons.ZeroAddress);
+      expectRevert(() => this.model.ownerOf(nft3), Reasons.NonExistingNFT);
+      expectRevert(() => this.model.getApproved(nft3), Reasons.NonExistingNFT);
+      expectRevert(() => this.model.collectionOf(nfCollection), Reasons.NotNFT);
+      expectRevert(() => this.model.creator(nft1), Reasons.NotCollection);
+    });
+
+    it('returns the emitted events', function () {
+      this.model.safeBatchTransferFrom(owner, recipient, [fCollection, nft1], ['10', '1'], {from: owner}).should.deep.equal([
+        {event: 'Transfer', from: owner, to: recipient, tokenId: nft1},
+        {event: 'TransferBatch', operator: owner, from: owner, to: recipient, ids: [fCollection, nft1], values: ['10', '1']},
+      ]);
+    });
+
+    it('leaves the state unchanged on revert', function () {
+      const state = this.model.toJSON();
+      const e = expectRevert(() => this.model.batchTransferFrom(owner, recipient, [nft1, nft3], {from: owner}), Reasons.NonOwnedNFT);
+      e.code.should.equal('Inventory.NonOwnedNFT');
+      this.model.toJSON().should.deep.equal(state);
+    });
+
+    it('marks the burnt tokens', function () {
+      this.model.burnFrom(owner, nft1, 1, {from: owner});
+      this.model.isBurnt(nft1).should.be.true;
+      this.model.toJSON().burnt.should.deep.equal([nft1]);
+      this.model.owners[nft1].should.equal(BurntNFTOwner);
+      this.model.totalSupply(nft1).should.equal('0');
+      this.model.totalSupply(nfCollection).should.equal('1');
+      this.model.nftBalanceOf(owner).should.equal('1');
+      expectRevert(() => this.model.ownerOf(nft1), Reasons.NonExistingNFT);
+      expectRevert(() => this.model.mint(owner, nft1, {from: deployer}), Reasons.ExistingOrBurntNFT);
+    });
+
+    it('clears the ERC721 approval on transfer', function () {
+      this.model.approve(operator, nft1, {from: owner});
+      this.model.getApproved(nft1).should.equal(operator);
+      this.model.transferFrom(owner, owner, nft1, {from: operator});
+      this.model.getApproved(nft1).should.equal(ZeroAddress);
+      this.model.balanceOf(owner, nfCollection).should.equal('2');
+      expectRevert(() => this.model.transferFrom(owner, recipient, nft1, {from: operator}), Reasons.NonApproved);
+    });
+
+    it('simulates on a clone', function () {
+      const clone = this.model.clone();
+      clone.safeTransferFrom(owner, recipient, fCollection, 40, {from: owner});
+      clone.balanceOf(recipient, fCollection).should.equal('40');
+      this.model.balanceOf(recipient, fCollection).should.equal('0');
+    });
+
+    it('pauses the transfers and burns', function () {
+      const model = new InventoryModel({owner: deployer, pausable: true});
+      model.safeMint(owner, fCollection, 10, {from: deployer});
+      (() => this.model.pause({from: deployer})).should.throw(AssertionError);
+      expectRevert(() => model.pause({from: owner}), Reasons.NotOwner);
+      model.pause({from: deployer}).should.deep.equal([{event: 'Paused', account: deployer}]);
+      expectRevert(() => model.pause({from: deployer}), revertMessages('Pausable').Paused);
+      expectRevert(() => model.safeTransferFrom(owner, recipient, fCollection, 1, {from: owner}), Reasons.Paused);
+      expectRevert(() => model.burnFrom(owner, fCollection, 1, {from: owner}), Reasons.Paused);
+      model.safeMint(owner, fCollection, 10, {from: deployer});
+      model.unpause({from: deployer}).should.deep.equal([{event: 'Unpaused', account: deployer}]);
+      model.safeTransferFrom(owner, recipient, fCollection, 1, {from: owner});
+      model.balanceOf(owner, fCollection).should.equal('19');
+    });
+
+    it('restricts the administration to the owner and the minters', function () {
+      expectRevert(() => this.model.createCollection(nfCollection, {from: owner}), revertMessages('Ownable').NotOwner);
+      expectRevert(() => this.model.safeMint(owner, fCollection, 1, {from: owner}), Reasons.NotMinter);
+      expectRevert(() => this.model.addMinter(recipient, {from: owner}), revertMessages('MinterRole').NotMinter);
+      this.model.addMinter(owner, {from: deployer}).should.deep.equal([{event: 'MinterAdded', account: owner}]);
+      this.model.safeMint(owner, fCollection, 1, {from: owner});
+      expectRevert(() => this.model.addMinter(owner, {from: deployer}), revertMessages('MinterRole').AlreadyMinter);
+    });
+  });
+
+  // Differential tests: the same calls, with their expected reverts, are applied to the model and to a mock
+  // ({fn, args, from, erc721}, `erc721` restricting a call to the ERC1155721Inventory)
+  const calls = [
+    {fn: 'createCollection(uint256)', args: [fCollection], from: deployer},
+    {fn: 'createCollection(uint256)', args: [nfCollection], from: deployer},
+    {fn: 'createCollection(uint256)', args: [nfCollection], from: deployer},
+    {fn: 'createCollection(uint256)', args: [nft1], from: deployer},
+    {fn: 'createCollection(uint256)', args: [fCollection], from: owner},
+    {fn: 'safeMint(address,uint256,uint256,bytes)', args: [owner, fCollection, 100], from: deployer},
+    {fn: 'safeMint(address,uint256,uint256,bytes)', args: [owner, fCollection, 100], from: owner},
+    {fn: 'safeMint(address,uint256,uint256,bytes)', args: [owner, nfCollection, 1], from: deployer},
+    {fn: 'safeMint(address,uint256,uint256,bytes)', args: [owner, fCollection, 0], from: deployer},
+    {fn: 'safeBatchMint(address,uint256[],uint256[],bytes)', args: [owner, [fCollection, nft1, nft2], [10, 1, 1]], from: deployer},
+    {fn: 'safeBatchMint(address,uint256[],uint256[],bytes)', args: [owner, [nft3], [2]], from: deployer},
+    {fn: 'safeBatchMint(address,uint256[],uint256[],bytes)', args: [owner, [nft3], [1, 1]], from: deployer},
+    {fn: 'batchMint(address,uint256[])', args: [owner, [nft3, nft4]], from: deployer, erc721: true},
+    {fn: 'safeBatchMint(address,uint256[],uint256[],bytes)', args: [owner, [nft3, nft4], [1, 1]], from: deployer},
+    {fn: 'mint(address,uint256)', args: [owner, nft1], from: deployer, erc721: true},
+    {fn: 'mint(address,uint256)', args: [owner, fCollection], from: deployer, erc721: true},
+    {fn: 'safeTransferFrom(address,address,uint256,uint256,bytes)', args: [owner, recipient, fCollection, 30], from: owner},
+    {fn: 'safeTransferFrom(address,address,uint256,uint256,bytes)', args: [owner, recipient, fCollection, 30], from: operator},
+    {fn: 'safeTransferFrom(address,address,uint256,uint256,bytes)', args: [owner, recipient, fCollection, 0], from: owner},
+    {fn: 'safeTransferFrom(address,address,uint256,uint256,bytes)', args: [owner, recipient, fCollection, 1000], from: owner},
+    {fn: 'safeTransferFrom(address,address,uint256,uint256,bytes)', args: [owner, ZeroAddress, fCollection, 1], from: owner},
+    {fn: 'safeTransferFrom(address,address,uint256,uint256,bytes)', args: [owner, recipient, nfCollection, 1], from: owner},
+    {fn: 'safeTransferFrom(address,address,uint256,uint256,bytes)', args: [owner, recipient, nft3, 2], from: owner},
+    {fn: 'safeTransferFrom(address,address,uint256,uint256,bytes)', args: [recipient, owner, nft3, 1], from: recipient},
+    {fn: 'approve(address,uint256)', args: [operator, nft1], from: owner, erc721: true},
+    {fn: 'approve(address,uint256)', args: [owner, nft1], from: owner, erc721: true},
+    {fn: 'approve(address,uint256)', args: [operator, nft2], from: recipient, erc721: true},
+    {fn: 'transferFrom(address,address,uint256)', args: [owner, recipient, nft1], from: operator, erc721: true},
+    {fn: 'transferFrom(address,address,uint256)', args: [recipient, owner, nft1], from: operator, erc721: true},
+    {fn: 'setApprovalForAll(address,bool)', args: [operator, true], from: owner},
+    {fn: 'setApprovalForAll(address,bool)', args: [owner, true], from: owner},
+    {fn: 'safeBatchTransferFrom(address,address,uint256[],uint256[],bytes)', args: [owner, recipient, [fCollection, nft2], [5, 1]], from: operator},
+    {fn: 'safeBatchTransferFrom(address,address,uint256[],uint256[],bytes)', args: [owner, recipient, [nft3, nft3], [1, 1]], from: operator},
+    {fn: 'batchTransferFrom(address,address,uint256[])', args: [owner, owner, [nft3]], from: owner, erc721: true},
+    {fn: 'batchTransferFrom(address,address,uint256[])', args: [recipient, owner, []], from: operator, erc721: true},
+    {fn: 'burnFrom(address,uint256,uint256)', args: [recipient, fCollection, 0], from: operator},
+    {fn: 'burnFrom(address,uint256,uint256)', args: [recipient, nft2, 1], from: recipient},
+    {fn: 'safeMint(address,uint256,uint256,bytes)', args: [recipient, nft2, 1], from: deployer},
+    {fn: 'batchBurnFrom(address,uint256[],uint256[])', args: [owner, [fCollection, nft3], [10, 1]], from: operator},
+    {fn: 'batchBurnFrom(address,uint256[],uint256[])', args: [owner, [fCollection, nft3], [10]], from: operator},
+    {fn: 'batchBurnFrom(address,uint256[])', args: [owner, [nft4]], from: owner, erc721: true},
+    {fn: 'setApprovalForAll(address,bool)', args: [operator, false], from: owner},
+    {fn: 'burnFrom(address,uint256,uint256)', args: [owner, fCollection, 1], from: operator},
+  ];
+
+  const modelCall = function (model, {fn, args, from}) {
+    const name = fn.slice(0, fn.indexOf('('));
+    return model[name](...args.map((arg) => (Array.isArray(arg) ? arg.map(String) : typeof arg === 'number' ? String(arg) : arg)), {from});
+  };
+
+  const contractCall = async function (contract, {fn, args, from}) {
+    const data = fn.endsWith('bytes)') ? ['0x'] : [];
+    const receipt = await contract.methods[fn](...args, ...data, {from});
+    return receipt.receipt.rawLogs.map(decodeLog).filter((event) => event !== undefined);
+  };
+
+  const shouldBehaveLikeTheContract = function (contractName, erc721) {
+    describe(`against ${contractName}`, function () {
+      before(async function () {
+        this.contract = await artifacts.require(contractName).new({from: deployer});
+        this.model = new InventoryModel({owner: deployer, erc721});
+      });
+
+      for (const call of calls.filter((call) => erc721 || !call.erc721)) {
+        it(`${call.fn} from ${names[call.from]}`, async function () {
+          let expected;
+          try {
+            expected = {events: modelCall(this.model, call)};
+          } catch (e) {
+            e.should.be.instanceOf(RevertError);
+            expected = {reason: e.reason};
+          }
+          let actual;
+          try {
+            actual = {events: await contractCall(this.contract, call)};
+          } catch (e) {
+            actual = {reason: extractRevertReason(e)};
+          }
+          actual.should.deep.equal(expected);
+        });
+      }
+
+      it('has the same state', async function () {
+        for (const account of [deployer, owner, recipient, operator]) {
+          for (const id of [fCollection, nfCollection, nft1, nft2, nft3, nft4]) {
+            this.model.balanceOf(account, id).should.equal((await this.contract.balanceOf(account, id)).toString());
+          }
+          if (erc721) {
+            this.model.nftBalanceOf(account).should.equal((await this.contract.methods['balanceOf(address)'](account)).toString());
+          }
+        }
+        for (const id of [fCollection, nfCollection, nft1, nft2, nft3, nft4]) {
+          this.model.totalSupply(id).should.equal((await this.contract.totalSupply(id)).toString());
+        }
+      });
+    });
+  };
+
+  shouldBehaveLikeTheContract('ERC1155InventoryBurnableMock', false);
+  shouldBehaveLikeTheContract('ERC1155721InventoryBurnableMock', true);
+});
@@ -0,0 +1,148 @@
+const {artifacts, accounts, network, web3} = require('hardhat');
+const {AssertionError} = require('assert');
+const {Web3Provider} = require('@ethersproject/providers');
+const {Contract} = require('@ethersproject/contracts');
+const {DefaultNFMaskLength} = require('../../src/constants');
+const {makeNonFungibleCollectionId} = require('../../src/helpers/inventoryIds');
+const {encodeFunctionCall, decodeFunctionResult} = require('../../src/helpers/abiCoder');
+const {ProviderAdapter, Web3Adapter, EIP1193Adapter, EthersAdapter, toProvider} = require('../../src/providers');
+
+describe('providers', function () {
+  const [deployer, other] = accounts;
+
+  // JSON-RPC transport of the ethers providers, with plain errors as returned by a node
+  const jsonRpcProvider = {
+    request: (args) =>
+      network.provider.request(args).catch((e) => {
+        throw Object.assign(new Error(e.message), {code: e.code, data: e.data});
+      }),
+  };
+
+  const nfCollection = makeNonFungibleCollectionId(1, DefaultNFMaskLength);
+  const nameFragment = {type: 'function', name: 'name', inputs: [], outputs: [{name: '', type: 'string'}], stateMutability: 'view'};
+
+  beforeEach(async function () {
+    this.inventory = await artifacts.require('ERC1155721InventoryMock').new({from: deployer});
+  });
+
+  describe('toProvider()', function () {
+    it('returns an adapter as-is', function () {
+      const adapter = new Web3Adapter(web3);
+      toProvider(adapter).should.equal(adapter);
+    });
+
+    it('wraps a web3 instance', function () {
+      toProvider(web3).should.be.instanceOf(Web3Adapter);
+    });
+
+    it('wraps an EIP-1193 provider', function () {
+      toProvider(network.provider).should.be.instanceOf(EIP1193Adapter);
+    });
+
+    it('wraps an ethers provider', function () {
+      toProvider(new Web3Provider(network.provider)).should.be.instanceOf(EthersAdapter);
+    });
+
+    it('wraps an ethers signer', function () {
+      const signer = new Web3Provider(network.provider).getSigner(deployer);
+      const adapter = toProvider(signer);
+      adapter.should.be.instanceOf(EthersAdapter);
+      adapter.signer.should.equal(signer);
+    });
+
+    it('wraps the signer of an ethers contract', function () {
+      const signer = new Web3Provider(network.provider).getSigner(deployer);
+      const adapter = toProvider(new Contract(this.inventory.address, [nameFragment], signer));
+      adapter.should.be.instanceOf(EthersAdapter);
+      adapter.signer.should.equal(signer);
+    });
+
+    it('throws with an unsupported provider', function () {
+      (function () {
+        toProvider({});
+      }.should.throw(Error, 'Unsupported provider'));
+      (function () {
+        toProvider(undefined);
+      }.should.throw(AssertionError));
+    });
+  });
+
+  for (const [providerName, getProvider] of [
+    ['web3', () => web3],
+    ['EIP-1193 provider', () => network.provider],
+    ['ethers provider', () => new Web3Provider(jsonRpcProvider)],
+    ['ethers signer', () => new Web3Provider(jsonRpcProvider).getSigner(deployer)],
+  ]) {
+    describe(`with a ${providerName}`, function () {
+      beforeEach(function () {
+        this.provider = toProvider(getProvider());
+        this.provider.should.be.instanceOf(ProviderAdapter);
+      });
+
+      it('calls a contract', async function () {
+        const data = await this.provider.call({to: this.inventory.address, data: encodeFunctionCall(nameFragment)});
+        decodeFunctionResult(nameFragment, data).should.equal(await this.inventory.name());
+      });
+
+      it('calls a contract at a given block', async function () {
+        const data = await this.provider.call({to: this.inventory.address, data: encodeFunctionCall(nameFragment)}, 0);
+        data.should.equal('0x');
+      });
+
+      it('returns the block number', async function () {
+        (await this.provider.getBlockNumber()).should.equal(await web3.eth.getBlockNumber());
+      });
+
+      it('sends a transaction and returns the normalized receipt', async function () {
+        const receipt = await this.provider.sendTransaction({
+          from: deployer,
+          to: this.inventory.address,
+          data: encodeFunctionCall('createCollection(uint256)', [nfCollection.toString()]),
+        });
+        receipt.status.should.be.true;
+        receipt.from.should.equal(deployer);
+        receipt.to.should.equal(this.inventory.address);
+        receipt.blockNumber.should.equal(await web3.eth.getBlockNumber());
+        receipt.gasUsed.should.be.a('number');
+        receipt.logs.should.have.lengthOf(1);
+
+        const logs = await this.provider.getLogs({address: this.inventory.address, fromBlock: receipt.blockNumber, toBlock: receipt.blockNumber});
+        logs.should.deep.equal(receipt.logs);
+        logs[0].should.deep.equal({
+          address: this.inventory.address,
+          topics: logs[0].topics,
+          data: '0x',
+          blockNumber: receipt.blockNumber,
+          transactionHash: receipt.transactionHash,
+          logIndex: 0,
+          removed: false,
+        });
+
+        (await this.provider.getTransaction(receipt.transactionHash)).from.should.equal(deployer);
+      });
+    });
+  }
+
+  describe('EthersAdapter', function () {
+    it('sends the transactions with the provider signer of the sender', async function () {
+      const receipt = await new EthersAdapter(new Web3Provider(network.provider)).sendTransaction({from: other, to: deployer, value: 1});
+      receipt.from.should.equal(other);
+    });
+
+    it('throws when sending a transaction without signer', async function () {
+      try {
+        await new EthersAdapter(new Web3Provider(network.provider)).sendTransaction({to: deployer, value: 1});
+      } catch (e) {
+        e.should.be.instanceOf(AssertionError);
+        return;
+      }
+      throw new Error('expected an AssertionError');
+    });
+
+    it('throws with a signer not connected to a provider', function () {
+      (function () {
+        new EthersAdapter({getAddress: async () => deployer, provider: null});
+      }.should.throw(AssertionError));
+    });
+  });
+});
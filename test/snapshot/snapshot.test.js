@@ -0,0 +1,118 @@
+const {artifacts, accounts, web3, run} = require('hardhat');
+const {AssertionError} = require('assert');
+const {DefaultNFMaskLength} = require('../../src/constants');
+const {makeFungibleCollectionId, makeNonFungibleCollectionId, makeNonFungibleTokenId} = require('../../src/helpers/inventoryIds');
+const {InventoryClient} = require('../../src/client');
+const {SnapshotModes, takeSnapshot, snapshotToJSON, snapshotToCSV} = require('../../src/snapshot');
+
+describe('Snapshot', function () {
+  const [deployer, owner, recipient, other] = accounts;
+
+  const fCollection1 = makeFungibleCollectionId(1);
+  const fCollection2 = makeFungibleCollectionId(2);
+  const nfCollection = makeNonFungibleCollectionId(1, DefaultNFMaskLength);
+  const nft1 = makeNonFungibleTokenId(1, 1, DefaultNFMaskLength);
+  const nft2 = makeNonFungibleTokenId(2, 1, DefaultNFMaskLength);
+  const nft3 = makeNonFungibleTokenId(3, 1, DefaultNFMaskLength);
+
+  const readOptions = {
+    mode: SnapshotModes.Reads,
+    owners: [deployer, owner, recipient, other],
+    ids: [fCollection1, fCollection2, nfCollection, nft1, nft2, nft3],
+  };
+
+  const expectError = async function (promise, ErrorClass) {
+    try {
+      await promise;
+    } catch (e) {
+      e.should.be.instanceOf(ErrorClass);
+      return e;
+    }
+    throw new Error(`expected a ${ErrorClass.name}`);
+  };
+
+  beforeEach(async function () {
+    const contract = await artifacts.require('ERC1155721InventoryBurnableMock').new({from: deployer});
+    this.address = contract.address;
+    const client = new InventoryClient(web3, this.address, {from: deployer});
+    await client.batchMint(owner, [fCollection1, fCollection2, nft1, nft2, nft3], [100, 7, 1, 1, 1]);
+    await client.transfer(owner, recipient, fCollection1, 40, {from: owner});
+    await client.transfer(owner, recipient, nft2, 1, {from: owner});
+    this.blockNumber = await web3.eth.getBlockNumber();
+    await client.transfer(recipient, other, nft2, 1, {from: recipient});
+    await client.burn(owner, fCollection1, 60, {from: owner});
+    await client.burn(owner, nft3, 1, {from: owner});
+  });
+
+  describe('takeSnapshot()', function () {
+    it('takes the snapshot at a past block', async function () {
+      const snapshot = await takeSnapshot(web3, this.address, {blockNumber: this.blockNumber});
+      snapshot.blockNumber.should.equal(this.blockNumber);
+      snapshot.balances.should.deep.equal({
+        [owner]: {[fCollection1]: '60', [fCollection2]: '7', [nfCollection]: '2'},
+        [recipient]: {[fCollection1]: '40', [nfCollection]: '1'},
+      });
+      snapshot.nfts.should.deep.equal({
+        [owner]: [nft1, nft3],
+        [recipient]: [nft2],
+      });
+    });
+
+    it('takes the snapshot at the latest block by default', async function () {
+      const snapshot = await takeSnapshot(web3, this.address);
+      snapshot.blockNumber.should.equal(await web3.eth.getBlockNumber());
+      snapshot.balances.should.deep.equal({
+        [owner]: {[fCollection2]: '7', [nfCollection]: '1'},
+        [recipient]: {[fCollection1]: '40'},
+        [other]: {[nfCollection]: '1'},
+      });
+      snapshot.nfts.should.deep.equal({
+        [owner]: [nft1],
+        [other]: [nft2],
+      });
+    });
+
+    it('produces the same snapshot from the logs and from the reads', async function () {
+      for (const blockNumber of [this.blockNumber, 'latest']) {
+        const fromLogs = await takeSnapshot(web3, this.address, {blockNumber});
+        const fromReads = await takeSnapshot(web3, this.address, {...readOptions, blockNumber});
+        snapshotToJSON(fromReads).should.equal(snapshotToJSON(fromLogs));
+      }
+    });
+
+    it('sorts the owners and the identifiers', async function () {
+      const snapshot = await takeSnapshot(web3, this.address, {blockNumber: this.blockNumber});
+      const owners = Object.keys(snapshot.balances);
+      owners.should.deep.equal(owners.slice().sort((a, b) => (a.toLowerCase() < b.toLowerCase() ? -1 : 1)));
+      Object.keys(snapshot.balances[owner]).should.deep.equal([fCollection1, fCollection2, nfCollection]);
+    });
+
+    it('requires the owners and the ids in reads mode', async function () {
+      await expectError(takeSnapshot(web3, this.address, {mode: SnapshotModes.Reads}), AssertionError);
+    });
+
+    it('rejects an invalid mode', async function () {
+      await expectError(takeSnapshot(web3, this.address, {mode: 'other'}), AssertionError);
+    });
+  });
+
+  describe('snapshotToCSV()', function () {
+    it('formats one row per balance and per non-fungible token', async function () {
+      const snapshot = await takeSnapshot(web3, this.address);
+      const rows = {
+        [owner]: [`${owner},${fCollection2},7`, `${owner},${nfCollection},1`, `${owner},${nft1},1`],
+        [recipient]: [`${recipient},${fCollection1},40`],
+        [other]: [`${other},${nfCollection},1`, `${other},${nft2},1`],
+      };
+      const owners = [owner, recipient, other].sort((a, b) => (a.toLowerCase() < b.toLowerCase() ? -1 : 1));
+      snapshotToCSV(snapshot).should.equal(['owner,id,balance', ...[].concat(...owners.map((account) => rows[account])), ''].join('\n'));
+    });
+  });
+
+  describe('inventory:snapshot task', function () {
+    it('returns the snapshot', async function () {
+      const snapshot = await run('inventory:snapshot', {address: this.address, block: `${this.blockNumber}`, output: '/dev/null'});
+      snapshot.should.deep.equal(await takeSnapshot(web3, this.address, {blockNumber: this.blockNumber}));
+    });
+  });
+});
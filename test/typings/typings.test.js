@@ -0,0 +1,53 @@
+const fs = require('fs');
+const path = require('path');
+const constants = require('../../src/constants');
+const interfaces = require('../../src/interfaces/ERC165');
+const {RevertReasons} = require('../../src/errors');
+
+describe('Typings', function () {
+  const srcPath = path.join(__dirname, '../../src');
+
+  // the content of a typings file, with the whitespace of the wrapped declarations normalized
+  const readTypings = function (file) {
+    return fs.readFileSync(path.join(srcPath, file), 'utf8').replace(/\s+/g, ' ').replace(/< /g, '<').replace(/ >/g, '>');
+  };
+
+  // `export declare const <name>: <type>;` declarations of a typings file
+  const declarations = function (content) {
+    const result = {};
+    const regex = /export declare const (\w+): ([^;{]+);/g;
+    let match;
+    while ((match = regex.exec(content)) !== null) {
+      result[match[1]] = match[2];
+    }
+    return result;
+  };
+
+  it('declares the literal values of the constants', function () {
+    const declared = declarations(readTypings('constants.d.ts'));
+    for (const [name, value] of Object.entries(constants)) {
+      if (typeof value === 'string' || typeof value === 'number') {
+        declared.should.have.property(name, typeof value === 'string' ? `"${value}"` : `${value}`);
+      }
+    }
+  });
+
+  it('declares the names and identifiers of the interfaces', function () {
+    const declared = ['ERC721', 'ERC1155', 'ERC1155721', 'Metadata']
+      .map((file) => declarations(readTypings(`interfaces/ERC165/${file}.d.ts`)))
+      .reduce((all, entries) => ({...all, ...entries}), {});
+    Object.keys(declared).should.have.members(Object.keys(interfaces));
+    for (const [key, {name, id}] of Object.entries(interfaces)) {
+      declared[key].should.equal(`ERC165Interface<"${name}", "${id}">`, key);
+    }
+  });
+
+  it('declares the revert reasons of the catalog', function () {
+    const content = readTypings('errors/revertReasons.d.ts');
+    for (const [namespace, entries] of Object.entries(RevertReasons)) {
+      for (const [name, {reason}] of Object.entries(entries)) {
+        content.should.include(`${name}: RevertReason<"${namespace}.${name}", "${reason}">;`);
+      }
+    }
+  });
+});